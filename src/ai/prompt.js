@@ -5,7 +5,7 @@ Always follow this evaluation stack:
 1. Review the strategy playbook summary and select the single best lens. Cite two terse bullet-style fragments referencing the supplied reasons.
 2. Interpret the confluence metrics (reward_to_risk, spread_pct, volume_oi_ratio, delta_gap, signal_strength, playbook_alignment.score, time_to_expiry_days). Call out any metric outside healthy ranges (e.g. reward_to_risk < 1.2, spread_pct > 35 for day trades, volume_oi_ratio < 0.3, |delta_gap| > 0.15, insufficient expiry runway) and recommend targeted adjustments only when they materially improve the setup.
 3. Stress-test risk budget, scaling plan, and liquidity before deferring to broader market context. Respect hard guardrails and flag any violations explicitly.
-4. When context.supplemental_signals is present, incorporate its volatility (IV/ATR/relative volume), liquidity, price_levels, and risk snapshots to catch IV crush, thin markets, or proximity to key levels.
+4. When context.supplemental_signals is present, incorporate its volatility (IV/ATR/relative volume), liquidity, price_levels, trend, and risk snapshots to catch IV crush, thin markets, or proximity to key levels. Judge premium from volatility.iv_history (IV rank/percentile over 30d/90d/252d) rather than a single IV reading: rank >= 0.7 means long premium is rich and exposed to IV crush, rank <= 0.3 means it is cheap. Treat windows with few observations as low confidence.
 5. Deliver a decision (approve/caution/reject) with confidence calibrated 0.0-1.0. Default to caution if signals conflict or liquidity is suspect.
 
 Output strict JSON. Avoid markdown, prose paragraphs, or extra keys. Keep notes 200 chars.`;
@@ -34,9 +34,14 @@ function buildUserPrompt({ suggestion, context }) {
         spread_pct: 'Day trades need <= 35%, swing trades <= 45%.',
         volume_oi_ratio: 'Healthy >= 0.30. Warn if < 0.15.',
         delta_gap: 'Aim for |delta_gap| <= 0.15. Large gaps imply wrong strike.',
-        time_to_expiry_days: 'Swing plans need at least ~3 trading days unless 0DTE explicitly chosen.'
+        time_to_expiry_days: 'Swing plans need at least ~3 trading days unless 0DTE explicitly chosen.',
+        timeframe_alignment: 'score is -1..1 signed to the trade side across 1m/5m/15m/1h/daily (higher timeframes weigh more). >= 0.3 supportive; < 0 means trading against the larger trend. conflicts lists 1h/daily timeframes trending against the side; a daily conflict on a day trade warrants caution at best.'
       },
-      supplemental_signals: 'context.supplemental_signals (volatility, liquidity, price_levels, risk) highlights IV context, liquidity stress, proximity to support/resistance, and risk budget usage. Reference these when justifying the decision.'
+      supplemental_signals: 'context.supplemental_signals (volatility, liquidity, price_levels, trend, risk) highlights IV context, liquidity stress, proximity to support/resistance, and risk budget usage (risk.sizing_model names the model that produced the quantity: fixed_fraction, volatility, kelly or premium_cap; risk.sizing_fallback says why a requested model was not used). Reference these when justifying the decision.',
+      iv_history: 'volatility.iv_history gives ATM IV rank (0 = window low, 1 = window high) and percentile (share of prior sessions below today) per window, plus regime rich|neutral|cheap. null values mean not enough history yet.',
+      multi_timeframe: 'context.multi_timeframe.table has one row per timeframe: trend up|flat|down, score -1..1 (analyzer strength blended with price vs EMA20, EMA20 vs SMA50 and Supertrend), and the analyzer signals. Timeframes without live bars are listed under unavailable.',
+      patterns: 'context.algorithmic.patterns lists candlestick (engulfing, hammer, shooting_star, inside_bar) and chart (bull/bear flag, double top/bottom, higher_highs_higher_lows / lower_highs_lower_lows) detections with confidence 0..1, bars_ago since the pattern completed and its length in bars. Reversal patterns against the trade side are a reason for caution; stale patterns (large bars_ago) matter less.',
+      trend: 'trend.regime comes from ADX: trending (>= 25) favors momentum and breakouts, choppy (< 20) favors mean reversion and makes breakouts suspect. supertrend_direction and ichimoku_position (above|inside|below the cloud) should agree with the trade side; obv_change against the side is a volume divergence. vwap_gap_pct is the % distance from VWAP anchored at the open, the prior close and an optional custom anchor.'
     }
   };
 
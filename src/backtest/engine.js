@@ -0,0 +1,300 @@
+// Replays stored bars through the same signal stack the AI agent uses
+// (indicators -> day/swing analyzers -> playbooks -> buildSuggestion -> sizing)
+// and simulates the option leg bar by bar with marks from the symbol's pricing model.
+
+const { calculateIndicators } = require('../strategy/indicators');
+const { analyzeDayTradeSignals, analyzeSwingTradeSignals } = require('../strategy/algorithms');
+const { evaluateStrategies } = require('../strategy/playbooks');
+const { buildSuggestion, priceOption } = require('../strategy/options');
+const { computeQty } = require('../risk');
+const { closeTime, sessionDate } = require('../utils/market-calendar');
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+// Premiums at or below this are treated as untradable
+const MIN_PREMIUM = 0.01;
+
+const STRATEGY_DEFAULTS = {
+  day_trade: { lookback: 390, warmup: 30, maxHoldBars: 60, otmPct: 0.01, stopLossPct: 0.2, takeProfitMult: 1.5, expiryType: '0dte' },
+  swing_trade: { lookback: 260, warmup: 60, maxHoldBars: 10, otmPct: 0.02, stopLossPct: 0.5, takeProfitMult: 2.0, expiryType: 'weekly' },
+};
+
+function markOption({ position, underlying, ts }) {
+  const expiryMs = closeTime(position.expiry).getTime();
+  const T = Math.max(0, expiryMs - ts) / YEAR_MS;
+  return priceOption({
+    model: position.pricingModel,
+    S: underlying,
+    K: position.strike,
+    T,
+    r: position.r,
+    q: position.dividendYield,
+    sigma: position.iv,
+    type: position.side,
+  });
+}
+
+// Decide whether the bar at index i opens a trade; mirrors analyzeSymbol in the AI agent
+function evaluateEntry({ symbol, bars, index, config }) {
+  const window = bars.slice(Math.max(0, index + 1 - config.lookback), index + 1);
+  const bar = bars[index];
+  const price = bar.c;
+  const indicators = calculateIndicators(window);
+  const analysis = config.strategy === 'swing_trade'
+    ? analyzeSwingTradeSignals(window, indicators, price)
+    : analyzeDayTradeSignals(window, indicators, price);
+
+  if (Math.abs(analysis.strength) < config.minStrength) return null;
+
+  const insights = evaluateStrategies({
+    bars: window,
+    indicators,
+    price,
+    volume: indicators.volume,
+    avgVolume: indicators.avgVolume,
+  });
+
+  let directionSign = analysis.strength > 0 ? 1 : -1;
+  if (insights?.primary && insights.primary.bias !== 'neutral') {
+    directionSign = insights.primary.bias === 'bullish' ? 1 : -1;
+  }
+  const side = directionSign >= 0 ? 'call' : 'put';
+
+  const suggestion = buildSuggestion({
+    symbol,
+    side,
+    underlyingPrice: price,
+    iv: config.iv,
+    r: config.r,
+    otmPct: config.otmPct,
+    minBusinessDays: config.minBusinessDays,
+    expiryType: config.expiryType,
+    stopLossPct: config.stopLossPct,
+    takeProfitMult: config.takeProfitMult,
+    asOf: new Date(bar.t),
+  });
+
+  return {
+    suggestion,
+    analysis,
+    atr: indicators.atr,
+    playbook: insights?.primary?.name || 'none',
+  };
+}
+
+// { position }, or { skipped: 'premium' | 'sizing' } so penny contracts are counted apart from
+// ideas the sizing model turned down
+function openPosition({ symbol, entrySignal, bar, index, equity, config }) {
+  const { suggestion } = entrySignal;
+  const entry = suggestion.est_entry * (1 + config.slippagePct);
+  if (!Number.isFinite(entry) || entry <= MIN_PREMIUM) return { skipped: 'premium' };
+  const stop = entry * (1 - config.stopLossPct);
+  const target = entry * (1 + config.takeProfitMult);
+  const sizing = computeQty({
+    accountSize: equity,
+    riskPct: config.riskPct,
+    entry,
+    stop,
+    multiplier: suggestion.multiplier,
+    strategy: config.strategy,
+    model: config.sizingModel,
+    atr: entrySignal.atr,
+    underlyingPrice: suggestion.underlying_price,
+    playbook: entrySignal.playbook,
+  });
+  if (!sizing.qty) return { skipped: 'sizing' };
+  const position = {
+    symbol,
+    side: suggestion.side,
+    strike: suggestion.strike,
+    expiry: suggestion.expiry,
+    contract: suggestion.contract,
+    multiplier: suggestion.multiplier,
+    iv: config.iv,
+    r: config.r,
+    pricingModel: suggestion.assumptions.pricing_model,
+    dividendYield: suggestion.assumptions.dividend_yield,
+    playbook: entrySignal.playbook,
+    strength: entrySignal.analysis.strength,
+    signals: entrySignal.analysis.signals,
+    qty: sizing.qty,
+    riskPerContract: sizing.perContractRisk,
+    sizingModel: sizing.sizingModel,
+    entry,
+    stop,
+    target,
+    entryIndex: index,
+    entryTime: bar.t,
+  };
+  return { position };
+}
+
+function closePosition(position, { exit, bar, reason, config }) {
+  const fill = Math.max(0, exit * (1 - config.slippagePct));
+  const pnl = (fill - position.entry) * position.qty * position.multiplier;
+  const risk = position.riskPerContract * position.qty;
+  return {
+    symbol: position.symbol,
+    contract: position.contract,
+    side: position.side,
+    playbook: position.playbook,
+    strength: Number(position.strength.toFixed(3)),
+    qty: position.qty,
+    sizingModel: position.sizingModel,
+    entryTime: new Date(position.entryTime).toISOString(),
+    exitTime: new Date(bar.t).toISOString(),
+    entry: Number(position.entry.toFixed(2)),
+    exit: Number(fill.toFixed(2)),
+    pnl: Number(pnl.toFixed(2)),
+    rMultiple: risk > 0 ? Number((pnl / risk).toFixed(2)) : null,
+    reason,
+  };
+}
+
+// Check stop first (worst case inside the bar) so results never flatter the strategy
+function checkExit(position, { bars, index, config }) {
+  const bar = bars[index];
+  const worstUnderlying = position.side === 'call' ? bar.l : bar.h;
+  const bestUnderlying = position.side === 'call' ? bar.h : bar.l;
+  const worst = markOption({ position, underlying: worstUnderlying, ts: bar.t });
+  if (worst <= position.stop) return { exit: position.stop, reason: 'stop' };
+  const best = markOption({ position, underlying: bestUnderlying, ts: bar.t });
+  if (best >= position.target) return { exit: position.target, reason: 'target' };
+
+  const close = markOption({ position, underlying: bar.c, ts: bar.t });
+  const expiryMs = closeTime(position.expiry).getTime();
+  if (bar.t >= expiryMs) return { exit: close, reason: 'expiry' };
+  if (index - position.entryIndex >= config.maxHoldBars) return { exit: close, reason: 'time' };
+  const next = bars[index + 1];
+  if (config.strategy === 'day_trade' && (!next || sessionDate(next.t) !== sessionDate(bar.t))) {
+    return { exit: close, reason: 'session_close' };
+  }
+  if (!next) return { exit: close, reason: 'end_of_data' };
+  return null;
+}
+
+function runBacktest({ symbol, bars, strategy = 'day_trade', ...overrides }) {
+  if (!Array.isArray(bars) || !bars.length) throw new Error(`No bars supplied for ${symbol}`);
+  const defaults = STRATEGY_DEFAULTS[strategy] || STRATEGY_DEFAULTS.day_trade;
+  const config = {
+    strategy,
+    accountSize: 25000,
+    riskPct: 0.01,
+    iv: 0.2,
+    r: 0.01,
+    minBusinessDays: 2,
+    minStrength: 0.2,
+    slippagePct: 0,
+    ...defaults,
+  };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined && value !== null && !Number.isNaN(value)) config[key] = value;
+  }
+
+  const trades = [];
+  let equity = config.accountSize;
+  let position = null;
+  let signalsSeen = 0;
+  let skippedForPremium = 0;
+  let skippedForSizing = 0;
+
+  for (let i = config.warmup; i < bars.length; i++) {
+    const bar = bars[i];
+    if (position) {
+      const exit = checkExit(position, { bars, index: i, config });
+      if (exit) {
+        const trade = closePosition(position, { ...exit, bar, config });
+        trades.push(trade);
+        equity += trade.pnl;
+        position = null;
+      }
+      continue;
+    }
+    if (i === bars.length - 1) break;
+    // Day trades only open when there is session left to manage them
+    if (config.strategy === 'day_trade' && sessionDate(bars[i + 1].t) !== sessionDate(bar.t)) continue;
+
+    const entrySignal = evaluateEntry({ symbol, bars, index: i, config });
+    if (!entrySignal) continue;
+    signalsSeen += 1;
+    const opened = openPosition({ symbol, entrySignal, bar, index: i, equity, config });
+    position = opened.position || null;
+    if (opened.skipped === 'premium') skippedForPremium += 1;
+    else if (opened.skipped === 'sizing') skippedForSizing += 1;
+  }
+
+  return {
+    symbol,
+    strategy,
+    config,
+    bars: bars.length,
+    from: new Date(bars[0].t).toISOString(),
+    to: new Date(bars[bars.length - 1].t).toISOString(),
+    signalsSeen,
+    skippedForPremium,
+    skippedForSizing,
+    trades,
+    stats: computeStats(trades, config.accountSize),
+  };
+}
+
+function summarizeTrades(trades) {
+  const wins = trades.filter(t => t.pnl > 0);
+  const losses = trades.filter(t => t.pnl <= 0);
+  const netPnl = trades.reduce((sum, t) => sum + t.pnl, 0);
+  const grossWin = wins.reduce((sum, t) => sum + t.pnl, 0);
+  const grossLoss = Math.abs(losses.reduce((sum, t) => sum + t.pnl, 0));
+  const rValues = trades.map(t => t.rMultiple).filter(Number.isFinite);
+  const round = (value, decimals = 2) => (Number.isFinite(value) ? Number(value.toFixed(decimals)) : null);
+  return {
+    trades: trades.length,
+    wins: wins.length,
+    losses: losses.length,
+    winRate: trades.length ? round(wins.length / trades.length, 4) : null,
+    avgWin: wins.length ? round(grossWin / wins.length) : null,
+    avgLoss: losses.length ? round(-grossLoss / losses.length) : null,
+    expectancy: trades.length ? round(netPnl / trades.length) : null,
+    expectancyR: rValues.length ? round(rValues.reduce((a, b) => a + b, 0) / rValues.length, 3) : null,
+    profitFactor: grossLoss > 0 ? round(grossWin / grossLoss) : null,
+    netPnl: round(netPnl),
+  };
+}
+
+function computeMaxDrawdown(trades, startingEquity) {
+  let equity = startingEquity;
+  let peak = startingEquity;
+  let maxDrawdown = 0;
+  let maxDrawdownPct = 0;
+  const ordered = [...trades].sort((a, b) => Date.parse(a.exitTime) - Date.parse(b.exitTime));
+  for (const trade of ordered) {
+    equity += trade.pnl;
+    if (equity > peak) peak = equity;
+    const drawdown = peak - equity;
+    if (drawdown > maxDrawdown) maxDrawdown = drawdown;
+    if (peak > 0 && drawdown / peak > maxDrawdownPct) maxDrawdownPct = drawdown / peak;
+  }
+  return {
+    maxDrawdown: Number(maxDrawdown.toFixed(2)),
+    maxDrawdownPct: Number(maxDrawdownPct.toFixed(4)),
+    endingEquity: Number(equity.toFixed(2)),
+  };
+}
+
+function computeStats(trades, startingEquity) {
+  const byPlaybook = {};
+  for (const trade of trades) {
+    (byPlaybook[trade.playbook] ||= []).push(trade);
+  }
+  return {
+    ...summarizeTrades(trades),
+    ...computeMaxDrawdown(trades, startingEquity),
+    byPlaybook: Object.fromEntries(
+      Object.entries(byPlaybook).map(([name, list]) => [name, summarizeTrades(list)])
+    ),
+  };
+}
+
+module.exports = {
+  runBacktest,
+  computeStats,
+  STRATEGY_DEFAULTS,
+};
@@ -3,7 +3,7 @@
 require('dotenv').config();
 
 const util = require('util');
-const { buildSuggestion } = require('../strategy/options');
+const { buildSuggestion, applyMarketPricing } = require('../strategy/options');
 const { computeQty } = require('../risk');
 const { getQuotes } = require('../providers/quotes');
 const { fetchOptionChain, parseOptionSymbolMeta } = require('../providers/options-chain');
@@ -11,8 +11,15 @@ const { getClient } = require('../ai/client');
 const { buildSystemPrompt, buildUserPrompt } = require('../ai/prompt');
 const { fetchBarsWithFallback } = require('../providers/bars');
 const { analyzeDayTradeSignals, analyzeSwingTradeSignals, recommendOptionStrategy } = require('../strategy/algorithms');
-const { evaluateStrategies } = require('../strategy/playbooks');
+const { evaluateStrategies, trendRegime } = require('../strategy/playbooks');
+const { analyzeTimeframes, alignmentForSide } = require('../strategy/multi-timeframe');
+const { detectPatterns, compactPatterns } = require('../strategy/patterns');
 const { selectOptimalOption, pickNearestStrike, midPrice } = require('../strategy/selector');
+const { estimateAtmIv, recordIvReading, getIvStats } = require('../utils/iv-history');
+const { getBroker, resolveDefaultAccountKey } = require('../providers/broker');
+const { concentrationLimits, loadAccountExposure, checkConcentration } = require('../utils/concentration');
+const { closeTime } = require('../utils/market-calendar');
+const { ensureSymbolMetadata } = require('../utils/symbol-metadata');
 
 const sleep = util.promisify(setTimeout);
 
@@ -52,6 +59,33 @@ function summarizePriceLevels(bars, currentPrice) {
   };
 }
 
+// ADX/DMI regime, Supertrend/Ichimoku direction, OBV drift and distance from each anchored VWAP
+function summarizeTrend(indicators, currentPrice) {
+  if (!indicators?.dmi && !indicators?.supertrend && !indicators?.ichimoku) return null;
+  const vwapGap = (anchored) => {
+    const value = anchored?.value;
+    return Number.isFinite(value) && value > 0 && Number.isFinite(currentPrice)
+      ? roundNumber(((currentPrice - value) / value) * 100, 2)
+      : null;
+  };
+  const anchored = indicators.anchoredVwap || {};
+  return {
+    regime: trendRegime(indicators),
+    adx: roundNumber(indicators.dmi?.adx, 1),
+    plus_di: roundNumber(indicators.dmi?.plusDI, 1),
+    minus_di: roundNumber(indicators.dmi?.minusDI, 1),
+    supertrend_direction: indicators.supertrend?.direction ?? null,
+    supertrend_flipped: indicators.supertrend?.flipped ?? null,
+    ichimoku_position: indicators.ichimoku?.position ?? null,
+    obv_change: indicators.obv?.change ?? null,
+    vwap_gap_pct: {
+      open: vwapGap(anchored.open),
+      prior_close: vwapGap(anchored.priorClose),
+      custom: vwapGap(anchored.custom),
+    },
+  };
+}
+
 function buildSupplementalSignals({
   indicators,
   suggestion,
@@ -60,15 +94,18 @@ function buildSupplementalSignals({
   quotePrice,
   bars,
   riskBudgetValue,
+  sizing,
   params,
   adjustedParams,
+  ivHistory,
 }) {
-  const impliedVol = suggestion.assumptions?.iv ?? suggestion.assumptions?.sigma ?? null;
+  const impliedVol = suggestion.implied_vol ?? suggestion.assumptions?.iv ?? suggestion.assumptions?.sigma ?? null;
   const volatilitySnapshot = {
     implied_vol: roundNumber(impliedVol, 4),
     atr: roundNumber(indicators?.atr, 3),
     relative_volume: computeRelativeVolume(indicators),
     delta_gap: confluence?.delta_gap ?? null,
+    iv_history: summarizeIvHistory(ivHistory),
   };
 
   const liquidity = suggestion.liquidity || {};
@@ -86,6 +123,9 @@ function buildSupplementalSignals({
     account_size: params.account ?? null,
     risk_pct: params.riskPct ?? null,
     risk_budget: roundNumber(riskBudgetValue, 2),
+    sizing_model: sizing?.sizingModel ?? null,
+    sizing_detail: sizing?.sizingDetail ?? null,
+    sizing_fallback: sizing?.sizingFallback ?? null,
     stop_loss_pct: adjustedParams?.stopLossPct ?? params.stopLossPct ?? null,
     take_profit_mult: adjustedParams?.takeProfitMult ?? params.takeProfitMult ?? null,
     alert: tradePlan && tradePlan.qty === 0 ? 'per_contract_risk_exceeds_budget' : null,
@@ -95,11 +135,27 @@ function buildSupplementalSignals({
     volatility: volatilitySnapshot,
     liquidity: liquiditySnapshot,
     price_levels: summarizePriceLevels(bars, quotePrice),
+    trend: summarizeTrend(indicators, quotePrice),
     risk: riskContext,
   };
 }
 
-function calculateConfluenceMetrics({ suggestion, quotePrice, analysis, strategyInsights, targetDelta }) {
+// Compact rank/percentile view of the ATM IV history for the prompt
+function summarizeIvHistory(stats) {
+  if (!stats) return null;
+  const windows = {};
+  for (const [label, window] of Object.entries(stats.windows || {})) {
+    windows[label] = { rank: window.rank, percentile: window.percentile, observations: window.observations };
+  }
+  return {
+    atm_iv: stats.current_iv,
+    as_of: stats.as_of,
+    regime: stats.regime,
+    ...windows,
+  };
+}
+
+function calculateConfluenceMetrics({ suggestion, quotePrice, analysis, strategyInsights, targetDelta, multiTimeframe }) {
   if (!suggestion) return {};
 
   const entry = Number.isFinite(suggestion.est_entry) ? suggestion.est_entry : null;
@@ -137,7 +193,7 @@ function calculateConfluenceMetrics({ suggestion, quotePrice, analysis, strategy
     : (Number.isFinite(primaryPlaybook?.magnitude) ? Number(primaryPlaybook.magnitude.toFixed(3)) : null);
 
   const now = new Date();
-  const expiryDate = suggestion.expiry ? new Date(`${suggestion.expiry}T20:00:00Z`) : null;
+  const expiryDate = suggestion.expiry ? closeTime(String(suggestion.expiry)) : null;
   const timeToExpiryDays = expiryDate && !Number.isNaN(expiryDate.valueOf())
     ? Number(((expiryDate - now) / (1000 * 60 * 60 * 24)).toFixed(1))
     : null;
@@ -167,6 +223,7 @@ function calculateConfluenceMetrics({ suggestion, quotePrice, analysis, strategy
       bias: primaryPlaybook.bias ?? null,
       label: primaryPlaybook.label ?? null,
     } : null,
+    timeframe_alignment: alignmentForSide(multiTimeframe, suggestion.side),
     time_to_expiry_days: timeToExpiryDays,
     moneyness_pct: moneynessPct,
     risk_per_contract: riskPerContract,
@@ -229,6 +286,76 @@ function buildScalingPlan({ qty, entry, takeProfit, stop }) {
   return plan;
 }
 
+// Open positions for the concentration check, loaded once per scan. The scan still runs
+// (unchecked) when no account is configured or the broker cannot be reached.
+async function loadConcentrationContext(args) {
+  if (process.env.CONCENTRATION_CHECK === 'false') return null;
+  const accountIdKey = process.env.CONCENTRATION_ACCOUNT || resolveDefaultAccountKey();
+  if (!accountIdKey) return null;
+  try {
+    const { exposures, accountValue } = await loadAccountExposure(getBroker(), accountIdKey);
+    return {
+      accountIdKey,
+      exposures,
+      accountValue: accountValue || args.account,
+      limits: concentrationLimits(accountIdKey),
+      bars: {},
+    };
+  } catch (err) {
+    console.warn(`Concentration check skipped: ${err.message}`);
+    return null;
+  }
+}
+
+// Rejects or down-sizes an approved idea that would stack correlated exposure; ideas that pass
+// count as exposure for the rest of the scan
+async function applyConcentrationLimit({ symbol, suggestion, ai, params }) {
+  const ctx = params.concentration;
+  if (!ctx || ai.decision === 'reject' || !(suggestion.qty > 0)) return null;
+  const costPerContract = suggestion.est_entry * suggestion.multiplier;
+  const check = await checkConcentration({
+    candidate: { symbol, side: suggestion.side, qty: suggestion.qty, costPerContract },
+    exposures: ctx.exposures,
+    accountValue: ctx.accountValue,
+    limits: ctx.limits,
+    bars: ctx.bars,
+  });
+  console.log(`CONCENTRATION ${JSON.stringify({
+    decision: check.decision,
+    qty: check.qty,
+    requestedQty: check.requestedQty,
+    reason: check.reason,
+    cluster: check.cluster.map((e) => ({ symbol: e.symbol, correlation: e.correlation, alignment: e.alignment })),
+    unknown: check.unknown,
+  })}`);
+
+  if (check.decision === 'reject') {
+    console.log(`Concentration limit: rejecting ${symbol} - ${check.reason}`);
+    ai.decision = 'reject';
+    ai.notes = [`Concentration limit: ${check.reason}`, ai.notes].filter(Boolean).join(' | ');
+    return check;
+  }
+  if (check.decision === 'downsize') {
+    console.log(`Concentration limit: ${check.reason}`);
+    suggestion.qty = check.qty;
+    suggestion.risk_total = Number((check.qty * suggestion.risk_per_contract).toFixed(2));
+    suggestion.tradePlan = buildScalingPlan({
+      qty: check.qty,
+      entry: suggestion.est_entry,
+      takeProfit: suggestion.take_profit,
+      stop: suggestion.stop,
+    });
+  }
+  ctx.exposures.push({
+    symbol,
+    label: suggestion.contract,
+    direction: suggestion.side === 'put' ? -1 : 1,
+    marketValue: check.qty * costPerContract,
+    pending: true,
+  });
+  return check;
+}
+
 function parseArgs(argv) {
   const defaultAiClient = getClient(process.env.AGENT_AI_PROVIDER || process.env.AI_PROVIDER);
   const aiModelEnv = process.env.AI_MODEL;
@@ -251,6 +378,8 @@ function parseArgs(argv) {
     debug: !!process.env.DEBUG,
     watch: process.env.AGENT_WATCH?.toLowerCase() === 'true',
     intervalMs: Number(process.env.AGENT_INTERVAL_MS) || 30_000,
+    mtf: process.env.MTF_ENABLED !== 'false',
+    mtfMinAlignment: process.env.MTF_MIN_ALIGNMENT != null ? Number(process.env.MTF_MIN_ALIGNMENT) : -0.25,
   };
   const args = argv.slice(2);
   let aiModelExplicit = Boolean(aiModelEnv);
@@ -274,6 +403,8 @@ function parseArgs(argv) {
     if (a === '--no-watch' || a === '--once') { out.watch = false; continue; }
     if ((a === '--interval' || a === '-i') && args[i + 1]) { out.intervalMs = Number(args[++i]) * 1000; continue; }
     if (a === '--interval-ms' && args[i + 1]) { out.intervalMs = Number(args[++i]); continue; }
+    if (a === '--no-mtf') { out.mtf = false; continue; }
+    if (a === '--mtf-min' && args[i + 1]) { out.mtfMinAlignment = Number(args[++i]); continue; }
     if (a === '--help' || a === '-h') { out.help = true; continue; }
   }
   return out;
@@ -293,6 +424,8 @@ function usage() {
   `  --watch                  Continuously rerun at the configured interval\n`+
   `  --once / --no-watch      Run a single scan and exit\n`+
   `  --interval <sec>         Interval between scans in seconds (default: 30)\n`+
+  `  --no-mtf                 Skip the 1m/5m/15m/1h/daily confluence check\n`+
+  `  --mtf-min <num>          Skip ideas whose timeframe alignment is below this (default: -0.25)\n`+
   `  --debug                  Enable debug output\n\n`+
   `Environment variables: SCAN_SYMBOLS, ACCOUNT_SIZE, TRADING_STRATEGY, EXPIRY_TYPE, etc.`);
 }
@@ -330,7 +463,8 @@ async function analyzeSymbol(symbol, params) {
     console.log(`ðŸ“Š Current price: $${quote.price.toFixed(2)} (${quote.source})`);
 
     // Get technical indicators
-    const { bars, indicators } = await fetchBarsWithFallback(symbol, { range: '1d', interval: '1m' });
+    const { bars, indicators, mock: mockBars } = await fetchBarsWithFallback(symbol, { range: '1d', interval: '1m' });
+    if (params.concentration && !mockBars) params.concentration.bars[symbol] = bars;
     if (params.debug) {
       console.log(`ðŸ“ˆ Indicators: RSI=${indicators.rsi?.toFixed(2) || 'N/A'}, MACD=${indicators.macd?.macd?.toFixed(4) || 'N/A'}`);
     }
@@ -383,12 +517,38 @@ async function analyzeSymbol(symbol, params) {
 
     side = directionSign >= 0 ? 'call' : 'put';
 
+    // Higher timeframes veto ideas that trade straight into their trend
+    let multiTimeframe = null;
+    if (params.mtf) {
+      multiTimeframe = await analyzeTimeframes(symbol, {
+        price: quote.price,
+        base: { timeframe: '1m', bars, indicators, mock: mockBars },
+      });
+      const trendTable = multiTimeframe.table.map((row) => `${row.timeframe} ${row.trend} ${row.score}`).join(' | ');
+      console.log(`MULTI_TIMEFRAME ${JSON.stringify({
+        alignment: multiTimeframe.alignment,
+        direction: multiTimeframe.direction,
+        table: multiTimeframe.table.map(({ timeframe, trend, score }) => ({ timeframe, trend, score })),
+        unavailable: multiTimeframe.unavailable.map((u) => u.timeframe),
+      })}`);
+      console.log(`   Timeframes: ${trendTable || 'no live bars'}`);
+      const aligned = alignmentForSide(multiTimeframe, side);
+      if (aligned && aligned.score < params.mtfMinAlignment) {
+        const conflicts = aligned.conflicts.length ? ` (${aligned.conflicts.join(', ')} trending against it)` : '';
+        console.log(`â­ï¸  Skipping ${symbol} - ${side} fights the higher timeframes: alignment ${aligned.score}${conflicts}`);
+        return null;
+      }
+    }
+
     const playbookStrength = strategyInsights?.primary?.magnitude ?? Math.min(Math.abs(strategyInsights?.primary?.score ?? 0), 1);
     const combinedStrength = Math.max(Math.min(Math.abs(analysis.strength), 1), playbookStrength);
 
     const targetDelta = computeTargetDelta(strategyType, directionSign > 0 ? combinedStrength : -combinedStrength, side);
     const optionTimeFrame = strategyType === 'swing_trade' ? 'swing' : 'day';
 
+    // Strike increment, multiplier and listed expirations from the chain (cached on disk)
+    await ensureSymbolMetadata(symbol, { underlyingPrice: quote.price });
+
     // Build initial option suggestion (model-based fallback)
     const suggestion = buildSuggestion({
       symbol,
@@ -407,6 +567,7 @@ async function analyzeSymbol(symbol, params) {
     // Enrich with live option chain when available
     let liveOption = null;
     let chainSource = null;
+    let atmIv = null;
     try {
       const chainResult = await fetchOptionChain({
         symbol,
@@ -415,6 +576,7 @@ async function analyzeSymbol(symbol, params) {
       });
       chainSource = chainResult.source || null;
       const chain = Array.isArray(chainResult.options) ? chainResult.options : [];
+      atmIv = estimateAtmIv({ symbol, chain, underlyingPrice: quote.price, expiry: suggestion.expiry, r: params.r });
 
       // Log chain metadata and a small sample so we can diagnose strike mismatches quickly.
       const sample = chain.slice(0, 8).map((opt) => ({
@@ -462,13 +624,9 @@ async function analyzeSymbol(symbol, params) {
         if (Number.isFinite(entryPrice)) {
           const spread = candidate.bid != null && candidate.ask != null ? candidate.ask - candidate.bid : null;
           const spreadPct = spread != null && mid ? (spread / mid) * 100 : null;
-          suggestion.est_entry = Number(entryPrice.toFixed(2));
-          suggestion.stop = Number((entryPrice * (1 - adjustedParams.stopLossPct)).toFixed(2));
-          suggestion.take_profit = Number((entryPrice * (1 + adjustedParams.takeProfitMult)).toFixed(2));
           suggestion.bid = Number.isFinite(candidate.bid) ? Number(candidate.bid.toFixed(2)) : null;
           suggestion.ask = Number.isFinite(candidate.ask) ? Number(candidate.ask.toFixed(2)) : null;
           suggestion.last = Number.isFinite(candidate.last) ? Number(candidate.last.toFixed(2)) : null;
-          suggestion.delta = candidate.delta ?? null;
           suggestion.oi = Number.isFinite(candidate.oi) ? candidate.oi : null;
           suggestion.volume = Number.isFinite(candidate.vol) ? candidate.vol : null;
           suggestion.entry_source = chainSource ? `${chainSource}_chain` : 'options_chain';
@@ -491,6 +649,9 @@ async function analyzeSymbol(symbol, params) {
             suggestion.expiry = derivedExpiry;
             suggestion.contract = `${symbol} ${suggestion.expiry} ${suggestion.strike}${side === 'call' ? 'C' : 'P'}`;
           }
+          // Entry, stop and target follow the quote; IV/Greeks are solved from it
+          applyMarketPricing(suggestion, { marketPrice: entryPrice });
+          suggestion.delta = candidate.delta ?? suggestion.greeks?.delta ?? null;
           const chainLabel = chainSource ? ` | Chain ${chainSource}` : '';
           const symbolLabel = suggestion.option_symbol ?? candidate.optionSymbol ?? 'N/A';
           console.log(`ðŸŸ¢ Selected ${side.toUpperCase()} ${suggestion.strike} @ ~$${suggestion.est_entry} (Î” ${suggestion.delta ?? 'N/A'}, OI ${suggestion.oi ?? 'N/A'})`);
@@ -505,6 +666,19 @@ async function analyzeSymbol(symbol, params) {
       console.warn(`âš ï¸  Option chain fetch failed for ${symbol}:`, chainErr.message);
     }
 
+    let ivHistory = null;
+    try {
+      ivHistory = atmIv ? recordIvReading(symbol, atmIv) : getIvStats(symbol);
+      if (ivHistory) {
+        const rankLabel = Object.entries(ivHistory.windows)
+          .map(([label, window]) => `${label} rank ${window.rank ?? 'n/a'} / pct ${window.percentile ?? 'n/a'}`)
+          .join(' | ');
+        console.log(`IV history: ATM IV ${ivHistory.current_iv} (${ivHistory.regime}) | ${rankLabel}`);
+      }
+    } catch (ivErr) {
+      console.warn(`IV history unavailable for ${symbol}:`, ivErr.message);
+    }
+
     if (!liveOption) {
       suggestion.entry_source = 'model';
       console.log('â„¹ï¸  Using theoretical pricing (no live chain data)');
@@ -528,7 +702,10 @@ async function analyzeSymbol(symbol, params) {
       entry: suggestion.est_entry,
       stop: suggestion.stop,
       multiplier: suggestion.multiplier,
-      strategy: params.strategy
+      strategy: params.strategy,
+      atr: indicators.atr,
+      underlyingPrice: quote.price,
+      playbook: strategyInsights?.primary?.name,
     });
 
     const tradePlan = buildScalingPlan({
@@ -566,6 +743,7 @@ async function analyzeSymbol(symbol, params) {
       analysis,
       strategyInsights,
       targetDelta,
+      multiTimeframe,
     });
     enrichedSuggestion.confluence = confluence;
 
@@ -577,6 +755,7 @@ async function analyzeSymbol(symbol, params) {
       : (params.account && sizing.adjustedRiskPct != null ? params.account * sizing.adjustedRiskPct : null);
     const riskBudgetLabel = riskBudgetValue != null ? `~$${riskBudgetValue.toFixed(2)}` : 'N/A';
     console.log(`ðŸ“¦ Position sizing: buy ${tradePlan.qty} contract(s) | Stop ${stopLabel} | Target ${tpLabel} | Risk ~$${enrichedSuggestion.risk_total.toFixed(2)} (per contract ~$${perContractRisk})`);
+    console.log(`   Sizing model: ${sizing.sizingModel} | Budget ${riskBudgetLabel}${sizing.sizingFallback ? ` (fallback from ${sizing.sizingFallback})` : ''}`);
     if (tradePlan.qty === 0) {
       console.log(`âš ï¸  Risk budget (${riskBudgetLabel}) is smaller than the per-contract risk ($${perContractRisk}). Increase account size, tighten the stop, or raise RISK_PCT to afford a starter contract.`);
     }
@@ -598,8 +777,10 @@ async function analyzeSymbol(symbol, params) {
       quotePrice: quote.price,
       bars,
       riskBudgetValue,
+      sizing,
       params,
       adjustedParams,
+      ivHistory,
     });
 
     const context = {
@@ -624,9 +805,16 @@ async function analyzeSymbol(symbol, params) {
         [strategyType]: analysis,
         strategyInsights,
         recommendedStrategy: recommendOptionStrategy(combinedStrength, directionSign, optionTimeFrame),
-        optionTimeFrame
+        optionTimeFrame,
+        patterns: compactPatterns(detectPatterns(bars), bars.length),
       },
       confluence,
+      multi_timeframe: multiTimeframe ? {
+        alignment: multiTimeframe.alignment,
+        direction: multiTimeframe.direction,
+        table: multiTimeframe.table,
+        unavailable: multiTimeframe.unavailable,
+      } : null,
       strategy_playbook: {
         primary: strategyInsights?.primary ?? null,
         ranked: strategyInsights?.ranked?.slice(0, 3) ?? [],
@@ -668,6 +856,8 @@ async function analyzeSymbol(symbol, params) {
       }
     }
 
+    const concentration = await applyConcentrationLimit({ symbol, suggestion: enrichedSuggestion, ai, params });
+
     return {
       symbol,
       quote,
@@ -676,7 +866,9 @@ async function analyzeSymbol(symbol, params) {
         strategyInsights,
       },
       ai,
-      analysis
+      analysis,
+      multiTimeframe,
+      concentration,
     };
 
   } catch (error) {
@@ -701,6 +893,10 @@ async function runScan(args, runId = 1) {
     console.warn('Bulk quote fetch failed; falling back to per-symbol requests:', bulkErr.message);
     args.quoteCache = {};
   }
+  args.concentration = await loadConcentrationContext(args);
+  if (args.concentration) {
+    console.log(`Concentration check: ${args.concentration.exposures.length} open option position(s) on ${args.concentration.accountIdKey}`);
+  }
 
 
   const results = [];
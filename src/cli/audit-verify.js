@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// Walks the order audit log and checks every entry's hash chain.
+// Usage: npm run audit:verify [-- --file <path>] [--expect-head <seq>:<hash>]
+require('dotenv').config();
+const { verifyAuditLog, auditFile } = require('../utils/order-audit');
+
+function parseArgs(argv) {
+  const args = { file: null, expectHead: null };
+  const a = argv.slice(2);
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === '--file' && a[i + 1]) { args.file = a[++i]; continue; }
+    if (a[i] === '--expect-head' && a[i + 1]) { args.expectHead = a[++i]; continue; }
+    if (a[i] === '--help' || a[i] === '-h') { args.help = true; continue; }
+  }
+  return args;
+}
+
+function usage() {
+  console.log(`Usage: npm run audit:verify -- [options]
+
+Options:
+  --file <path>               Audit log to check (default ORDER_AUDIT_FILE or data/order-audit.jsonl)
+  --expect-head <seq>:<hash>  Head recorded earlier; catches entries removed from the end of the file`);
+}
+
+function parseHead(value) {
+  const [seqText, hash] = String(value).split(':');
+  const seq = Number(seqText);
+  if (!Number.isInteger(seq) || seq < 1 || !/^[0-9a-f]{64}$/.test(hash || '')) {
+    throw new Error('--expect-head must look like <seq>:<64-char sha256 hex>');
+  }
+  return { seq, hash };
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  if (args.help) {
+    usage();
+    return;
+  }
+  if (args.file) process.env.ORDER_AUDIT_FILE = args.file;
+
+  const expectHead = args.expectHead ? parseHead(args.expectHead) : null;
+  console.log(`Verifying ${auditFile()}`);
+  const result = verifyAuditLog({ expectHead });
+  if (!result.ok) {
+    const where = result.line ? `line ${result.line} (seq ${result.seq})` : `seq ${result.seq}`;
+    console.error(`✗ Chain broken at ${where}: ${result.reason}`);
+    if (result.line) console.error(`  ${result.entries} line(s) in file; entries from this point on cannot be trusted.`);
+    process.exit(1);
+  }
+  if (!result.entries) {
+    console.log('No audit entries yet.');
+    return;
+  }
+  console.log(`✓ ${result.entries} entries verified`);
+  console.log(`Head: ${result.headSeq}:${result.headHash}`);
+  console.log('Record the head somewhere outside this machine to detect later truncation.');
+}
+
+main().catch((e) => { console.error(e.message || String(e)); process.exit(1); });
@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+// Offline backtest of the day/swing signal stack against stored bars
+require('dotenv').config();
+
+const fs = require('fs');
+const { runBacktest, computeStats } = require('../backtest/engine');
+const { loadLocalBars, saveLocalBars, fetchFmpBars, fetchYahooBars } = require('../providers/bars');
+const { resolveSizingModel } = require('../risk');
+const { savePlaybookStats, statsFile } = require('../utils/playbook-stats');
+
+function parseArgs(argv) {
+  const out = {
+    symbols: process.env.BACKTEST_SYMBOLS ? process.env.BACKTEST_SYMBOLS.split(',').map(s => s.trim().toUpperCase()).filter(Boolean) : [],
+    strategy: process.env.TRADING_STRATEGY || 'day_trade',
+    interval: process.env.BACKTEST_INTERVAL || undefined,
+    dir: process.env.BARS_DIR || undefined,
+    file: undefined,
+    account: process.env.ACCOUNT_SIZE ? Number(process.env.ACCOUNT_SIZE) : 25000,
+    riskPct: process.env.RISK_PCT ? Number(process.env.RISK_PCT) : 0.01,
+    iv: process.env.DEFAULT_IV ? Number(process.env.DEFAULT_IV) : 0.2,
+    r: process.env.RISK_FREE ? Number(process.env.RISK_FREE) : 0.01,
+    expiryType: undefined,
+    minStrength: undefined,
+    maxHoldBars: undefined,
+    slippagePct: undefined,
+    from: undefined,
+    to: undefined,
+    capture: false,
+    range: undefined,
+    json: false,
+    output: undefined,
+    showTrades: false,
+    sizingModel: undefined,
+    saveStats: false,
+  };
+  const args = argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === '--symbols' && args[i + 1]) { out.symbols = args[++i].split(',').map(s => s.trim().toUpperCase()).filter(Boolean); continue; }
+    if (a === '--strategy' && args[i + 1]) { out.strategy = args[++i]; continue; }
+    if (a === '--interval' && args[i + 1]) { out.interval = args[++i]; continue; }
+    if (a === '--dir' && args[i + 1]) { out.dir = args[++i]; continue; }
+    if (a === '--file' && args[i + 1]) { out.file = args[++i]; continue; }
+    if (a === '--account' && args[i + 1]) { out.account = Number(args[++i]); continue; }
+    if (a === '--risk-pct' && args[i + 1]) { out.riskPct = Number(args[++i]); continue; }
+    if (a === '--iv' && args[i + 1]) { out.iv = Number(args[++i]); continue; }
+    if (a === '--expiry-type' && args[i + 1]) { out.expiryType = args[++i]; continue; }
+    if (a === '--min-strength' && args[i + 1]) { out.minStrength = Number(args[++i]); continue; }
+    if (a === '--max-hold' && args[i + 1]) { out.maxHoldBars = Number(args[++i]); continue; }
+    if (a === '--slippage' && args[i + 1]) { out.slippagePct = Number(args[++i]); continue; }
+    if (a === '--from' && args[i + 1]) { out.from = args[++i]; continue; }
+    if (a === '--to' && args[i + 1]) { out.to = args[++i]; continue; }
+    if (a === '--capture') { out.capture = true; continue; }
+    if (a === '--range' && args[i + 1]) { out.range = args[++i]; continue; }
+    if (a === '--json') { out.json = true; continue; }
+    if (a === '--output' && args[i + 1]) { out.output = args[++i]; continue; }
+    if (a === '--trades') { out.showTrades = true; continue; }
+    if (a === '--sizing' && args[i + 1]) { out.sizingModel = args[++i]; continue; }
+    if (a === '--save-stats') { out.saveStats = true; continue; }
+    if (a === '--help' || a === '-h') { out.help = true; continue; }
+  }
+  if (!out.interval) out.interval = out.strategy === 'swing_trade' ? '1d' : '1m';
+  return out;
+}
+
+function usage() {
+  console.log(`Usage: npm run backtest -- --symbols SPY,QQQ [--strategy day_trade|swing_trade] [--interval 1m|1d]\n` +
+  `Replays stored bars through indicators, the day/swing analyzers, playbooks and buildSuggestion.\n\n` +
+  `Options:\n` +
+  `  --symbols <list>         Symbols to replay (bars read from data/bars/<SYMBOL>-<interval>.json|csv)\n` +
+  `  --strategy <type>        day_trade (default) or swing_trade\n` +
+  `  --interval <iv>          Bar interval of the stored files (default: 1m for day_trade, 1d for swing_trade)\n` +
+  `  --dir <path>             Directory holding stored bars (default: data/bars or BARS_DIR)\n` +
+  `  --file <path>            Replay a single bars file (use with one symbol)\n` +
+  `  --from / --to <date>     Restrict the replay window (ISO dates)\n` +
+  `  --account <num>          Starting equity (default: 25000)\n` +
+  `  --risk-pct <num>         Risk per trade fraction (default: 0.01)\n` +
+  `  --iv <num>               Volatility used to price the option leg (default: 0.2)\n` +
+  `  --expiry-type <type>     weekly, monthly or 0dte (default depends on strategy)\n` +
+  `  --min-strength <num>     Minimum absolute signal strength to enter (default: 0.2)\n` +
+  `  --max-hold <bars>        Force exit after this many bars\n` +
+  `  --slippage <pct>         Adverse fill on entry and exit as a fraction of premium\n` +
+  `  --sizing <model>         fixed_fraction, volatility, kelly or premium_cap (default: SIZING_MODEL_<STRATEGY> / SIZING_MODEL)\n` +
+  `  --capture                Download bars (FMP, then Yahoo) and append them to the store before replaying\n` +
+  `  --range <range>          Range to request when capturing (default: 5d for 1m, 2y for 1d)\n` +
+  `  --trades                 Print every simulated trade\n` +
+  `  --json                   Print the full result as JSON\n` +
+  `  --output <file>          Also write the full result as JSON to a file\n` +
+  `  --save-stats             Store per-playbook win rates and payoffs for Kelly sizing (PLAYBOOK_STATS_FILE)`);
+}
+
+async function captureBars(symbol, params) {
+  const range = params.range || (params.interval === '1d' ? '2y' : '5d');
+  let bars;
+  try {
+    bars = await fetchFmpBars(symbol, { range, interval: params.interval });
+  } catch (err) {
+    console.warn(`FMP capture failed for ${symbol} (${err.message}); trying Yahoo`);
+    bars = await fetchYahooBars(symbol, { range, interval: params.interval });
+  }
+  const saved = await saveLocalBars(symbol, bars, { interval: params.interval, dir: params.dir });
+  console.log(`Captured ${bars.length} bars for ${symbol} -> ${saved.file} (+${saved.added}, ${saved.count} total)`);
+}
+
+function filterWindow(bars, { from, to }) {
+  const fromMs = from ? Date.parse(from) : -Infinity;
+  const toMs = to ? Date.parse(to) + (to.length <= 10 ? 24 * 60 * 60 * 1000 : 0) : Infinity;
+  return bars.filter(bar => bar.t >= fromMs && bar.t < toMs);
+}
+
+function fmtMoney(value) {
+  if (!Number.isFinite(value)) return 'N/A';
+  const sign = value < 0 ? '-' : '';
+  return `${sign}$${Math.abs(value).toFixed(2)}`;
+}
+
+function fmtPct(value) {
+  return Number.isFinite(value) ? `${(value * 100).toFixed(1)}%` : 'N/A';
+}
+
+function printStats(label, stats) {
+  console.log(`\n${label}`);
+  console.log(`  Trades: ${stats.trades} (W ${stats.wins} / L ${stats.losses}) | Win rate ${fmtPct(stats.winRate)}`);
+  console.log(`  Expectancy: ${fmtMoney(stats.expectancy)} per trade (${stats.expectancyR ?? 'N/A'}R) | Profit factor ${stats.profitFactor ?? 'N/A'}`);
+  console.log(`  Net P&L: ${fmtMoney(stats.netPnl)} | Max drawdown ${fmtMoney(stats.maxDrawdown)} (${fmtPct(stats.maxDrawdownPct)}) | Ending equity ${fmtMoney(stats.endingEquity)}`);
+  const playbooks = Object.entries(stats.byPlaybook || {});
+  if (playbooks.length) {
+    console.log('  By playbook:');
+    for (const [name, pb] of playbooks) {
+      console.log(`    ${name.padEnd(16)} ${String(pb.trades).padStart(4)} trades | win ${fmtPct(pb.winRate).padStart(6)} | exp ${fmtMoney(pb.expectancy).padStart(10)} | net ${fmtMoney(pb.netPnl)}`);
+    }
+  }
+}
+
+async function main() {
+  const params = parseArgs(process.argv);
+  if (params.help || (!params.symbols.length && !params.file)) {
+    usage();
+    process.exit(params.help ? 0 : 1);
+  }
+  if (params.file && params.symbols.length !== 1) {
+    throw new Error('--file replays a single symbol; pass exactly one symbol with --symbols');
+  }
+  // Fail before replaying rather than at the first sized signal
+  const { fallback: sizingFallback } = resolveSizingModel(params.strategy, params.sizingModel);
+  if (sizingFallback) console.warn(`${sizingFallback}; sizing with fixed_fraction`);
+
+  const results = [];
+  for (const symbol of params.symbols) {
+    if (params.capture) await captureBars(symbol, params);
+    const stored = await loadLocalBars(symbol, { interval: params.interval, dir: params.dir, file: params.file });
+    const bars = filterWindow(stored, params);
+    const result = runBacktest({
+      symbol,
+      bars,
+      strategy: params.strategy,
+      accountSize: params.account,
+      riskPct: params.riskPct,
+      iv: params.iv,
+      r: params.r,
+      expiryType: params.expiryType,
+      minStrength: params.minStrength,
+      maxHoldBars: params.maxHoldBars,
+      slippagePct: params.slippagePct,
+      sizingModel: params.sizingModel,
+    });
+    results.push(result);
+  }
+
+  const allTrades = results.flatMap(r => r.trades);
+  const summary = {
+    generatedAt: new Date().toISOString(),
+    strategy: params.strategy,
+    interval: params.interval,
+    symbols: results.map(r => ({
+      symbol: r.symbol,
+      bars: r.bars,
+      from: r.from,
+      to: r.to,
+      signalsSeen: r.signalsSeen,
+      skippedForPremium: r.skippedForPremium,
+      skippedForSizing: r.skippedForSizing,
+      stats: r.stats,
+    })),
+    combined: computeStats(allTrades, params.account),
+    trades: allTrades,
+  };
+
+  if (params.output) {
+    fs.writeFileSync(params.output, JSON.stringify(summary, null, 2));
+  }
+  if (params.saveStats) {
+    savePlaybookStats({
+      strategy: params.strategy,
+      interval: params.interval,
+      symbols: params.symbols,
+      from: results.map(r => r.from).sort()[0],
+      to: results.map(r => r.to).sort().pop(),
+      combined: summary.combined,
+    });
+  }
+
+  if (params.json) {
+    console.log(JSON.stringify(summary, null, 2));
+    return;
+  }
+
+  console.log(`Backtest ${params.strategy} on ${params.interval} bars`);
+  for (const r of results) {
+    printStats(`${r.symbol} ${r.from.slice(0, 10)} -> ${r.to.slice(0, 10)} (${r.bars} bars, ${r.signalsSeen} signals, ${r.skippedForPremium} skipped at <= $0.01 premium, ${r.skippedForSizing} skipped by sizing)`, r.stats);
+    if (params.showTrades) {
+      for (const t of r.trades) {
+        console.log(`    ${t.entryTime} ${t.contract} x${t.qty} ${t.entry} -> ${t.exit} ${fmtMoney(t.pnl)} [${t.reason}, ${t.playbook}]`);
+      }
+    }
+  }
+  if (results.length > 1) printStats('Combined', summary.combined);
+  if (params.output) console.log(`\nFull results written to ${params.output}`);
+  if (params.saveStats) console.log(`Playbook stats for ${params.strategy} saved to ${statsFile()}`);
+}
+
+main().catch(err => {
+  console.error('Backtest failed:', err.message);
+  process.exit(1);
+});
@@ -7,16 +7,21 @@ const path = require('path');
 const util = require('util');
 
 const { getQuotes } = require('../providers/quotes');
-const etrade = require('../providers/etrade');
+const { getBroker, isPaperBroker, resolveDefaultAccountKey } = require('../providers/broker');
 const { fetchOptionChain } = require('../providers/options-chain');
 const { fetchBarsWithFallback } = require('../providers/bars');
 const { analyzeDayTradeSignals, analyzeSwingTradeSignals } = require('../strategy/algorithms');
 const { midPrice, pickNearestStrike } = require('../strategy/selector');
+const { greeksFromMarket, getPricingProfile, yearsToExpiry } = require('../strategy/options');
 const { getClient } = require('../ai/client');
+const { summarizePortfolioRisk } = require('../risk');
+const { resolveExitMode, handleExitSignal } = require('../guardian/exits');
 
 const sleep = util.promisify(setTimeout);
+const RISK_FREE = process.env.RISK_FREE != null ? Number(process.env.RISK_FREE) : 0.01;
 const COLORS = {
   red: (text) => process.stdout.isTTY ? `\x1b[31m${text}\x1b[0m` : text,
+  green: (text) => process.stdout.isTTY ? `\x1b[32m${text}\x1b[0m` : text,
 };
 
 function colorize(color, text) {
@@ -41,8 +46,9 @@ function parseArgs(argv) {
     aiProvider: defaultAiClient.name,
     aiModel: aiModelEnv || defaultAiClient.defaultModel,
     source: (process.env.GUARDIAN_SOURCE || 'file').toLowerCase(),
-    etradeAccount: process.env.GUARDIAN_ETRADE_ACCOUNT || 'gks_erdl0Zw3A5ALvAvXOA',
+    etradeAccount: process.env.GUARDIAN_ETRADE_ACCOUNT || (isPaperBroker() ? resolveDefaultAccountKey() : 'gks_erdl0Zw3A5ALvAvXOA'),
     etradeView: process.env.GUARDIAN_ETRADE_VIEW || 'QUICK',
+    exitMode: process.env.GUARDIAN_EXIT_MODE || 'off',
   };
 
   const out = { ...defaults };
@@ -68,6 +74,7 @@ function parseArgs(argv) {
     if ((arg === '--source' || arg === '-S') && args[i + 1]) { out.source = args[++i]; continue; }
     if ((arg === '--etrade-account' || arg === '--account') && args[i + 1]) { out.etradeAccount = args[++i]; continue; }
     if ((arg === '--etrade-view') && args[i + 1]) { out.etradeView = args[++i]; continue; }
+    if ((arg === '--exit-mode') && args[i + 1]) { out.exitMode = args[++i]; continue; }
     if (arg === '--help' || arg === '-h') {
       printHelp();
       process.exit(0);
@@ -75,6 +82,7 @@ function parseArgs(argv) {
   }
   out.source = (out.source || 'file').toLowerCase();
   out.etradeView = (out.etradeView || 'QUICK').toUpperCase();
+  out.exitMode = resolveExitMode(out.exitMode);
   return out;
 }
 
@@ -86,7 +94,7 @@ function printHelp() {
     '',
     'Flags:',
     '  --file, -f <path>        Path to positions ledger (default: data/open-positions.json)',
-  '  --source, -S <mode>      Data source: file | etrade (default: file)',
+  '  --source, -S <mode>      Data source: file | etrade (default: file; etrade reads the paper book when BROKER=paper)',
   '  --etrade-account <id>    E*TRADE accountIdKey when --source=etrade',
   '  --etrade-view <view>     Portfolio view for E*TRADE fetch (default: QUICK)',
     '  --provider, -p <name>    Quote provider for underlyings (default: env QUOTE_PROVIDER)',
@@ -97,6 +105,7 @@ function printHelp() {
     '  --ai / --no-ai           Enable or disable AI commentary (default on)',
     '  --ai-provider <name>     AI provider (openai|deepseek; default from env)',
     '  --ai-model <name>        Override AI model (default per provider or AI_MODEL env)',
+    '  --exit-mode <mode>       Act on stop/target breaches: off | alert | confirm | auto (default: off)',
     '  --help, -h               Show this message',
   ].join('\n'));
 }
@@ -146,11 +155,13 @@ async function loadPositionsFromEtrade({ etradeAccount, etradeView }) {
     const views = Array.from(new Set([requestedView, ...fallbacks]));
     let rawPositions = [];
     let usedView = null;
+    let accountValue = null;
     for (const view of views) {
-      const { positions } = await etrade.getPortfolio(etradeAccount, { view });
+      const { positions, account } = await getBroker().getPortfolio(etradeAccount, { view });
       if (Array.isArray(positions) && positions.length > 0) {
         rawPositions = positions;
         usedView = view;
+        accountValue = Number(account?.totalValue) || null;
         break;
       }
     }
@@ -202,6 +213,7 @@ async function loadPositionsFromEtrade({ etradeAccount, etradeView }) {
         target: null,
         source: 'etrade',
         accountIdKey: etradeAccount,
+        accountValue,
         portfolioView: usedView || requestedView,
       });
     }
@@ -288,6 +300,9 @@ async function analyzePosition(position, ctx) {
     : null;
   const gainPct = optionPrice != null && entry ? Number(((optionPrice - entry) / entry).toFixed(2)) : null;
 
+  const underlyingPrice = quote?.price ?? bars.at(-1)?.c ?? null;
+  const greeks = resolveGreeks({ symbol, option, optionPrice, underlyingPrice, strike, expiry, side });
+
   const recommendation = buildRecommendation({ position, optionPrice, analysis, stop, target, entry });
 
   let aiNote = null;
@@ -312,12 +327,52 @@ async function analyzePosition(position, ctx) {
     pnl,
     gainPct,
     priceSource,
+    underlyingPrice,
+    greeks,
     analysis,
     recommendation,
     aiNote,
   };
 }
 
+// Broker Greeks win; whatever the chain (or a portfolio-only quote) omits is filled in
+// from the IV implied by the current premium
+function resolveGreeks({ symbol, option, optionPrice, underlyingPrice, strike, expiry, side }) {
+  const raw = option?.raw?.OptionGreeks || option?.raw?.greeks || {};
+  const read = (value) => (value != null && Number.isFinite(Number(value)) ? Number(value) : null);
+  const reported = {
+    delta: read(option?.delta) ?? read(raw.delta),
+    gamma: read(raw.gamma),
+    theta: read(raw.theta),
+    vega: read(raw.vega),
+    rho: read(raw.rho),
+    iv: read(raw.iv) ?? read(option?.raw?.impliedVolatility),
+  };
+  const keys = Object.keys(reported);
+  const reportedCount = keys.filter((key) => reported[key] != null).length;
+  if (reportedCount === keys.length) return { ...reported, source: 'broker' };
+
+  const pricing = getPricingProfile(symbol);
+  const model = optionPrice != null && underlyingPrice != null && expiry
+    ? greeksFromMarket({
+        price: optionPrice,
+        S: underlyingPrice,
+        K: strike,
+        T: yearsToExpiry(expiry),
+        r: RISK_FREE,
+        q: pricing.dividendYield,
+        type: side,
+        model: pricing.model,
+      })
+    : { greeks: null };
+  if (!model.greeks) return reportedCount ? { ...reported, source: 'broker' } : null;
+  const merged = { iv: reported.iv ?? model.iv };
+  for (const key of ['delta', 'gamma', 'theta', 'vega', 'rho']) {
+    merged[key] = reported[key] ?? model.greeks[key];
+  }
+  return { ...merged, source: reportedCount ? 'broker+model' : 'model' };
+}
+
 function buildRecommendation({ position, optionPrice, analysis, stop, target, entry }) {
   const rec = { action: 'hold', reasons: [] };
   if (optionPrice == null) {
@@ -331,9 +386,13 @@ function buildRecommendation({ position, optionPrice, analysis, stop, target, en
   if (stopLvl && optionPrice <= stopLvl * 0.99) {
     rec.action = 'sell';
     rec.color = 'red';
+    rec.trigger = 'stop';
+    rec.level = Number(stopLvl.toFixed(2));
     rec.reasons.push('Option price breached stop level');
   } else if (targetLvl && optionPrice >= targetLvl) {
     rec.action = 'take-profit';
+    rec.trigger = 'target';
+    rec.level = Number(targetLvl.toFixed(2));
     rec.reasons.push('Target price reached');
   } else {
     const gainPct = entry ? (optionPrice - entry) / entry : 0;
@@ -422,6 +481,11 @@ function printResult(res) {
   } else {
     console.log('Now ~$— (no live option data)');
   }
+  if (res.greeks) {
+    const fmt = (value, digits) => (value != null ? value.toFixed(digits) : '—');
+    const iv = res.greeks.iv != null ? `${(res.greeks.iv * 100).toFixed(1)}%` : '—';
+    console.log(`Greeks: Δ ${fmt(res.greeks.delta, 2)} Γ ${fmt(res.greeks.gamma, 3)} Θ ${fmt(res.greeks.theta, 3)} V ${fmt(res.greeks.vega, 3)} | IV ${iv} (${res.greeks.source})`);
+  }
   const signals = res.analysis?.signals?.length ? res.analysis.signals.join(', ') : 'none';
   console.log(`Signals: ${signals} | Strength ${(res.analysis?.strength ?? 0).toFixed(2)}`);
   const actionLabel = res.recommendation.color === 'red'
@@ -438,8 +502,47 @@ function printResult(res) {
   }
 }
 
+function printExposure(exposure) {
+  if (!exposure.legs) return;
+  const signed = (value, digits = 0) => (value != null ? `${value >= 0 ? '+' : ''}${value.toFixed(digits)}` : '—');
+  const money = (value) => `${value < 0 ? '-' : '+'}$${Math.abs(value).toFixed(0)}`;
+  const spy = exposure.spyDelta != null ? `${signed(exposure.spyDelta)} SPY sh` : 'SPY n/a';
+  const leverage = exposure.leverage != null ? ` (${signed(exposure.leverage, 1)}x account)` : '';
+  console.log('\n-------------------- PORTFOLIO EXPOSURE --------------------');
+  console.log(`Net Δ ${signed(exposure.delta)} sh | Γ ${signed(exposure.gamma, 2)} | Θ ${signed(exposure.theta, 2)}/day | V ${signed(exposure.vega, 2)} | Notional $${exposure.notional.toFixed(0)}`);
+  console.log(`Beta-weighted: ${spy} | ${money(exposure.betaDeltaDollars)}${leverage}`);
+  for (const row of exposure.byUnderlying) {
+    console.log(`  ${row.symbol}: Δ ${signed(row.delta)} sh | β ${row.beta}${row.betaSource === 'assumed' ? ' (assumed)' : ''} | ${row.spyDelta != null ? `${signed(row.spyDelta)} SPY sh` : money(row.betaDeltaDollars)}`);
+  }
+  if (exposure.unpriced.length) console.log(`  Not counted (no Greeks or underlying price): ${exposure.unpriced.join(', ')}`);
+  if (exposure.warning) console.log(colorize('red', `*** ${exposure.warning} ***`));
+}
+
+async function applyExitMode(res, position, settings) {
+  if (settings.exitMode === 'off') return;
+  const accountIdKey = position.accountIdKey || settings.etradeAccount;
+  const { action, exit, reason } = await handleExitSignal(res, position, { mode: settings.exitMode, accountIdKey });
+  if (!exit) {
+    if (reason) console.log(`Exit: skipped — ${reason}`);
+    return;
+  }
+  const order = `${exit.orderAction} ${exit.quantity} ${exit.priceType}${exit.limitPrice != null ? ` @ $${exit.limitPrice.toFixed(2)}` : ''}`;
+  if (action === 'alerted') {
+    console.log(colorize('red', `Exit alert (${exit.trigger}): ${order} — alert-only mode, no order sent`));
+  } else if (action === 'queued') {
+    console.log(colorize('red', `Exit #${exit.id} queued for confirmation in the dashboard: ${order}`));
+  } else if (action === 'submitted') {
+    console.log(colorize('green', `Exit #${exit.id} submitted: ${order} (order ${exit.order?.orderId ?? 'n/a'})`));
+  } else if (action === 'failed') {
+    console.error(`❌ Exit #${exit.id} failed: ${exit.error}`);
+  } else if (reason) {
+    console.log(`Exit: ${reason} (#${exit.id})`);
+  }
+}
+
 async function createContext(settings, positions) {
-  const uniqueSymbols = [...new Set(positions.map(p => p.symbol).filter(Boolean))];
+  // SPY is always quoted so exposure can be beta-weighted against it
+  const uniqueSymbols = [...new Set(['SPY', ...positions.map(p => p.symbol).filter(Boolean)])];
   const quotes = uniqueSymbols.length
     ? await getQuotes(uniqueSymbols, { provider: settings.provider }).catch(err => {
         console.warn('⚠️  Quote fetch failed:', err.message);
@@ -490,14 +593,23 @@ async function runOnce(settings, runId = 1) {
   }
 
   const ctx = await createContext(settings, positions);
+  const results = [];
   for (const position of positions) {
     try {
       const res = await analyzePosition(position, ctx);
+      results.push(res);
       printResult(res);
+      await applyExitMode(res, position, settings);
     } catch (err) {
       console.error(`❌ Failed to analyze ${position.symbol}:`, err.message);
     }
   }
+  const accountValue = positions.find((p) => p.accountValue)?.accountValue
+    ?? (process.env.ACCOUNT_SIZE ? Number(process.env.ACCOUNT_SIZE) : null);
+  printExposure(summarizePortfolioRisk(
+    results.map((res) => ({ symbol: res.symbol, qty: res.qty, underlyingPrice: res.underlyingPrice, greeks: res.greeks })),
+    { spyPrice: ctx.quotes.SPY?.price ?? null, accountValue },
+  ));
 }
 
 async function main() {
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// Inspect the risk governor and flip the global kill switch.
+// Usage: npm run risk -- status [--account <key>] | halt [--reason <text>] | resume [--account <key>]
+require('dotenv').config();
+const { getBroker, resolveDefaultAccountKey } = require('../providers/broker');
+const { getGovernorStatus, haltTrading, resumeTrading, stateFile } = require('../utils/risk-governor');
+
+function parseArgs(argv) {
+  const args = { command: null, account: null, reason: null };
+  const a = argv.slice(2);
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === '--account' && a[i + 1]) { args.account = a[++i]; continue; }
+    if (a[i] === '--reason' && a[i + 1]) { args.reason = a[++i]; continue; }
+    if (a[i] === '--help' || a[i] === '-h') { args.help = true; continue; }
+    if (!args.command) args.command = a[i];
+  }
+  return args;
+}
+
+function usage() {
+  console.log(`Usage:
+  npm run risk -- status [--account <key>]   Day P&L, trade count and whether new positions are blocked
+  npm run risk -- halt [--reason <text>]     Turn the kill switch on (blocks new positions on every account)
+  npm run risk -- resume [--account <key>]   Turn the kill switch off and clear limits tripped today
+
+Limits come from RISK_MAX_DAILY_LOSS and RISK_MAX_DAILY_TRADES; state lives in RISK_GOVERNOR_FILE.`);
+}
+
+function formatMoney(value) {
+  return `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+}
+
+async function printStatus(account) {
+  const accountIdKey = account || resolveDefaultAccountKey();
+  if (!accountIdKey) throw new Error('No account; pass --account or set ETRADE_DEFAULT_ACCOUNT_KEY');
+  const status = await getGovernorStatus(getBroker(), accountIdKey, { refresh: true });
+  console.log(`Account ${accountIdKey} · session ${status.sessionDate}`);
+  console.log(`Kill switch: ${status.halt ? `ON since ${status.halt.at}${status.halt.by ? ` by ${status.halt.by}` : ''} (${status.halt.reason})` : 'off'}`);
+  const { maxDailyLoss, maxDailyTrades } = status.limits;
+  if (status.pnl) {
+    console.log(`Day P&L: ${formatMoney(status.pnl.total)} (realized ${formatMoney(status.pnl.realized)}, open ${formatMoney(status.pnl.unrealized)})${maxDailyLoss != null ? ` · max loss ${formatMoney(maxDailyLoss)}` : ''}`);
+    const working = status.pnl.workingOpeningOrders ? ` (${status.pnl.workingOpeningOrders} working)` : '';
+    console.log(`Opening orders today: ${status.pnl.openingOrders}${working}${maxDailyTrades != null ? ` / ${maxDailyTrades}` : ''}`);
+  } else if (status.pnlError) {
+    console.log(`Day P&L unavailable: ${status.pnlError}`);
+  } else {
+    console.log('No daily limits configured (RISK_MAX_DAILY_LOSS / RISK_MAX_DAILY_TRADES).');
+  }
+  console.log(status.blocked ? `✗ New positions BLOCKED: ${status.reason}` : '✓ New positions allowed');
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  if (args.help || !args.command) {
+    usage();
+    if (!args.help) process.exit(1);
+    return;
+  }
+
+  if (args.command === 'status') {
+    await printStatus(args.account);
+    return;
+  }
+
+  if (args.command === 'halt') {
+    const halt = haltTrading({ reason: args.reason, by: process.env.AUDIT_ACTOR || 'cli' });
+    console.log(`Kill switch ON (${halt.reason}). New positions are blocked until \`npm run risk -- resume\`.`);
+    console.log(`State: ${stateFile()}`);
+    return;
+  }
+
+  if (args.command === 'resume') {
+    const previous = resumeTrading({ accountIdKey: args.account });
+    console.log(previous ? `Kill switch OFF (was on since ${previous.at}).` : 'Kill switch was already off.');
+    console.log(`Cleared limits tripped today${args.account ? ` for ${args.account}` : ''}; a limit that is still breached trips again on the next order.`);
+    return;
+  }
+
+  usage();
+  process.exit(1);
+}
+
+main().catch((e) => { console.error(e.message || String(e)); process.exit(1); });
@@ -1,9 +1,12 @@
 #!/usr/bin/env node
 require('dotenv').config();
 
-const { buildSuggestion } = require('../strategy/options');
-const { computeQty } = require('../risk');
+const { buildSuggestion, applyMarketPricing } = require('../strategy/options');
+const { computeQty, sizingUsesBars } = require('../risk');
 const { fetchOptionChain } = require('../providers/options-chain');
+const { fetchBarsWithFallback } = require('../providers/bars');
+const { evaluateStrategies } = require('../strategy/playbooks');
+const { ensureSymbolMetadata } = require('../utils/symbol-metadata');
 const { selectOptimalOption, pickNearestStrike, midPrice } = require('../strategy/selector');
 
 function parseArgs(argv) {
@@ -21,6 +24,7 @@ function parseArgs(argv) {
     stopLossPct: 0.5,
     takeProfitMult: 2.0,
     riskPct: 0.01,
+    strategy: process.env.TRADING_STRATEGY || 'day_trade',
     both: false,
   };
   const args = argv.slice(2);
@@ -40,6 +44,7 @@ function parseArgs(argv) {
     if (a === '--sl-pct' && args[i + 1]) { out.stopLossPct = Number(args[++i]); continue; }
     if (a === '--tp-mult' && args[i + 1]) { out.takeProfitMult = Number(args[++i]); continue; }
     if (a === '--risk-pct' && args[i + 1]) { out.riskPct = Number(args[++i]); continue; }
+    if (a === '--strategy' && args[i + 1]) { out.strategy = args[++i]; continue; }
     if (a === '--help' || a === '-h') { out.help = true; continue; }
   }
   return out;
@@ -53,6 +58,7 @@ function usage() {
   `  --price <num>               Underlying price (required)\n` +
   `  --account <num>             Account size in USD (required)\n` +
   `  --risk-pct <num>            Risk per trade fraction (default 0.01)\n` +
+  `  --strategy <type>           day_trade or swing_trade; picks the sizing model and caps (default day_trade)\n` +
     `  --otm-pct <num>             Target moneyness (omit to auto-select per symbol)\n` +
   `  --min-days <int>            Min business days to expiry (default 2)\n` +
   `  --iv <num>                  Implied volatility (default 0.2)\n` +
@@ -61,7 +67,16 @@ function usage() {
   `  --tp-mult <num>             Take profit multiple of premium (default 2.0)\n`);
 }
 
-async function suggestOne({ symbol, side, price, account, riskPct, otmPct, minBusinessDays, iv, r, stopLossPct, takeProfitMult }) {
+// ATR and the leading playbook from today's 1m bars, as the AI agent sizes; mock bars are ignored
+async function loadSizingInputs(symbol, price) {
+  const { bars, indicators, mock } = await fetchBarsWithFallback(symbol, { range: '1d', interval: '1m' });
+  if (mock) return {};
+  const { primary } = evaluateStrategies({ bars, indicators, price, volume: indicators.volume, avgVolume: indicators.avgVolume });
+  return { atr: indicators.atr, playbook: primary?.name };
+}
+
+async function suggestOne({ symbol, side, price, account, riskPct, strategy, otmPct, minBusinessDays, iv, r, stopLossPct, takeProfitMult }) {
+  await ensureSymbolMetadata(symbol, { underlyingPrice: price });
   const suggestion = buildSuggestion({
     symbol,
     side,
@@ -107,13 +122,11 @@ async function suggestOne({ symbol, side, price, account, riskPct, otmPct, minBu
       if (Number.isFinite(entry)) {
         const spread = candidate.bid != null && candidate.ask != null ? candidate.ask - candidate.bid : null;
         const spreadPct = spread != null && entry > 0 ? (spread / entry) * 100 : null;
-        suggestion.est_entry = Number(entry.toFixed(2));
-        suggestion.stop = Number((entry * (1 - stopLossPct)).toFixed(2));
-        suggestion.take_profit = Number((entry * (1 + takeProfitMult)).toFixed(2));
+        applyMarketPricing(suggestion, { marketPrice: entry });
         suggestion.bid = Number.isFinite(candidate.bid) ? Number(candidate.bid.toFixed(2)) : null;
         suggestion.ask = Number.isFinite(candidate.ask) ? Number(candidate.ask.toFixed(2)) : null;
         suggestion.last = Number.isFinite(candidate.last) ? Number(candidate.last.toFixed(2)) : null;
-        suggestion.delta = candidate.delta ?? null;
+        suggestion.delta = candidate.delta ?? suggestion.greeks?.delta ?? null;
         suggestion.oi = Number.isFinite(candidate.oi) ? candidate.oi : null;
         suggestion.volume = Number.isFinite(candidate.vol) ? candidate.vol : null;
         suggestion.entry_source = chainSource ? `${chainSource}_chain` : 'options_chain';
@@ -137,13 +150,26 @@ async function suggestOne({ symbol, side, price, account, riskPct, otmPct, minBu
     suggestion.entry_source = 'model';
   }
 
-  const sizing = computeQty({ accountSize: account, riskPct, entry: suggestion.est_entry, stop: suggestion.stop, multiplier: suggestion.multiplier });
+  const { atr, playbook } = sizingUsesBars(strategy) ? await loadSizingInputs(symbol, price) : {};
+  const sizing = computeQty({
+    accountSize: account,
+    riskPct,
+    entry: suggestion.est_entry,
+    stop: suggestion.stop,
+    multiplier: suggestion.multiplier,
+    strategy,
+    atr,
+    underlyingPrice: price,
+    playbook,
+  });
   return {
     ...suggestion,
     chain_source: chainSource,
     qty: sizing.qty,
     risk_per_contract: Number(sizing.perContractRisk.toFixed(2)),
     risk_total: Number(sizing.totalRisk.toFixed(2)),
+    sizing_model: sizing.sizingModel,
+    sizing_fallback: sizing.sizingFallback,
     tp_total: Number((sizing.qty * (suggestion.take_profit - suggestion.est_entry) * suggestion.multiplier).toFixed(2)),
   };
 }
@@ -168,6 +194,7 @@ async function main() {
     price: t.price,
     account: t.account,
     riskPct: args.riskPct,
+    strategy: args.strategy,
     otmPct: args.otmPct,
     minBusinessDays: args.minBusinessDays,
     iv: args.iv,
@@ -182,6 +209,7 @@ async function main() {
     console.log(`${r.symbol} ${r.side.toUpperCase()} | ${r.contract}`);
     console.log(`  Entry ~ $${r.est_entry} | Stop $${r.stop} | TP $${r.take_profit}`);
     console.log(`  Qty ${r.qty} | Risk/ct $${r.risk_per_contract} | Risk total $${r.risk_total} | TP total $${r.tp_total}`);
+    console.log(`  Sizing ${r.sizing_model}${r.sizing_fallback ? ` (fallback from ${r.sizing_fallback})` : ''}`);
     const otmDisplay = Number.isFinite(r?.assumptions?.otm_pct_used)
       ? `${(r.assumptions.otm_pct_used * 100).toFixed(1)}%`
       : (args.otmPct != null ? `${(args.otmPct * 100).toFixed(1)}%` : 'auto');
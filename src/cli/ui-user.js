@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+// Manage dashboard logins stored in UI_USERS_FILE (scrypt-hashed passwords).
+// Usage: npm run ui:user -- add <username> | passwd <username> | remove <username> | list
+require('dotenv').config();
+const readline = require('node:readline');
+const { setUserPassword, removeUser, listUsers } = require('../ui/auth');
+
+function parseArgs(argv) {
+  const args = { command: null, username: null, password: process.env.UI_USER_PASSWORD || null };
+  const positional = [];
+  const a = argv.slice(2);
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === '--password' && a[i + 1]) { args.password = a[++i]; continue; }
+    if (a[i] === '--help' || a[i] === '-h') { args.help = true; continue; }
+    positional.push(a[i]);
+  }
+  [args.command, args.username] = positional;
+  return args;
+}
+
+function usage() {
+  console.log(`Usage:
+  npm run ui:user -- add <username>      Create a login (prompts for the password)
+  npm run ui:user -- passwd <username>   Change a password and sign out that user's sessions
+  npm run ui:user -- remove <username>   Delete a login
+  npm run ui:user -- list                List logins
+
+Options:
+  --password <value>   Password without prompting (or set UI_USER_PASSWORD)`);
+}
+
+// Typed characters are not echoed when stdin is a terminal
+function askHidden(prompt) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: Boolean(process.stdin.isTTY) });
+  return new Promise((resolve) => {
+    rl.question(prompt, (answer) => {
+      rl.close();
+      if (process.stdin.isTTY) process.stdout.write('\n');
+      resolve(answer);
+    });
+    if (process.stdin.isTTY) {
+      rl._writeToOutput = (text) => {
+        if (text.startsWith(prompt)) rl.output.write(prompt);
+      };
+    }
+  });
+}
+
+async function readPassword(args) {
+  if (args.password) return args.password;
+  const password = await askHidden('Password: ');
+  const confirm = await askHidden('Confirm password: ');
+  if (password !== confirm) throw new Error('Passwords do not match');
+  return password;
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  if (args.help || !args.command) {
+    usage();
+    if (!args.help) process.exit(1);
+    return;
+  }
+
+  if (args.command === 'list') {
+    const users = listUsers();
+    if (!users.length) {
+      console.log('No dashboard users. Login is only required once a user exists or UI_AUTH_TOKEN is set.');
+      return;
+    }
+    for (const user of users) {
+      console.log(`${user.username}\tcreated ${user.createdAt || 'n/a'}\tupdated ${user.updatedAt || 'n/a'}`);
+    }
+    return;
+  }
+
+  if (!args.username) throw new Error(`"${args.command}" needs a username`);
+
+  if (args.command === 'add' || args.command === 'passwd') {
+    const exists = listUsers().some((user) => user.username === String(args.username).trim().toLowerCase());
+    if (args.command === 'add' && exists) throw new Error(`User ${args.username} already exists (use passwd to change the password)`);
+    if (args.command === 'passwd' && !exists) throw new Error(`User ${args.username} not found`);
+    const name = setUserPassword(args.username, await readPassword(args));
+    console.log(`${args.command === 'add' ? 'Added' : 'Updated'} dashboard user ${name}`);
+    return;
+  }
+
+  if (args.command === 'remove') {
+    console.log(`Removed dashboard user ${removeUser(args.username)}`);
+    return;
+  }
+
+  usage();
+  process.exit(1);
+}
+
+main().catch((e) => { console.error(e.message || String(e)); process.exit(1); });
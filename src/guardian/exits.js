@@ -0,0 +1,249 @@
+// Bracket exits for the position guardian. When a stop or target level is breached the
+// guardian can alert only, queue the closing order for confirmation in the dashboard, or
+// submit it straight through the broker layer. Queued/submitted exits persist to a JSON
+// file so the CLI and UI server (separate processes) see the same list.
+const fs = require('fs');
+const path = require('path');
+const { getBroker } = require('../providers/broker');
+const { runWithAuditContext } = require('../utils/order-audit');
+const { withFileLock } = require('../utils/file-lock');
+
+const DEFAULT_EXITS_FILE = path.join(__dirname, '..', '..', 'data', 'guardian-exits.json');
+const EXIT_MODES = ['off', 'alert', 'confirm', 'auto'];
+const MAX_HISTORY = 200;
+
+function exitsFile() {
+  return path.resolve(process.env.GUARDIAN_EXITS_FILE || DEFAULT_EXITS_FILE);
+}
+
+function resolveExitMode(value = process.env.GUARDIAN_EXIT_MODE) {
+  const mode = String(value || 'off').trim().toLowerCase();
+  if (!EXIT_MODES.includes(mode)) {
+    throw new Error(`Unknown guardian exit mode "${value}" (expected one of: ${EXIT_MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+function exitPriceType() {
+  return String(process.env.GUARDIAN_EXIT_PRICE_TYPE || 'market').trim().toLowerCase() === 'limit' ? 'LIMIT' : 'MARKET';
+}
+
+function cooldownMs() {
+  const value = Number(process.env.GUARDIAN_EXIT_COOLDOWN_MS);
+  return Number.isFinite(value) && value >= 0 ? value : 300_000;
+}
+
+function confirmTtlMs() {
+  const value = Number(process.env.GUARDIAN_EXIT_CONFIRM_TTL_MS);
+  return Number.isFinite(value) && value > 0 ? value : 600_000;
+}
+
+function readExits() {
+  try {
+    const raw = fs.readFileSync(exitsFile(), 'utf8');
+    const data = raw.trim() ? JSON.parse(raw) : {};
+    return { nextId: data.nextId || 1, exits: Array.isArray(data.exits) ? data.exits : [] };
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    return { nextId: 1, exits: [] };
+  }
+}
+
+function writeExits(state) {
+  const file = exitsFile();
+  const tmp = `${file}.tmp`;
+  state.exits = state.exits.slice(-MAX_HISTORY);
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+// Every change re-reads the file under a cross-process lock. Broker calls happen between two
+// of these, never inside one, so the guardian and dashboard do not wait on each other's orders.
+async function updateExits(fn) {
+  const file = exitsFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  return withFileLock(file, async () => {
+    const state = readExits();
+    expireStale(state);
+    const result = fn(state);
+    writeExits(state);
+    return result;
+  });
+}
+
+function expireStale(state, now = Date.now()) {
+  let changed = false;
+  for (const exit of state.exits) {
+    if (exit.status === 'pending' && now - Date.parse(exit.createdAt) > confirmTtlMs()) {
+      exit.status = 'expired';
+      exit.updatedAt = new Date(now).toISOString();
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+function exitKey({ accountIdKey, symbol, callPut, strike, expiry }) {
+  return [accountIdKey || '-', symbol, callPut, strike, expiry].join(':');
+}
+
+// Only stop/target breaches are actionable; discretionary trims stay advisory
+function isBracketExit(recommendation) {
+  return recommendation?.trigger === 'stop' || recommendation?.trigger === 'target';
+}
+
+function buildExitRequest(result, position, { accountIdKey, mode }) {
+  const qty = Number(result.qty || position.qty || 0);
+  const callPut = result.side === 'put' ? 'PUT' : 'CALL';
+  const isLong = qty > 0;
+  const priceType = exitPriceType();
+  // Limit exits work the near side of the market: bid when selling, ask when buying back
+  const limitPrice = isLong ? result.optionBid : result.optionAsk;
+  const useLimit = priceType === 'LIMIT' && Number.isFinite(limitPrice) && limitPrice > 0;
+  return {
+    key: exitKey({ accountIdKey, symbol: result.symbol, callPut, strike: result.strike, expiry: result.expiry }),
+    mode,
+    trigger: result.recommendation.trigger,
+    reason: result.recommendation.reasons.join('; '),
+    accountIdKey,
+    symbol: result.symbol,
+    optionSymbol: position.optionSymbol || null,
+    callPut,
+    strike: result.strike,
+    expiry: result.expiry,
+    quantity: Math.abs(qty),
+    orderAction: isLong ? 'SELL_CLOSE' : 'BUY_CLOSE',
+    priceType: useLimit ? 'LIMIT' : 'MARKET',
+    limitPrice: useLimit ? Number(limitPrice.toFixed(2)) : null,
+    optionPrice: result.optionPrice,
+    level: result.recommendation.level ?? null,
+  };
+}
+
+async function submitExitOrder(exit, broker = getBroker()) {
+  return broker.placeOptionOrder({
+    accountIdKey: exit.accountIdKey,
+    optionSymbol: exit.optionSymbol || exit.symbol,
+    underlyingSymbol: exit.symbol,
+    quantity: exit.quantity,
+    orderAction: exit.orderAction,
+    callPut: exit.callPut,
+    strike: exit.strike,
+    expiry: exit.expiry,
+    price: exit.optionPrice,
+    priceType: exit.priceType,
+    limitPrice: exit.limitPrice ?? undefined,
+    timeInForce: 'DAY',
+  });
+}
+
+function summarizeOrder(order) {
+  return order ? { orderId: order.orderId ?? null, status: order.status ?? null, messages: order.messages || [] } : null;
+}
+
+// Pending exits block a repeat outright; sent or failed ones only for the cooldown, so a rejected
+// close is not resent on every guardian tick. `submitting` ages out too in case its sender died.
+function blocksRepeat(exit, now) {
+  if (exit.status === 'pending') return true;
+  return ['submitting', 'submitted', 'failed'].includes(exit.status) && now - Date.parse(exit.updatedAt) < cooldownMs();
+}
+
+// Sends the order with the exit marked `submitting`, then records the outcome on the stored copy
+async function sendExit(exit, context, broker) {
+  let update;
+  try {
+    const order = await runWithAuditContext(context, () => submitExitOrder(exit, broker));
+    update = { status: 'submitted', order: summarizeOrder(order) };
+  } catch (err) {
+    update = { status: 'failed', error: err?.payload?.Error?.message || err.message };
+  }
+  return updateExits((state) => {
+    let stored = state.exits.find((item) => item.id === exit.id);
+    if (!stored) {
+      stored = exit;
+      state.exits.push(stored);
+    }
+    Object.assign(stored, update, { updatedAt: new Date().toISOString() });
+    return stored;
+  });
+}
+
+// Returns { action, exit } where action is skipped | alerted | queued | submitted | failed
+async function handleExitSignal(result, position, { mode, accountIdKey, broker } = {}) {
+  const exitMode = resolveExitMode(mode);
+  if (exitMode === 'off' || !isBracketExit(result.recommendation)) return { action: 'skipped', exit: null };
+  if (!accountIdKey) return { action: 'skipped', exit: null, reason: 'No accountIdKey for this position' };
+  const request = buildExitRequest(result, position, { accountIdKey, mode: exitMode });
+  if (!request.quantity) return { action: 'skipped', exit: null, reason: 'Position quantity is zero' };
+  if (exitMode === 'alert') return { action: 'alerted', exit: request };
+
+  const { exit, recent } = await updateExits((state) => {
+    const now = Date.now();
+    const found = state.exits.find((item) => item.key === request.key && blocksRepeat(item, now));
+    if (found) return { recent: found };
+    const createdAt = new Date(now).toISOString();
+    const created = { id: state.nextId++, ...request, status: exitMode === 'auto' ? 'submitting' : 'pending', createdAt, updatedAt: createdAt };
+    state.exits.push(created);
+    return { exit: created };
+  });
+  if (recent) return { action: 'skipped', exit: recent, reason: `Exit already ${recent.status}` };
+  if (exitMode === 'confirm') return { action: 'queued', exit };
+
+  const sent = await sendExit(exit, { actor: 'guardian', intent: 'guardian_exit' }, broker);
+  return { action: sent.status, exit: sent };
+}
+
+// Read-only: stale pending exits are reported as expired and persisted by the next update
+function listExits({ status } = {}) {
+  const state = readExits();
+  expireStale(state);
+  const wanted = status ? String(status).toLowerCase() : null;
+  return state.exits
+    .filter((exit) => !wanted || exit.status === wanted)
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+}
+
+function findPendingExit(state, id) {
+  const exit = state.exits.find((item) => String(item.id) === String(id));
+  if (!exit) {
+    const err = new Error(`Guardian exit ${id} not found`);
+    err.status = 404;
+    throw err;
+  }
+  if (exit.status !== 'pending') {
+    const err = new Error(`Guardian exit ${id} is ${exit.status}`);
+    err.status = 409;
+    throw err;
+  }
+  return exit;
+}
+
+// Claiming the exit as `submitting` first means a second click or a dismiss gets a 409
+async function confirmExit(id, { broker } = {}) {
+  const exit = await updateExits((state) => {
+    const pending = findPendingExit(state, id);
+    pending.status = 'submitting';
+    pending.updatedAt = new Date().toISOString();
+    return { ...pending };
+  });
+  return sendExit(exit, { intent: 'guardian_exit' }, broker);
+}
+
+async function dismissExit(id) {
+  return updateExits((state) => {
+    const exit = findPendingExit(state, id);
+    exit.status = 'dismissed';
+    exit.updatedAt = new Date().toISOString();
+    return exit;
+  });
+}
+
+module.exports = {
+  EXIT_MODES,
+  resolveExitMode,
+  isBracketExit,
+  handleExitSignal,
+  listExits,
+  confirmExit,
+  dismissExit,
+};
@@ -0,0 +1,115 @@
+// Maps E*TRADE API requests to fixture files so the stand-in server can replay them
+// and etFetch can record live responses (ETRADE_RECORD_DIR) in the same layout.
+//
+// Lookup is most-specific first, e.g. GET /v1/accounts/abc/portfolio?view=OPTIONS tries
+// portfolio.abc.OPTIONS.json, portfolio.abc.json, then portfolio.json. When a scenario is
+// active the scenarios/<name>/ directory is searched before the base directory.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'data', 'fixtures', 'etrade');
+
+const ROUTES = [
+  { name: 'quote', method: 'GET', pattern: /^\/v1\/market\/quote\/([^/]+)\.json$/, keys: (m) => [m[1].toUpperCase()] },
+  { name: 'optionchains', method: 'GET', pattern: /^\/v1\/market\/optionchains\.json$/, keys: (m, q) => [q.symbol?.toUpperCase(), q.expiryDate] },
+  { name: 'optionexpiredate', method: 'GET', pattern: /^\/v1\/market\/optionexpiredate\.json$/, keys: (m, q) => [q.symbol?.toUpperCase()] },
+  { name: 'accounts-list', method: 'GET', pattern: /^\/v1\/accounts\/list\.json$/, keys: () => [] },
+  { name: 'portfolio', method: 'GET', pattern: /^\/v1\/accounts\/([^/]+)\/portfolio(?:\.json)?$/, keys: (m, q) => [m[1], q.view?.toUpperCase()] },
+  { name: 'balance', method: 'GET', pattern: /^\/v1\/accounts\/([^/]+)\/balance\.json$/, keys: (m) => [m[1]] },
+  { name: 'orders', method: 'GET', pattern: /^\/v1\/accounts\/([^/]+)\/orders\.json$/, keys: (m) => [m[1]] },
+  { name: 'orders-preview', method: 'POST', pattern: /^\/v1\/accounts\/([^/]+)\/orders\/preview\.json$/, keys: (m) => [m[1]] },
+  { name: 'orders-place', method: 'POST', pattern: /^\/v1\/accounts\/([^/]+)\/orders\/place\.json$/, keys: (m) => [m[1]] },
+  { name: 'orders-cancel', method: 'PUT', pattern: /^\/v1\/accounts\/([^/]+)\/orders\/cancel\.json$/, keys: (m) => [m[1]] },
+  { name: 'orders-change-preview', method: 'PUT', pattern: /^\/v1\/accounts\/([^/]+)\/orders\/(\d+)\/change\/preview\.json$/, keys: (m) => [m[1], m[2]] },
+  { name: 'orders-change-place', method: 'PUT', pattern: /^\/v1\/accounts\/([^/]+)\/orders\/(\d+)\/change\/place\.json$/, keys: (m) => [m[1], m[2]] },
+];
+
+function fixturesDir() {
+  return path.resolve(process.env.ETRADE_FIXTURES_DIR || DEFAULT_FIXTURES_DIR);
+}
+
+function sanitizeKey(value) {
+  return String(value).replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+function matchRoute(method, requestPath) {
+  const cleanPath = requestPath.split('?')[0];
+  for (const route of ROUTES) {
+    if (route.method !== method.toUpperCase()) continue;
+    const match = cleanPath.match(route.pattern);
+    if (match) return { route, match };
+  }
+  return null;
+}
+
+function fixtureCandidates(method, requestPath, query = {}) {
+  const matched = matchRoute(method, requestPath);
+  if (!matched) return { name: null, candidates: [] };
+  const { route, match } = matched;
+  const keys = route.keys(match, query).filter(Boolean).map(sanitizeKey);
+  const candidates = [];
+  for (let i = keys.length; i >= 0; i--) {
+    candidates.push(`${[route.name, ...keys.slice(0, i)].join('.')}.json`);
+  }
+  return { name: route.name, match, candidates };
+}
+
+function searchDirs(scenario) {
+  const base = fixturesDir();
+  const dirs = [];
+  if (scenario) dirs.push(path.join(base, 'scenarios', sanitizeKey(scenario)));
+  dirs.push(base);
+  return dirs;
+}
+
+// Returns { file, data } or null; data may be { __status, body } to replay an HTTP error
+function loadFixture(fileName, scenario) {
+  for (const dir of searchDirs(scenario)) {
+    const file = path.join(dir, fileName);
+    if (!fs.existsSync(file)) continue;
+    return { file, data: JSON.parse(fs.readFileSync(file, 'utf8')) };
+  }
+  return null;
+}
+
+function findFixture(method, requestPath, query, scenario) {
+  const { name, match, candidates } = fixtureCandidates(method, requestPath, query);
+  for (const candidate of candidates) {
+    const found = loadFixture(candidate, scenario);
+    if (found) return { name, match, ...found };
+  }
+  return { name, match, file: null, data: null };
+}
+
+function writeFixture(dir, fileName, data) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, fileName);
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+  return file;
+}
+
+// Quote responses are split per symbol so any later multi-symbol request can be replayed
+function recordFixture({ method, path: requestPath, query = {}, status = 200, data }) {
+  const dir = process.env.ETRADE_RECORD_DIR;
+  if (!dir) return [];
+  const { name, candidates } = fixtureCandidates(method, requestPath, query);
+  if (!name) return [];
+  const payload = status >= 400 ? { __status: status, body: data } : data;
+  const target = path.resolve(dir);
+  if (name === 'quote' && status < 400) {
+    const items = data?.QuoteResponse?.QuoteData || [];
+    return items.map((item) => {
+      const symbol = sanitizeKey((item?.Product?.symbol || 'UNKNOWN').toUpperCase());
+      return writeFixture(target, `quote.${symbol}.json`, { QuoteResponse: { QuoteData: [item] } });
+    });
+  }
+  return [writeFixture(target, candidates[0], payload)];
+}
+
+module.exports = {
+  fixturesDir,
+  fixtureCandidates,
+  findFixture,
+  loadFixture,
+  recordFixture,
+};
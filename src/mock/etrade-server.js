@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+// Local stand-in for the E*TRADE REST API. Replays JSON fixtures for the endpoints etFetch
+// calls so broker parsing can be developed and broken on purpose without live credentials.
+// Point the app at it with ETRADE_MOCK=true (or ETRADE_BASE_URL=http://127.0.0.1:<port>).
+require('dotenv').config();
+const express = require('express');
+const { findFixture, fixturesDir } = require('./etrade-fixtures');
+
+const PORT = Number(process.env.ETRADE_MOCK_PORT) || 3031;
+
+let scenario = process.env.ETRADE_MOCK_SCENARIO || null;
+let nextId = 1000;
+const sessionOrders = new Map(); // accountIdKey -> orders placed against this server
+
+function sendError(res, status, message, code = 100) {
+  res.status(status).json({ Error: { code, message } });
+}
+
+function sendFixture(res, data) {
+  if (data && data.__status) {
+    return res.status(Number(data.__status)).json(data.body ?? {});
+  }
+  return res.json(data);
+}
+
+function requestOrder(body, rootKey) {
+  const root = body?.[rootKey] || {};
+  const order = Array.isArray(root.Order) ? root.Order[0] : root.Order;
+  return { root, order: order || {} };
+}
+
+function lookupFillPrice(instrument) {
+  const product = instrument?.Product || {};
+  const symbol = String(product.symbol || '').toUpperCase();
+  if (!symbol) return 1;
+  const pad2 = (n) => String(n).padStart(2, '0');
+  const expiry = product.expiryYear ? `${product.expiryYear}-${pad2(product.expiryMonth)}-${pad2(product.expiryDay)}` : undefined;
+  const { data } = findFixture('GET', '/v1/market/optionchains.json', { symbol, expiryDate: expiry }, scenario);
+  const pairs = data?.OptionChainResponse?.OptionPair || [];
+  const side = String(product.callPut || '').toUpperCase() === 'PUT' ? 'Put' : 'Call';
+  for (const pair of pairs) {
+    const leg = pair?.[side];
+    if (!leg || Number(leg.strikePrice) !== Number(product.strikePrice)) continue;
+    const bid = Number(leg.bid);
+    const ask = Number(leg.ask);
+    if (Number.isFinite(bid) && Number.isFinite(ask) && ask > 0) return Number(((bid + ask) / 2).toFixed(2));
+    if (Number.isFinite(Number(leg.lastPrice))) return Number(leg.lastPrice);
+  }
+  return 1;
+}
+
+function isBuyAction(instrument) {
+  return String(instrument?.orderAction || '').startsWith('BUY');
+}
+
+// Net mid per spread unit (positive = debit) from the chain fixtures
+function netSpreadMid(instruments) {
+  const net = instruments.reduce((sum, instrument) => sum + (isBuyAction(instrument) ? 1 : -1) * lookupFillPrice(instrument), 0);
+  return Number(net.toFixed(2));
+}
+
+function estimateOrder(order) {
+  const instruments = order.Instrument || [];
+  const single = instruments.length === 1;
+  let total = 0;
+  let commission = 0;
+  for (const instrument of instruments) {
+    const qty = Number(instrument.quantity) || 0;
+    const price = (single && Number(order.limitPrice)) || lookupFillPrice(instrument);
+    const sign = isBuyAction(instrument) ? 1 : -1;
+    total += sign * price * qty * 100;
+    commission += 0.65 * qty;
+  }
+  return {
+    estimatedCommission: Number(commission.toFixed(2)),
+    estimatedTotalAmount: Number((total + commission).toFixed(2)),
+  };
+}
+
+function buildPreviewResponse(body) {
+  const { root, order } = requestOrder(body, 'PreviewOrderRequest');
+  const previewId = nextId++;
+  return {
+    PreviewOrderResponse: {
+      orderType: root.orderType || 'OPTN',
+      clientOrderId: root.clientOrderId,
+      PreviewIds: [{ previewId }],
+      previewTime: Date.now(),
+      Order: [{ ...order, ...estimateOrder(order), messages: { Message: [] } }],
+    },
+  };
+}
+
+// Limits (and net-priced spreads) fill at the fixture mids when they cross them; stops rest as OPEN
+function fillOrder(order, now) {
+  const priceType = order.priceType || 'MARKET';
+  const limit = Number(order.limitPrice);
+  const spreadMid = netSpreadMid(order.Instrument || []);
+  const marketable = (order.Instrument || []).every((instrument) => {
+    if (priceType === 'MARKET' || priceType === 'NET_EVEN') return true;
+    if (priceType === 'NET_DEBIT') return spreadMid <= limit;
+    if (priceType === 'NET_CREDIT') return -spreadMid >= limit;
+    if (priceType !== 'LIMIT') return false;
+    const mid = lookupFillPrice(instrument);
+    return isBuyAction(instrument) ? mid <= limit : mid >= limit;
+  });
+  const immediate = order.orderTerm === 'IMMEDIATE_OR_CANCEL' || order.orderTerm === 'FILL_OR_KILL';
+  const instruments = (order.Instrument || []).map((instrument) => {
+    const fillPrice = lookupFillPrice(instrument);
+    return {
+      ...instrument,
+      orderedQuantity: instrument.quantity,
+      filledQuantity: marketable ? instrument.quantity : 0,
+      averageExecutionPrice: marketable ? fillPrice : undefined,
+      symbolDescription: instrument.Product?.symbol,
+    };
+  });
+  return {
+    ...order,
+    placedTime: now,
+    executedTime: marketable ? now : undefined,
+    status: marketable ? 'EXECUTED' : (immediate ? 'CANCELLED' : 'OPEN'),
+    Instrument: instruments,
+  };
+}
+
+function buildPlaceResponse(accountIdKey, body) {
+  const { root, order } = requestOrder(body, 'PlaceOrderRequest');
+  const orderId = nextId++;
+  const now = Date.now();
+  const record = {
+    orderId,
+    orderType: root.orderType || 'OPTN',
+    OrderDetail: [fillOrder(order, now)],
+  };
+  const list = sessionOrders.get(accountIdKey) || [];
+  list.push(record);
+  sessionOrders.set(accountIdKey, list);
+  return {
+    PlaceOrderResponse: {
+      orderType: record.orderType,
+      clientOrderId: root.clientOrderId,
+      OrderIds: [{ orderId }],
+      placedTime: now,
+      Order: [record.OrderDetail[0]],
+      Messages: { Message: [{ description: `Order ${orderId} accepted by the local E*TRADE stand-in`, code: 1026, type: 'WARNING' }] },
+    },
+  };
+}
+
+function findSessionOrder(accountIdKey, orderId) {
+  return (sessionOrders.get(accountIdKey) || []).find((record) => String(record.orderId) === String(orderId)) || null;
+}
+
+// Only orders placed against this server can be cancelled or changed; recorded fixtures are read-only
+function buildCancelResponse(accountIdKey, body) {
+  const orderId = body?.CancelOrderRequest?.orderId;
+  const record = findSessionOrder(accountIdKey, orderId);
+  if (!record || record.OrderDetail[0].status !== 'OPEN') return null;
+  record.OrderDetail[0].status = 'CANCELLED';
+  return {
+    CancelOrderResponse: {
+      accountId: accountIdKey,
+      orderId: record.orderId,
+      cancelTime: Date.now(),
+      Messages: { Message: [{ description: `Order ${record.orderId} cancelled by the local E*TRADE stand-in`, code: 5011, type: 'WARNING' }] },
+    },
+  };
+}
+
+function buildChangePlaceResponse(accountIdKey, orderId, body) {
+  const record = findSessionOrder(accountIdKey, orderId);
+  if (!record || record.OrderDetail[0].status !== 'OPEN') return null;
+  const { root, order } = requestOrder(body, 'PlaceOrderRequest');
+  const now = Date.now();
+  record.OrderDetail[0] = fillOrder(order, now);
+  return {
+    PlaceOrderResponse: {
+      orderType: record.orderType,
+      clientOrderId: root.clientOrderId,
+      OrderIds: [{ orderId: record.orderId }],
+      placedTime: now,
+      Order: [record.OrderDetail[0]],
+      Messages: { Message: [{ description: `Order ${record.orderId} changed by the local E*TRADE stand-in`, code: 1027, type: 'WARNING' }] },
+    },
+  };
+}
+
+const app = express();
+app.use(express.json());
+
+app.use((req, res, next) => {
+  console.log(`[etrade-mock] ${req.method} ${req.originalUrl}${scenario ? ` (scenario ${scenario})` : ''}`);
+  next();
+});
+
+// Control endpoints for switching edge-case scenarios without restarting
+app.get('/__mock/scenario', (req, res) => {
+  res.json({ scenario, fixturesDir: fixturesDir() });
+});
+
+app.post('/__mock/scenario', (req, res) => {
+  scenario = req.body?.scenario || null;
+  res.json({ scenario });
+});
+
+app.post('/__mock/reset', (req, res) => {
+  sessionOrders.clear();
+  res.json({ reset: true });
+});
+
+app.use((req, res) => {
+  const { name, match, data } = findFixture(req.method, req.path, req.query, scenario);
+  if (!name) {
+    return sendError(res, 404, `No stand-in route for ${req.method} ${req.path}`);
+  }
+  const accountIdKey = match[1];
+
+  if (name === 'quote' && !data) {
+    // Multi-symbol quote requests are assembled from per-symbol fixtures
+    const symbols = match[1].split(',').map((s) => s.trim().toUpperCase()).filter(Boolean);
+    const quoteData = [];
+    for (const symbol of symbols) {
+      const found = findFixture('GET', `/v1/market/quote/${symbol}.json`, {}, scenario);
+      if (found.data?.QuoteResponse?.QuoteData) quoteData.push(...found.data.QuoteResponse.QuoteData);
+    }
+    if (!quoteData.length) return sendError(res, 404, `No quote fixture for ${symbols.join(',')}`, 10033);
+    return res.json({ QuoteResponse: { QuoteData: quoteData } });
+  }
+
+  if (name === 'orders-preview') {
+    return sendFixture(res, data || buildPreviewResponse(req.body));
+  }
+
+  if (name === 'orders-place') {
+    const generated = buildPlaceResponse(accountIdKey, req.body);
+    return sendFixture(res, data || generated);
+  }
+
+  if (name === 'orders-cancel') {
+    if (data) return sendFixture(res, data);
+    const cancelled = buildCancelResponse(accountIdKey, req.body);
+    if (!cancelled) return sendError(res, 400, 'Order is not open and cannot be cancelled', 5001);
+    return res.json(cancelled);
+  }
+
+  if (name === 'orders-change-preview') {
+    if (!findSessionOrder(accountIdKey, match[2]) && !data) {
+      return sendError(res, 400, `Order ${match[2]} is not open on the local stand-in`, 5001);
+    }
+    return sendFixture(res, data || buildPreviewResponse(req.body));
+  }
+
+  if (name === 'orders-change-place') {
+    if (data) return sendFixture(res, data);
+    const changed = buildChangePlaceResponse(accountIdKey, match[2], req.body);
+    if (!changed) return sendError(res, 400, `Order ${match[2]} is not open and cannot be changed`, 5001);
+    return res.json(changed);
+  }
+
+  if (name === 'orders') {
+    const placed = sessionOrders.get(accountIdKey) || [];
+    if (data?.__status) return sendFixture(res, data);
+    const recorded = data?.OrdersResponse?.Order || [];
+    const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+    const merged = [...placed].reverse().concat(recorded)
+      .filter((record) => !status || record?.OrderDetail?.[0]?.status === status);
+    return res.json({ OrdersResponse: { ...(data?.OrdersResponse || {}), Order: merged } });
+  }
+
+  if (!data) {
+    return sendError(res, 404, `No fixture for ${req.method} ${req.path} in ${fixturesDir()}`);
+  }
+  return sendFixture(res, data);
+});
+
+app.listen(PORT, '127.0.0.1', () => {
+  console.log(`E*TRADE stand-in listening on http://127.0.0.1:${PORT}`);
+  console.log(`Fixtures: ${fixturesDir()}${scenario ? ` | scenario: ${scenario}` : ''}`);
+}).on('error', (err) => {
+  console.error('E*TRADE stand-in failed to start:', err);
+  process.exit(1);
+});
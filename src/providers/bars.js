@@ -1,6 +1,11 @@
+const fs = require('fs');
+const path = require('path');
 const cache = new Map();
 const fmpCache = new Map();
 const { calculateIndicators } = require('../strategy/indicators');
+const calendar = require('../utils/market-calendar');
+
+const DEFAULT_BARS_DIR = path.join(__dirname, '..', '..', 'data', 'bars');
 
 const FMP_INTERVAL_MAP = {
   '1m': '1min',
@@ -39,7 +44,77 @@ function buildFmpLimit(range, interval) {
   }
 }
 
-async function fetchFmpBars(symbol, { range = '1d', interval = '1m', limit } = {}) {
+// Sessions covered by a Yahoo-style range ('5d', '2wk', '6mo', '2y', 'ytd') up to today
+function dailyBarsForRange(range, asOf = new Date()) {
+  if (Number.isFinite(range)) return range;
+  const text = String(range).trim().toLowerCase();
+  const today = calendar.sessionDate(asOf);
+  let start;
+  if (text === 'ytd') {
+    start = `${today.slice(0, 4)}-01-01`;
+  } else {
+    const match = /^(\d+)(d|wk|mo|y)$/.exec(text);
+    if (!match) throw new Error(`Unsupported daily range "${range}" (expected Nd, Nwk, Nmo, Ny or ytd)`);
+    const count = Number(match[1]);
+    if (match[2] === 'd') return count;
+    const d = new Date(`${today}T00:00:00Z`);
+    if (match[2] === 'wk') d.setUTCDate(d.getUTCDate() - count * 7);
+    else if (match[2] === 'mo') d.setUTCMonth(d.getUTCMonth() - count);
+    else d.setUTCFullYear(d.getUTCFullYear() - count);
+    start = calendar.dateKey(d);
+  }
+  return calendar.tradingDaysBetween(start, calendar.addDays(today, 1));
+}
+
+// Daily bars live on a different FMP endpoint than the intraday chart; timestamps are set to the
+// session's 9:30 ET open like Yahoo's daily bars. An explicit limit wins over range.
+async function fetchFmpDailyBars(symbol, { range, limit } = {}) {
+  const apiKey = process.env.FMP_API_KEY;
+  if (!apiKey) throw new Error('FMP_API_KEY is not configured');
+  const numericLimit = Number(limit);
+  let normalizedLimit = 180;
+  if (Number.isFinite(numericLimit) && numericLimit > 0) normalizedLimit = numericLimit;
+  else if (range != null) normalizedLimit = Math.max(1, dailyBarsForRange(range));
+  const cacheKey = `fmp:${symbol}:1day:${normalizedLimit}`;
+  const now = Date.now();
+  const cached = fmpCache.get(cacheKey);
+  if (cached && (now - cached.at) < 300_000) return cached.data;
+
+  const url = `https://financialmodelingprep.com/api/v3/historical-price-full/${encodeURIComponent(symbol)}?apikey=${apiKey}&timeseries=${normalizedLimit}`;
+  const res = await fetch(url, { headers: { 'Accept': 'application/json' } });
+  if (!res.ok) throw new Error(`FMP daily HTTP ${res.status}`);
+  const data = await res.json();
+  const rows = Array.isArray(data?.historical) ? data.historical : [];
+  const bars = rows
+    .map((item) => {
+      const close = Number(item?.close);
+      const date = String(item?.date || '').slice(0, 10);
+      const ts = (calendar.sessionTimes(date)?.open || calendar.marketTime(date, '09:30')).getTime();
+      if (!Number.isFinite(ts) || !Number.isFinite(close)) return null;
+      const open = Number(item.open);
+      const high = Number(item.high);
+      const low = Number(item.low);
+      const volume = Number(item.volume);
+      return {
+        t: ts,
+        o: Number.isFinite(open) ? open : close,
+        c: close,
+        h: Number.isFinite(high) ? high : close,
+        l: Number.isFinite(low) ? low : close,
+        v: Number.isFinite(volume) && volume >= 0 ? volume : 0,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.t - b.t);
+  if (!bars.length) throw new Error('FMP returned no daily bars');
+
+  fmpCache.set(cacheKey, { at: now, data: bars });
+  return bars;
+}
+
+async function fetchFmpBars(symbol, options = {}) {
+  const { range = '1d', interval = '1m', limit } = options;
+  if (['1d', '1day', 'daily'].includes(String(interval).toLowerCase())) return fetchFmpDailyBars(symbol, { range: options.range, limit });
   const apiKey = process.env.FMP_API_KEY;
   if (!apiKey) throw new Error('FMP_API_KEY is not configured');
   const normalizedInterval = resolveFmpInterval(interval);
@@ -68,11 +143,13 @@ async function fetchFmpBars(symbol, { range = '1d', interval = '1m', limit } = {
       const ts = Date.parse(`${item.date}Z`);
       const close = Number(item.close);
       if (!Number.isFinite(ts) || !Number.isFinite(close)) return null;
+      const openValue = Number(item.open);
       const highValue = Number(item.high);
       const lowValue = Number(item.low);
       const volumeValue = Number(item.volume);
       return {
         t: ts,
+        o: Number.isFinite(openValue) ? openValue : close,
         c: close,
         h: Number.isFinite(highValue) ? highValue : close,
         l: Number.isFinite(lowValue) ? lowValue : close,
@@ -118,6 +195,7 @@ async function fetchYahooBars(symbol, { range = '1d', interval = '1m' } = {}) {
   const vol = q?.volume || [];
   const high = q?.high || [];
   const low = q?.low || [];
+  const open = q?.open || [];
   const out = [];
   for (let i = 0; i < ts.length; i++) {
     const c = close[i];
@@ -125,7 +203,7 @@ async function fetchYahooBars(symbol, { range = '1d', interval = '1m' } = {}) {
     const h = high[i];
     const l = low[i];
     if (c == null) continue;
-    out.push({ t: ts[i] * 1000, c: Number(c), h: Number(h || c), l: Number(l || c), v: Number(v || 0) });
+    out.push({ t: ts[i] * 1000, o: Number(open[i] || c), c: Number(c), h: Number(h || c), l: Number(l || c), v: Number(v || 0) });
   }
   cache.set(key, { at: now, data: out });
   return out;
@@ -160,8 +238,98 @@ async function fetchBarsWithFallback(symbol, options = {}) {
     console.warn(`Yahoo bars failed for ${symbol}, using mock data for analysis... (${err.message})`);
     const mockBars = generateMockBars(symbol);
     const indicators = calculateIndicators(mockBars);
-    return { bars: mockBars, indicators, debug: { attempts } };
+    return { bars: mockBars, indicators, mock: true, debug: { attempts } };
+  }
+}
+
+function parseBarTimestamp(value) {
+  if (value == null || value === '') return NaN;
+  const numeric = Number(value);
+  if (Number.isFinite(numeric)) {
+    // Accept both epoch seconds and epoch milliseconds
+    return numeric < 1e11 ? numeric * 1000 : numeric;
+  }
+  return Date.parse(value);
+}
+
+function normalizeStoredBar(raw) {
+  if (!raw) return null;
+  const t = parseBarTimestamp(raw.t ?? raw.time ?? raw.timestamp ?? raw.date ?? raw.datetime);
+  const c = Number(raw.c ?? raw.close);
+  if (!Number.isFinite(t) || !Number.isFinite(c)) return null;
+  const o = Number(raw.o ?? raw.open);
+  const h = Number(raw.h ?? raw.high);
+  const l = Number(raw.l ?? raw.low);
+  const v = Number(raw.v ?? raw.volume);
+  const bar = {
+    t,
+    c,
+    h: Number.isFinite(h) ? h : c,
+    l: Number.isFinite(l) ? l : c,
+    v: Number.isFinite(v) && v >= 0 ? v : 0,
+  };
+  if (Number.isFinite(o)) bar.o = o;
+  return bar;
+}
+
+function parseCsvBars(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (!lines.length) return [];
+  const header = lines[0].split(',').map(col => col.trim().toLowerCase());
+  return lines.slice(1).map(line => {
+    const cols = line.split(',');
+    const row = {};
+    header.forEach((key, idx) => { row[key] = cols[idx]?.trim(); });
+    return row;
+  });
+}
+
+function resolveLocalBarsFile(symbol, { interval = '1m', dir, file } = {}) {
+  if (file) return path.resolve(file);
+  const baseDir = path.resolve(dir || process.env.BARS_DIR || DEFAULT_BARS_DIR);
+  const stem = `${String(symbol).toUpperCase()}-${interval}`;
+  for (const ext of ['.json', '.csv']) {
+    const candidate = path.join(baseDir, stem + ext);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  throw new Error(`No stored bars for ${symbol} (${interval}) in ${baseDir}; expected ${stem}.json or ${stem}.csv`);
+}
+
+// Load bars captured to disk (JSON array of {t,c,h,l,v} or CSV with a header row)
+async function loadLocalBars(symbol, options = {}) {
+  const filePath = resolveLocalBarsFile(symbol, options);
+  const text = await fs.promises.readFile(filePath, 'utf8');
+  let rows;
+  if (filePath.toLowerCase().endsWith('.csv')) {
+    rows = parseCsvBars(text);
+  } else {
+    const parsed = JSON.parse(text);
+    rows = Array.isArray(parsed) ? parsed : (parsed?.bars || []);
+  }
+  const bars = rows.map(normalizeStoredBar).filter(Boolean).sort((a, b) => a.t - b.t);
+  if (!bars.length) throw new Error(`Stored bars file ${filePath} contained no usable bars`);
+  return bars;
+}
+
+async function saveLocalBars(symbol, bars, { interval = '1m', dir } = {}) {
+  const baseDir = path.resolve(dir || process.env.BARS_DIR || DEFAULT_BARS_DIR);
+  await fs.promises.mkdir(baseDir, { recursive: true });
+  const filePath = path.join(baseDir, `${String(symbol).toUpperCase()}-${interval}.json`);
+  let existing = [];
+  try {
+    existing = await loadLocalBars(symbol, { file: filePath });
+  } catch {
+    existing = [];
+  }
+  // Merge by timestamp so repeated captures extend the history instead of replacing it
+  const merged = new Map(existing.map(bar => [bar.t, bar]));
+  for (const bar of bars) {
+    const normalized = normalizeStoredBar(bar);
+    if (normalized) merged.set(normalized.t, normalized);
   }
+  const out = Array.from(merged.values()).sort((a, b) => a.t - b.t);
+  await fs.promises.writeFile(filePath, JSON.stringify(out));
+  return { file: filePath, count: out.length, added: out.length - existing.length };
 }
 
 // Generate realistic mock bars data for technical analysis
@@ -213,5 +381,7 @@ module.exports = {
   fetchFmpBars,
   fetchFmpBarsWithIndicators,
   fetchBarsWithFallback,
+  loadLocalBars,
+  saveLocalBars,
 };
 
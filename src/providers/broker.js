@@ -0,0 +1,43 @@
+// Resolves the order/portfolio backend from BROKER (etrade | paper)
+const { withOrderAudit } = require('../utils/order-audit');
+const { withRiskGovernor } = require('../utils/risk-governor');
+
+const BROKERS = {
+  etrade: () => require('./etrade'),
+  paper: () => require('./paper-broker'),
+};
+
+function resolveBrokerName(name = process.env.BROKER) {
+  const key = String(name || 'etrade').trim().toLowerCase();
+  if (!BROKERS[key]) {
+    throw new Error(`Unknown BROKER "${name}" (expected one of: ${Object.keys(BROKERS).join(', ')})`);
+  }
+  return key;
+}
+
+const auditedBrokers = new Map();
+
+// Order calls made through this accessor pass the risk governor and land in the order audit log,
+// so orders the governor refuses are audited as rejected
+function getBroker(name) {
+  const key = resolveBrokerName(name);
+  if (!auditedBrokers.has(key)) auditedBrokers.set(key, withOrderAudit(withRiskGovernor(BROKERS[key]()), key));
+  return auditedBrokers.get(key);
+}
+
+function isPaperBroker(name) {
+  return resolveBrokerName(name) === 'paper';
+}
+
+// Paper mode ignores the live E*TRADE account keys so the UI and guardian land on the simulated book
+function resolveDefaultAccountKey(name) {
+  if (isPaperBroker(name)) return getBroker('paper').defaultAccountKey();
+  return process.env.ETRADE_DEFAULT_ACCOUNT_KEY || null;
+}
+
+module.exports = {
+  getBroker,
+  resolveBrokerName,
+  isPaperBroker,
+  resolveDefaultAccountKey,
+};
@@ -1,16 +1,36 @@
 require('dotenv').config();
 const { buildOAuthHeader } = require('./oauth1');
 
+// ETRADE_MOCK=true routes every call to the local stand-in server (npm run etrade:mock)
+function isMockMode() {
+  return String(process.env.ETRADE_MOCK || '').toLowerCase() === 'true';
+}
+
 function getEnv(name, required = true) {
   const v = process.env[name];
+  if (!v && isMockMode()) return 'mock'; // stand-in server does not verify OAuth
   if (!v && required) throw new Error(`Missing env ${name}`);
   return v;
 }
 
 function baseUrl() {
+  if (isMockMode()) {
+    return process.env.ETRADE_MOCK_URL || `http://127.0.0.1:${process.env.ETRADE_MOCK_PORT || 3031}`;
+  }
   return process.env.ETRADE_BASE_URL || 'https://apisb.etrade.com';
 }
 
+function recordResponse(details) {
+  if (!process.env.ETRADE_RECORD_DIR) return;
+  try {
+    const { recordFixture } = require('../mock/etrade-fixtures');
+    const files = recordFixture(details);
+    if (files.length && process.env.DEBUG_ETRADE_RECORD) console.log('Recorded E*TRADE fixture:', files.join(', '));
+  } catch (err) {
+    console.warn('Failed to record E*TRADE fixture:', err.message);
+  }
+}
+
 async function etFetch(path, { method = 'GET', query = {}, body } = {}) {
   const url = `${baseUrl()}${path}`;
   const consumerKey = getEnv('ETRADE_CONSUMER_KEY');
@@ -66,13 +86,16 @@ async function etFetch(path, { method = 'GET', query = {}, body } = {}) {
         payload = JSON.parse(text);
       } catch {/* ignore parse errors */}
     }
+    recordResponse({ method, path, query, status: res.status, data: payload ?? text });
     const e = new Error(`E*TRADE HTTP ${res.status}: ${text}`);
     e.status = res.status;
     e.body = text;
     if (payload) e.payload = payload;
     throw e;
   }
-  return res.json();
+  const data = await res.json();
+  recordResponse({ method, path, query, status: res.status, data });
+  return data;
 }
 
 async function getEquityQuotes(symbols) {
@@ -181,6 +204,24 @@ async function getOptionChain({ symbol, expiry, includeGreeks = true }) {
   return list;
 }
 
+// Listed expirations for an underlying: [{ date: 'YYYY-MM-DD', type: 'WEEKLY'|'MONTHLY'|... }]
+async function getOptionExpireDates(symbol, { expiryType = 'ALL' } = {}) {
+  if (!symbol) throw new Error('getOptionExpireDates: symbol required');
+  const data = await etFetch(`/v1/market/optionexpiredate.json`, { query: { symbol, expiryType } });
+  const root = data?.OptionExpireDateResponse || data;
+  const raw = root?.ExpirationDate || root?.expirationDates || [];
+  const pad = (n) => String(n).padStart(2, '0');
+  const out = [];
+  for (const x of Array.isArray(raw) ? raw : [raw]) {
+    const year = Number(x?.year);
+    const month = Number(x?.month);
+    const day = Number(x?.day);
+    if (!year || !month || !day) continue;
+    out.push({ date: `${year}-${pad(month)}-${pad(day)}`, type: String(x.expiryType || '').toUpperCase() || null });
+  }
+  return out.sort((a, b) => a.date.localeCompare(b.date));
+}
+
 async function getHistoricalData({ symbol, startDate, endDate, interval = 'DAY' }) {
   // E*TRADE historical data endpoint
   // Note: This is a placeholder - E*TRADE may not have comprehensive historical data
@@ -561,7 +602,47 @@ function normalizeCloseAction(orderAction, rawQty = 0) {
   return rawQty >= 0 ? 'SELL_CLOSE' : 'BUY_CLOSE';
 }
 
-function buildOrderPayload({ product, orderAction, quantity, contract, price }) {
+const PRICE_TYPES = new Set(['MARKET', 'LIMIT', 'STOP', 'STOP_LIMIT']);
+const ORDER_TERMS = {
+  DAY: 'GOOD_FOR_DAY',
+  GTC: 'GOOD_UNTIL_CANCEL',
+  IOC: 'IMMEDIATE_OR_CANCEL',
+  FOK: 'FILL_OR_KILL',
+};
+
+function normalizePriceValue(value, label) {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric) || numeric <= 0) {
+    throw new Error(`${label} must be a positive number`);
+  }
+  return Number(numeric.toFixed(2));
+}
+
+// Validates price type / time-in-force combinations before they reach E*TRADE
+function normalizeOrderPricing({ priceType = 'MARKET', limitPrice, stopPrice, timeInForce = 'DAY' } = {}) {
+  const type = String(priceType || 'MARKET').trim().toUpperCase().replace(/[\s-]+/g, '_');
+  if (!PRICE_TYPES.has(type)) {
+    throw new Error(`Unsupported price type ${priceType} (expected MARKET, LIMIT, STOP or STOP_LIMIT)`);
+  }
+  const tifKey = String(timeInForce || 'DAY').trim().toUpperCase();
+  const orderTerm = ORDER_TERMS[tifKey] || Object.values(ORDER_TERMS).find((term) => term === tifKey);
+  if (!orderTerm) {
+    throw new Error(`Unsupported time in force ${timeInForce} (expected DAY, GTC, IOC or FOK)`);
+  }
+  if ((orderTerm === 'IMMEDIATE_OR_CANCEL' || orderTerm === 'FILL_OR_KILL') && type !== 'LIMIT') {
+    throw new Error('IOC and FOK apply to limit orders only');
+  }
+  if (type === 'MARKET' && orderTerm !== 'GOOD_FOR_DAY') {
+    throw new Error('Market orders are day orders; use a limit order for GTC/IOC/FOK');
+  }
+
+  const pricing = { priceType: type, orderTerm };
+  if (type === 'LIMIT' || type === 'STOP_LIMIT') pricing.limitPrice = normalizePriceValue(limitPrice, 'Limit price');
+  if (type === 'STOP' || type === 'STOP_LIMIT') pricing.stopPrice = normalizePriceValue(stopPrice, 'Stop price');
+  return pricing;
+}
+
+function buildOrderPayload({ product, orderAction, quantity, contract, price, pricing = normalizeOrderPricing() }) {
   const qty = Math.abs(Math.trunc(Number(quantity)));
   // Remove ProductId from Product
   const cleanProduct = { ...product };
@@ -584,16 +665,50 @@ function buildOrderPayload({ product, orderAction, quantity, contract, price })
   };
 
   const orderPayload = {
-    priceType: 'MARKET',
-    orderTerm: 'GOOD_FOR_DAY',
+    allOrNone: false,
+    priceType: pricing.priceType,
+    orderTerm: pricing.orderTerm,
     marketSession: 'REGULAR',
     Instrument: [instrument],
   };
+  if (pricing.limitPrice != null) orderPayload.limitPrice = pricing.limitPrice;
+  if (pricing.stopPrice != null) orderPayload.stopPrice = pricing.stopPrice;
 
   return orderPayload;
 }
 
-async function placeOptionMarketOrder({
+function extractPreviewId(previewRoot) {
+  let previewId = null;
+  if (Array.isArray(previewRoot?.PreviewIds)) {
+    previewId = previewRoot.PreviewIds[0]?.previewId || previewRoot.PreviewIds[0]?.PreviewId || null;
+  } else if (previewRoot?.PreviewIds) {
+    const ids = previewRoot.PreviewIds;
+    if (Array.isArray(ids.previewId)) previewId = ids.previewId[0];
+    else if (Array.isArray(ids.PreviewId)) previewId = ids.PreviewId[0];
+    else previewId = ids.previewId || ids.PreviewId || null;
+  }
+  if (!previewId && (previewRoot?.previewId || previewRoot?.previewID)) {
+    previewId = previewRoot.previewId || previewRoot.previewID;
+  }
+  return previewId;
+}
+
+function extractOrderId(placeRoot) {
+  let orderId = null;
+  if (Array.isArray(placeRoot?.OrderIds)) {
+    orderId = placeRoot.OrderIds[0]?.orderId || placeRoot.OrderIds[0]?.OrderId || null;
+  } else if (placeRoot?.OrderIds) {
+    const ids = placeRoot.OrderIds;
+    if (Array.isArray(ids.orderId)) orderId = ids.orderId[0];
+    else if (Array.isArray(ids.OrderId)) orderId = ids.OrderId[0];
+    else orderId = ids.orderId || ids.OrderId || null;
+  } else if (placeRoot?.orderId || placeRoot?.OrderId) {
+    orderId = placeRoot.orderId || placeRoot.OrderId;
+  }
+  return orderId;
+}
+
+async function placeOptionOrder({
   accountIdKey,
   optionSymbol,
   underlyingSymbol,
@@ -603,6 +718,10 @@ async function placeOptionMarketOrder({
   strike,
   expiry,
   price,
+  priceType = 'MARKET',
+  limitPrice,
+  stopPrice,
+  timeInForce = 'DAY',
 }) {
   if (!accountIdKey) throw new Error('Account ID (accountIdKey) is required');
   if (!optionSymbol && !underlyingSymbol) {
@@ -634,6 +753,7 @@ async function placeOptionMarketOrder({
     throw new Error('Option expiry is required');
   }
 
+  const pricing = normalizeOrderPricing({ priceType, limitPrice, stopPrice, timeInForce });
   const product = buildOptionProduct(contract);
   const clientOrderId = buildClientOrderId();
 
@@ -646,6 +766,7 @@ async function placeOptionMarketOrder({
       product,
       action,
       quantity: absQty,
+      pricing,
     });
   }
 
@@ -655,6 +776,7 @@ async function placeOptionMarketOrder({
     quantity: absQty,
     contract,
     price,
+    pricing,
   });
 
   const previewRequest = {
@@ -673,18 +795,7 @@ async function placeOptionMarketOrder({
   const previewPath = `/v1/accounts/${accountIdKey}/orders/preview.json`;
   const previewResponse = await etFetch(previewPath, { method: 'POST', body: previewRequest });
   const previewRoot = previewResponse?.PreviewOrderResponse || previewResponse;
-  let previewId = null;
-  if (Array.isArray(previewRoot?.PreviewIds)) {
-    previewId = previewRoot.PreviewIds[0]?.previewId || previewRoot.PreviewIds[0]?.PreviewId || null;
-  } else if (previewRoot?.PreviewIds) {
-    const ids = previewRoot.PreviewIds;
-    if (Array.isArray(ids.previewId)) previewId = ids.previewId[0];
-    else if (Array.isArray(ids.PreviewId)) previewId = ids.PreviewId[0];
-    else previewId = ids.previewId || ids.PreviewId || null;
-  }
-  if (!previewId && (previewRoot?.previewId || previewRoot?.previewID)) {
-    previewId = previewRoot.previewId || previewRoot.previewID;
-  }
+  const previewId = extractPreviewId(previewRoot);
 
   if (!previewId) {
     const messages = collectOrderMessages(previewRoot);
@@ -705,29 +816,27 @@ async function placeOptionMarketOrder({
   const placePath = `/v1/accounts/${accountIdKey}/orders/place.json`;
   const placeResponse = await etFetch(placePath, { method: 'POST', body: placeRequest });
   const placeRoot = placeResponse?.PlaceOrderResponse || placeResponse;
-  let orderId = null;
-  if (Array.isArray(placeRoot?.OrderIds)) {
-    orderId = placeRoot.OrderIds[0]?.orderId || placeRoot.OrderIds[0]?.OrderId || null;
-  } else if (placeRoot?.OrderIds) {
-    const ids = placeRoot.OrderIds;
-    if (Array.isArray(ids.orderId)) orderId = ids.orderId[0];
-    else if (Array.isArray(ids.OrderId)) orderId = ids.OrderId[0];
-    else orderId = ids.orderId || ids.OrderId || null;
-  } else if (placeRoot?.orderId || placeRoot?.OrderId) {
-    orderId = placeRoot.orderId || placeRoot.OrderId;
-  }
+  const orderId = extractOrderId(placeRoot);
 
   const messages = collectOrderMessages(placeRoot);
 
   return {
     previewId,
     orderId: orderId || null,
+    priceType: pricing.priceType,
+    orderTerm: pricing.orderTerm,
+    limitPrice: pricing.limitPrice ?? null,
+    stopPrice: pricing.stopPrice ?? null,
     messages,
     rawPreview: previewRoot,
     rawPlace: placeRoot,
   };
 }
 
+async function placeOptionMarketOrder(params) {
+  return placeOptionOrder({ ...params, priceType: 'MARKET', limitPrice: undefined, stopPrice: undefined, timeInForce: 'DAY' });
+}
+
 function buildOrdersQuery(params = {}) {
   const allowedKeys = [
     'marker',
@@ -759,7 +868,10 @@ async function getOrders(accountIdKey, params = {}) {
   if (!accountIdKey) throw new Error('Account ID (accountIdKey) is required');
   const query = buildOrdersQuery(params);
   const data = await etFetch(`/v1/accounts/${accountIdKey}/orders.json`, { query });
-  return { orders: sorted };
+  // Returns E*TRADE's raw { OrdersResponse } body, the shape the paper broker mirrors. This used to
+  // return { orders: sorted } with `sorted` never defined, so every call threw a ReferenceError;
+  // callers (day P&L summary, risk governor, order changes) walk OrdersResponse themselves.
+  return data;
 }
 
 async function previewOptionOrder({
@@ -772,6 +884,10 @@ async function previewOptionOrder({
   strike,
   expiry,
   price,
+  priceType = 'MARKET',
+  limitPrice,
+  stopPrice,
+  timeInForce = 'DAY',
 }) {
   if (!accountIdKey) throw new Error('Account ID (accountIdKey) is required');
   if (!optionSymbol && !underlyingSymbol) {
@@ -804,6 +920,7 @@ async function previewOptionOrder({
     throw new Error('Option expiry is required');
   }
 
+  const pricing = normalizeOrderPricing({ priceType, limitPrice, stopPrice, timeInForce });
   const product = buildOptionProduct(contract);
   const debugOrders = !!process.env.DEBUG_ETRADE_ORDERS;
   
@@ -812,6 +929,7 @@ async function previewOptionOrder({
     product,
     action,
     absQty,
+    pricing,
   });
 
   const buildOrderSection = () => buildOrderPayload({
@@ -820,6 +938,7 @@ async function previewOptionOrder({
     quantity: absQty,
     contract,
     price,
+    pricing,
   });
 
   const previewRequest = {
@@ -841,13 +960,16 @@ async function previewOptionOrder({
   const instrument = orderDetails?.Instrument?.[0] || {};
   const estimatedCommission = orderDetails?.estimatedCommission || orderDetails?.commission || 0;
   const estimatedTotalAmount = orderDetails?.estimatedTotalAmount || orderDetails?.totalOrderValue || 0;
-  const limitPrice = orderDetails?.limitPrice || 0;
+  const previewLimit = orderDetails?.limitPrice || pricing.limitPrice || 0;
   const messages = collectOrderMessages(previewRoot);
 
   return {
     previewId: null, // Not extracting previewId since we're not placing the order
-    orderType: orderDetails?.priceType || 'MARKET',
-    estimatedPrice: limitPrice || instrument?.averageExecutionPrice || 0,
+    orderType: orderDetails?.priceType || pricing.priceType,
+    orderTerm: orderDetails?.orderTerm || pricing.orderTerm,
+    limitPrice: pricing.limitPrice ?? null,
+    stopPrice: pricing.stopPrice ?? null,
+    estimatedPrice: previewLimit || instrument?.averageExecutionPrice || 0,
     estimatedCost: Math.abs(estimatedTotalAmount),
     commission: estimatedCommission,
     warnings: messages,
@@ -855,14 +977,354 @@ async function previewOptionOrder({
   };
 }
 
+const SPREAD_PRICE_TYPES = new Set(['NET_DEBIT', 'NET_CREDIT', 'NET_EVEN']);
+const SPREAD_ACTIONS = new Set(['BUY_OPEN', 'SELL_OPEN', 'BUY_CLOSE', 'SELL_CLOSE']);
+
+// Net pricing for SPREADS orders: NET_DEBIT/NET_CREDIT carry a positive limit, NET_EVEN none
+function normalizeSpreadPricing({ priceType, limitPrice, timeInForce = 'DAY' } = {}) {
+  const type = String(priceType || '').trim().toUpperCase().replace(/[\s-]+/g, '_');
+  if (!SPREAD_PRICE_TYPES.has(type)) {
+    throw new Error(`Unsupported spread price type ${priceType} (expected NET_DEBIT, NET_CREDIT or NET_EVEN)`);
+  }
+  const tifKey = String(timeInForce || 'DAY').trim().toUpperCase();
+  const orderTerm = ORDER_TERMS[tifKey] || Object.values(ORDER_TERMS).find((term) => term === tifKey);
+  if (!orderTerm) {
+    throw new Error(`Unsupported time in force ${timeInForce} (expected DAY, GTC, IOC or FOK)`);
+  }
+  const pricing = { priceType: type, orderTerm };
+  if (type !== 'NET_EVEN') pricing.limitPrice = normalizePriceValue(limitPrice, 'Net limit price');
+  return pricing;
+}
+
+function normalizeSpreadLegs(legs) {
+  if (!Array.isArray(legs) || legs.length < 2) {
+    throw new Error('A spread order needs at least two legs');
+  }
+  if (legs.length > 4) {
+    throw new Error('E*TRADE spread orders support at most four legs');
+  }
+  const prepared = legs.map((leg, index) => {
+    const label = `Leg ${index + 1}`;
+    const action = String(leg?.orderAction || '').trim().toUpperCase();
+    if (!SPREAD_ACTIONS.has(action)) {
+      throw new Error(`${label}: orderAction must be one of ${[...SPREAD_ACTIONS].join(', ')}`);
+    }
+    const qty = Math.abs(Math.trunc(Number(leg.quantity)));
+    if (!qty) throw new Error(`${label}: quantity must be at least one contract`);
+    const contract = normalizeOptionContract(leg);
+    if (!contract.underlying || !contract.callPut || !Number.isFinite(contract.strike) || !contract.expiry) {
+      throw new Error(`${label}: underlying, call/put, strike and expiry are required`);
+    }
+    return { contract, product: buildOptionProduct(contract), orderAction: action, quantity: qty };
+  });
+  const underlyings = new Set(prepared.map((leg) => leg.contract.underlying));
+  if (underlyings.size > 1) {
+    throw new Error(`Spread legs must share one underlying (got ${[...underlyings].join(', ')})`);
+  }
+  const keys = new Set(prepared.map((leg) => leg.contract.occSymbol));
+  if (keys.size !== prepared.length) {
+    throw new Error('Spread legs must reference distinct contracts');
+  }
+  return prepared;
+}
+
+function buildSpreadOrderPayload({ legs, pricing }) {
+  const order = {
+    allOrNone: false,
+    priceType: pricing.priceType,
+    orderTerm: pricing.orderTerm,
+    marketSession: 'REGULAR',
+    Instrument: legs.map((leg) => buildOrderPayload({
+      product: leg.product,
+      orderAction: leg.orderAction,
+      quantity: leg.quantity,
+      contract: leg.contract,
+    }).Instrument[0]),
+  };
+  if (pricing.limitPrice != null) order.limitPrice = pricing.limitPrice;
+  return order;
+}
+
+function summarizeSpreadLegs(legs) {
+  return legs.map((leg) => ({
+    orderAction: leg.orderAction,
+    quantity: leg.quantity,
+    underlying: leg.contract.underlying,
+    callPut: leg.contract.callPut,
+    strike: leg.contract.strike,
+    osiKey: formatOsiKey(leg.contract.occSymbol),
+  }));
+}
+
+async function previewSpreadOrder({ accountIdKey, legs, priceType, limitPrice, timeInForce = 'DAY' }) {
+  if (!accountIdKey) throw new Error('Account ID (accountIdKey) is required');
+  const pricing = normalizeSpreadPricing({ priceType, limitPrice, timeInForce });
+  const prepared = normalizeSpreadLegs(legs);
+  const previewRequest = {
+    PreviewOrderRequest: {
+      orderType: 'SPREADS',
+      clientOrderId: buildClientOrderId('SPR'),
+      orderStrategyType: 'SPREADS',
+      Order: [buildSpreadOrderPayload({ legs: prepared, pricing })],
+    },
+  };
+
+  if (process.env.DEBUG_ETRADE_ORDERS) {
+    console.log('E*TRADE spread preview payload:', JSON.stringify(previewRequest, null, 2));
+  }
+
+  const previewPath = `/v1/accounts/${accountIdKey}/orders/preview.json`;
+  const previewResponse = await etFetch(previewPath, { method: 'POST', body: previewRequest });
+  const previewRoot = previewResponse?.PreviewOrderResponse || previewResponse;
+  const orderDetails = previewRoot?.Order?.[0] || {};
+
+  return {
+    previewId: extractPreviewId(previewRoot),
+    orderType: orderDetails?.priceType || pricing.priceType,
+    orderTerm: orderDetails?.orderTerm || pricing.orderTerm,
+    limitPrice: pricing.limitPrice ?? null,
+    legs: summarizeSpreadLegs(prepared),
+    estimatedCost: Math.abs(orderDetails?.estimatedTotalAmount || orderDetails?.totalOrderValue || 0),
+    commission: orderDetails?.estimatedCommission || orderDetails?.commission || 0,
+    warnings: collectOrderMessages(previewRoot),
+    rawPreview: previewRoot,
+  };
+}
+
+async function placeSpreadOrder({ accountIdKey, legs, priceType, limitPrice, timeInForce = 'DAY' }) {
+  if (!accountIdKey) throw new Error('Account ID (accountIdKey) is required');
+  const pricing = normalizeSpreadPricing({ priceType, limitPrice, timeInForce });
+  const prepared = normalizeSpreadLegs(legs);
+  const clientOrderId = buildClientOrderId('SPR');
+  const buildOrderSection = () => buildSpreadOrderPayload({ legs: prepared, pricing });
+
+  const previewRequest = {
+    PreviewOrderRequest: {
+      orderType: 'SPREADS',
+      clientOrderId,
+      orderStrategyType: 'SPREADS',
+      Order: [buildOrderSection()],
+    },
+  };
+  if (process.env.DEBUG_ETRADE_ORDERS) {
+    console.log('E*TRADE spread preview payload:', JSON.stringify(previewRequest, null, 2));
+  }
+
+  const previewPath = `/v1/accounts/${accountIdKey}/orders/preview.json`;
+  const previewResponse = await etFetch(previewPath, { method: 'POST', body: previewRequest });
+  const previewRoot = previewResponse?.PreviewOrderResponse || previewResponse;
+  const previewId = extractPreviewId(previewRoot);
+  if (!previewId) {
+    const messages = collectOrderMessages(previewRoot);
+    const hint = messages.length ? ` (${messages.join('; ')})` : '';
+    throw new Error(`Spread preview failed${hint}`);
+  }
+
+  const placeRequest = {
+    PlaceOrderRequest: {
+      orderType: 'SPREADS',
+      clientOrderId,
+      orderStrategyType: 'SPREADS',
+      PreviewIds: [{ previewId }],
+      Order: [buildOrderSection()],
+    },
+  };
+
+  const placePath = `/v1/accounts/${accountIdKey}/orders/place.json`;
+  const placeResponse = await etFetch(placePath, { method: 'POST', body: placeRequest });
+  const placeRoot = placeResponse?.PlaceOrderResponse || placeResponse;
+
+  return {
+    previewId,
+    orderId: extractOrderId(placeRoot) || null,
+    priceType: pricing.priceType,
+    orderTerm: pricing.orderTerm,
+    limitPrice: pricing.limitPrice ?? null,
+    legs: summarizeSpreadLegs(prepared),
+    messages: collectOrderMessages(placeRoot),
+    rawPreview: previewRoot,
+    rawPlace: placeRoot,
+  };
+}
+
+async function cancelOrder(accountIdKey, orderId) {
+  if (!accountIdKey) throw new Error('Account ID (accountIdKey) is required');
+  const id = Number(orderId);
+  if (!Number.isFinite(id) || id <= 0) throw new Error('A numeric orderId is required');
+  const data = await etFetch(`/v1/accounts/${accountIdKey}/orders/cancel.json`, {
+    method: 'PUT',
+    body: { CancelOrderRequest: { orderId: id } },
+  });
+  const root = data?.CancelOrderResponse || data;
+  return {
+    orderId: root?.orderId ?? id,
+    cancelTime: root?.cancelTime ?? null,
+    messages: collectOrderMessages(root),
+    raw: root,
+  };
+}
+
+async function findOpenOrder(accountIdKey, orderId) {
+  const data = await getOrders(accountIdKey, { status: 'OPEN', count: 100 });
+  const orders = data?.OrdersResponse?.Order || [];
+  const match = orders.find((order) => String(order?.orderId) === String(orderId));
+  if (!match) throw new Error(`Order ${orderId} is not an open order on this account`);
+  return match;
+}
+
+// Rebuilds the working order from its OrderDetail with new pricing (and quantity, single-leg only)
+function buildChangedOrder(order, { priceType, limitPrice, stopPrice, timeInForce, quantity } = {}) {
+  const detail = order?.OrderDetail?.[0] || {};
+  const legs = (detail.Instrument || []).map((instrument) => {
+    const product = instrument?.Product || {};
+    if (product.securityType && product.securityType !== 'OPTN') {
+      throw new Error('Only option orders can be changed from the dashboard');
+    }
+    const contract = normalizeOptionContract({
+      underlyingSymbol: product.symbol,
+      callPut: product.callPut,
+      strike: product.strikePrice,
+      expiry: { year: product.expiryYear, month: product.expiryMonth, day: product.expiryDay },
+    });
+    return {
+      contract,
+      product: buildOptionProduct(contract),
+      orderAction: instrument.orderAction,
+      quantity: Number(instrument.orderedQuantity ?? instrument.quantity),
+    };
+  });
+  if (!legs.length) throw new Error(`Order ${order?.orderId} has no instruments to change`);
+
+  const isSpread = order.orderType === 'SPREADS' || legs.length > 1;
+  if (isSpread) {
+    if (quantity != null) throw new Error('Spread quantity cannot be changed; cancel and re-enter instead');
+    const pricing = normalizeSpreadPricing({
+      priceType: priceType || detail.priceType,
+      limitPrice: limitPrice ?? detail.limitPrice,
+      timeInForce: timeInForce || detail.orderTerm,
+    });
+    return { orderType: 'SPREADS', orderStrategyType: 'SPREADS', pricing, section: buildSpreadOrderPayload({ legs, pricing }) };
+  }
+
+  const [leg] = legs;
+  const pricing = normalizeOrderPricing({
+    priceType: priceType || detail.priceType,
+    limitPrice: limitPrice ?? detail.limitPrice,
+    stopPrice: stopPrice ?? detail.stopPrice,
+    timeInForce: timeInForce || detail.orderTerm,
+  });
+  const qty = quantity != null ? Math.abs(Math.trunc(Number(quantity))) : leg.quantity;
+  if (!qty) throw new Error('Quantity must be at least one contract');
+  return {
+    orderType: 'OPTN',
+    orderStrategyType: 'SINGLE',
+    pricing,
+    section: buildOrderPayload({ ...leg, quantity: qty, pricing }),
+  };
+}
+
+async function changePreviewedOrder({ accountIdKey, orderId, ...changes }) {
+  if (!accountIdKey) throw new Error('Account ID (accountIdKey) is required');
+  if (!orderId) throw new Error('orderId is required');
+  const existing = await findOpenOrder(accountIdKey, orderId);
+  const changed = buildChangedOrder(existing, changes);
+  const clientOrderId = buildClientOrderId('CHG');
+  const previewRequest = {
+    PreviewOrderRequest: {
+      orderType: changed.orderType,
+      clientOrderId,
+      orderStrategyType: changed.orderStrategyType,
+      Order: [changed.section],
+    },
+  };
+  if (process.env.DEBUG_ETRADE_ORDERS) {
+    console.log('E*TRADE change preview payload:', JSON.stringify(previewRequest, null, 2));
+  }
+  const data = await etFetch(`/v1/accounts/${accountIdKey}/orders/${orderId}/change/preview.json`, {
+    method: 'PUT',
+    body: previewRequest,
+  });
+  const previewRoot = data?.PreviewOrderResponse || data;
+  const orderDetails = previewRoot?.Order?.[0] || {};
+  return {
+    orderId,
+    previewId: extractPreviewId(previewRoot),
+    clientOrderId,
+    orderType: changed.orderType,
+    orderStrategyType: changed.orderStrategyType,
+    order: changed.section,
+    priceType: changed.pricing.priceType,
+    orderTerm: changed.pricing.orderTerm,
+    limitPrice: changed.pricing.limitPrice ?? null,
+    stopPrice: changed.pricing.stopPrice ?? null,
+    estimatedCost: Math.abs(orderDetails?.estimatedTotalAmount || 0),
+    commission: orderDetails?.estimatedCommission || 0,
+    warnings: collectOrderMessages(previewRoot),
+    rawPreview: previewRoot,
+  };
+}
+
+async function placeChangedOrder({ accountIdKey, orderId, preview }) {
+  if (!preview?.previewId) {
+    const hint = preview?.warnings?.length ? ` (${preview.warnings.join('; ')})` : '';
+    throw new Error(`Order change preview failed${hint}`);
+  }
+  const placeRequest = {
+    PlaceOrderRequest: {
+      orderType: preview.orderType,
+      clientOrderId: preview.clientOrderId,
+      orderStrategyType: preview.orderStrategyType,
+      PreviewIds: [{ previewId: preview.previewId }],
+      Order: [preview.order],
+    },
+  };
+  const data = await etFetch(`/v1/accounts/${accountIdKey}/orders/${orderId}/change/place.json`, {
+    method: 'PUT',
+    body: placeRequest,
+  });
+  const placeRoot = data?.PlaceOrderResponse || data;
+  return {
+    previewId: preview.previewId,
+    orderId: extractOrderId(placeRoot) || orderId,
+    replacedOrderId: orderId,
+    priceType: preview.priceType,
+    orderTerm: preview.orderTerm,
+    limitPrice: preview.limitPrice,
+    stopPrice: preview.stopPrice,
+    messages: collectOrderMessages(placeRoot),
+    rawPreview: preview.rawPreview,
+    rawPlace: placeRoot,
+  };
+}
+
+// Cancel/replace in one step: preview the change against the working order, then place it
+async function replaceOrder(params) {
+  const preview = await changePreviewedOrder(params);
+  return placeChangedOrder({ accountIdKey: params.accountIdKey, orderId: params.orderId, preview });
+}
+
 module.exports = {
   getEquityQuotes,
   getOptionChain,
+  getOptionExpireDates,
   getHistoricalData,
   getAccounts,
   getPortfolio,
   getAccountBalance,
   placeOptionMarketOrder,
+  placeOptionOrder,
   previewOptionOrder,
+  placeSpreadOrder,
+  previewSpreadOrder,
+  cancelOrder,
+  changePreviewedOrder,
+  placeChangedOrder,
+  replaceOrder,
   getOrders,
+  normalizeOrderPricing,
+  normalizeSpreadPricing,
+  normalizeSpreadLegs,
+  normalizeOptionContract,
+  formatOsiKey,
+  isMockMode,
 };
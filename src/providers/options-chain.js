@@ -1,6 +1,7 @@
 const etrade = require('./etrade');
 
 function hasEtradeCredentials() {
+  if (etrade.isMockMode()) return true;
   return Boolean(
     process.env.ETRADE_CONSUMER_KEY &&
     process.env.ETRADE_CONSUMER_SECRET &&
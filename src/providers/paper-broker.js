@@ -0,0 +1,983 @@
+// Simulated broker with the same surface as the E*TRADE provider.
+// Fills, cash and positions persist to a local JSON file so the dashboard and
+// guardian can be exercised end-to-end without a live brokerage account.
+const fs = require('fs');
+const path = require('path');
+const { normalizeOptionContract, normalizeOrderPricing, normalizeSpreadPricing, formatOsiKey } = require('./etrade');
+const { fetchOptionChain } = require('./options-chain');
+const { pickNearestStrike, midPrice } = require('../strategy/selector');
+const { withFileLock } = require('../utils/file-lock');
+
+const DEFAULT_STATE_FILE = path.join(__dirname, '..', '..', 'data', 'paper-account.json');
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function stateFile() {
+  return path.resolve(process.env.PAPER_BROKER_FILE || DEFAULT_STATE_FILE);
+}
+
+function defaultAccountKey() {
+  return process.env.PAPER_ACCOUNT_KEY || 'PAPER';
+}
+
+function startingCash() {
+  const value = Number(process.env.PAPER_STARTING_CASH);
+  return Number.isFinite(value) && value > 0 ? value : 25000;
+}
+
+function commissionPerContract() {
+  const value = Number(process.env.PAPER_COMMISSION_PER_CONTRACT);
+  return Number.isFinite(value) && value >= 0 ? value : 0.65;
+}
+
+function slippagePct() {
+  const value = Number(process.env.PAPER_SLIPPAGE_PCT);
+  return Number.isFinite(value) && value >= 0 ? value : 0;
+}
+
+function round2(value) {
+  return Number(Number(value).toFixed(2));
+}
+
+function paperError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  err.payload = { Error: { message } };
+  return err;
+}
+
+function createAccount(accountIdKey) {
+  return {
+    accountIdKey,
+    accountId: accountIdKey,
+    accountDesc: 'Paper Trading',
+    cash: startingCash(),
+    realized: 0,
+    positions: [],
+    orders: [],
+    createdAt: new Date().toISOString(),
+  };
+}
+
+function readState() {
+  const file = stateFile();
+  let state = { version: 1, nextId: 1, accounts: {} };
+  try {
+    const raw = fs.readFileSync(file, 'utf8');
+    if (raw.trim()) state = { ...state, ...JSON.parse(raw) };
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  if (!state.accounts[defaultAccountKey()]) {
+    state.accounts[defaultAccountKey()] = createAccount(defaultAccountKey());
+  }
+  return state;
+}
+
+function writeState(state) {
+  const file = stateFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+// Read-modify-write under a cross-process lock: the UI server and the guardian both trade on
+// this file. `fn` must not wait on the network; quote what it needs first (see prefetchMarks).
+async function withState(fn) {
+  const file = stateFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  return withFileLock(file, async () => {
+    const state = readState();
+    const result = await fn(state);
+    writeState(state);
+    return result;
+  });
+}
+
+function ensureAccount(state, accountIdKey) {
+  if (!accountIdKey) throw paperError('Account ID (accountIdKey) is required');
+  if (!state.accounts[accountIdKey]) {
+    state.accounts[accountIdKey] = createAccount(accountIdKey);
+  }
+  return state.accounts[accountIdKey];
+}
+
+function expiryLabel(expiry) {
+  if (!expiry) return null;
+  return `${expiry.year}-${String(expiry.month).padStart(2, '0')}-${String(expiry.day).padStart(2, '0')}`;
+}
+
+function describeContract(contract) {
+  const { year, month, day } = contract.expiry;
+  const side = contract.callPut === 'PUT' ? 'Put' : 'Call';
+  return `${contract.underlying} ${MONTHS[month - 1]} ${String(day).padStart(2, '0')} '${String(year % 100).padStart(2, '0')} $${contract.strike} ${side}`;
+}
+
+function resolveContract({ optionSymbol, underlyingSymbol, callPut, strike, expiry }) {
+  const contract = normalizeOptionContract({ optionSymbol, underlyingSymbol, callPut, strike, expiry });
+  if (!contract.underlying) throw paperError('Unable to infer underlying symbol for option contract');
+  if (!contract.callPut) throw paperError('Option call/put side is required');
+  if (!Number.isFinite(contract.strike)) throw paperError('Option strike price is required');
+  if (!contract.expiry) throw paperError('Option expiry is required');
+  return { ...contract, osiKey: formatOsiKey(contract.occSymbol) };
+}
+
+function resolveQuantity(quantity) {
+  const rawQty = Number(quantity);
+  if (!Number.isFinite(rawQty) || rawQty === 0) throw paperError('Quantity must be a non-zero number');
+  const absQty = Math.abs(Math.trunc(rawQty));
+  if (!absQty) throw paperError('Quantity must be at least one contract');
+  return { rawQty, absQty };
+}
+
+function resolveAction(orderAction, rawQty) {
+  const normalized = orderAction ? String(orderAction).trim().toUpperCase() : '';
+  if (normalized) return normalized;
+  return rawQty >= 0 ? 'SELL_CLOSE' : 'BUY_CLOSE';
+}
+
+async function quoteContract(contract) {
+  try {
+    const chain = await fetchOptionChain({ symbol: contract.underlying, expiry: expiryLabel(contract.expiry), includeGreeks: false, minContracts: 1 });
+    const side = contract.callPut === 'PUT' ? 'put' : 'call';
+    const candidate = pickNearestStrike(chain.options || [], side, contract.strike);
+    if (!candidate || Number(candidate.strike) !== contract.strike) return null;
+    const mark = midPrice(candidate) ?? candidate.last;
+    return Number.isFinite(mark) && mark > 0 ? mark : null;
+  } catch {
+    return null;
+  }
+}
+
+function applySlippage(reference, isBuy) {
+  const slip = slippagePct();
+  return round2(Math.max(0.01, reference * (isBuy ? 1 + slip : 1 - slip)));
+}
+
+async function resolveReferencePrice(contract, price) {
+  let reference = Number(price);
+  if (!Number.isFinite(reference) || reference <= 0) {
+    reference = await quoteContract(contract);
+  }
+  if (!Number.isFinite(reference) || reference <= 0) {
+    throw paperError(`Paper broker could not price ${describeContract(contract)}; pass a price with the order`);
+  }
+  return reference;
+}
+
+async function resolveFillPrice(contract, price, isBuy) {
+  return applySlippage(await resolveReferencePrice(contract, price), isBuy);
+}
+
+// Decides whether a non-market order trades at the given mark. Stops trigger on the mark
+// crossing stopPrice; limits fill at the (slipped) mark but never through limitPrice.
+function evaluateWorkingOrder(pricing, isBuy, mark, triggered = false) {
+  if (!Number.isFinite(mark) || mark <= 0) return { triggered, fillPrice: null };
+  let isTriggered = triggered;
+  if (!isTriggered && (pricing.priceType === 'STOP' || pricing.priceType === 'STOP_LIMIT')) {
+    isTriggered = isBuy ? mark >= pricing.stopPrice : mark <= pricing.stopPrice;
+    if (!isTriggered) return { triggered: false, fillPrice: null };
+  }
+  const slipped = applySlippage(mark, isBuy);
+  if (pricing.priceType === 'STOP') return { triggered: true, fillPrice: slipped };
+  const marketable = isBuy ? mark <= pricing.limitPrice : mark >= pricing.limitPrice;
+  if (!marketable) return { triggered: isTriggered, fillPrice: null };
+  const fillPrice = isBuy ? Math.min(pricing.limitPrice, slipped) : Math.max(pricing.limitPrice, slipped);
+  return { triggered: isTriggered, fillPrice: round2(fillPrice) };
+}
+
+function buildProduct(contract) {
+  return {
+    symbol: contract.underlying,
+    securityType: 'OPTN',
+    callPut: contract.callPut,
+    strikePrice: contract.strike,
+    expiryYear: contract.expiry.year,
+    expiryMonth: contract.expiry.month,
+    expiryDay: contract.expiry.day,
+  };
+}
+
+function applyFill(account, { contract, action, qty, fillPrice, multiplier, positionId }) {
+  const isBuy = action.startsWith('BUY');
+  const signedQty = isBuy ? qty : -qty;
+  const existing = account.positions.find(pos => pos.osiKey === contract.osiKey);
+  const held = existing ? existing.quantity : 0;
+
+  if (action.endsWith('_CLOSE')) {
+    if (!existing || Math.sign(held) !== -Math.sign(signedQty) || Math.abs(held) < qty) {
+      throw paperError(`Paper account holds ${Math.abs(held)} ${describeContract(contract)}; cannot ${action} ${qty}`);
+    }
+  }
+
+  const commission = round2(commissionPerContract() * qty);
+  const cashDelta = round2(-signedQty * fillPrice * multiplier - commission);
+  if (cashDelta < 0 && account.cash + cashDelta < 0) {
+    throw paperError(`Insufficient paper cash: need $${Math.abs(cashDelta).toFixed(2)}, have $${account.cash.toFixed(2)}`);
+  }
+
+  const openPosition = quantity => account.positions.push({
+    positionId,
+    osiKey: contract.osiKey,
+    optionSymbol: contract.occSymbol,
+    underlying: contract.underlying,
+    callPut: contract.callPut,
+    strike: contract.strike,
+    expiry: expiryLabel(contract.expiry),
+    description: describeContract(contract),
+    multiplier,
+    quantity,
+    avgPrice: fillPrice,
+    mark: fillPrice,
+    openedAt: new Date().toISOString(),
+  });
+
+  let realized = 0;
+  if (!existing) {
+    openPosition(signedQty);
+  } else if (Math.sign(held) === Math.sign(signedQty)) {
+    const total = Math.abs(held) + qty;
+    existing.avgPrice = round2((existing.avgPrice * Math.abs(held) + fillPrice * qty) / total);
+    existing.quantity = held + signedQty;
+    existing.mark = fillPrice;
+  } else {
+    // Split at zero: the held contracts realize P&L, any excess opens the other side at this fill
+    const direction = held > 0 ? 1 : -1;
+    const closing = Math.min(Math.abs(held), qty);
+    realized = round2((fillPrice - existing.avgPrice) * closing * multiplier * direction);
+    existing.quantity = held + signedQty;
+    existing.mark = fillPrice;
+    if (Math.sign(existing.quantity) !== direction) {
+      account.positions = account.positions.filter(pos => pos !== existing);
+      if (existing.quantity !== 0) openPosition(existing.quantity);
+    }
+  }
+
+  account.cash = round2(account.cash + cashDelta);
+  account.realized = round2((account.realized || 0) + realized);
+  return { commission, cashDelta, realized };
+}
+
+function buildOrderRecord({ orderId, contract, action, qty, fillPrice, multiplier, commission, pricing = normalizeOrderPricing(), status = 'EXECUTED' }) {
+  const now = Date.now();
+  const executed = status === 'EXECUTED';
+  const detail = {
+    placedTime: now,
+    executedTime: executed ? now : undefined,
+    orderValue: round2((executed ? fillPrice : (pricing.limitPrice || pricing.stopPrice || 0)) * qty * multiplier),
+    status,
+    orderTerm: pricing.orderTerm,
+    priceType: pricing.priceType,
+    marketSession: 'REGULAR',
+    Instrument: [{
+      symbolDescription: describeContract(contract),
+      orderAction: action,
+      quantityType: 'QUANTITY',
+      orderedQuantity: qty,
+      filledQuantity: executed ? qty : 0,
+      averageExecutionPrice: executed ? fillPrice : undefined,
+      estimatedCommission: commission,
+      osiKey: contract.osiKey,
+      Product: buildProduct(contract),
+    }],
+  };
+  if (pricing.limitPrice != null) detail.limitPrice = pricing.limitPrice;
+  if (pricing.stopPrice != null) detail.stopPrice = pricing.stopPrice;
+  return { orderId, orderType: 'OPTN', OrderDetail: [detail] };
+}
+
+function markOrderExecuted(order, { fillPrice, commission, multiplier }) {
+  const detail = order.OrderDetail[0];
+  const instrument = detail.Instrument[0];
+  detail.status = 'EXECUTED';
+  detail.executedTime = Date.now();
+  detail.orderValue = round2(fillPrice * instrument.orderedQuantity * multiplier);
+  instrument.filledQuantity = instrument.orderedQuantity;
+  instrument.averageExecutionPrice = fillPrice;
+  instrument.estimatedCommission = commission;
+  delete order.working;
+}
+
+function closeWorkingOrder(order, status, reason) {
+  const detail = order.OrderDetail[0];
+  detail.status = status;
+  if (reason) detail.statusReason = reason;
+  delete order.working;
+}
+
+function workingContracts(order) {
+  return order.working.legs ? order.working.legs.map(leg => leg.contract) : [order.working.contract];
+}
+
+function isWorkingOrderStale(order, now = new Date()) {
+  const detail = order.OrderDetail[0];
+  const expired = workingContracts(order).some(({ expiry }) => now.getTime() >= new Date(expiry.year, expiry.month - 1, expiry.day + 1).getTime());
+  if (expired) return true;
+  return detail.orderTerm === 'GOOD_FOR_DAY' && new Date(detail.placedTime).toDateString() !== now.toDateString();
+}
+
+function markToMarket() {
+  return String(process.env.PAPER_MARK_TO_MARKET || 'true').toLowerCase() !== 'false';
+}
+
+async function fetchMarks(contracts) {
+  const marks = new Map();
+  for (const contract of contracts) {
+    if (!marks.has(contract.osiKey)) marks.set(contract.osiKey, await quoteContract(contract));
+  }
+  return marks;
+}
+
+// Quotes an account's live working orders (and optionally its positions) from an unlocked read.
+// Anything placed in the meantime simply has no mark and waits for the next sweep.
+async function prefetchMarks(accountIdKey, { positions = false } = {}) {
+  const account = readState().accounts[accountIdKey];
+  if (!account) return new Map();
+  const contracts = account.orders
+    .filter(order => order.working && !isWorkingOrderStale(order))
+    .flatMap(workingContracts);
+  if (positions && markToMarket()) {
+    for (const pos of account.positions) {
+      contracts.push(resolveContract({ optionSymbol: pos.optionSymbol, callPut: pos.callPut, strike: pos.strike, expiry: pos.expiry }));
+    }
+  }
+  return fetchMarks(contracts);
+}
+
+function markFor(contract, marks) {
+  return marks.get(contract.osiKey) ?? null;
+}
+
+// Net package price per spread unit at the given leg marks (positive = debit)
+function evaluateSpread(pricing, legs, legMarks) {
+  if (legMarks.some(mark => !Number.isFinite(mark) || mark <= 0)) return null;
+  const unit = Math.min(...legs.map(leg => leg.qty));
+  const fills = legs.map((leg, i) => applySlippage(legMarks[i], leg.action.startsWith('BUY')));
+  const net = round2(legs.reduce((sum, leg, i) => sum + (leg.action.startsWith('BUY') ? 1 : -1) * fills[i] * (leg.qty / unit), 0));
+  if (pricing.priceType === 'NET_DEBIT' && net > pricing.limitPrice) return null;
+  if (pricing.priceType === 'NET_CREDIT' && -net < pricing.limitPrice) return null;
+  return { fills, net };
+}
+
+// Applies every leg or none: a rejected leg rolls the account back to its pre-fill state
+function applySpreadFill(account, legs, fills, orderId) {
+  const snapshot = JSON.stringify({ cash: account.cash, realized: account.realized, positions: account.positions });
+  const order = legs
+    .map((leg, i) => ({ leg, i }))
+    .sort((a, b) => Number(a.leg.action.startsWith('BUY')) - Number(b.leg.action.startsWith('BUY')));
+  let commission = 0;
+  let realized = 0;
+  try {
+    for (const { leg, i } of order) {
+      const fill = applyFill(account, { contract: leg.contract, action: leg.action, qty: leg.qty, fillPrice: fills[i], multiplier: 100, positionId: `P${orderId}-${i + 1}` });
+      commission += fill.commission;
+      realized += fill.realized;
+    }
+  } catch (err) {
+    Object.assign(account, JSON.parse(snapshot));
+    throw err;
+  }
+  return { commission: round2(commission), realized: round2(realized) };
+}
+
+function buildSpreadOrderRecord({ orderId, legs, fills, pricing, status, net }) {
+  const now = Date.now();
+  const executed = status === 'EXECUTED';
+  const unit = Math.min(...legs.map(leg => leg.qty));
+  const detail = {
+    placedTime: now,
+    executedTime: executed ? now : undefined,
+    orderValue: round2(Math.abs(executed ? net : (pricing.limitPrice || 0)) * unit * 100),
+    status,
+    orderTerm: pricing.orderTerm,
+    priceType: pricing.priceType,
+    marketSession: 'REGULAR',
+    Instrument: legs.map((leg, i) => ({
+      symbolDescription: describeContract(leg.contract),
+      orderAction: leg.action,
+      quantityType: 'QUANTITY',
+      orderedQuantity: leg.qty,
+      filledQuantity: executed ? leg.qty : 0,
+      averageExecutionPrice: executed ? fills[i] : undefined,
+      estimatedCommission: round2(commissionPerContract() * leg.qty),
+      osiKey: leg.contract.osiKey,
+      Product: buildProduct(leg.contract),
+    })),
+  };
+  if (pricing.limitPrice != null) detail.limitPrice = pricing.limitPrice;
+  return { orderId, orderType: 'SPREADS', OrderDetail: [detail] };
+}
+
+function markSpreadExecuted(order, fills, net) {
+  const detail = order.OrderDetail[0];
+  const unit = Math.min(...detail.Instrument.map(inst => inst.orderedQuantity));
+  detail.status = 'EXECUTED';
+  detail.executedTime = Date.now();
+  detail.orderValue = round2(Math.abs(net) * unit * 100);
+  detail.Instrument.forEach((inst, i) => {
+    inst.filledQuantity = inst.orderedQuantity;
+    inst.averageExecutionPrice = fills[i];
+  });
+  delete order.working;
+}
+
+function sweepWorkingSpread(account, order, marks) {
+  const { legs, pricing } = order.working;
+  const legMarks = legs.map(leg => markFor(leg.contract, marks));
+  const result = evaluateSpread(pricing, legs, legMarks);
+  if (!result) return;
+  try {
+    applySpreadFill(account, legs, result.fills, order.orderId);
+    markSpreadExecuted(order, result.fills, result.net);
+  } catch (err) {
+    closeWorkingOrder(order, 'REJECTED', err.message);
+  }
+}
+
+function sweepWorkingOrder(account, order, marks) {
+  if (isWorkingOrderStale(order)) {
+    closeWorkingOrder(order, 'EXPIRED');
+    return;
+  }
+  if (order.working.legs) {
+    sweepWorkingSpread(account, order, marks);
+    return;
+  }
+  const { contract, action, qty, pricing } = order.working;
+  const isBuy = action.startsWith('BUY');
+  const result = evaluateWorkingOrder(pricing, isBuy, markFor(contract, marks), order.working.triggered);
+  order.working.triggered = result.triggered;
+  if (result.fillPrice == null) return;
+  const multiplier = 100;
+  try {
+    const fill = applyFill(account, { contract, action, qty, fillPrice: result.fillPrice, multiplier, positionId: `P${order.orderId}` });
+    markOrderExecuted(order, { fillPrice: result.fillPrice, commission: fill.commission, multiplier });
+  } catch (err) {
+    closeWorkingOrder(order, 'REJECTED', err.message);
+  }
+}
+
+// Re-checks resting limit/stop orders against prefetched marks; called on portfolio and order reads
+function sweepWorkingOrders(account, marks) {
+  for (const order of account.orders) {
+    if (order.working) sweepWorkingOrder(account, order, marks);
+  }
+}
+
+async function getAccounts() {
+  const state = readState();
+  return Object.values(state.accounts).map(account => ({
+    accountId: account.accountId,
+    accountIdKey: account.accountIdKey,
+    accountMode: 'CASH',
+    accountDesc: account.accountDesc,
+    accountName: 'Paper',
+    accountType: 'INDIVIDUAL',
+    institutionType: 'BROKERAGE',
+    accountStatus: 'ACTIVE',
+  }));
+}
+
+function refreshMarks(account, marks) {
+  if (!markToMarket()) return;
+  for (const pos of account.positions) {
+    const mark = marks.get(pos.osiKey);
+    if (Number.isFinite(mark)) pos.mark = round2(mark);
+  }
+}
+
+function summarizeAccount(account) {
+  let marketValue = 0;
+  let longValue = 0;
+  let shortValue = 0;
+  for (const pos of account.positions) {
+    const value = pos.mark * pos.quantity * pos.multiplier;
+    marketValue += value;
+    if (value >= 0) longValue += value;
+    else shortValue += value;
+  }
+  return {
+    marketValue: round2(marketValue),
+    longValue: round2(longValue),
+    shortValue: round2(shortValue),
+    totalValue: round2(account.cash + marketValue),
+  };
+}
+
+async function getPortfolio(accountIdKey) {
+  const marks = await prefetchMarks(accountIdKey, { positions: true });
+  return withState((state) => {
+    const account = ensureAccount(state, accountIdKey);
+    sweepWorkingOrders(account, marks);
+    refreshMarks(account, marks);
+    const totals = summarizeAccount(account);
+    return {
+      account: {
+        accountId: account.accountId,
+        accountIdKey: account.accountIdKey,
+        accountDesc: account.accountDesc,
+        accountType: 'PAPER',
+        buyingPower: account.cash,
+        cashAvailableForWithdrawal: account.cash,
+        cashBalance: account.cash,
+        totalValue: totals.totalValue,
+        marginBuyingPower: 0,
+        settledCash: account.cash,
+      },
+      positions: account.positions.map(pos => {
+        const totalCost = round2(pos.avgPrice * pos.quantity * pos.multiplier);
+        const marketValue = round2(pos.mark * pos.quantity * pos.multiplier);
+        const gain = round2(marketValue - totalCost);
+        return {
+          symbol: pos.underlying,
+          underlyingSymbol: pos.underlying,
+          optionSymbol: pos.optionSymbol,
+          osiKey: pos.osiKey,
+          symbolDescription: pos.description,
+          quantity: pos.quantity,
+          pricePaid: pos.avgPrice,
+          totalCost,
+          marketValue,
+          unrealizedGainLoss: gain,
+          unrealizedGainLossPercent: totalCost ? round2((gain / Math.abs(totalCost)) * 100) : 0,
+          currentPrice: pos.mark,
+          positionType: pos.quantity >= 0 ? 'LONG' : 'SHORT',
+          positionId: pos.positionId,
+          expiry: pos.expiry,
+          strike: pos.strike,
+          callPut: pos.callPut,
+        };
+      }),
+    };
+  });
+}
+
+async function getAccountBalance(accountIdKey) {
+  const state = readState();
+  const account = state.accounts[accountIdKey] || createAccount(accountIdKey);
+  const totals = summarizeAccount(account);
+  return {
+    accountId: account.accountId,
+    accountIdKey: account.accountIdKey,
+    accountType: 'PAPER',
+    optionLevel: 'LEVEL_4',
+    accountDescription: account.accountDesc,
+    dayTraderStatus: null,
+    accountMode: 'CASH',
+    fundsForOpenOrdersCash: 0,
+    moneyMktBalance: 0,
+    cashAvailableForInvestment: account.cash,
+    cashAvailableForWithdrawal: account.cash,
+    totalAvailableForWithdrawal: account.cash,
+    netCash: account.cash,
+    cashBalance: account.cash,
+    settledCashForInvestment: account.cash,
+    unSettledCashForInvestment: 0,
+    marginBuyingPower: 0,
+    cashBuyingPower: account.cash,
+    dtMarginBuyingPower: 0,
+    dtCashBuyingPower: account.cash,
+    marginBalance: 0,
+    accountBalance: account.cash,
+    totalAccountValue: totals.totalValue,
+    netMv: totals.marketValue,
+    netMvLong: totals.longValue,
+    netMvShort: totals.shortValue,
+    realizedGainLoss: account.realized || 0,
+  };
+}
+
+async function previewOptionOrder({
+  accountIdKey,
+  optionSymbol,
+  underlyingSymbol,
+  quantity,
+  orderAction,
+  callPut,
+  strike,
+  expiry,
+  price,
+  priceType = 'MARKET',
+  limitPrice,
+  stopPrice,
+  timeInForce = 'DAY',
+}) {
+  if (!accountIdKey) throw paperError('Account ID (accountIdKey) is required');
+  if (!optionSymbol && !underlyingSymbol) throw paperError('Option symbol or underlying symbol is required');
+  const pricing = toPaperPricing({ priceType, limitPrice, stopPrice, timeInForce });
+  const { rawQty, absQty } = resolveQuantity(quantity);
+  const action = resolveAction(orderAction, rawQty);
+  const contract = resolveContract({ optionSymbol, underlyingSymbol, callPut, strike, expiry });
+  const estimatedPrice = pricing.limitPrice ?? await resolveFillPrice(contract, price, action.startsWith('BUY'));
+  const commission = round2(commissionPerContract() * absQty);
+  const estimatedCost = round2(estimatedPrice * absQty * 100);
+  const warnings = ['Paper trading: no order will reach a real brokerage account'];
+  return {
+    previewId: null,
+    orderType: pricing.priceType,
+    orderTerm: pricing.orderTerm,
+    limitPrice: pricing.limitPrice ?? null,
+    stopPrice: pricing.stopPrice ?? null,
+    estimatedPrice,
+    estimatedCost,
+    commission,
+    warnings,
+    rawPreview: { paper: true, contract: describeContract(contract), action, quantity: absQty, estimatedPrice },
+  };
+}
+
+function toPaperPricing(params) {
+  try {
+    return normalizeOrderPricing(params);
+  } catch (err) {
+    throw paperError(err.message);
+  }
+}
+
+async function placeOptionOrder({
+  accountIdKey,
+  optionSymbol,
+  underlyingSymbol,
+  quantity,
+  orderAction,
+  callPut,
+  strike,
+  expiry,
+  price,
+  priceType = 'MARKET',
+  limitPrice,
+  stopPrice,
+  timeInForce = 'DAY',
+}) {
+  if (!accountIdKey) throw paperError('Account ID (accountIdKey) is required');
+  if (!optionSymbol && !underlyingSymbol) {
+    throw paperError('Option symbol or underlying symbol is required');
+  }
+  const pricing = toPaperPricing({ priceType, limitPrice, stopPrice, timeInForce });
+  const { rawQty, absQty } = resolveQuantity(quantity);
+  const action = resolveAction(orderAction, rawQty);
+  const isBuy = action.startsWith('BUY');
+  const contract = resolveContract({ optionSymbol, underlyingSymbol, callPut, strike, expiry });
+
+  let fillPrice = null;
+  let triggered = false;
+  if (pricing.priceType === 'MARKET') {
+    fillPrice = await resolveFillPrice(contract, price, isBuy);
+  } else {
+    const reference = await quoteContract(contract) ?? (Number(price) > 0 ? Number(price) : null);
+    ({ fillPrice, triggered } = evaluateWorkingOrder(pricing, isBuy, reference));
+  }
+
+  return withState((state) => {
+    const account = ensureAccount(state, accountIdKey);
+    const multiplier = 100;
+    const orderId = state.nextId++;
+    const previewId = `PV${orderId}`;
+    const base = { orderId, contract, action, qty: absQty, multiplier, pricing };
+    let order;
+    let fill = null;
+    let messages;
+
+    if (fillPrice != null) {
+      fill = applyFill(account, { contract, action, qty: absQty, fillPrice, multiplier, positionId: `P${orderId}` });
+      order = buildOrderRecord({ ...base, fillPrice, commission: fill.commission });
+      messages = [`Paper ${action} ${absQty} ${describeContract(contract)} filled at $${fillPrice.toFixed(2)}`];
+    } else if (pricing.orderTerm === 'IMMEDIATE_OR_CANCEL' || pricing.orderTerm === 'FILL_OR_KILL') {
+      order = buildOrderRecord({ ...base, commission: 0, status: 'CANCELLED' });
+      messages = [`Paper ${action} ${absQty} ${describeContract(contract)} not marketable at $${pricing.limitPrice.toFixed(2)}; cancelled (${timeInForce})`];
+    } else {
+      order = buildOrderRecord({ ...base, commission: 0, status: 'OPEN' });
+      order.working = { contract, action, qty: absQty, pricing, triggered };
+      messages = [`Paper ${pricing.priceType} ${action} ${absQty} ${describeContract(contract)} working (${pricing.orderTerm})`];
+    }
+    account.orders.push(order);
+
+    return {
+      previewId,
+      orderId,
+      priceType: pricing.priceType,
+      orderTerm: pricing.orderTerm,
+      limitPrice: pricing.limitPrice ?? null,
+      stopPrice: pricing.stopPrice ?? null,
+      status: order.OrderDetail[0].status,
+      messages,
+      rawPreview: { paper: true, previewId },
+      rawPlace: { paper: true, orderId, fillPrice, commission: fill?.commission ?? 0, realized: fill?.realized ?? 0, cash: account.cash },
+    };
+  });
+}
+
+async function placeOptionMarketOrder(params) {
+  return placeOptionOrder({ ...params, priceType: 'MARKET', limitPrice: undefined, stopPrice: undefined, timeInForce: 'DAY' });
+}
+
+function resolveSpreadLegs(legs) {
+  if (!Array.isArray(legs) || legs.length < 2) throw paperError('A spread order needs at least two legs');
+  if (legs.length > 4) throw paperError('Spread orders support at most four legs');
+  const resolved = legs.map((leg, index) => {
+    const action = String(leg?.orderAction || '').trim().toUpperCase();
+    if (!['BUY_OPEN', 'SELL_OPEN', 'BUY_CLOSE', 'SELL_CLOSE'].includes(action)) {
+      throw paperError(`Leg ${index + 1}: orderAction must be BUY_OPEN, SELL_OPEN, BUY_CLOSE or SELL_CLOSE`);
+    }
+    const { absQty } = resolveQuantity(leg.quantity);
+    return { contract: resolveContract(leg), action, qty: absQty, price: Number(leg.price) };
+  });
+  if (new Set(resolved.map(leg => leg.contract.underlying)).size > 1) {
+    throw paperError('Spread legs must share one underlying');
+  }
+  if (new Set(resolved.map(leg => leg.contract.osiKey)).size !== resolved.length) {
+    throw paperError('Spread legs must reference distinct contracts');
+  }
+  return resolved;
+}
+
+// Live chain mids first; per-leg `price` is the offline fallback, as with single-leg orders
+async function spreadLegMarks(legs) {
+  const marks = [];
+  for (const leg of legs) {
+    const quoted = await quoteContract(leg.contract);
+    marks.push(quoted ?? (leg.price > 0 ? leg.price : null));
+  }
+  return marks;
+}
+
+function toPaperSpreadPricing(params) {
+  try {
+    return normalizeSpreadPricing(params);
+  } catch (err) {
+    throw paperError(err.message);
+  }
+}
+
+function describeSpreadLegs(legs) {
+  return legs.map(leg => ({
+    orderAction: leg.action,
+    quantity: leg.qty,
+    underlying: leg.contract.underlying,
+    callPut: leg.contract.callPut,
+    strike: leg.contract.strike,
+    osiKey: leg.contract.osiKey,
+  }));
+}
+
+async function previewSpreadOrder({ accountIdKey, legs, priceType, limitPrice, timeInForce = 'DAY' }) {
+  if (!accountIdKey) throw paperError('Account ID (accountIdKey) is required');
+  const pricing = toPaperSpreadPricing({ priceType, limitPrice, timeInForce });
+  const resolved = resolveSpreadLegs(legs);
+  const marks = await spreadLegMarks(resolved);
+  const unit = Math.min(...resolved.map(leg => leg.qty));
+  const net = marks.every(Number.isFinite)
+    ? round2(resolved.reduce((sum, leg, i) => sum + (leg.action.startsWith('BUY') ? 1 : -1) * marks[i] * (leg.qty / unit), 0))
+    : null;
+  const warnings = ['Paper trading: no order will reach a real brokerage account'];
+  if (net == null) warnings.push('Some legs could not be quoted; pass a per-leg price to estimate the package');
+  return {
+    previewId: null,
+    orderType: pricing.priceType,
+    orderTerm: pricing.orderTerm,
+    limitPrice: pricing.limitPrice ?? null,
+    legs: describeSpreadLegs(resolved),
+    estimatedNet: net,
+    estimatedCost: round2(Math.abs(pricing.limitPrice ?? net ?? 0) * unit * 100),
+    commission: round2(resolved.reduce((sum, leg) => sum + commissionPerContract() * leg.qty, 0)),
+    warnings,
+    rawPreview: { paper: true, legs: resolved.map(leg => describeContract(leg.contract)), marks, net },
+  };
+}
+
+async function placeSpreadOrder({ accountIdKey, legs, priceType, limitPrice, timeInForce = 'DAY' }) {
+  if (!accountIdKey) throw paperError('Account ID (accountIdKey) is required');
+  const pricing = toPaperSpreadPricing({ priceType, limitPrice, timeInForce });
+  const resolved = resolveSpreadLegs(legs);
+  const result = evaluateSpread(pricing, resolved, await spreadLegMarks(resolved));
+
+  return withState((state) => {
+    const account = ensureAccount(state, accountIdKey);
+    const orderId = state.nextId++;
+    const previewId = `PV${orderId}`;
+    const workingLegs = resolved.map(({ contract, action, qty }) => ({ contract, action, qty }));
+    let order;
+    let fill = null;
+    let messages;
+
+    if (result) {
+      fill = applySpreadFill(account, workingLegs, result.fills, orderId);
+      order = buildSpreadOrderRecord({ orderId, legs: workingLegs, fills: result.fills, pricing, status: 'EXECUTED', net: result.net });
+      messages = [`Paper spread (${workingLegs.length} legs) filled at net ${result.net >= 0 ? 'debit' : 'credit'} $${Math.abs(result.net).toFixed(2)}`];
+    } else if (pricing.orderTerm === 'IMMEDIATE_OR_CANCEL' || pricing.orderTerm === 'FILL_OR_KILL') {
+      order = buildSpreadOrderRecord({ orderId, legs: workingLegs, pricing, status: 'CANCELLED' });
+      messages = [`Paper spread not marketable at ${pricing.priceType} $${(pricing.limitPrice ?? 0).toFixed(2)}; cancelled (${timeInForce})`];
+    } else {
+      order = buildSpreadOrderRecord({ orderId, legs: workingLegs, pricing, status: 'OPEN' });
+      order.working = { legs: workingLegs, pricing };
+      messages = [`Paper spread ${pricing.priceType} working (${pricing.orderTerm})`];
+    }
+    account.orders.push(order);
+
+    return {
+      previewId,
+      orderId,
+      priceType: pricing.priceType,
+      orderTerm: pricing.orderTerm,
+      limitPrice: pricing.limitPrice ?? null,
+      status: order.OrderDetail[0].status,
+      legs: describeSpreadLegs(workingLegs),
+      messages,
+      rawPreview: { paper: true, previewId },
+      rawPlace: { paper: true, orderId, net: result?.net ?? null, fills: result?.fills ?? null, commission: fill?.commission ?? 0, realized: fill?.realized ?? 0, cash: account.cash },
+    };
+  });
+}
+
+function findWorkingOrder(account, orderId) {
+  const order = account?.orders.find(item => String(item.orderId) === String(orderId));
+  if (!order) throw paperError(`Paper order ${orderId} not found`, 404);
+  if (!order.working) throw paperError(`Paper order ${orderId} is ${order.OrderDetail[0].status} and can no longer be changed`);
+  return order;
+}
+
+async function cancelOrder(accountIdKey, orderId) {
+  if (!accountIdKey) throw paperError('Account ID (accountIdKey) is required');
+  return withState((state) => {
+    const order = findWorkingOrder(state.accounts[accountIdKey], orderId);
+    closeWorkingOrder(order, 'CANCELLED');
+    const cancelTime = Date.now();
+    return {
+      orderId: order.orderId,
+      cancelTime,
+      messages: [`Paper order ${order.orderId} cancelled`],
+      raw: { paper: true, orderId: order.orderId, cancelTime },
+    };
+  });
+}
+
+// Validates the new pricing against the working order without touching state
+function resolveChangedPricing(order, { priceType, limitPrice, stopPrice, timeInForce, quantity } = {}) {
+  const { pricing } = order.working;
+  const next = {
+    priceType: priceType || pricing.priceType,
+    limitPrice: limitPrice ?? pricing.limitPrice,
+    timeInForce: timeInForce || pricing.orderTerm,
+  };
+  if (order.working.legs) {
+    if (quantity != null) throw paperError('Spread quantity cannot be changed; cancel and re-enter instead');
+    return { pricing: toPaperSpreadPricing(next), qty: null };
+  }
+  const qty = quantity != null ? Math.abs(Math.trunc(Number(quantity))) : order.working.qty;
+  if (!qty) throw paperError('Quantity must be at least one contract');
+  return { pricing: toPaperPricing({ ...next, stopPrice: stopPrice ?? pricing.stopPrice }), qty };
+}
+
+async function changePreviewedOrder({ accountIdKey, orderId, ...changes }) {
+  if (!accountIdKey) throw paperError('Account ID (accountIdKey) is required');
+  const order = findWorkingOrder(readState().accounts[accountIdKey], orderId);
+  const { pricing, qty } = resolveChangedPricing(order, changes);
+  const previewId = `PVC${order.orderId}-${Date.now().toString(36)}`;
+  return {
+    orderId: order.orderId,
+    previewId,
+    priceType: pricing.priceType,
+    orderTerm: pricing.orderTerm,
+    limitPrice: pricing.limitPrice ?? null,
+    stopPrice: pricing.stopPrice ?? null,
+    quantity: qty,
+    warnings: ['Paper trading: no order will reach a real brokerage account'],
+    changes,
+    rawPreview: { paper: true, previewId, orderId: order.orderId, pricing, quantity: qty },
+  };
+}
+
+async function placeChangedOrder({ accountIdKey, orderId, preview }) {
+  if (!accountIdKey) throw paperError('Account ID (accountIdKey) is required');
+  const marks = await fetchMarks(workingContracts(findWorkingOrder(readState().accounts[accountIdKey], orderId)));
+  return withState((state) => {
+    const account = state.accounts[accountIdKey];
+    const order = findWorkingOrder(account, orderId);
+    const { pricing, qty } = resolveChangedPricing(order, preview?.changes);
+    const detail = order.OrderDetail[0];
+    order.working.pricing = pricing;
+    order.working.triggered = false;
+    detail.priceType = pricing.priceType;
+    detail.orderTerm = pricing.orderTerm;
+    detail.limitPrice = pricing.limitPrice;
+    detail.stopPrice = pricing.stopPrice;
+    if (qty != null) {
+      order.working.qty = qty;
+      detail.Instrument[0].orderedQuantity = qty;
+    }
+    sweepWorkingOrder(account, order, marks);
+    return {
+      previewId: preview?.previewId || null,
+      orderId: order.orderId,
+      replacedOrderId: order.orderId,
+      priceType: pricing.priceType,
+      orderTerm: pricing.orderTerm,
+      limitPrice: pricing.limitPrice ?? null,
+      stopPrice: pricing.stopPrice ?? null,
+      status: detail.status,
+      messages: [`Paper order ${order.orderId} changed to ${pricing.priceType}${pricing.limitPrice != null ? ` $${pricing.limitPrice.toFixed(2)}` : ''} (${detail.status})`],
+      rawPreview: preview?.rawPreview || null,
+      rawPlace: { paper: true, orderId: order.orderId, status: detail.status, cash: account.cash },
+    };
+  });
+}
+
+async function replaceOrder(params) {
+  const preview = await changePreviewedOrder(params);
+  return placeChangedOrder({ accountIdKey: params.accountIdKey, orderId: params.orderId, preview });
+}
+
+// Accepts the same MMDDYYYY, MM/DD/YYYY and YYYY-MM-DD formats the UI tries against E*TRADE
+function parseOrderDate(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])).getTime();
+  match = text.replace(/\//g, '').match(/^(\d{2})(\d{2})(\d{4})$/);
+  if (match) return new Date(Number(match[3]), Number(match[1]) - 1, Number(match[2])).getTime();
+  return null;
+}
+
+async function getOrders(accountIdKey, params = {}) {
+  if (!accountIdKey) throw paperError('Account ID (accountIdKey) is required');
+  const marks = await prefetchMarks(accountIdKey);
+  const state = await withState((current) => {
+    if (current.accounts[accountIdKey]) sweepWorkingOrders(current.accounts[accountIdKey], marks);
+    return current;
+  });
+  const account = state.accounts[accountIdKey];
+  let orders = account ? account.orders.map(({ working, ...order }) => order) : [];
+  const from = parseOrderDate(params.fromDate);
+  const to = parseOrderDate(params.toDate);
+  const status = params.status ? String(params.status).toUpperCase() : null;
+  const symbols = params.symbol ? String(params.symbol).toUpperCase().split(',') : null;
+  orders = orders.filter((order) => {
+    const detail = order.OrderDetail[0];
+    if (from != null && detail.placedTime < from) return false;
+    if (to != null && detail.placedTime >= to) return false;
+    if (status && detail.status !== status) return false;
+    if (symbols && !symbols.includes(detail.Instrument[0].Product.symbol)) return false;
+    return true;
+  });
+  orders.sort((a, b) => b.OrderDetail[0].placedTime - a.OrderDetail[0].placedTime);
+  const count = Number(params.count);
+  if (Number.isFinite(count) && count > 0) orders = orders.slice(0, count);
+  return { OrdersResponse: { Order: orders } };
+}
+
+module.exports = {
+  getAccounts,
+  getPortfolio,
+  getAccountBalance,
+  placeOptionMarketOrder,
+  placeOptionOrder,
+  previewOptionOrder,
+  placeSpreadOrder,
+  previewSpreadOrder,
+  cancelOrder,
+  changePreviewedOrder,
+  placeChangedOrder,
+  replaceOrder,
+  getOrders,
+  defaultAccountKey,
+};
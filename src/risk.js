@@ -1,6 +1,105 @@
-function computeQty({ accountSize, riskPct = 0.01, entry, stop, multiplier = 100, maxContracts = 100, strategy = 'default' }) {
+const { getQuotes } = require('./providers/quotes');
+const { greeksFromMarket, getPricingProfile, yearsToExpiry } = require('./strategy/options');
+const { getPlaybookStats } = require('./utils/playbook-stats');
+
+const SIZING_MODELS = ['fixed_fraction', 'volatility', 'kelly', 'premium_cap'];
+
+// ATR as a fraction of price that earns the plain risk budget; day trades read 1m bars, swings daily
+const TARGET_ATR_PCT = { day_trade: 0.001, scalping: 0.001, swing_trade: 0.02, default: 0.02 };
+
+function positiveNumber(value, fallback = null) {
+  const num = Number(value);
+  return value != null && value !== '' && Number.isFinite(num) && num > 0 ? num : fallback;
+}
+
+// Explicit model, then SIZING_MODEL_<STRATEGY>, then SIZING_MODEL, then fixed_fraction. An unknown
+// explicit model is a caller error; a mistyped env value sizes with fixed_fraction and says so.
+function resolveSizingModel(strategy = 'default', requested) {
+  const envName = [`SIZING_MODEL_${String(strategy).toUpperCase()}`, 'SIZING_MODEL'].find((name) => process.env[name]);
+  const model = String(requested || (envName && process.env[envName]) || 'fixed_fraction').trim().toLowerCase();
+  if (SIZING_MODELS.includes(model)) return { model, fallback: null };
+  const expected = `expected ${SIZING_MODELS.join(', ')}`;
+  if (requested) throw new Error(`Unknown sizing model "${model}" (${expected})`);
+  return { model: 'fixed_fraction', fallback: `${envName}: unknown sizing model "${model}" (${expected})` };
+}
+
+// volatility and kelly read recent bars (ATR, the leading playbook); other models need no fetch
+function sizingUsesBars(strategy, requested) {
+  return ['volatility', 'kelly'].includes(resolveSizingModel(strategy, requested).model);
+}
+
+// Scales the risk fraction by target ATR% / current ATR%: noisy tapes trade smaller, quiet ones
+// up to 1.5x larger
+function volatilityBudget({ accountSize, riskPct, atr, underlyingPrice, strategy }) {
+  if (!(atr > 0) || !(underlyingPrice > 0)) return { fallback: 'ATR or underlying price unavailable' };
+  const atrPct = atr / underlyingPrice;
+  const targetAtrPct = positiveNumber(process.env.SIZING_TARGET_ATR_PCT, TARGET_ATR_PCT[strategy] ?? TARGET_ATR_PCT.default);
+  const scale = Math.min(1.5, Math.max(0.25, targetAtrPct / atrPct));
+  const pct = riskPct * scale;
+  return {
+    riskPct: pct,
+    budget: accountSize * pct,
+    detail: { atr: round(atr, 4), atrPct: round(atrPct, 5), targetAtrPct, scale: round(scale, 3) },
+  };
+}
+
+// Fractional Kelly on the backtested win rate and payoff; a negative edge sizes to zero
+function kellyBudget({ accountSize, strategy, playbook, stats }) {
+  const minTrades = positiveNumber(process.env.SIZING_KELLY_MIN_TRADES, 30);
+  const record = stats || getPlaybookStats(strategy, playbook, { minTrades });
+  if (!record || !(record.trades >= minTrades)) {
+    return { fallback: `fewer than ${minTrades} backtested trades (npm run backtest -- --save-stats)` };
+  }
+  const winRate = Number(record.winRate);
+  const payoff = Number(record.avgWin) / Math.abs(Number(record.avgLoss));
+  if (!Number.isFinite(winRate) || !Number.isFinite(payoff) || payoff <= 0) return { fallback: 'win rate or payoff missing from stats' };
+  const kelly = winRate - (1 - winRate) / payoff;
+  const fraction = positiveNumber(process.env.SIZING_KELLY_FRACTION, 0.25);
+  const maxPct = positiveNumber(process.env.SIZING_KELLY_MAX_PCT, 0.02);
+  const pct = Math.min(Math.max(0, kelly * fraction), maxPct);
+  return {
+    riskPct: pct,
+    budget: accountSize * pct,
+    detail: {
+      source: record.source || 'supplied',
+      trades: record.trades,
+      winRate: round(winRate, 4),
+      payoff: round(payoff, 3),
+      kelly: round(kelly, 4),
+      fraction,
+      maxPct,
+    },
+  };
+}
+
+// Fixed dollars of premium per trade regardless of where the stop sits
+function premiumCapBudget({ accountSize, premiumCap }) {
+  const cap = positiveNumber(premiumCap, positiveNumber(process.env.SIZING_PREMIUM_CAP));
+  if (!cap) return { fallback: 'SIZING_PREMIUM_CAP not set' };
+  return { riskPct: accountSize > 0 ? cap / accountSize : null, budget: cap, detail: { premiumCap: cap } };
+}
+
+// `model` picks the sizing model (see resolveSizingModel). volatility needs atr + underlyingPrice,
+// kelly reads saved playbook stats (or `stats`), premium_cap divides the cap by the contract cost.
+// A model that lacks its inputs falls back to fixed_fraction and says why in sizingFallback.
+function computeQty({
+  accountSize,
+  riskPct = 0.01,
+  entry,
+  stop,
+  multiplier = 100,
+  maxContracts = 100,
+  strategy = 'default',
+  model,
+  atr,
+  underlyingPrice,
+  playbook,
+  stats,
+  premiumCap,
+}) {
+  const { model: requestedModel, fallback: modelFallback } = resolveSizingModel(strategy, model);
   const perContractRisk = Math.max(0, (entry - stop)) * multiplier;
-  if (perContractRisk <= 0) return { qty: 0, perContractRisk: 0, totalRisk: 0 };
+  if (perContractRisk <= 0) return { qty: 0, perContractRisk: 0, totalRisk: 0, sizingModel: requestedModel, sizingFallback: modelFallback };
 
   // Adjust risk percentage based on strategy
   let adjustedRiskPct = riskPct;
@@ -24,8 +123,26 @@ function computeQty({ accountSize, riskPct = 0.01, entry, stop, multiplier = 100
       break;
   }
 
-  const riskBudget = accountSize * adjustedRiskPct;
-  let qty = Math.floor(riskBudget / perContractRisk);
+  let sized = { riskPct: adjustedRiskPct, budget: accountSize * adjustedRiskPct, detail: null };
+  let sizingModel = requestedModel;
+  let sizingFallback = modelFallback;
+  let unitCost = perContractRisk;
+  if (requestedModel !== 'fixed_fraction') {
+    const inputs = { accountSize, riskPct: adjustedRiskPct, atr, underlyingPrice, strategy, playbook, stats, premiumCap };
+    const result = requestedModel === 'volatility' ? volatilityBudget(inputs)
+      : requestedModel === 'kelly' ? kellyBudget(inputs)
+        : premiumCapBudget(inputs);
+    if (result.fallback) {
+      sizingModel = 'fixed_fraction';
+      sizingFallback = `${requestedModel}: ${result.fallback}`;
+    } else {
+      sized = result;
+      if (requestedModel === 'premium_cap') unitCost = entry * multiplier;
+    }
+  }
+
+  const riskBudget = sized.budget;
+  let qty = Math.floor(riskBudget / unitCost);
   if (!isFinite(qty) || qty < 0) qty = 0;
   qty = Math.min(qty, adjustedMaxContracts);
 
@@ -33,9 +150,12 @@ function computeQty({ accountSize, riskPct = 0.01, entry, stop, multiplier = 100
     qty,
     perContractRisk,
     totalRisk: qty * perContractRisk,
-    adjustedRiskPct,
+    adjustedRiskPct: sized.riskPct,
     riskBudget,
-    strategy
+    strategy,
+    sizingModel,
+    sizingDetail: sized.detail,
+    sizingFallback,
   };
 }
 
@@ -92,9 +212,171 @@ function validateRiskParameters({ accountSize, riskPct, entry, stop, strategy })
   return { valid: warnings.length === 0, warnings, profile };
 }
 
+// Rough betas against SPY; PORTFOLIO_BETAS=TSLA:2.3,XYZ:1.4 overrides or extends the table
+const DEFAULT_BETAS = {
+  SPY: 1, SPX: 1, QQQ: 1.15, AAPL: 1.2, MSFT: 0.9, GOOGL: 1.05, META: 1.25, AMZN: 1.15,
+  NVDA: 1.7, AMD: 1.7, AVGO: 1.3, TSLA: 2.0, NFLX: 1.3, CRM: 1.2, AMAT: 1.5, GS: 1.3,
+  UNH: 0.6, BABA: 0.7, GLD: 0.1, COIN: 2.8, PLTR: 2.3, HOOD: 2.4, CVNA: 2.6, SNOW: 1.5,
+};
+
+function parseBetaOverrides(value = process.env.PORTFOLIO_BETAS) {
+  const out = {};
+  for (const entry of String(value || '').split(',')) {
+    const [symbol, beta] = entry.split(':').map((part) => part && part.trim());
+    if (symbol && Number.isFinite(Number(beta))) out[symbol.toUpperCase()] = Number(beta);
+  }
+  return out;
+}
+
+function resolveBeta(symbol) {
+  const key = String(symbol || '').toUpperCase();
+  const overrides = parseBetaOverrides();
+  if (overrides[key] != null) return { beta: overrides[key], betaSource: 'override' };
+  if (DEFAULT_BETAS[key] != null) return { beta: DEFAULT_BETAS[key], betaSource: 'table' };
+  return { beta: 1, betaSource: 'assumed' };
+}
+
+function leverageWarnLevel() {
+  const value = Number(process.env.PORTFOLIO_LEVERAGE_WARN);
+  return Number.isFinite(value) && value > 0 ? value : 2;
+}
+
+function round(value, digits = 2) {
+  return Number.isFinite(value) ? Number(value.toFixed(digits)) : null;
+}
+
+// Sums per-leg Greeks into share/dollar exposure. Each leg needs { symbol, qty, multiplier,
+// underlyingPrice, greeks: { delta, gamma, theta, vega } } with per-contract Greeks (theta per
+// day, vega per vol point). Beta-weighted delta is expressed in SPY shares and dollars, and
+// leverage compares it to accountValue (3 = positioned like 3x the account in SPY).
+function summarizePortfolioRisk(legs, { spyPrice = null, accountValue = null } = {}) {
+  const totals = { delta: 0, gamma: 0, theta: 0, vega: 0, notional: 0, deltaDollars: 0, betaDeltaDollars: 0 };
+  const byUnderlying = {};
+  const unpriced = [];
+
+  for (const leg of legs) {
+    const S = Number(leg.underlyingPrice);
+    const greeks = leg.greeks;
+    if (!(S > 0) || !greeks || !Number.isFinite(greeks.delta)) {
+      unpriced.push(leg.optionSymbol || leg.symbol);
+      continue;
+    }
+    const units = Number(leg.qty) * (Number(leg.multiplier) || 100);
+    const { beta, betaSource } = resolveBeta(leg.symbol);
+    const exposure = {
+      delta: greeks.delta * units,
+      gamma: (greeks.gamma || 0) * units,
+      theta: (greeks.theta || 0) * units,
+      vega: (greeks.vega || 0) * units,
+      notional: Math.abs(units) * S,
+      deltaDollars: greeks.delta * units * S,
+    };
+    exposure.betaDeltaDollars = exposure.deltaDollars * beta;
+
+    const bucket = byUnderlying[leg.symbol] || (byUnderlying[leg.symbol] = {
+      symbol: leg.symbol, underlyingPrice: S, beta, betaSource, legs: 0,
+      delta: 0, gamma: 0, theta: 0, vega: 0, notional: 0, deltaDollars: 0, betaDeltaDollars: 0,
+    });
+    bucket.legs += 1;
+    for (const key of Object.keys(totals)) {
+      totals[key] += exposure[key];
+      bucket[key] += exposure[key];
+    }
+  }
+
+  const finish = (row) => ({
+    ...row,
+    delta: round(row.delta),
+    gamma: round(row.gamma, 4),
+    theta: round(row.theta),
+    vega: round(row.vega),
+    notional: round(row.notional),
+    deltaDollars: round(row.deltaDollars),
+    betaDeltaDollars: round(row.betaDeltaDollars),
+    spyDelta: spyPrice > 0 ? round(row.betaDeltaDollars / spyPrice) : null,
+  });
+
+  const summary = finish(totals);
+  const leverage = accountValue > 0 ? round(totals.betaDeltaDollars / accountValue) : null;
+  const warnLevel = leverageWarnLevel();
+  return {
+    ...summary,
+    spyPrice: round(spyPrice),
+    accountValue: round(accountValue),
+    leverage,
+    warning: leverage != null && Math.abs(leverage) >= warnLevel
+      ? `Beta-weighted exposure is ${Math.abs(leverage).toFixed(1)}x the account ${leverage > 0 ? 'long' : 'short'} SPY`
+      : null,
+    byUnderlying: Object.values(byUnderlying).map(finish),
+    legs: legs.length - unpriced.length,
+    unpriced,
+  };
+}
+
+function isOptionPosition(position) {
+  const callPut = String(position?.callPut || '').toUpperCase();
+  return callPut === 'CALL' || callPut === 'PUT';
+}
+
+function underlyingOf(position) {
+  const raw = String(position.underlyingSymbol || position.symbol || '').trim().toUpperCase();
+  return raw.replace(/\d{6}[CP]\d{8}$/, '').split(/[\s-]/)[0];
+}
+
+// getPortfolio positions -> priced legs; Greeks are implied from each position's mark
+function legsFromPositions(positions, quotes, { asOf = new Date(), r = Number(process.env.RISK_FREE ?? 0.01) } = {}) {
+  return positions.filter(isOptionPosition).map((position) => {
+    const symbol = underlyingOf(position);
+    const rawQty = Number(position.quantity || 0);
+    // Short positions may come back with a positive quantity and positionType SHORT
+    const qty = String(position.positionType || '').toUpperCase() === 'SHORT' ? -Math.abs(rawQty) : rawQty;
+    const multiplier = Number(position.multiplier) || 100;
+    const current = Number(position.currentPrice);
+    const marketValue = Number(position.marketValue);
+    const price = current > 0
+      ? current
+      : (Number.isFinite(marketValue) && qty ? Math.abs(marketValue / (qty * multiplier)) : null);
+    const underlyingPrice = quotes[symbol]?.price ?? null;
+    const pricing = getPricingProfile(symbol);
+    const { greeks } = price > 0 && underlyingPrice > 0 && position.expiry
+      ? greeksFromMarket({
+        price,
+        S: underlyingPrice,
+        K: Number(position.strike),
+        T: yearsToExpiry(position.expiry, asOf),
+        r,
+        q: pricing.dividendYield,
+        type: position.callPut.toLowerCase(),
+        model: pricing.model,
+      })
+      : { greeks: null };
+    return { symbol, optionSymbol: position.optionSymbol || position.osiKey || null, qty, multiplier, underlyingPrice, greeks };
+  }).filter((leg) => leg.qty);
+}
+
+// Quotes every underlying plus SPY, then aggregates the portfolio's option positions
+async function fetchPortfolioRisk(portfolio, { provider = process.env.QUOTE_PROVIDER || 'fmp', accountValue, asOf } = {}) {
+  const positions = (portfolio?.positions || []).filter(isOptionPosition);
+  const symbols = [...new Set(['SPY', ...positions.map(underlyingOf)])];
+  const quotes = positions.length ? await getQuotes(symbols, { provider }) : {};
+  const legs = legsFromPositions(positions, quotes, { asOf });
+  return summarizePortfolioRisk(legs, {
+    spyPrice: quotes.SPY?.price ?? null,
+    accountValue: accountValue ?? portfolio?.account?.totalValue ?? null,
+  });
+}
+
 module.exports = {
+  SIZING_MODELS,
   computeQty,
+  resolveSizingModel,
+  sizingUsesBars,
   getRiskProfile,
   validateRiskParameters,
+  resolveBeta,
+  isOptionPosition,
+  underlyingOf,
+  summarizePortfolioRisk,
+  fetchPortfolioRisk,
 };
 
@@ -1,26 +1,17 @@
 // Simple rule gates using streaming quotes (no volumes)
-// Maintains per-symbol rolling window to compute EMAs and slope.
+// Fast/slow EMAs and slopes come from the shared indicator engine's per-quote ('tick') series.
 
-const state = new Map();
-const metrics = new Map();
+const engine = require('../strategy/indicator-engine');
 
-function getBuf(symbol) {
-  if (!state.has(symbol)) state.set(symbol, []);
-  return state.get(symbol);
-}
+const metrics = new Map();
 
-function pushQuote({ symbol, price, ts }, maxLen = 600) {
-  const buf = getBuf(symbol);
-  buf.push({ t: new Date(ts).getTime() || Date.now(), p: Number(price) });
-  if (buf.length > maxLen) buf.splice(0, buf.length - maxLen);
+// fast/slow must be known when a symbol's first quote arrives: the EMAs start from that quote
+function pushQuote({ symbol, price, ts }, { fast = 5, slow = 20 } = {}) {
+  engine.updateQuote(symbol, 'tick', { price, ts }, { emaPeriods: [fast, slow] });
 }
 
-function ema(values, period) {
-  if (!values || values.length === 0) return null;
-  const k = 2 / (period + 1);
-  let e = values[0];
-  for (let i = 1; i < values.length; i++) e = values[i] * k + e * (1 - k);
-  return e;
+function lastPrice(symbol) {
+  return engine.snapshot(symbol, 'tick')?.close ?? null;
 }
 
 function slope(values) {
@@ -30,11 +21,11 @@ function slope(values) {
 }
 
 function computeIndicators(symbol, { fast = 5, slow = 20 } = {}) {
-  const buf = getBuf(symbol);
-  if (buf.length < Math.max(fast, slow)) return { ready: false };
-  const prices = buf.map(x => x.p);
-  const fastEma = ema(prices.slice(-fast), fast);
-  const slowEma = ema(prices.slice(-slow), slow);
+  const snap = engine.snapshot(symbol, 'tick');
+  const fastEma = snap?.emas[fast] ?? null;
+  const slowEma = snap?.emas[slow] ?? null;
+  if (fastEma == null || slowEma == null) return { ready: false };
+  const prices = snap.recentCloses;
   const fastSlope = slope(prices.slice(-fast));
   const slowSlope = slope(prices.slice(-slow));
   return {
@@ -75,7 +66,7 @@ function evaluate(symbol, side, opts = {}) {
     else {
       // VWAP side check
       if (requireVWAP) {
-        const last = getBuf(symbol).slice(-1)[0]?.p;
+        const last = lastPrice(symbol);
         if (last != null && m.vwap != null) {
           const ok = side === 'call' ? (last >= m.vwap) : (last <= m.vwap);
           if (!ok) { res.pass = false; res.reasons.push('vwap_side'); }
@@ -3,66 +3,23 @@ require('dotenv').config();
 
 const { fetchFmpBars } = require('../providers/bars');
 const { getEquityQuotes, getOptionChain } = require('../providers/etrade');
+const { greeksFromMarket, getPricingProfile, yearsToExpiry } = require('../strategy/options');
+const engine = require('../strategy/indicator-engine');
+const calendar = require('../utils/market-calendar');
 
-// Compute RSI from price bars
-function computeRSI(bars, period = 14) {
-  if (!bars || bars.length < period + 1) return null;
-  const changes = [];
-  for (let i = 1; i < bars.length; i++) {
-    changes.push(bars[i].c - bars[i - 1].c);
-  }
-  const recent = changes.slice(-period);
-  const gains = recent.filter(x => x > 0).reduce((sum, x) => sum + x, 0) / period;
-  const losses = Math.abs(recent.filter(x => x < 0).reduce((sum, x) => sum + x, 0)) / period;
-  if (losses === 0) return 100;
-  const rs = gains / losses;
-  return 100 - (100 / (1 + rs));
-}
-
-// Compute MACD from price bars
-function computeMACD(bars, fast = 12, slow = 26, signal = 9) {
-  if (!bars || bars.length < slow + signal) return { hist: null, signal: null };
-  const closes = bars.map(b => b.c);
-  
-  const ema = (data, period) => {
-    const k = 2 / (period + 1);
-    let emaVal = data[0];
-    for (let i = 1; i < data.length; i++) {
-      emaVal = data[i] * k + emaVal * (1 - k);
-    }
-    return emaVal;
-  };
-  
-  const fastEMA = ema(closes, fast);
-  const slowEMA = ema(closes, slow);
-  const macdLine = fastEMA - slowEMA;
-  
-  // Signal line is EMA of MACD (simplified - using last value)
-  const signalLine = macdLine * 0.8; // Approximation
-  const hist = macdLine - signalLine;
-  
-  return { hist, signal: signalLine };
-}
+const RISK_FREE = process.env.RISK_FREE != null ? Number(process.env.RISK_FREE) : 0.01;
 
-// Compute VWAP from bars
-function computeVWAP(bars) {
-  if (!bars || bars.length === 0) return null;
-  let sumPV = 0;
-  let sumV = 0;
-  for (const bar of bars) {
-    const typical = (bar.h + bar.l + bar.c) / 3;
-    sumPV += typical * bar.v;
-    sumV += bar.v;
-  }
-  return sumV > 0 ? sumPV / sumV : null;
-}
+const CT_TIME = new Intl.DateTimeFormat('en-GB', {
+  timeZone: 'America/Chicago',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  hourCycle: 'h23',
+});
 
-// Format time in CT
+// Format time in CT (CST or CDT)
 function formatTimeCT(date) {
-  const ctOffset = -6; // CT is UTC-6 (CST) or UTC-5 (CDT) - using CST
-  const utc = date.getTime() + (date.getTimezoneOffset() * 60000);
-  const ctDate = new Date(utc + (3600000 * ctOffset));
-  return ctDate.toTimeString().split(' ')[0]; // HH:MM:SS
+  return CT_TIME.format(date); // HH:MM:SS
 }
 
 // Sleep utility
@@ -117,17 +74,13 @@ async function fetchTickerSnapshot(ticker, contract) {
     const bars = await retry(() => fetchFmpBars(ticker, { interval: '1m', limit: 60 }));
     if (bars && bars.length > 0) {
       // Compute derived metrics
-      snapshot.vwap = computeVWAP(bars);
-      snapshot.rsi = computeRSI(bars, 14);
-      const macd = computeMACD(bars, 12, 26, 9);
-      snapshot.macd_hist = macd.hist;
-      snapshot.macd_signal = macd.signal;
-      
-      // Volume metrics
-      const last20 = bars.slice(-20);
-      snapshot.volume_1m = bars[bars.length - 1]?.v || null;
-      const vol20sum = last20.reduce((sum, b) => sum + (b.v || 0), 0);
-      snapshot.volume_20ma = last20.length > 0 ? vol20sum / last20.length : null;
+      const indicators = engine.updateBars(ticker, '1m', bars);
+      snapshot.vwap = indicators.vwap;
+      snapshot.rsi = indicators.rsi;
+      snapshot.macd_hist = indicators.macd?.histogram ?? null;
+      snapshot.macd_signal = indicators.macd?.signal ?? null;
+      snapshot.volume_1m = indicators.volume || null;
+      snapshot.volume_20ma = indicators.avgVolume;
     }
   } catch (err) {
     console.error(`[${ticker}] Bars fetch error:`, err.message);
@@ -166,8 +119,23 @@ async function fetchTickerSnapshot(ticker, contract) {
           ? (match.bid + match.ask) / 2 
           : null;
         snapshot.oi = match.oi;
-        snapshot.delta = match.delta;
-        snapshot.iv = null; // E*TRADE doesn't always provide IV in standard response
+        // E*TRADE doesn't always return IV/delta, so back them out of the mid when missing
+        const brokerIv = Number(match.raw?.OptionGreeks?.iv);
+        const pricing = getPricingProfile(ticker);
+        const market = snapshot.mid != null && snapshot.price != null
+          ? greeksFromMarket({
+              price: snapshot.mid,
+              S: snapshot.price,
+              K: match.strike,
+              T: yearsToExpiry(contract.expiry),
+              r: RISK_FREE,
+              q: pricing.dividendYield,
+              type: side,
+              model: pricing.model,
+            })
+          : { iv: null, greeks: null };
+        snapshot.iv = Number.isFinite(brokerIv) && brokerIv > 0 ? brokerIv : market.iv;
+        snapshot.delta = match.delta ?? market.greeks?.delta ?? null;
       } else {
         console.error(`[${ticker}] Option leg not found: ${side} ${targetStrike} ${contract.expiry}`);
       }
@@ -217,19 +185,21 @@ async function run() {
   console.error(`Market Data Feeder starting for: ${tickers.join(', ')}`);
   console.error(`Contracts configured: ${Object.keys(contracts).length}`);
 
-  // Wait until 08:30:00 CT
-  const now = new Date();
-  const ctHour = now.getUTCHours() - 6; // Approximate CT
-  const ctMinute = now.getUTCMinutes();
-  const ctSecond = now.getUTCSeconds();
-  
-  const currentCTSeconds = ctHour * 3600 + ctMinute * 60 + ctSecond;
-  const targetStartSeconds = 8 * 3600 + 30 * 60; // 08:30:00
-  const firstEmitSeconds = targetStartSeconds + 15; // 08:30:15
+  // Session times from the exchange calendar: skip holidays/weekends, stop early on half days
+  const today = calendar.sessionDate();
+  const session = calendar.sessionTimes(today);
+  if (!session) {
+    console.error(`Market closed on ${today} (${calendar.holidayName(today) || 'weekend'}). Nothing to feed.`);
+    return;
+  }
+  const openMs = session.open.getTime(); // 08:30:00 CT
+  const firstEmitMs = openMs + 15 * 1000; // 08:30:15 CT
+  const fastEndMs = openMs + 3 * 60 * 1000; // 08:33:00 CT
+  const endMs = Math.min(openMs + 60 * 60 * 1000, session.close.getTime()); // 09:30:00 CT or the early close
 
-  if (currentCTSeconds < targetStartSeconds) {
-    const waitMs = (targetStartSeconds - currentCTSeconds) * 1000;
-    console.error(`Waiting until 08:30:00 CT (${Math.round(waitMs/1000)}s)...`);
+  if (Date.now() < openMs) {
+    const waitMs = openMs - Date.now();
+    console.error(`Waiting until ${formatTimeCT(session.open)} CT (${Math.round(waitMs/1000)}s)...`);
     await sleep(waitMs);
   }
 
@@ -244,32 +214,25 @@ async function run() {
   }
 
   // Wait until 08:30:15 CT for first emission
-  const nowAfterWarmup = new Date();
-  const ctSecondsAfter = (nowAfterWarmup.getUTCHours() - 6) * 3600 + nowAfterWarmup.getUTCMinutes() * 60 + nowAfterWarmup.getUTCSeconds();
-  if (ctSecondsAfter < firstEmitSeconds) {
-    await sleep((firstEmitSeconds - ctSecondsAfter) * 1000);
+  if (Date.now() < firstEmitMs) {
+    await sleep(firstEmitMs - Date.now());
   }
 
   console.log('READY_FOR_SNAPSHOTS');
 
   // Emission loop
-  const endSeconds = 9 * 3600 + 30 * 60; // 09:30:00 CT
   let lastEmit = Date.now();
 
   while (true) {
     const loopStart = Date.now();
-    const ctNow = new Date();
-    const ctSec = (ctNow.getUTCHours() - 6) * 3600 + ctNow.getUTCMinutes() * 60 + ctNow.getUTCSeconds();
 
-    if (ctSec >= endSeconds) {
-      console.error('Reached 09:30:00 CT. Stopping feeder.');
+    if (loopStart >= endMs) {
+      console.error(`Reached ${formatTimeCT(new Date(endMs))} CT. Stopping feeder.`);
       break;
     }
 
     // Determine cadence
-    const earlyWindow = 8 * 3600 + 30 * 60 + 15; // 08:30:15
-    const fastEnd = 8 * 3600 + 33 * 60; // 08:33:00
-    const cadenceSec = (ctSec >= earlyWindow && ctSec < fastEnd) ? 5 : 15;
+    const cadenceSec = (loopStart >= firstEmitMs && loopStart < fastEndMs) ? 5 : 15;
 
     // Emit snapshots for all tickers
     for (const ticker of tickers) {
@@ -3,7 +3,8 @@ require('dotenv').config();
 
 const etrade = require('../providers/etrade');
 const { fetchFmpBars } = require('../providers/bars');
-const { calculateIndicators } = require('../strategy/indicators');
+const engine = require('../strategy/indicator-engine');
+const calendar = require('../utils/market-calendar');
 
 const CT_TIMEZONE = 'America/Chicago';
 const CT_TIME_FORMATTER = new Intl.DateTimeFormat('en-US', {
@@ -20,6 +21,9 @@ const CT_TIME_FORMATTER = new Intl.DateTimeFormat('en-US', {
 const MAX_RETRIES = 2;
 const RETRY_DELAY_MS = 250;
 const WAIT_POLL_MS = 250;
+const FIRST_EMIT_DELAY_MS = 15 * 1000;
+const FAST_CADENCE_MS = 3 * 60 * 1000;
+const EMISSION_WINDOW_MS = 60 * 60 * 1000;
 
 function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
@@ -50,8 +54,8 @@ async function withRetries(fn, { retries = MAX_RETRIES, delayMs = RETRY_DELAY_MS
   }
 }
 
-function getCTClock() {
-  const parts = CT_TIME_FORMATTER.formatToParts(new Date());
+function getCTClock(date = new Date()) {
+  const parts = CT_TIME_FORMATTER.formatToParts(date);
   const map = {};
   for (const part of parts) {
     if (part.type !== 'literal') {
@@ -96,33 +100,6 @@ function parseTickerConfig() {
   });
 }
 
-/**
- * Compute VWAP from candle array
- */
-function computeVWAP(bars) {
-  if (!bars || bars.length === 0) return null;
-  let sumPV = 0;
-  let sumV = 0;
-  for (const bar of bars) {
-    if (!bar.h || !bar.l || !bar.c || !bar.v) continue;
-    const typical = (bar.h + bar.l + bar.c) / 3;
-    sumPV += typical * bar.v;
-    sumV += bar.v;
-  }
-  return sumV > 0 ? sumPV / sumV : null;
-}
-
-/**
- * Compute 20-period moving average of volume
- */
-function computeVolume20MA(bars) {
-  if (!bars || bars.length === 0) return null;
-  const tail = bars.slice(-20);
-  if (tail.length === 0) return null;
-  const sumVol = tail.reduce((acc, bar) => acc + (bar.v || 0), 0);
-  return sumVol / tail.length;
-}
-
 /**
  * Fetch FMP technical indicators (RSI, MACD)
  */
@@ -267,15 +244,18 @@ async function buildSnapshot(config) {
 
   // Fetch 1-minute bars (last 60)
   let bars = [];
+  let localIndicators = null;
   let vwap = null;
   let volume_1m = null;
   let volume_20ma = null;
   try {
     bars = await withRetries(() => fetchFmpBars(ticker, { interval: '1m', limit: 60 }));
-    vwap = computeVWAP(bars);
-    volume_20ma = computeVolume20MA(bars);
     if (bars.length > 0) {
-      volume_1m = bars[bars.length - 1]?.v ?? null;
+      // The engine keeps the session running across polls, so VWAP covers more than the last 60 bars
+      localIndicators = engine.updateBars(ticker, '1m', bars);
+      vwap = localIndicators.vwap;
+      volume_20ma = localIndicators.avgVolume;
+      volume_1m = localIndicators.volume ?? null;
     }
   } catch (err) {
     console.error(`Bars error for ${ticker}:`, err.message);
@@ -287,8 +267,7 @@ async function buildSnapshot(config) {
   let snapshotMacdHist = indicators.macd_hist;
   let snapshotMacdSignal = indicators.macd_signal;
 
-  if (bars.length) {
-    const localIndicators = calculateIndicators(bars);
+  if (localIndicators) {
     if ((snapshotRsi == null) && Number.isFinite(localIndicators?.rsi)) {
       snapshotRsi = localIndicators.rsi;
     }
@@ -353,28 +332,11 @@ function emitSnapshot(snapshot) {
 }
 
 /**
- * Check if current time is past target time in CT
+ * Wait until a point in time
  */
-function isTimePast(targetHour, targetMinute, targetSecond, clock = getCTClock()) {
-  const { hour, minute, second } = clock;
-  if (hour > targetHour) return true;
-  if (hour === targetHour) {
-    if (minute > targetMinute) return true;
-    if (minute === targetMinute && second >= targetSecond) return true;
-  }
-  return false;
-}
-
-/**
- * Wait until specific time in CT
- */
-async function waitUntilCT(targetHour, targetMinute, targetSecond) {
+async function waitUntil(time) {
   // Poll faster pre-open so we can hit the cadence exactly
-  while (true) {
-    const clock = getCTClock();
-    if (isTimePast(targetHour, targetMinute, targetSecond, clock)) {
-      break;
-    }
+  while (Date.now() < time) {
     await sleep(WAIT_POLL_MS);
   }
 }
@@ -386,9 +348,23 @@ async function main() {
   const configs = parseTickerConfig();
   console.error(`Monitoring ${configs.length} ticker(s): ${configs.map(c => c.ticker).join(', ')}`);
 
-  // Wait until 08:30:00 CT
-  console.error('Waiting for 08:30:00 CT...');
-  await waitUntilCT(8, 30, 0);
+  // Session times come from the exchange calendar: nothing on holidays, and the window ends at
+  // an early close
+  const today = calendar.sessionDate();
+  const session = calendar.sessionTimes(today);
+  if (!session) {
+    console.error(`Market closed on ${today} (${calendar.holidayName(today) || 'weekend'}); no snapshots to emit.`);
+    return;
+  }
+  const openMs = session.open.getTime();
+  const firstEmitMs = openMs + FIRST_EMIT_DELAY_MS;
+  const fastUntilMs = openMs + FAST_CADENCE_MS;
+  const stopMs = Math.min(openMs + EMISSION_WINDOW_MS, session.close.getTime());
+  const stopCT = getCTClock(new Date(stopMs)).isoTime;
+
+  // Wait for the open (08:30:00 CT)
+  console.error(`Waiting for ${getCTClock(session.open).isoTime} CT...`);
+  await waitUntil(openMs);
 
   // Warmup: fetch initial data
   console.error('Warming up (fetching initial candles & quotes)...');
@@ -401,8 +377,8 @@ async function main() {
   }
 
   console.log('READY_FOR_SNAPSHOTS');
-  // Wait until 08:30:15 CT for first emission
-  await waitUntilCT(8, 30, 15);
+  // Wait until 15s after the open for first emission
+  await waitUntil(firstEmitMs);
 
   // Emission loop
   let emissionCount = 0;
@@ -410,9 +386,9 @@ async function main() {
   while (true) {
     const loopClock = getCTClock();
 
-    // Stop at 09:30:00 CT
-    if (isTimePast(9, 30, 0, loopClock)) {
-      console.error('Reached 09:30:00 CT, stopping emissions.');
+    // Stop an hour after the open (09:30:00 CT) or at an earlier close
+    if (Date.now() >= stopMs) {
+      console.error(`Reached ${stopCT} CT, stopping emissions.`);
       break;
     }
 
@@ -449,8 +425,7 @@ async function main() {
     emissionCount++;
 
     // Determine next interval
-    const postEmitClock = getCTClock();
-    const beforeSwitch = !isTimePast(8, 33, 0, postEmitClock);
+    const beforeSwitch = Date.now() < fastUntilMs;
     const intervalMs = beforeSwitch ? 5000 : 15000;
     await sleep(intervalMs);
   }
@@ -1,17 +1,23 @@
 #!/usr/bin/env node
 require('dotenv').config();
 
-const { buildSuggestion } = require('../strategy/options');
-const { computeQty } = require('../risk');
+const { buildSuggestion, applyMarketPricing } = require('../strategy/options');
+const { computeQty, sizingUsesBars } = require('../risk');
 const { getQuotes } = require('../providers/quotes');
 const etrade = require('../providers/etrade');
 const { getClient } = require('../ai/client');
 const { buildSystemPrompt, buildUserPrompt } = require('../ai/prompt');
 const gates = require('../rules/gates');
 const bars = require('../providers/bars');
+const engine = require('../strategy/indicator-engine');
 const { pickByDelta, pickByPremium, pickNearestStrike, selectOptimalOption, midPrice } = require('../strategy/selector');
 const { fetchOptionChain } = require('../providers/options-chain');
+const { ensureSymbolMetadata } = require('../utils/symbol-metadata');
 const { analyzeDayTradeSignals, analyzeSwingTradeSignals, recommendOptionStrategy, detectBreakout, detectReversal } = require('../strategy/algorithms');
+const { evaluateStrategies } = require('../strategy/playbooks');
+
+// Futures roots quoted for confirmation; they have no listed options and get a watch line
+const FUTURES_ROOTS = ['ES', 'NQ', 'MES', 'MNQ'];
 
 function parseArgs(argv) {
   const defaultAiClient = getClient(process.env.STREAM_AI_PROVIDER || process.env.AI_PROVIDER);
@@ -21,6 +27,7 @@ function parseArgs(argv) {
     side: 'both', // call|put|both
     account: process.env.ACCOUNT_SIZE ? Number(process.env.ACCOUNT_SIZE) : undefined,
     riskPct: process.env.RISK_PCT ? Number(process.env.RISK_PCT) : 0.01,
+    strategy: process.env.TRADING_STRATEGY || 'day_trade',
     iv: process.env.DEFAULT_IV ? Number(process.env.DEFAULT_IV) : 0.2,
     r: process.env.RISK_FREE ? Number(process.env.RISK_FREE) : 0.01,
   otmPct: process.env.OTM_PCT != null ? Number(process.env.OTM_PCT) : null,
@@ -56,6 +63,7 @@ function parseArgs(argv) {
     if (a === '--side' && args[i + 1]) { out.side = args[++i]; continue; }
     if (a === '--account' && args[i + 1]) { out.account = Number(args[++i]); continue; }
     if (a === '--risk-pct' && args[i + 1]) { out.riskPct = Number(args[++i]); continue; }
+    if (a === '--strategy' && args[i + 1]) { out.strategy = args[++i]; continue; }
     if (a === '--iv' && args[i + 1]) { out.iv = Number(args[++i]); continue; }
     if (a === '--r' && args[i + 1]) { out.r = Number(args[++i]); continue; }
   if (a === '--otm-pct' && args[i + 1]) { out.otmPct = Number(args[++i]); continue; }
@@ -105,11 +113,13 @@ function parseArgs(argv) {
 }
 
 function usage() {
-  console.log(`Usage: npm run suggest:stream -- --symbols SPY,QQQ,AAPL [--side both|call|put] --account 25000 [--interval 15] [--ai --ai-provider deepseek]\n`+
-  `Env: ACCOUNT_SIZE, SCAN_SYMBOLS, RISK_PCT, DEFAULT_IV, RISK_FREE, OTM_PCT, MIN_BUSINESS_DAYS, STOP_LOSS_PCT, TAKE_PROFIT_MULT, STREAM_INTERVAL_SEC, QUOTE_PROVIDER, USE_AI, AI_PROVIDER, AI_MODEL, AI_INTERVAL_SEC`);
+  console.log(`Usage: npm run suggest:stream -- --symbols SPY,QQQ,AAPL [--side both|call|put] --account 25000 [--interval 15] [--strategy day_trade|swing_trade] [--ai --ai-provider deepseek]\n`+
+  `Env: ACCOUNT_SIZE, SCAN_SYMBOLS, RISK_PCT, TRADING_STRATEGY, DEFAULT_IV, RISK_FREE, OTM_PCT, MIN_BUSINESS_DAYS, STOP_LOSS_PCT, TAKE_PROFIT_MULT, STREAM_INTERVAL_SEC, QUOTE_PROVIDER, USE_AI, AI_PROVIDER, AI_MODEL, AI_INTERVAL_SEC`);
 }
 
 async function makeSuggestion({ symbol, price, side, params }) {
+  if (FUTURES_ROOTS.includes(symbol.toUpperCase())) throw new Error(`${symbol} has no listed options`);
+  await ensureSymbolMetadata(symbol, { underlyingPrice: price });
   const suggestion = buildSuggestion({
     symbol,
     side,
@@ -161,13 +171,11 @@ async function makeSuggestion({ symbol, price, side, params }) {
       if (Number.isFinite(entry)) {
         const spread = candidate.bid != null && candidate.ask != null ? candidate.ask - candidate.bid : null;
         const spreadPct = spread != null && entry > 0 ? (spread / entry) * 100 : null;
-        suggestion.est_entry = Number(entry.toFixed(2));
-        suggestion.stop = Number((entry * (1 - params.stopLossPct)).toFixed(2));
-        suggestion.take_profit = Number((entry * (1 + params.takeProfitMult)).toFixed(2));
+        applyMarketPricing(suggestion, { marketPrice: entry });
         suggestion.bid = Number.isFinite(candidate.bid) ? Number(candidate.bid.toFixed(2)) : null;
         suggestion.ask = Number.isFinite(candidate.ask) ? Number(candidate.ask.toFixed(2)) : null;
         suggestion.last = Number.isFinite(candidate.last) ? Number(candidate.last.toFixed(2)) : null;
-        suggestion.delta = candidate.delta ?? null;
+        suggestion.delta = candidate.delta ?? suggestion.greeks?.delta ?? null;
         suggestion.oi = Number.isFinite(candidate.oi) ? candidate.oi : null;
         suggestion.volume = Number.isFinite(candidate.vol) ? candidate.vol : null;
         suggestion.entry_source = chainSource ? `${chainSource}_chain` : 'options_chain';
@@ -193,13 +201,31 @@ async function makeSuggestion({ symbol, price, side, params }) {
     suggestion.entry_source = 'model';
   }
 
-  const sizing = computeQty({ accountSize: params.account, riskPct: params.riskPct, entry: suggestion.est_entry, stop: suggestion.stop, multiplier: suggestion.multiplier });
+  // ATR and the leading playbook come from the 1m bars the loop already folded into the engine
+  const metrics = gates.getMetrics(symbol);
+  const indicators = metrics?.indicators || {};
+  const playbook = metrics?.bars?.length
+    ? evaluateStrategies({ bars: metrics.bars, indicators, price, volume: indicators.volume, avgVolume: indicators.avgVolume }).primary?.name
+    : undefined;
+  const sizing = computeQty({
+    accountSize: params.account,
+    riskPct: params.riskPct,
+    entry: suggestion.est_entry,
+    stop: suggestion.stop,
+    multiplier: suggestion.multiplier,
+    strategy: params.strategy,
+    atr: indicators.atr,
+    underlyingPrice: price,
+    playbook,
+  });
   return {
     ...suggestion,
     chain_source: chainSource,
     qty: sizing.qty,
     risk_per_contract: Number(sizing.perContractRisk.toFixed(2)),
     risk_total: Number(sizing.totalRisk.toFixed(2)),
+    sizing_model: sizing.sizingModel,
+    sizing_fallback: sizing.sizingFallback,
     meta: { price, side },
   };
 }
@@ -298,27 +324,19 @@ async function loop(params) {
       }
       // Update rule buffers with all quotes
       for (const [k, v] of Object.entries(quotes)) {
-        gates.pushQuote({ symbol: k, price: v.price, ts: v.ts });
+        gates.pushQuote({ symbol: k, price: v.price, ts: v.ts }, { fast: params.fast, slow: params.slow });
       }
-      // Fetch bars for equities for VWAP/RVOL and technical indicators (Yahoo)
-      if (params.rules && (params.vwap || (params.rvol && params.rvol > 0)) || params.ai) {
-        const eqSyms = params.symbols.filter(s => !['ES','NQ','MES','MNQ'].includes(s.toUpperCase()));
+      // Fetch bars for equities for VWAP/RVOL, technical indicators and bar-based sizing (Yahoo)
+      if (params.rules && (params.vwap || (params.rvol && params.rvol > 0)) || params.ai || sizingUsesBars(params.strategy)) {
+        const eqSyms = params.symbols.filter(s => !FUTURES_ROOTS.includes(s.toUpperCase()));
         for (const s of eqSyms) {
           try {
             const symYahoo = s; // SPY/QQQ supported directly
-            const { bars: b, indicators } = await bars.fetchYahooBarsWithIndicators(symYahoo, { range: '1d', interval: '1m' });
+            const b = await bars.fetchYahooBars(symYahoo, { range: '1d', interval: '1m' });
             if (b && b.length) {
-              let sumPV = 0, sumV = 0;
-              const n = b.length;
-              const tail = b.slice(Math.max(0, n - 20));
-              let volSum = 0;
-              for (const x of b) { if (x.v) { sumPV += x.c * x.v; sumV += x.v; } }
-              for (const x of tail) { volSum += x.v || 0; }
-              const lastVol = tail[tail.length - 1]?.v || 0;
-              const avgVol = tail.length ? volSum / tail.length : 0;
-              const vwap = sumV > 0 ? (sumPV / sumV) : null;
-              const rvol = avgVol > 0 ? (lastVol / avgVol) : null;
-              gates.setMetrics(s, { vwap, rvol, lastVol, avgVol, indicators });
+              // Only bars newer than the last tick are applied; earlier ones are already in the engine
+              const indicators = engine.updateBars(s, '1m', b);
+              gates.setMetrics(s, { vwap: indicators.vwap, rvol: indicators.rvol, lastVol: indicators.volume, avgVol: indicators.avgVolume, indicators, bars: b });
             }
           } catch (e) {
             if (params.debug) console.log('bars error', s, e.message || String(e));
@@ -349,7 +367,9 @@ async function loop(params) {
               const sourceLabel = sug.entry_source ? `source ${sug.entry_source}` : 'source model';
               const chainLabel = sug.chain_source ? ` | chain ${sug.chain_source}` : '';
               const line2 = `  Qty ${sug.qty} | Risk/ct $${sug.risk_per_contract} | Risk total $${sug.risk_total} (${sourceLabel}${chainLabel})`;
-              console.log(header); console.log(line1); console.log(line2); console.log('');
+              console.log(header); console.log(line1); console.log(line2);
+              if (sug.sizing_fallback) console.log(`  Sizing ${sug.sizing_model} (fallback from ${sug.sizing_fallback})`);
+              console.log('');
               if (params.rules) {
                 console.log(`  Rules: ${rule.pass ? 'PASS' : 'FAIL'} ${rule.reasons.join(',')}`);
               }
@@ -429,7 +449,7 @@ async function loop(params) {
             }
             anyPrinted = true;
           } catch (e) {
-            // Unsupported symbol for options; ignore and fall through to watch line
+            // No options for this symbol (futures root); fall through to watch line
           }
         }
         if (!anyPrinted) {
@@ -1,5 +1,16 @@
 // Trading algorithms for day trading and swing trading strategies
 const { calculateIndicators } = require('./indicators');
+const { detectPatterns, patternBias, REVERSAL_PATTERNS } = require('./patterns');
+
+// Patterns at or above this confidence show up as pattern_<name> signals
+const PATTERN_MIN_CONFIDENCE = 0.6;
+
+// Adds pattern_<name> signals and returns their capped contribution to strength
+function patternSignals(bars, signals) {
+  const patterns = detectPatterns(bars).filter((p) => p.confidence >= PATTERN_MIN_CONFIDENCE);
+  for (const p of patterns) signals.push(`pattern_${p.name}`);
+  return 0.2 * patternBias(patterns, { minConfidence: PATTERN_MIN_CONFIDENCE });
+}
 
 function analyzeDayTradeSignals(bars, indicators, currentPrice) {
   if (!indicators || !bars || bars.length < 20) return { signals: [], strength: 0 };
@@ -43,6 +54,8 @@ function analyzeDayTradeSignals(bars, indicators, currentPrice) {
     strength += 0.1;
   }
 
+  strength += patternSignals(bars, signals);
+
   // Simple support/resistance zones using recent lows/highs
   const recentBars = bars.slice(-30);
   if (recentBars.length >= 5) {
@@ -128,6 +141,8 @@ function analyzeSwingTradeSignals(bars, indicators, currentPrice) {
     strength += 0.3;
   }
 
+  strength += patternSignals(bars, signals);
+
   return { signals, strength: Math.max(-1, Math.min(1, strength)) };
 }
 
@@ -183,10 +198,6 @@ function detectBreakout(bars, currentPrice) {
 function detectReversal(bars, indicators) {
   if (!bars || bars.length < 10 || !indicators) return null;
 
-  // Double bottom/top patterns (simplified)
-  const recent = bars.slice(-10);
-  const prices = recent.map(b => b.c);
-
   // Check for potential reversal
   if (indicators.rsi < 30 && indicators.macd && indicators.macd.histogram < 0) {
     return 'potential_bullish_reversal';
@@ -194,6 +205,10 @@ function detectReversal(bars, indicators) {
     return 'potential_bearish_reversal';
   }
 
+  // Engulfing, hammer/shooting star and double top/bottom flag turns the RSI check misses
+  const pattern = detectPatterns(bars).find((p) => REVERSAL_PATTERNS.includes(p.name) && p.confidence >= PATTERN_MIN_CONFIDENCE);
+  if (pattern) return pattern.bias === 'bullish' ? 'potential_bullish_reversal' : 'potential_bearish_reversal';
+
   return null;
 }
 
@@ -0,0 +1,423 @@
+// Streaming indicators keyed by symbol + timeframe. Each closed bar updates running state in
+// constant time (work bounded by the indicator periods, not by history), so feeding a full day of
+// bars every tick only costs the bars that are new. The last, still-forming bar is kept aside and
+// applied to a copy of the closed-bar state when a snapshot is read, so a refreshed bar simply
+// replaces it. Fed the same bars, snapshots match every field of calculateIndicators() (trend,
+// volume and anchored-VWAP studies included) plus session VWAP/RVOL.
+const { ichimoku } = require('./indicators');
+
+const series = new Map();
+
+const NY_DATE = new Intl.DateTimeFormat('en-CA', { timeZone: 'America/New_York' });
+const NY_CLOCK = new Intl.DateTimeFormat('en-GB', { timeZone: 'America/New_York', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+// Ichimoku reads a 52-bar span B projected 26 bars back
+const CLOUD_BARS = 26 + 52;
+const TIMEFRAME_UNITS = { s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000 };
+
+function seriesKey(symbol, timeframe) {
+  return `${String(symbol).toUpperCase()}:${timeframe}`;
+}
+
+// 'tick' treats every quote as its own bar; otherwise '<n>s|m|h|d'
+function timeframeMs(timeframe) {
+  if (timeframe === 'tick') return 0;
+  const match = /^(\d+)([smhd])$/.exec(String(timeframe));
+  if (!match) throw new Error(`Unsupported timeframe: ${timeframe}`);
+  return Number(match[1]) * TIMEFRAME_UNITS[match[2]];
+}
+
+function normalizeBar(bar) {
+  const c = Number(bar.c || bar.close);
+  return {
+    t: Number(bar.t),
+    c,
+    h: Number(bar.h || bar.high || c),
+    l: Number(bar.l || bar.low || c),
+    v: Number(bar.v || bar.volume || 0),
+  };
+}
+
+function createWindow(size) {
+  return { size, values: [], sum: 0 };
+}
+
+function pushWindow(win, value) {
+  win.values.push(value);
+  win.sum += value;
+  if (win.values.length > win.size) win.sum -= win.values.shift();
+}
+
+function windowMean(win, period = win.size) {
+  if (win.values.length < period) return null;
+  if (period === win.size) return win.sum / period;
+  let sum = 0;
+  for (let i = win.values.length - period; i < win.values.length; i++) sum += win.values[i];
+  return sum / period;
+}
+
+// SMA-seeded like indicators.ema()
+function createEma(period) {
+  return { period, k: 2 / (period + 1), n: 0, seed: 0, value: null };
+}
+
+function stepEma(e, x) {
+  e.n += 1;
+  if (e.n < e.period) {
+    e.seed += x;
+  } else if (e.n === e.period) {
+    e.value = (e.seed + x) / e.period;
+  } else {
+    e.value = x * e.k + e.value * (1 - e.k);
+  }
+  return e.value;
+}
+
+// Same anchors as indicators.anchoredVwap(): 'open', 'prior_close', 'HH:MM' New York time within
+// the session, or a timestamp
+function parseAnchor(anchor) {
+  if (!anchor) return null;
+  if (anchor === 'open' || anchor === 'prior_close') return { anchor, session: anchor };
+  const clock = /^(\d{1,2}):(\d{2})$/.exec(String(anchor));
+  if (clock) return { anchor, clock: clock[1].padStart(2, '0') + ':' + clock[2] };
+  const ts = Date.parse(anchor);
+  return Number.isFinite(ts) ? { anchor, ts } : null;
+}
+
+function createVwap(bar) {
+  return { start: bar.t, bars: 0, pv: 0, volume: 0 };
+}
+
+function addVwap(acc, { c, h, l, v }) {
+  acc.bars += 1;
+  if (v > 0 && h && l && c) {
+    acc.pv += ((h + l + c) / 3) * v;
+    acc.volume += v;
+  }
+}
+
+function readVwap(acc, anchor) {
+  if (!acc || !(acc.volume > 0)) return null;
+  return { value: acc.pv / acc.volume, anchor, anchorTime: new Date(acc.start).toISOString(), bars: acc.bars };
+}
+
+function createState({ emaPeriods = [], vwapAnchor = process.env.VWAP_ANCHOR } = {}) {
+  const emas = {};
+  for (const period of [20, ...emaPeriods]) {
+    const p = Number(period);
+    if (Number.isInteger(p) && p > 0) emas[p] = createEma(p);
+  }
+  const longest = Math.max(50, ...Object.keys(emas).map(Number));
+  return {
+    count: 0,
+    prevClose: null,
+    closes: createWindow(longest),
+    sma20: createWindow(20),
+    sma50: createWindow(50),
+    volumes: createWindow(20),
+    emas,
+    rsi: { period: 14, n: 0, gain: 0, loss: 0, avgGain: null, avgLoss: null },
+    trueRanges: createWindow(14),
+    highs: createWindow(14),
+    lows: createWindow(14),
+    kValues: createWindow(3),
+    macd: {
+      fast: createEma(12),
+      slow: createEma(26),
+      signal: createEma(9),
+      macd: null,
+      histogram: null,
+      prevHistogram: null,
+    },
+    dmi: { period: 14, trSum: 0, plusSum: 0, minusSum: 0, dxSum: 0, dxCount: 0, adx: null, plusDI: null, minusDI: null },
+    obv: { value: 0, history: createWindow(21) },
+    supertrend: { period: 10, multiplier: 3, trSum: 0, atr: null, upper: null, lower: null, direction: null, prevDirection: null },
+    cloud: { highs: createWindow(CLOUD_BARS), lows: createWindow(CLOUD_BARS), closes: createWindow(CLOUD_BARS) },
+    vwap: { session: null, open: null, prior: null, custom: null },
+    vwapAnchor: parseAnchor(vwapAnchor),
+    last: null,
+  };
+}
+
+function stepRsi(r, change) {
+  const gain = Math.max(change, 0);
+  const loss = Math.max(-change, 0);
+  r.n += 1;
+  if (r.n <= r.period) {
+    r.gain += gain;
+    r.loss += loss;
+    if (r.n === r.period) {
+      r.avgGain = r.gain / r.period;
+      r.avgLoss = r.loss / r.period;
+    }
+    return;
+  }
+  r.avgGain = (r.avgGain * (r.period - 1) + gain) / r.period;
+  r.avgLoss = (r.avgLoss * (r.period - 1) + loss) / r.period;
+}
+
+// Wilder's DMI as indicators.dmi()
+function stepDmi(d, bar, prev, tr, index) {
+  const up = bar.h - prev.h;
+  const down = prev.l - bar.l;
+  const plusDM = up > down && up > 0 ? up : 0;
+  const minusDM = down > up && down > 0 ? down : 0;
+  if (index <= d.period) {
+    d.trSum += tr;
+    d.plusSum += plusDM;
+    d.minusSum += minusDM;
+    if (index < d.period) return;
+  } else {
+    d.trSum = d.trSum - d.trSum / d.period + tr;
+    d.plusSum = d.plusSum - d.plusSum / d.period + plusDM;
+    d.minusSum = d.minusSum - d.minusSum / d.period + minusDM;
+  }
+  d.plusDI = d.trSum > 0 ? (100 * d.plusSum) / d.trSum : 0;
+  d.minusDI = d.trSum > 0 ? (100 * d.minusSum) / d.trSum : 0;
+  const dx = d.plusDI + d.minusDI > 0 ? (100 * Math.abs(d.plusDI - d.minusDI)) / (d.plusDI + d.minusDI) : 0;
+  d.dxCount += 1;
+  if (d.dxCount < d.period) d.dxSum += dx;
+  else if (d.dxCount === d.period) d.adx = (d.dxSum + dx) / d.period;
+  else d.adx = (d.adx * (d.period - 1) + dx) / d.period;
+}
+
+// Trailing bands on a Wilder ATR as indicators.supertrend()
+function stepSupertrend(st, bar, prevClose, tr, index) {
+  if (index < st.period) {
+    st.trSum += tr;
+    return;
+  }
+  st.atr = index === st.period ? (st.trSum + tr) / st.period : (st.atr * (st.period - 1) + tr) / st.period;
+  const mid = (bar.h + bar.l) / 2;
+  const basicUpper = mid + st.multiplier * st.atr;
+  const basicLower = mid - st.multiplier * st.atr;
+  st.upper = st.upper == null || basicUpper < st.upper || prevClose > st.upper ? basicUpper : st.upper;
+  st.lower = st.lower == null || basicLower > st.lower || prevClose < st.lower ? basicLower : st.lower;
+  st.prevDirection = st.direction;
+  if (st.direction == null) st.direction = bar.c >= mid ? 1 : -1;
+  else if (st.direction === 1 && bar.c < st.lower) st.direction = -1;
+  else if (st.direction === -1 && bar.c > st.upper) st.direction = 1;
+}
+
+// Session VWAP plus the anchored ones: prior_close carries the previous session's last bar over,
+// a clock anchor restarts each session and a timestamp anchor runs from its first bar on
+function stepVwap(state, bar) {
+  const vw = state.vwap;
+  const session = NY_DATE.format(bar.t);
+  if (session !== vw.session) {
+    vw.session = session;
+    vw.open = createVwap(bar);
+    vw.prior = null;
+    if (state.last) {
+      vw.prior = createVwap(state.last);
+      addVwap(vw.prior, state.last);
+    }
+    if (state.vwapAnchor?.clock) vw.custom = null;
+  }
+  addVwap(vw.open, bar);
+  if (vw.prior) addVwap(vw.prior, bar);
+
+  const anchor = state.vwapAnchor;
+  if (!vw.custom && anchor && (anchor.clock ? NY_CLOCK.format(bar.t) >= anchor.clock : bar.t >= anchor.ts)) {
+    vw.custom = createVwap(bar);
+  }
+  if (vw.custom) addVwap(vw.custom, bar);
+}
+
+function applyBar(state, bar) {
+  const { c, h, l, v } = bar;
+  const index = state.count;
+  state.count += 1;
+
+  if (state.prevClose != null) {
+    const tr = Math.max(h - l, Math.abs(h - state.prevClose), Math.abs(l - state.prevClose));
+    stepRsi(state.rsi, c - state.prevClose);
+    pushWindow(state.trueRanges, tr);
+    stepDmi(state.dmi, bar, state.last, tr, index);
+    stepSupertrend(state.supertrend, bar, state.prevClose, tr, index);
+    state.obv.value += Math.sign(c - state.prevClose) * (v || 0);
+  }
+  pushWindow(state.obv.history, state.obv.value);
+  state.prevClose = c;
+
+  pushWindow(state.closes, c);
+  pushWindow(state.sma20, c);
+  pushWindow(state.sma50, c);
+  pushWindow(state.volumes, v);
+  for (const e of Object.values(state.emas)) stepEma(e, c);
+
+  pushWindow(state.highs, h);
+  pushWindow(state.lows, l);
+  pushWindow(state.cloud.highs, h);
+  pushWindow(state.cloud.lows, l);
+  pushWindow(state.cloud.closes, c);
+  if (state.highs.values.length === state.highs.size) {
+    const high = Math.max(...state.highs.values);
+    const low = Math.min(...state.lows.values);
+    pushWindow(state.kValues, ((c - low) / (high - low)) * 100);
+  }
+
+  const m = state.macd;
+  const fast = stepEma(m.fast, c);
+  const slow = stepEma(m.slow, c);
+  if (fast != null && slow != null) {
+    m.macd = fast - slow;
+    const signal = stepEma(m.signal, m.macd);
+    m.prevHistogram = m.histogram;
+    m.histogram = signal != null ? m.macd - signal : null;
+  }
+
+  stepVwap(state, bar);
+  state.last = bar;
+}
+
+function readState(state) {
+  const closes = state.closes.values;
+  const r = state.rsi;
+  let rsi = null;
+  if (r.avgGain != null) rsi = r.avgLoss === 0 ? 100 : 100 - 100 / (1 + r.avgGain / r.avgLoss);
+
+  let bb = null;
+  const middle = windowMean(state.sma20);
+  if (middle) {
+    let variance = 0;
+    for (const x of state.sma20.values) variance += (x - middle) ** 2;
+    const std = Math.sqrt(variance / state.sma20.size);
+    bb = { upper: middle + 2 * std, middle, lower: middle - 2 * std };
+  }
+
+  const k = windowMean(state.kValues);
+  const m = state.macd;
+  const emas = Object.fromEntries(Object.entries(state.emas).map(([period, e]) => [period, e.value]));
+  const volume = state.last ? state.last.v : undefined;
+  const avgVolume = windowMean(state.volumes);
+
+  const d = state.dmi;
+  const st = state.supertrend;
+  const keltnerAtr = windowMean(state.trueRanges, 10);
+  const vw = state.vwap;
+  const anchored = {
+    open: readVwap(vw.open, 'open'),
+    priorClose: readVwap(vw.prior, 'prior_close'),
+    custom: null,
+  };
+  const anchor = state.vwapAnchor;
+  if (anchor?.session) anchored.custom = anchor.session === 'open' ? anchored.open : anchored.priorClose;
+  else if (anchor) anchored.custom = readVwap(vw.custom, anchor.anchor);
+
+  return {
+    rsi,
+    macd: state.count >= m.slow.period + m.signal.period
+      ? { macd: m.macd, signal: m.signal.value, histogram: m.histogram, prevHistogram: m.prevHistogram }
+      : null,
+    bb,
+    stoch: k != null ? { k, d: windowMean(state.kValues, 3) } : null,
+    atr: state.trueRanges.values.length >= state.trueRanges.size ? windowMean(state.trueRanges) : null,
+    sma20: windowMean(state.sma20),
+    sma50: windowMean(state.sma50),
+    ema20: emas[20],
+    volume,
+    avgVolume,
+    dmi: state.count >= d.period * 2 && d.adx != null ? { adx: d.adx, plusDI: d.plusDI, minusDI: d.minusDI } : null,
+    obv: state.count >= 2 ? { value: state.obv.value, change: state.obv.value - state.obv.history.values[0] } : null,
+    keltner: emas[20] != null && keltnerAtr != null
+      ? { upper: emas[20] + 2 * keltnerAtr, middle: emas[20], lower: emas[20] - 2 * keltnerAtr }
+      : null,
+    supertrend: state.count >= st.period + 2
+      ? { value: st.direction === 1 ? st.lower : st.upper, direction: st.direction, flipped: st.prevDirection != null && st.prevDirection !== st.direction }
+      : null,
+    ichimoku: ichimoku(state.cloud.highs.values, state.cloud.lows.values, state.cloud.closes.values),
+    anchoredVwap: anchored,
+    vwap: vw.open && vw.open.volume > 0 ? vw.open.pv / vw.open.volume : null,
+    rvol: avgVolume > 0 ? volume / avgVolume : null,
+    emas,
+    close: state.last ? state.last.c : null,
+    t: state.last ? state.last.t : null,
+    bars: state.count,
+    recentCloses: closes.slice(),
+  };
+}
+
+function getSeries(symbol, timeframe, options) {
+  const key = seriesKey(symbol, timeframe);
+  let entry = series.get(key);
+  if (!entry) {
+    entry = { state: createState(options), forming: null, cached: null };
+    series.set(key, entry);
+  }
+  return entry;
+}
+
+// Bars older than the forming bar are ignored; the same timestamp replaces it; a newer one
+// closes it into the running state
+function pushBar(entry, bar) {
+  if (!Number.isFinite(bar.t) || !Number.isFinite(bar.c)) return;
+  if (entry.forming && bar.t < entry.forming.t) return;
+  if (entry.forming && bar.t > entry.forming.t) applyBar(entry.state, entry.forming);
+  entry.forming = bar;
+  entry.cached = null;
+}
+
+function updateBar(symbol, timeframe, bar, options) {
+  pushBar(getSeries(symbol, timeframe, options), normalizeBar(bar));
+}
+
+// Accepts the whole refreshed bar array each time; only bars from the forming one on are applied
+function updateBars(symbol, timeframe, bars, options) {
+  const entry = getSeries(symbol, timeframe, options);
+  const list = bars || [];
+  let start = list.length;
+  while (start > 0 && !(entry.forming && Number(list[start - 1].t) < entry.forming.t)) start--;
+  for (let i = start; i < list.length; i++) pushBar(entry, normalizeBar(list[i]));
+  return snapshot(symbol, timeframe);
+}
+
+// Folds a quote into the timeframe's current bar; on 'tick' every quote closes its own bar
+function updateQuote(symbol, timeframe, { price, ts }, options) {
+  const p = Number(price);
+  if (!Number.isFinite(p)) return;
+  const t = new Date(ts).getTime() || Date.now();
+  const entry = getSeries(symbol, timeframe, options);
+  const ms = timeframeMs(timeframe);
+  if (!ms) {
+    applyBar(entry.state, { t, c: p, h: p, l: p, v: 0 });
+    entry.cached = null;
+    return;
+  }
+  const bucket = Math.floor(t / ms) * ms;
+  const forming = entry.forming;
+  if (forming && forming.t === bucket) {
+    pushBar(entry, { ...forming, c: p, h: Math.max(forming.h, p), l: Math.min(forming.l, p) });
+  } else {
+    pushBar(entry, { t: bucket, c: p, h: p, l: p, v: 0 });
+  }
+}
+
+// calculateIndicators()-shaped values plus vwap, rvol, emas, close, t, bars and recentCloses
+// (oldest first); null for a series that has seen no data
+function snapshot(symbol, timeframe) {
+  const entry = series.get(seriesKey(symbol, timeframe));
+  if (!entry) return null;
+  if (!entry.cached) {
+    let state = entry.state;
+    if (entry.forming) {
+      state = structuredClone(state);
+      applyBar(state, entry.forming);
+    }
+    entry.cached = readState(state);
+  }
+  return entry.cached;
+}
+
+function clearSeries(symbol, timeframe) {
+  if (symbol == null) series.clear();
+  else series.delete(seriesKey(symbol, timeframe));
+}
+
+module.exports = {
+  updateBar,
+  updateBars,
+  updateQuote,
+  snapshot,
+  clearSeries,
+  timeframeMs,
+};
@@ -42,22 +42,43 @@ function rsi(prices, period = 14) {
   return 100 - (100 / (1 + rs));
 }
 
-function macd(prices, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
-  if (prices.length < slowPeriod + signalPeriod) return null;
-  const fastEMA = ema(prices, fastPeriod);
-  const slowEMA = ema(prices, slowPeriod);
-  if (!fastEMA || !slowEMA) return null;
+// EMA at every index (null until `period` values are in), seeded with their SMA like ema()
+function emaSeries(values, period) {
+  const out = new Array(values.length).fill(null);
+  if (values.length < period) return out;
+  const k = 2 / (period + 1);
+  let value = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  out[period - 1] = value;
+  for (let i = period; i < values.length; i++) {
+    value = values[i] * k + value * (1 - k);
+    out[i] = value;
+  }
+  return out;
+}
 
-  // Calculate MACD line for each period
-  const macdLine = fastEMA - slowEMA;
-  
-  // For simplicity, approximate signal line (this should be the EMA of MACD over time)
-  // In a real implementation, we'd need historical MACD values
-  const signalLine = macdLine * 0.8; // Simplified approximation
-  
-  const histogram = macdLine - signalLine;
+// MACD line, signal line (EMA of the MACD line) and histogram for every bar, aligned with
+// `prices` and null until each is defined
+function macdSeries(prices, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+  const fast = emaSeries(prices, fastPeriod);
+  const slow = emaSeries(prices, slowPeriod);
+  const macdLine = prices.map((_, i) => (fast[i] != null && slow[i] != null ? fast[i] - slow[i] : null));
+  const start = Math.min(slowPeriod - 1, prices.length);
+  const signal = [...new Array(start).fill(null), ...emaSeries(macdLine.slice(start), signalPeriod)];
+  const histogram = macdLine.map((value, i) => (value != null && signal[i] != null ? value - signal[i] : null));
+  return { macd: macdLine, signal, histogram };
+}
 
-  return { macd: macdLine, signal: signalLine, histogram };
+// Latest MACD values; prevHistogram lets callers spot a signal-line cross on the last bar
+function macd(prices, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+  if (prices.length < slowPeriod + signalPeriod) return null;
+  const series = macdSeries(prices, fastPeriod, slowPeriod, signalPeriod);
+  const last = prices.length - 1;
+  return {
+    macd: series.macd[last],
+    signal: series.signal[last],
+    histogram: series.histogram[last],
+    prevHistogram: series.histogram[last - 1],
+  };
 }
 
 function bollingerBands(prices, period = 20, stdDev = 2) {
@@ -109,7 +130,193 @@ function atr(highs, lows, closes, period = 14) {
   return sma(trueRanges, period);
 }
 
-function calculateIndicators(bars) {
+// Wilder-smoothed ATR at every index (null until `period` true ranges are in)
+function wilderAtrSeries(highs, lows, closes, period) {
+  const out = new Array(closes.length).fill(null);
+  let sum = 0;
+  let value = null;
+  for (let i = 1; i < closes.length; i++) {
+    const tr = Math.max(highs[i] - lows[i], Math.abs(highs[i] - closes[i - 1]), Math.abs(lows[i] - closes[i - 1]));
+    if (i < period) {
+      sum += tr;
+      continue;
+    }
+    value = i === period ? (sum + tr) / period : (value * (period - 1) + tr) / period;
+    out[i] = value;
+  }
+  return out;
+}
+
+// Wilder's directional movement: ADX >= 25 is a trending tape, < 20 a choppy one
+function dmi(highs, lows, closes, period = 14) {
+  if (closes.length < period * 2) return null;
+  let trSum = 0;
+  let plusSum = 0;
+  let minusSum = 0;
+  let dxSum = 0;
+  let dxCount = 0;
+  let adx = null;
+  let plusDI = null;
+  let minusDI = null;
+  for (let i = 1; i < closes.length; i++) {
+    const up = highs[i] - highs[i - 1];
+    const down = lows[i - 1] - lows[i];
+    const plusDM = up > down && up > 0 ? up : 0;
+    const minusDM = down > up && down > 0 ? down : 0;
+    const tr = Math.max(highs[i] - lows[i], Math.abs(highs[i] - closes[i - 1]), Math.abs(lows[i] - closes[i - 1]));
+    if (i <= period) {
+      trSum += tr;
+      plusSum += plusDM;
+      minusSum += minusDM;
+      if (i < period) continue;
+    } else {
+      trSum = trSum - trSum / period + tr;
+      plusSum = plusSum - plusSum / period + plusDM;
+      minusSum = minusSum - minusSum / period + minusDM;
+    }
+    plusDI = trSum > 0 ? (100 * plusSum) / trSum : 0;
+    minusDI = trSum > 0 ? (100 * minusSum) / trSum : 0;
+    const dx = plusDI + minusDI > 0 ? (100 * Math.abs(plusDI - minusDI)) / (plusDI + minusDI) : 0;
+    dxCount += 1;
+    if (dxCount < period) dxSum += dx;
+    else if (dxCount === period) adx = (dxSum + dx) / period;
+    else adx = (adx * (period - 1) + dx) / period;
+  }
+  if (adx == null) return null;
+  return { adx, plusDI, minusDI };
+}
+
+// On-balance volume; `change` over the last `lookback` bars shows whether volume backs the move
+function obv(closes, volumes, lookback = 20) {
+  if (closes.length < 2) return null;
+  const series = [0];
+  for (let i = 1; i < closes.length; i++) {
+    const direction = Math.sign(closes[i] - closes[i - 1]);
+    series.push(series[i - 1] + direction * (volumes[i] || 0));
+  }
+  const value = series[series.length - 1];
+  return { value, change: value - series[Math.max(0, series.length - 1 - lookback)] };
+}
+
+function keltnerChannels(highs, lows, closes, period = 20, multiplier = 2, atrPeriod = 10) {
+  const middle = ema(closes, period);
+  const range = atr(highs, lows, closes, atrPeriod);
+  if (middle == null || range == null) return null;
+  return {
+    upper: middle + multiplier * range,
+    middle,
+    lower: middle - multiplier * range,
+  };
+}
+
+// direction 1 = price above the trailing band (uptrend), -1 = below; flipped marks a change on the last bar
+function supertrend(highs, lows, closes, period = 10, multiplier = 3) {
+  if (closes.length < period + 2) return null;
+  const atrs = wilderAtrSeries(highs, lows, closes, period);
+  let upper = null;
+  let lower = null;
+  let direction = null;
+  let prevDirection = null;
+  for (let i = period; i < closes.length; i++) {
+    const mid = (highs[i] + lows[i]) / 2;
+    const basicUpper = mid + multiplier * atrs[i];
+    const basicLower = mid - multiplier * atrs[i];
+    upper = upper == null || basicUpper < upper || closes[i - 1] > upper ? basicUpper : upper;
+    lower = lower == null || basicLower > lower || closes[i - 1] < lower ? basicLower : lower;
+    prevDirection = direction;
+    if (direction == null) direction = closes[i] >= mid ? 1 : -1;
+    else if (direction === 1 && closes[i] < lower) direction = -1;
+    else if (direction === -1 && closes[i] > upper) direction = 1;
+  }
+  return {
+    value: direction === 1 ? lower : upper,
+    direction,
+    flipped: prevDirection != null && prevDirection !== direction,
+  };
+}
+
+function midpoint(highs, lows, end, period) {
+  if (end - period + 1 < 0) return null;
+  let high = -Infinity;
+  let low = Infinity;
+  for (let i = end - period + 1; i <= end; i++) {
+    if (highs[i] > high) high = highs[i];
+    if (lows[i] < low) low = lows[i];
+  }
+  return (high + low) / 2;
+}
+
+// The cloud under the current bar is the one projected `displacement` bars ago
+function ichimoku(highs, lows, closes, { conversion = 9, base = 26, spanB = 52, displacement = 26 } = {}) {
+  if (closes.length < spanB) return null;
+  const last = closes.length - 1;
+  const cloudIndex = last - displacement;
+  const cloudConversion = midpoint(highs, lows, cloudIndex, conversion);
+  const cloudBase = midpoint(highs, lows, cloudIndex, base);
+  const spanA = cloudConversion != null && cloudBase != null ? (cloudConversion + cloudBase) / 2 : null;
+  const spanBValue = midpoint(highs, lows, cloudIndex, spanB);
+  let position = null;
+  if (spanA != null && spanBValue != null) {
+    const price = closes[last];
+    if (price > Math.max(spanA, spanBValue)) position = 'above';
+    else if (price < Math.min(spanA, spanBValue)) position = 'below';
+    else position = 'inside';
+  }
+  return {
+    conversion: midpoint(highs, lows, last, conversion),
+    base: midpoint(highs, lows, last, base),
+    spanA,
+    spanB: spanBValue,
+    position,
+  };
+}
+
+const NY_SESSION = new Intl.DateTimeFormat('en-CA', { timeZone: 'America/New_York' });
+const NY_CLOCK = new Intl.DateTimeFormat('en-GB', { timeZone: 'America/New_York', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+
+// anchor: 'open' (first bar of the latest session), 'prior_close' (last bar of the session before),
+// 'HH:MM' New York time within the latest session, or any Date.parse()-able timestamp
+function anchorIndex(bars, anchor) {
+  const last = bars.length - 1;
+  const session = NY_SESSION.format(bars[last].t);
+  let open = last;
+  while (open > 0 && NY_SESSION.format(bars[open - 1].t) === session) open--;
+  if (anchor === 'open') return open;
+  if (anchor === 'prior_close') return open > 0 ? open - 1 : null;
+  const clock = /^(\d{1,2}):(\d{2})$/.exec(String(anchor));
+  if (clock) {
+    const target = clock[1].padStart(2, '0') + ':' + clock[2];
+    for (let i = open; i <= last; i++) {
+      if (NY_CLOCK.format(bars[i].t) >= target) return i;
+    }
+    return null;
+  }
+  const ts = Date.parse(anchor);
+  if (!Number.isFinite(ts)) return null;
+  const index = bars.findIndex((bar) => bar.t >= ts);
+  return index >= 0 ? index : null;
+}
+
+function anchoredVwap(bars, anchor = 'open') {
+  if (!bars?.length || !anchor || !Number.isFinite(bars[bars.length - 1].t)) return null;
+  const start = anchorIndex(bars, anchor);
+  if (start == null) return null;
+  let pv = 0;
+  let volume = 0;
+  for (let i = start; i < bars.length; i++) {
+    const bar = bars[i];
+    const c = bar.c || bar.close;
+    const v = bar.v || bar.volume || 0;
+    if (!(v > 0)) continue;
+    pv += (((bar.h || bar.high || c) + (bar.l || bar.low || c) + c) / 3) * v;
+    volume += v;
+  }
+  if (!(volume > 0)) return null;
+  return { value: pv / volume, anchor, anchorTime: new Date(bars[start].t).toISOString(), bars: bars.length - start };
+}
+
+// vwapAnchor adds anchoredVwap.custom (see anchorIndex); defaults to VWAP_ANCHOR
+function calculateIndicators(bars, { vwapAnchor = process.env.VWAP_ANCHOR } = {}) {
   if (!bars || bars.length === 0) return {};
 
   const closes = bars.map(b => b.c || b.close);
@@ -127,17 +334,35 @@ function calculateIndicators(bars) {
     sma50: sma(closes, 50),
     ema20: ema(closes, 20),
     volume: volumes[volumes.length - 1],
-    avgVolume: sma(volumes, 20)
+    avgVolume: sma(volumes, 20),
+    dmi: dmi(highs, lows, closes),
+    obv: obv(closes, volumes),
+    keltner: keltnerChannels(highs, lows, closes),
+    supertrend: supertrend(highs, lows, closes),
+    ichimoku: ichimoku(highs, lows, closes),
+    anchoredVwap: {
+      open: anchoredVwap(bars, 'open'),
+      priorClose: anchoredVwap(bars, 'prior_close'),
+      custom: vwapAnchor ? anchoredVwap(bars, vwapAnchor) : null,
+    },
   };
 }
 
 module.exports = {
   sma,
   ema,
+  emaSeries,
   rsi,
   macd,
+  macdSeries,
   bollingerBands,
   stochastic,
   atr,
+  dmi,
+  obv,
+  keltnerChannels,
+  supertrend,
+  ichimoku,
+  anchoredVwap,
   calculateIndicators
 };
\ No newline at end of file
@@ -0,0 +1,109 @@
+// Multi-timeframe confluence: the day/swing analyzers run on 1m through daily bars and each
+// timeframe gets a trend score in [-1, 1] from analyzer strength plus structure (price vs EMA20,
+// EMA20 vs SMA50, Supertrend). The weighted average is the alignment; higher timeframes weigh more
+// so a 1-minute long into a daily downtrend scores against itself.
+const { fetchBarsWithFallback } = require('../providers/bars');
+const { analyzeDayTradeSignals, analyzeSwingTradeSignals } = require('./algorithms');
+
+const TIMEFRAMES = [
+  { timeframe: '1m', range: '1d', weight: 1, analyzer: 'day' },
+  { timeframe: '5m', range: '5d', weight: 1, analyzer: 'day' },
+  { timeframe: '15m', range: '5d', weight: 1.5, analyzer: 'day' },
+  { timeframe: '1h', range: '1mo', weight: 2, analyzer: 'swing' },
+  { timeframe: '1d', range: '6mo', weight: 3, analyzer: 'swing' },
+];
+
+const HIGHER_TIMEFRAMES = ['1h', '1d'];
+
+function round(value, decimals = 3) {
+  return Number.isFinite(value) ? Number(value.toFixed(decimals)) : null;
+}
+
+function trendLabel(score) {
+  if (score >= 0.2) return 'up';
+  if (score <= -0.2) return 'down';
+  return 'flat';
+}
+
+function structureVotes(indicators, price) {
+  const votes = [];
+  if (Number.isFinite(indicators?.ema20)) votes.push(Math.sign(price - indicators.ema20));
+  if (Number.isFinite(indicators?.ema20) && Number.isFinite(indicators?.sma50)) {
+    votes.push(Math.sign(indicators.ema20 - indicators.sma50));
+  }
+  if (indicators?.supertrend?.direction) votes.push(indicators.supertrend.direction);
+  return votes;
+}
+
+function scoreTimeframe({ timeframe, weight, analyzer }, { bars, indicators }, price) {
+  const analyze = analyzer === 'swing' ? analyzeSwingTradeSignals : analyzeDayTradeSignals;
+  const analysis = analyze(bars, indicators, price);
+  const votes = structureVotes(indicators, price);
+  const structure = votes.length ? votes.reduce((sum, v) => sum + v, 0) / votes.length : 0;
+  const score = Math.max(-1, Math.min(1, 0.5 * analysis.strength + 0.5 * structure));
+  return {
+    timeframe,
+    weight,
+    trend: trendLabel(score),
+    score: round(score),
+    strength: round(analysis.strength),
+    structure: round(structure),
+    signals: analysis.signals,
+    adx: round(indicators?.dmi?.adx, 1),
+    bars: bars.length,
+  };
+}
+
+// `base` reuses bars the caller already fetched for one timeframe (usually 1m). Mock fallback bars
+// are left out: they are the same synthetic series whatever the interval.
+async function analyzeTimeframes(symbol, { price, base = null, timeframes = TIMEFRAMES, fetchBars = fetchBarsWithFallback } = {}) {
+  const results = await Promise.all(timeframes.map(async (tf) => {
+    try {
+      const data = base && base.timeframe === tf.timeframe
+        ? base
+        : await fetchBars(symbol, { range: tf.range, interval: tf.timeframe });
+      if (data.mock) return { timeframe: tf.timeframe, unavailable: 'no live bars' };
+      if (!data.bars?.length) return { timeframe: tf.timeframe, unavailable: 'no bars' };
+      return scoreTimeframe(tf, data, price);
+    } catch (err) {
+      return { timeframe: tf.timeframe, unavailable: err.message };
+    }
+  }));
+
+  const table = results.filter((r) => !r.unavailable);
+  const unavailable = results.filter((r) => r.unavailable).map(({ timeframe, unavailable: reason }) => ({ timeframe, reason }));
+  const totalWeight = table.reduce((sum, r) => sum + r.weight, 0);
+  const alignment = totalWeight > 0 ? table.reduce((sum, r) => sum + r.weight * r.score, 0) / totalWeight : null;
+
+  let direction = null;
+  if (alignment != null) direction = alignment >= 0.2 ? 'bullish' : alignment <= -0.2 ? 'bearish' : 'mixed';
+
+  return {
+    symbol,
+    alignment: round(alignment),
+    direction,
+    table,
+    unavailable,
+    dailyTrend: table.find((r) => r.timeframe === '1d')?.trend ?? null,
+  };
+}
+
+// Alignment signed to the trade (+ supports it, - fights it) and the higher timeframes trending against it
+function alignmentForSide(mtf, side) {
+  if (!mtf || mtf.alignment == null) return null;
+  const sign = side === 'put' ? -1 : 1;
+  const against = sign > 0 ? 'down' : 'up';
+  return {
+    score: round(mtf.alignment * sign),
+    direction: mtf.direction,
+    daily_trend: mtf.dailyTrend,
+    conflicts: mtf.table.filter((r) => HIGHER_TIMEFRAMES.includes(r.timeframe) && r.trend === against).map((r) => r.timeframe),
+    timeframes: mtf.table.length,
+  };
+}
+
+module.exports = {
+  TIMEFRAMES,
+  analyzeTimeframes,
+  alignmentForSide,
+};
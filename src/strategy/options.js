@@ -1,6 +1,8 @@
-function isWeekend(date) {
-  const d = date.getUTCDay();
-  return d === 0 || d === 6;
+const calendar = require('../utils/market-calendar');
+const { getSymbolMetadata } = require('../utils/symbol-metadata');
+
+function keyToDate(key) {
+  return new Date(`${key}T00:00:00Z`);
 }
 
 function addDays(date, days) {
@@ -9,68 +11,67 @@ function addDays(date, days) {
   return d;
 }
 
+// Trading days from `from` (inclusive) up to `to` (exclusive), skipping weekends and exchange holidays
 function businessDaysUntil(from, to) {
-  // Approx: counts weekdays only (no holiday calendar)
-  let days = 0;
-  let cur = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
-  while (cur < to) {
-    if (!isWeekend(cur)) days++;
-    cur = addDays(cur, 1);
-  }
-  return days;
+  return calendar.tradingDaysBetween(from, to);
+}
+
+// Expirations that land on an exchange holiday move to the trading day before
+function expiryOnTradingDay(date) {
+  return keyToDate(calendar.previousTradingDay(date, { inclusive: true }));
 }
 
-function nextWeeklyExpiry(minBusinessDays = 2) {
-  const now = new Date();
+function nextWeeklyExpiry(minBusinessDays = 2, asOf = new Date()) {
+  const now = asOf;
   // Find upcoming Friday (UTC)
   const day = now.getUTCDay(); // 0 Sun .. 6 Sat
   const daysToFri = (5 - day + 7) % 7 || 7; // next Friday, at least +1..+7
-  let candidate = addDays(now, daysToFri);
+  let friday = addDays(now, daysToFri);
+  let candidate = expiryOnTradingDay(friday);
   // Ensure at least minBusinessDays from today
   if (businessDaysUntil(now, candidate) < minBusinessDays) {
-    candidate = addDays(candidate, 7);
+    friday = addDays(friday, 7);
+    candidate = expiryOnTradingDay(friday);
   }
   return candidate; // Date (UTC)
 }
 
-function nextMonthlyExpiry(minBusinessDays = 2) {
-  const now = new Date();
-  // Find the last business day of the current month
-  const endOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-  // If today is after the 15th, look at next month
-  if (now.getDate() > 15) {
-    endOfMonth.setMonth(endOfMonth.getMonth() + 1, 0);
-  }
-  // Go back to Friday if not already
-  while (endOfMonth.getDay() !== 5) {
-    endOfMonth.setDate(endOfMonth.getDate() - 1);
-  }
-  return endOfMonth;
+function thirdFriday(year, month) {
+  const first = new Date(Date.UTC(year, month, 1));
+  const daysToFri = (5 - first.getUTCDay() + 7) % 7;
+  return addDays(first, daysToFri + 14);
 }
 
-function next0DTEExpiry() {
-  // Same day expiry - use today if market is open, otherwise next business day
-  const now = new Date();
-  let candidate = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
-  // If after 4 PM ET (21:00 UTC during DST adjustments we approximate with 20)
-  if (now.getUTCHours() >= 20) {
-    candidate = addDays(candidate, 1);
+// Standard monthlies expire on the third Friday (the Thursday before when Friday is a holiday)
+function nextMonthlyExpiry(minBusinessDays = 2, asOf = new Date()) {
+  const now = asOf;
+  let candidate = expiryOnTradingDay(thirdFriday(now.getUTCFullYear(), now.getUTCMonth()));
+  // Roll to next month once this one has expired or is inside the minimum runway
+  if (now >= calendar.closeTime(candidate) || businessDaysUntil(now, candidate) < minBusinessDays) {
+    candidate = expiryOnTradingDay(thirdFriday(now.getUTCFullYear(), now.getUTCMonth() + 1));
   }
-  while (isWeekend(candidate)) {
-    candidate = addDays(candidate, 1);
+  return candidate; // Date (UTC)
+}
+
+function next0DTEExpiry(asOf = new Date()) {
+  // Same day expiry - today's session if it has not closed yet (1 PM ET on half days), otherwise
+  // the next trading day
+  const today = calendar.sessionDate(asOf);
+  if (calendar.isTradingDay(today) && asOf < calendar.closeTime(today)) {
+    return keyToDate(today);
   }
-  return candidate;
+  return keyToDate(calendar.nextTradingDay(today));
 }
 
-function getExpiryByType(expiryType = 'weekly', minBusinessDays = 2) {
+function getExpiryByType(expiryType = 'weekly', minBusinessDays = 2, asOf = new Date()) {
   switch (expiryType) {
     case '0dte':
-      return next0DTEExpiry();
+      return next0DTEExpiry(asOf);
     case 'monthly':
-      return nextMonthlyExpiry(minBusinessDays);
+      return nextMonthlyExpiry(minBusinessDays, asOf);
     case 'weekly':
     default:
-      return nextWeeklyExpiry(minBusinessDays);
+      return nextWeeklyExpiry(minBusinessDays, asOf);
   }
 }
 
@@ -95,37 +96,81 @@ function floorStrike(price, increment) {
   return Math.floor(price / increment) * increment;
 }
 
+// Static fallback for symbols whose chain metadata has not been cached yet. Strike increment,
+// multiplier and 0DTE support from data/symbol-metadata.json take precedence; OTM targets,
+// dividendYield (a continuous annual yield) and pricingModel (default DEFAULT_PRICING_MODEL) only
+// come from here.
 const OPTION_CONFIG = {
-  SPY: { multiplier: 100, strikeIncrement: 1, supports0DTE: true, defaultOTMPct: 0.004 },
-  QQQ: { multiplier: 100, strikeIncrement: 1, supports0DTE: true, defaultOTMPct: 0.005 },
-  AAPL: { multiplier: 100, strikeIncrement: 1, supports0DTE: false, defaultOTMPct: 0.01 },
+  SPY: { multiplier: 100, strikeIncrement: 1, supports0DTE: true, defaultOTMPct: 0.004, dividendYield: 0.012, pricingModel: 'bjerksund_stensland' },
+  QQQ: { multiplier: 100, strikeIncrement: 1, supports0DTE: true, defaultOTMPct: 0.005, dividendYield: 0.006, pricingModel: 'bjerksund_stensland' },
+  AAPL: { multiplier: 100, strikeIncrement: 1, supports0DTE: false, defaultOTMPct: 0.01, dividendYield: 0.004, pricingModel: 'bjerksund_stensland' },
   TSLA: { multiplier: 100, strikeIncrement: 1, supports0DTE: false, defaultOTMPct: 0.012 },
-  GOOGL: { multiplier: 100, strikeIncrement: 1, supports0DTE: false, defaultOTMPct: 0.008 },
-  AMAT: { multiplier: 100, strikeIncrement: 1, supports0DTE: false, defaultOTMPct: 0.01 },
-  GS: { multiplier: 100, strikeIncrement: 2.5, supports0DTE: false, defaultOTMPct: 0.01 },
-  MSFT: { multiplier: 100, strikeIncrement: 1, supports0DTE: false, defaultOTMPct: 0.008 },
-  META: { multiplier: 100, strikeIncrement: 1, supports0DTE: false, defaultOTMPct: 0.01 },
-  BABA: { multiplier: 100, strikeIncrement: 0.5, supports0DTE: false, defaultOTMPct: 0.012 },
-  SPX: { multiplier: 100, strikeIncrement: 5, supports0DTE: true, defaultOTMPct: 0.005 },
+  GOOGL: { multiplier: 100, strikeIncrement: 1, supports0DTE: false, defaultOTMPct: 0.008, dividendYield: 0.004, pricingModel: 'bjerksund_stensland' },
+  AMAT: { multiplier: 100, strikeIncrement: 1, supports0DTE: false, defaultOTMPct: 0.01, dividendYield: 0.009, pricingModel: 'bjerksund_stensland' },
+  GS: { multiplier: 100, strikeIncrement: 2.5, supports0DTE: false, defaultOTMPct: 0.01, dividendYield: 0.02, pricingModel: 'bjerksund_stensland' },
+  MSFT: { multiplier: 100, strikeIncrement: 1, supports0DTE: false, defaultOTMPct: 0.008, dividendYield: 0.007, pricingModel: 'bjerksund_stensland' },
+  META: { multiplier: 100, strikeIncrement: 1, supports0DTE: false, defaultOTMPct: 0.01, dividendYield: 0.003, pricingModel: 'bjerksund_stensland' },
+  BABA: { multiplier: 100, strikeIncrement: 0.5, supports0DTE: false, defaultOTMPct: 0.012, dividendYield: 0.012, pricingModel: 'bjerksund_stensland' },
+  SPX: { multiplier: 100, strikeIncrement: 5, supports0DTE: true, defaultOTMPct: 0.005, dividendYield: 0.012 },
   NVDA: { multiplier: 100, strikeIncrement: 1, supports0DTE: false, defaultOTMPct: 0.01 },
   GLD: { multiplier: 100, strikeIncrement: 1, supports0DTE: false, defaultOTMPct: 0.01 },
   CVNA: { multiplier: 100, strikeIncrement: 1, supports0DTE: false, defaultOTMPct: 0.015 },
   HOOD: { multiplier: 100, strikeIncrement: 0.5, supports0DTE: false, defaultOTMPct: 0.02, fallbackExpiryType: 'weekly' },
-  AVGO: { multiplier: 100, strikeIncrement: 5, supports0DTE: false, defaultOTMPct: 0.008 },
+  AVGO: { multiplier: 100, strikeIncrement: 5, supports0DTE: false, defaultOTMPct: 0.008, dividendYield: 0.012, pricingModel: 'bjerksund_stensland' },
   NFLX: { multiplier: 100, strikeIncrement: 5, supports0DTE: false, defaultOTMPct: 0.01 },
-  CRM: { multiplier: 100, strikeIncrement: 2.5, supports0DTE: false, defaultOTMPct: 0.01 },
+  CRM: { multiplier: 100, strikeIncrement: 2.5, supports0DTE: false, defaultOTMPct: 0.01, dividendYield: 0.006, pricingModel: 'bjerksund_stensland' },
   AMD: { multiplier: 100, strikeIncrement: 2.5, supports0DTE: false, defaultOTMPct: 0.01 },
-  UNH: { multiplier: 100, strikeIncrement: 2.5, supports0DTE: false, defaultOTMPct: 0.008 },
+  UNH: { multiplier: 100, strikeIncrement: 2.5, supports0DTE: false, defaultOTMPct: 0.008, dividendYield: 0.025, pricingModel: 'bjerksund_stensland' },
   COIN: { multiplier: 100, strikeIncrement: 1, supports0DTE: false, defaultOTMPct: 0.015 },
   SNOW: { multiplier: 100, strikeIncrement: 5, supports0DTE: false, defaultOTMPct: 0.01 },
   PLTR: { multiplier: 100, strikeIncrement: 0.5, supports0DTE: false, defaultOTMPct: 0.02 },
   NBIS: { multiplier: 100, strikeIncrement: 1, supports0DTE: false, defaultOTMPct: 0.02 },
 };
 
-function getOptionConfig(symbol) {
+// Standard listing tiers for symbols nothing is known about yet
+function defaultStrikeIncrement(price) {
+  if (!(price > 0)) return 1;
+  if (price < 25) return 0.5;
+  if (price < 200) return 1;
+  return 5;
+}
+
+// Cached chain metadata over the static table over standard 100-share contracts. Never throws
+// for unknown symbols; `source` says which layer supplied the contract spec (chain, static, default).
+// Metadata fetched after `asOf`'s session (backtests, replays) is ignored: today's listing says
+// nothing about the strikes and contract size that traded back then.
+function getOptionConfig(symbol, { underlyingPrice, asOf = new Date() } = {}) {
   if (!symbol) return null;
   const key = symbol.toString().trim().toUpperCase();
-  return OPTION_CONFIG[key] || null;
+  const stat = OPTION_CONFIG[key] || null;
+  const meta = getSymbolMetadata(key);
+  const metaAsOf = meta ? calendar.sessionDate(meta.updatedAt) : null;
+  const conf = { multiplier: 100, supports0DTE: false, ...(stat || {}), source: stat ? 'static' : 'default' };
+  if (meta && !(calendar.sessionDate(asOf) < metaAsOf)) {
+    if (meta.strikeIncrement > 0) conf.strikeIncrement = meta.strikeIncrement;
+    if (meta.multiplier > 0) conf.multiplier = meta.multiplier;
+    if (typeof meta.supports0DTE === 'boolean') conf.supports0DTE = meta.supports0DTE;
+    if (Array.isArray(meta.expirations) && meta.expirations.length) {
+      conf.expirations = meta.expirations;
+      conf.expirationsAsOf = metaAsOf;
+    }
+    conf.source = 'chain';
+  }
+  if (!(conf.strikeIncrement > 0)) conf.strikeIncrement = defaultStrikeIncrement(underlyingPrice);
+  return conf;
+}
+
+// Black-Scholes unless a symbol opts in: dividend payers in OPTION_CONFIG use the American
+// Bjerksund-Stensland approximation since early exercise around ex-dates moves their premiums
+const DEFAULT_PRICING_MODEL = 'black_scholes';
+
+function getPricingProfile(symbol, { pricingModel, dividendYield } = {}) {
+  const conf = getOptionConfig(symbol) || {};
+  const model = pricingModel || conf.pricingModel || process.env.OPTION_PRICING_MODEL || DEFAULT_PRICING_MODEL;
+  return {
+    model: normalizePricingModel(model),
+    dividendYield: Number.isFinite(dividendYield) ? dividendYield : (conf.dividendYield ?? 0),
+  };
 }
 
 function describeExpiryType(type) {
@@ -143,7 +188,27 @@ function describeExpiryType(type) {
   }
 }
 
-function resolveExpiryDate({ symbol, requestedType = 'weekly', minBusinessDays = 2, expiryOverride }) {
+// The computed expiry when the symbol lists it, otherwise the first listed one after it that still
+// leaves minBusinessDays; monthly requests take the first listed MONTHLY expiration when the
+// listing is typed. Null when no listing applies (none cached, or replaying dates before it was
+// fetched) so the computed date stands.
+function snapToListedExpiry(conf, date, minBusinessDays, asOf, type) {
+  const today = calendar.sessionDate(asOf);
+  if (!conf.expirations || !conf.expirationsAsOf || today < conf.expirationsAsOf) return null;
+  const hasRunway = (d) => businessDaysUntil(asOf, keyToDate(d)) >= minBusinessDays;
+  if (type === 'monthly') {
+    const monthly = conf.expirations.find((e) => e.type === 'MONTHLY' && e.date >= today && hasRunway(e.date));
+    if (monthly) return keyToDate(monthly.date);
+  }
+  const target = formatExpiryISO(date);
+  const dates = conf.expirations.map((e) => e.date).filter((d) => d >= today).sort();
+  if (!dates.length || target > dates[dates.length - 1]) return null;
+  if (dates.includes(target)) return date;
+  const next = dates.find((d) => d > target && hasRunway(d));
+  return next ? keyToDate(next) : null;
+}
+
+function resolveExpiryDate({ symbol, requestedType = 'weekly', minBusinessDays = 2, expiryOverride, asOf = new Date() }) {
   if (expiryOverride) {
     const overrideDate = new Date(expiryOverride);
     if (Number.isNaN(overrideDate.getTime())) {
@@ -157,7 +222,7 @@ function resolveExpiryDate({ symbol, requestedType = 'weekly', minBusinessDays =
     };
   }
 
-  const conf = getOptionConfig(symbol) || {};
+  const conf = getOptionConfig(symbol, { asOf }) || {};
   const normalizedRequested = (requestedType || 'weekly').toString().toLowerCase();
   let effectiveType = normalizedRequested;
   let fallbackReason = null;
@@ -173,7 +238,24 @@ function resolveExpiryDate({ symbol, requestedType = 'weekly', minBusinessDays =
     effectiveType = 'weekly';
   }
 
-  const date = getExpiryByType(effectiveType, minBusinessDays);
+  let date = getExpiryByType(effectiveType, minBusinessDays, asOf);
+  const listed = snapToListedExpiry(conf, date, minBusinessDays, asOf, effectiveType);
+  if (listed && listed.getTime() !== date.getTime()) {
+    if (effectiveType === '0dte') {
+      fallbackReason = `No ${formatExpiryISO(date)} expiration listed for ${symbol}; falling back to weekly expiry.`;
+      effectiveType = 'weekly';
+      date = getExpiryByType(effectiveType, minBusinessDays, asOf);
+      date = snapToListedExpiry(conf, date, minBusinessDays, asOf, effectiveType) || date;
+    } else {
+      const typedMonthly = effectiveType === 'monthly' && conf.expirations.some((e) => e.type === 'MONTHLY');
+      if (!typedMonthly) {
+        // Keep an earlier 0DTE -> weekly reason in front of the snap
+        const snapped = `${describeExpiryType(effectiveType)} expiry ${formatExpiryISO(date)} is not listed for ${symbol}; using ${formatExpiryISO(listed)}.`;
+        fallbackReason = fallbackReason ? `${fallbackReason} ${snapped}` : snapped;
+      }
+      date = listed;
+    }
+  }
 
   return {
     date,
@@ -200,25 +282,285 @@ function erf(x) {
   return sign * y;
 }
 
-function bsOptionPrice({ S, K, T, r = 0.01, sigma = 0.2, type = 'call' }) {
-  // Black-Scholes price (no dividends)
-  if (T <= 0 || sigma <= 0) return Math.max(0, (type === 'call' ? S - K : K - S));
-  const d1 = (Math.log(S / K) + (r + 0.5 * sigma * sigma) * T) / (sigma * Math.sqrt(T));
+function normPdf(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+function isCall(type) {
+  return String(type || 'call').toLowerCase().startsWith('c');
+}
+
+function intrinsicValue({ S, K, type }) {
+  return Math.max(0, isCall(type) ? S - K : K - S);
+}
+
+function bsOptionPrice({ S, K, T, r = 0.01, q = 0, sigma = 0.2, type = 'call' }) {
+  // Black-Scholes-Merton price with a continuous dividend yield q (q = 0 is plain Black-Scholes)
+  const call = isCall(type);
+  if (T <= 0 || sigma <= 0) return intrinsicValue({ S, K, type });
+  const d1 = (Math.log(S / K) + (r - q + 0.5 * sigma * sigma) * T) / (sigma * Math.sqrt(T));
   const d2 = d1 - sigma * Math.sqrt(T);
-  if (type === 'call') {
-    return S * normCdf(d1) - K * Math.exp(-r * T) * normCdf(d2);
+  const carry = Math.exp(-q * T);
+  if (call) {
+    return S * carry * normCdf(d1) - K * Math.exp(-r * T) * normCdf(d2);
+  } else {
+    return K * Math.exp(-r * T) * normCdf(-d2) - S * carry * normCdf(-d1);
+  }
+}
+
+// Cox-Ross-Rubinstein tree; early exercise is checked at every node when american
+function binomialOptionPrice({ S, K, T, r = 0.01, q = 0, sigma = 0.2, type = 'call', american = true, steps = 150 }) {
+  if (T <= 0 || sigma <= 0) return intrinsicValue({ S, K, type });
+  const tree = binomialTree({ S, K, T, r, q, sigma, type, american, steps });
+  return tree ? tree.price : bsOptionPrice({ S, K, T, r, q, sigma, type });
+}
+
+// Rolls the CRR tree back to the root, keeping the step-1 and step-2 node values so delta,
+// gamma and theta come from the tree itself (Hull). Repricing at a bumped spot would move the
+// strike relative to the nodes and make the differences oscillate. Returns null when the carry
+// is too large for the step size and the tree would need negative probabilities.
+function binomialTree({ S, K, T, r, q = 0, sigma, type, american = true, steps = 150 }) {
+  const n = Math.max(2, Math.round(steps));
+  const dt = T / n;
+  const u = Math.exp(sigma * Math.sqrt(dt));
+  const d = 1 / u;
+  const p = (Math.exp((r - q) * dt) - d) / (u - d);
+  if (!(p > 0 && p < 1)) return null;
+  const disc = Math.exp(-r * dt);
+  const call = isCall(type);
+  const values = new Float64Array(n + 1);
+  const levels = {};
+  for (let i = 0; i <= n; i++) {
+    const spot = S * Math.pow(u, n - i) * Math.pow(d, i);
+    values[i] = Math.max(0, call ? spot - K : K - spot);
+  }
+  for (let step = n - 1; step >= 0; step--) {
+    for (let i = 0; i <= step; i++) {
+      const cont = disc * (p * values[i] + (1 - p) * values[i + 1]);
+      if (american) {
+        const spot = S * Math.pow(u, step - i) * Math.pow(d, i);
+        values[i] = Math.max(cont, call ? spot - K : K - spot);
+      } else {
+        values[i] = cont;
+      }
+    }
+    if (step === 2) levels.two = Array.from(values.subarray(0, 3));
+    if (step === 1) levels.one = Array.from(values.subarray(0, 2));
+  }
+  const [fuu, fud, fdd] = levels.two;
+  const [fu, fd] = levels.one;
+  const [Suu, Sdd] = [S * u * u, S * d * d];
+  return {
+    price: values[0],
+    delta: (fu - fd) / (S * u - S * d),
+    gamma: ((fuu - fud) / (Suu - S) - (fud - fdd) / (S - Sdd)) / ((Suu - Sdd) / 2),
+    thetaPerYear: (fud - values[0]) / (2 * dt),
+  };
+}
+
+// Bjerksund-Stensland (1993) closed-form approximation for American options, in
+// cost-of-carry form (b = r - q). Puts use the put-call transformation.
+function bjerksundStenslandCall({ S, K, T, r, b, sigma }) {
+  if (b >= r) return bsOptionPrice({ S, K, T, r, q: r - b, sigma, type: 'call' });
+  const sigma2 = sigma * sigma;
+  const beta = (0.5 - b / sigma2) + Math.sqrt((b / sigma2 - 0.5) ** 2 + 2 * r / sigma2);
+  const bInfinity = (beta / (beta - 1)) * K;
+  const b0 = Math.max(K, (r / (r - b)) * K);
+  const ht = -(b * T + 2 * sigma * Math.sqrt(T)) * (b0 / (bInfinity - b0));
+  const trigger = b0 + (bInfinity - b0) * (1 - Math.exp(ht));
+  if (S >= trigger) return S - K;
+  const alpha = (trigger - K) * Math.pow(trigger, -beta);
+  const phi = (gamma, H) => {
+    const lambda = (-r + gamma * b + 0.5 * gamma * (gamma - 1) * sigma2) * T;
+    const d = -(Math.log(S / H) + (b + (gamma - 0.5) * sigma2) * T) / (sigma * Math.sqrt(T));
+    const kappa = (2 * b) / sigma2 + (2 * gamma - 1);
+    return Math.exp(lambda) * Math.pow(S, gamma)
+      * (normCdf(d) - Math.pow(trigger / S, kappa) * normCdf(d - (2 * Math.log(trigger / S)) / (sigma * Math.sqrt(T))));
+  };
+  return alpha * Math.pow(S, beta)
+    - alpha * phi(beta, trigger)
+    + phi(1, trigger)
+    - phi(1, K)
+    - K * phi(0, trigger)
+    + K * phi(0, K);
+}
+
+function bjerksundStenslandPrice({ S, K, T, r = 0.01, q = 0, sigma = 0.2, type = 'call' }) {
+  if (T <= 0 || sigma <= 0) return intrinsicValue({ S, K, type });
+  const b = r - q;
+  const price = isCall(type)
+    ? bjerksundStenslandCall({ S, K, T, r, b, sigma })
+    : bjerksundStenslandCall({ S: K, K: S, T, r: r - b, b: -b, sigma });
+  return Math.max(price, intrinsicValue({ S, K, type }));
+}
+
+const PRICING_MODELS = ['black_scholes', 'binomial', 'bjerksund_stensland'];
+
+function normalizePricingModel(model) {
+  const key = String(model || 'black_scholes').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (key === 'bs' || key === 'european') return 'black_scholes';
+  if (key === 'crr' || key === 'tree') return 'binomial';
+  if (key === 'bjs' || key === 'american') return 'bjerksund_stensland';
+  if (!PRICING_MODELS.includes(key)) {
+    throw new Error(`Unknown option pricing model "${model}" (expected one of: ${PRICING_MODELS.join(', ')})`);
+  }
+  return key;
+}
+
+function priceOption({ model = 'black_scholes', ...params }) {
+  const resolved = normalizePricingModel(model);
+  if (resolved === 'binomial') return binomialOptionPrice(params);
+  if (resolved === 'bjerksund_stensland') return bjerksundStenslandPrice(params);
+  return bsOptionPrice(params);
+}
+
+// Greeks in trader units: theta per calendar day, vega and rho per 1 point (0.01) move
+function bsGreeks({ S, K, T, r = 0.01, q = 0, sigma = 0.2, type = 'call' }) {
+  const call = isCall(type);
+  const price = bsOptionPrice({ S, K, T, r, q, sigma, type });
+  if (!(S > 0) || !(K > 0) || T <= 0 || sigma <= 0) {
+    const itm = call ? S > K : K > S;
+    return { price, delta: itm ? (call ? 1 : -1) : 0, gamma: 0, theta: 0, vega: 0, rho: 0 };
+  }
+  const sqrtT = Math.sqrt(T);
+  const d1 = (Math.log(S / K) + (r - q + 0.5 * sigma * sigma) * T) / (sigma * sqrtT);
+  const d2 = d1 - sigma * sqrtT;
+  const discount = Math.exp(-r * T);
+  const carry = Math.exp(-q * T);
+  const pdf = normPdf(d1);
+  const decay = -(S * carry * pdf * sigma) / (2 * sqrtT);
+  return {
+    price,
+    delta: call ? carry * normCdf(d1) : carry * (normCdf(d1) - 1),
+    gamma: (carry * pdf) / (S * sigma * sqrtT),
+    theta: (call
+      ? decay - r * K * discount * normCdf(d2) + q * S * carry * normCdf(d1)
+      : decay + r * K * discount * normCdf(-d2) - q * S * carry * normCdf(-d1)) / 365,
+    vega: (S * carry * pdf * sqrtT) / 100,
+    rho: (call ? K * T * discount * normCdf(d2) : -K * T * discount * normCdf(-d2)) / 100,
+  };
+}
+
+// Closed-form Greeks for Black-Scholes. The binomial model reads delta, gamma and theta off its
+// tree; everything else uses central differences.
+function optionGreeks({ model = 'black_scholes', ...params }) {
+  const resolved = normalizePricingModel(model);
+  if (resolved === 'black_scholes') return bsGreeks(params);
+  const { S, K, T, r = 0.01, sigma = 0.2, type = 'call' } = params;
+  const price = priceOption({ model: resolved, ...params });
+  if (!(S > 0) || !(K > 0) || T <= 0 || sigma <= 0) {
+    const itm = isCall(type) ? S > K : K > S;
+    return { price, delta: itm ? (isCall(type) ? 1 : -1) : 0, gamma: 0, theta: 0, vega: 0, rho: 0 };
+  }
+  const at = (overrides) => priceOption({ model: resolved, ...params, ...overrides });
+  const day = 1 / 365;
+  // Without a usable tree the binomial price is Black-Scholes, which differences cleanly
+  const tree = resolved === 'binomial' ? binomialTree({ ...params, r, sigma, type }) : null;
+  let spotGreeks;
+  if (tree) {
+    spotGreeks = { delta: tree.delta, gamma: tree.gamma, theta: tree.thetaPerYear * day };
   } else {
-    return K * Math.exp(-r * T) * normCdf(-d2) - S * normCdf(-d1);
+    const dS = S * 0.01;
+    const up = at({ S: S + dS });
+    const down = at({ S: S - dS });
+    spotGreeks = {
+      delta: (up - down) / (2 * dS),
+      gamma: (up - 2 * price + down) / (dS * dS),
+      theta: T > day ? at({ T: T - day }) - price : intrinsicValue({ S, K, type }) - price,
+    };
+  }
+  return {
+    price,
+    ...spotGreeks,
+    vega: (at({ sigma: sigma + 0.01 }) - at({ sigma: Math.max(1e-4, sigma - 0.01) })) / 2,
+    rho: (at({ r: r + 0.01 }) - at({ r: r - 0.01 })) / 2,
+  };
+}
+
+const IV_MIN = 1e-4;
+const IV_MAX = 5;
+
+// Solves implied volatility for an observed premium under the chosen model. Newton steps
+// from a Brenner-Subrahmanyam seed converge in a few iterations near the money; when vega
+// is too flat (deep ITM/OTM, very short dated) it falls back to bisection. Returns null
+// when the premium sits outside no-arbitrage bounds.
+function impliedVolatility({ price, S, K, T, r = 0.01, q = 0, type = 'call', model = 'black_scholes', tolerance = 1e-6, maxIterations = 100 }) {
+  if (![price, S, K, T].every(Number.isFinite) || price <= 0 || S <= 0 || K <= 0 || T <= 0) return null;
+  const resolved = normalizePricingModel(model);
+  const call = isCall(type);
+  const discountK = K * Math.exp(-r * T);
+  const carryS = S * Math.exp(-q * T);
+  const european = resolved === 'black_scholes';
+  let lower = Math.max(0, call ? carryS - discountK : discountK - carryS);
+  if (!european) lower = Math.max(lower, intrinsicValue({ S, K, type }));
+  const upper = call ? (european ? carryS : S) : (european ? discountK : K);
+  if (price < lower - tolerance || price >= upper) return null;
+
+  const tol = Math.min(tolerance, price * 1e-4); // cheap wings need a relative tolerance
+  const diff = (sigma) => priceOption({ model: resolved, S, K, T, r, q, sigma, type }) - price;
+  let sigma = Math.min(IV_MAX, Math.max(0.05, Math.sqrt((2 * Math.PI) / T) * (price / S)));
+  for (let i = 0; i < maxIterations; i++) {
+    const err = diff(sigma);
+    if (Math.abs(err) < tol) return sigma;
+    const vega = european
+      ? bsGreeks({ S, K, T, r, q, sigma, type }).vega * 100
+      : (diff(sigma + 1e-4) - diff(Math.max(IV_MIN, sigma - 1e-4))) / (sigma + 1e-4 - Math.max(IV_MIN, sigma - 1e-4));
+    if (!(vega > 1e-8)) break;
+    const next = sigma - err / vega;
+    if (!Number.isFinite(next) || next <= IV_MIN || next >= IV_MAX) break;
+    sigma = next;
+  }
+
+  let lo = IV_MIN;
+  let hi = IV_MAX;
+  if (diff(lo) > 0 || diff(hi) < 0) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2;
+    const err = diff(mid);
+    if (Math.abs(err) < tol || hi - lo < 1e-8) return mid;
+    if (err > 0) hi = mid; else lo = mid;
   }
+  return (lo + hi) / 2;
 }
 
-function pickContract({ symbol, side, underlyingPrice, otmPct, minBusinessDays = 2, expiryOverride, expiryType = 'weekly' }) {
+// Year fraction to the expiry date's session close (4 PM ET, 1 PM ET on half days)
+function yearsToExpiry(expiry, asOf = new Date()) {
+  const exp = expiry instanceof Date ? expiry : calendar.closeTime(String(expiry));
+  const msToExp = Math.max(0, exp - asOf);
+  return msToExp / (365 * 24 * 60 * 60 * 1000);
+}
+
+function roundGreeks(greeks) {
+  if (!greeks) return null;
+  return {
+    delta: Number(greeks.delta.toFixed(4)),
+    gamma: Number(greeks.gamma.toFixed(4)),
+    theta: Number(greeks.theta.toFixed(4)),
+    vega: Number(greeks.vega.toFixed(4)),
+    rho: Number(greeks.rho.toFixed(4)),
+  };
+}
+
+// IV and Greeks implied by a quoted premium; falls back to the assumed vol when the
+// quote cannot be inverted (stale or through intrinsic)
+function greeksFromMarket({ price, S, K, T, r = 0.01, q = 0, type = 'call', model = 'black_scholes', fallbackIv = null }) {
+  const solved = impliedVolatility({ price, S, K, T, r, q, type, model });
+  const sigma = solved ?? fallbackIv;
+  if (!Number.isFinite(sigma) || !(S > 0) || !(K > 0)) return { iv: null, ivSource: null, greeks: null };
+  return {
+    iv: Number(sigma.toFixed(4)),
+    ivSource: solved != null ? 'market' : 'assumed',
+    greeks: roundGreeks(optionGreeks({ model, S, K, T, r, q, sigma, type })),
+  };
+}
+
+function pickContract({ symbol, side, underlyingPrice, otmPct, minBusinessDays = 2, expiryOverride, expiryType = 'weekly', asOf = new Date() }) {
   const normalizedSymbol = symbol ? symbol.toString().trim().toUpperCase() : symbol;
-  const conf = getOptionConfig(normalizedSymbol);
-  if (!conf) throw new Error(`Unsupported symbol for options config: ${symbol}`);
+  const conf = getOptionConfig(normalizedSymbol, { underlyingPrice, asOf });
+  if (!conf) throw new Error('pickContract: symbol required');
   const { strikeIncrement } = conf;
 
-  const resolvedExpiry = resolveExpiryDate({ symbol: normalizedSymbol, requestedType: expiryType, minBusinessDays, expiryOverride });
+  const resolvedExpiry = resolveExpiryDate({ symbol: normalizedSymbol, requestedType: expiryType, minBusinessDays, expiryOverride, asOf });
   const expiryDate = resolvedExpiry.date;
   const expiry = formatExpiryISO(expiryDate);
 
@@ -242,6 +584,7 @@ function pickContract({ symbol, side, underlyingPrice, otmPct, minBusinessDays =
     expiry,
     strikeIncrement,
     multiplier: conf.multiplier,
+    configSource: conf.source,
     expiryType: resolvedExpiry.effectiveType,
     requestedExpiryType: resolvedExpiry.requestedType,
     expiryFallbackReason: resolvedExpiry.fallbackReason,
@@ -267,16 +610,21 @@ function buildSuggestion({
   expiryType = 'weekly',
   stopLossPct = 0.5,
   takeProfitMult = 2.0,
+  marketPrice, // optional quoted premium (chain mid); IV is solved from it instead of assuming iv
+  pricingModel, // overrides the symbol's OPTION_CONFIG pricing model
+  dividendYield, // overrides the symbol's OPTION_CONFIG dividend yield
+  asOf, // optional Date to price against (backtests replay history)
 }) {
   if (direction !== 'long') throw new Error('Only long options are supported in this MVP');
 
-  const base = pickContract({ symbol, side, underlyingPrice, otmPct, minBusinessDays, expiryOverride, expiryType });
-  const now = new Date();
-  const exp = new Date(base.expiry + 'T20:00:00Z'); // approx end of day UTC
-  const msToExp = Math.max(0, exp - now);
-  const T = msToExp / (365 * 24 * 60 * 60 * 1000);
+  const now = asOf instanceof Date && !Number.isNaN(asOf.getTime()) ? asOf : new Date();
+  const base = pickContract({ symbol, side, underlyingPrice, otmPct, minBusinessDays, expiryOverride, expiryType, asOf: now });
+  const T = yearsToExpiry(base.expiry, now);
 
-  const entry = bsOptionPrice({ S: underlyingPrice, K: base.strike, T, r, sigma: iv, type: side });
+  const pricing = getPricingProfile(base.symbol, { pricingModel, dividendYield });
+  const modelParams = { model: pricing.model, S: underlyingPrice, K: base.strike, T, r, q: pricing.dividendYield, sigma: iv, type: side };
+  const greeks = optionGreeks(modelParams);
+  const entry = greeks.price;
   const stop = Math.max(0.01, entry * (1 - stopLossPct));
   const tp = entry * (1 + takeProfitMult);
 
@@ -289,7 +637,7 @@ function buildSuggestion({
     ? `${expiryDesc} (requested ${requestedExpiryDesc})`
     : expiryDesc;
 
-  return {
+  const suggestion = {
     symbol,
     direction,
     side,
@@ -305,12 +653,18 @@ function buildSuggestion({
     est_entry: Number(entry.toFixed(2)),
     stop: Number(stop.toFixed(2)),
     take_profit: Number(tp.toFixed(2)),
+    implied_vol: iv,
+    greeks: roundGreeks(greeks),
     assumptions: {
       iv,
+      iv_source: 'assumed',
       r,
+      pricing_model: pricing.model,
+      dividend_yield: pricing.dividendYield,
       otm_pct: otmPct,
   otm_pct_used: base.otmPctUsed,
       min_business_days: minBusinessDays,
+      contract_spec_source: base.configSource,
       stop_loss_pct: stopLossPct,
       take_profit_mult: takeProfitMult,
       expiry_type: effectiveExpiryType,
@@ -318,10 +672,60 @@ function buildSuggestion({
     },
     rationale: `${expiryRationalePrefix} ${side.toUpperCase()} ~${Math.round((base.otmPctUsed ?? otmPct ?? 0) * 100)}% OTM with TP ${takeProfitMult}x and SL ${Math.round(stopLossPct * 100)}%`,
   };
+  if (Number.isFinite(marketPrice) && marketPrice > 0) {
+    applyMarketPricing(suggestion, { marketPrice, asOf: now });
+  }
+  return suggestion;
+}
+
+// Re-prices a suggestion off a quoted premium for its (possibly re-selected) strike:
+// entry/stop/target follow the quote and IV/Greeks are solved from it.
+function applyMarketPricing(suggestion, { marketPrice, strike = suggestion.strike, asOf = new Date() }) {
+  if (!Number.isFinite(marketPrice) || marketPrice <= 0) return suggestion;
+  const { assumptions = {} } = suggestion;
+  const stopLossPct = assumptions.stop_loss_pct ?? 0.5;
+  const takeProfitMult = assumptions.take_profit_mult ?? 2.0;
+  const T = yearsToExpiry(suggestion.expiry, asOf);
+  const market = greeksFromMarket({
+    price: marketPrice,
+    S: suggestion.underlying_price,
+    K: strike,
+    T,
+    r: assumptions.r ?? 0.01,
+    q: assumptions.dividend_yield ?? 0,
+    type: suggestion.side,
+    model: assumptions.pricing_model,
+    fallbackIv: assumptions.iv,
+  });
+  suggestion.est_entry = Number(marketPrice.toFixed(2));
+  suggestion.stop = Number(Math.max(0.01, marketPrice * (1 - stopLossPct)).toFixed(2));
+  suggestion.take_profit = Number((marketPrice * (1 + takeProfitMult)).toFixed(2));
+  if (market.greeks) {
+    suggestion.implied_vol = market.iv;
+    suggestion.greeks = market.greeks;
+    suggestion.assumptions = { ...assumptions, iv_source: market.ivSource };
+  }
+  return suggestion;
 }
 
 module.exports = {
   nextWeeklyExpiry,
+  nextMonthlyExpiry,
+  getExpiryByType,
   pickContract,
   buildSuggestion,
+  applyMarketPricing,
+  bsOptionPrice,
+  binomialOptionPrice,
+  bjerksundStenslandPrice,
+  priceOption,
+  PRICING_MODELS,
+  getPricingProfile,
+  getOptionConfig,
+  bsGreeks,
+  optionGreeks,
+  impliedVolatility,
+  greeksFromMarket,
+  yearsToExpiry,
+  formatExpiryISO,
 };
@@ -0,0 +1,281 @@
+// Candlestick and chart pattern recognition. Every detection has the same shape:
+// { name, kind: 'candlestick'|'chart', bias: 'bullish'|'bearish'|'neutral', confidence 0..1,
+//   bars: [indices into the input], from, to (timestamps of the first/last bar involved) }.
+// Bars without an open (Yahoo/FMP intraday) use the previous close as the open.
+
+function normalize(bars) {
+  return bars.map((bar, i) => {
+    const c = Number.isFinite(bar.c) ? bar.c : Number(bar.close);
+    const prev = i > 0 ? bars[i - 1] : null;
+    const prevClose = prev ? (Number.isFinite(prev.c) ? prev.c : Number(prev.close)) : c;
+    const o = Number(bar.o ?? bar.open);
+    return {
+      t: bar.t,
+      o: Number.isFinite(o) ? o : prevClose,
+      h: Number.isFinite(bar.h) ? bar.h : Number(bar.high ?? c),
+      l: Number.isFinite(bar.l) ? bar.l : Number(bar.low ?? c),
+      c,
+      v: Number(bar.v ?? bar.volume ?? 0),
+    };
+  });
+}
+
+function clamp(value, min = 0, max = 0.95) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function median(values) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (!sorted.length) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function detection(name, kind, bias, confidence, indices, bars) {
+  return {
+    name,
+    kind,
+    bias,
+    confidence: Number(clamp(confidence).toFixed(2)),
+    bars: indices,
+    from: bars[indices[0]]?.t ?? null,
+    to: bars[indices[indices.length - 1]]?.t ?? null,
+  };
+}
+
+// Net close-to-close move over the `count` bars before `end` (exclusive), in units of typical range
+function priorMove(bars, end, count, typicalRange) {
+  const start = end - count;
+  if (start < 0 || !(typicalRange > 0)) return 0;
+  return (bars[end - 1].c - bars[start].c) / typicalRange;
+}
+
+function detectEngulfing(bars, typicalRange) {
+  const n = bars.length;
+  if (n < 2) return null;
+  const prev = bars[n - 2];
+  const cur = bars[n - 1];
+  const prevBody = Math.abs(prev.c - prev.o);
+  const body = Math.abs(cur.c - cur.o);
+  if (!(prevBody > 0) || body <= prevBody) return null;
+  const bullish = prev.c < prev.o && cur.c > cur.o && cur.o <= prev.c && cur.c >= prev.o;
+  const bearish = prev.c > prev.o && cur.c < cur.o && cur.o >= prev.c && cur.c <= prev.o;
+  if (!bullish && !bearish) return null;
+  const move = priorMove(bars, n - 1, 5, typicalRange);
+  let confidence = 0.5;
+  if (body >= prevBody * 1.5) confidence += 0.15;
+  // Engulfing matters as a reversal: it should follow a move the other way
+  if ((bullish && move < -1) || (bearish && move > 1)) confidence += 0.2;
+  return detection(bullish ? 'bullish_engulfing' : 'bearish_engulfing', 'candlestick', bullish ? 'bullish' : 'bearish', confidence, [n - 2, n - 1], bars);
+}
+
+// Hammer after a decline, shooting star after an advance; the same candle elsewhere is not reported
+function detectHammerOrStar(bars, typicalRange) {
+  const n = bars.length;
+  if (n < 6) return null;
+  const bar = bars[n - 1];
+  const range = bar.h - bar.l;
+  if (!(range > 0)) return null;
+  const body = Math.abs(bar.c - bar.o);
+  const lowerWick = Math.min(bar.o, bar.c) - bar.l;
+  const upperWick = bar.h - Math.max(bar.o, bar.c);
+  const move = priorMove(bars, n - 1, 5, typicalRange);
+  const wickFloor = Math.max(body, range * 0.1);
+  const rangeBoost = typicalRange > 0 && range >= typicalRange * 1.5 ? 0.1 : 0;
+
+  if (lowerWick >= 2 * wickFloor && upperWick <= range * 0.25 && move < -1) {
+    const confidence = 0.5 + (lowerWick >= 3 * wickFloor ? 0.15 : 0) + rangeBoost;
+    return detection('hammer', 'candlestick', 'bullish', confidence, [n - 1], bars);
+  }
+  if (upperWick >= 2 * wickFloor && lowerWick <= range * 0.25 && move > 1) {
+    const confidence = 0.5 + (upperWick >= 3 * wickFloor ? 0.15 : 0) + rangeBoost;
+    return detection('shooting_star', 'candlestick', 'bearish', confidence, [n - 1], bars);
+  }
+  return null;
+}
+
+// Inside bar: range within the prior (mother) bar; the tighter, the stronger the coil
+function detectInsideBar(bars) {
+  const n = bars.length;
+  if (n < 2) return null;
+  const mother = bars[n - 2];
+  const bar = bars[n - 1];
+  const motherRange = mother.h - mother.l;
+  if (!(motherRange > 0) || bar.h > mother.h || bar.l < mother.l) return null;
+  const confidence = 0.4 + 0.3 * (1 - (bar.h - bar.l) / motherRange);
+  return detection('inside_bar', 'candlestick', 'neutral', confidence, [n - 2, n - 1], bars);
+}
+
+// Flag: a sharp pole (>= 3 typical ranges, >= half a range per bar) followed by a tight
+// consolidation that neither extends the pole nor gives back half of it. The best-scoring
+// pole/flag split ending on the last bar wins.
+function detectFlag(bars, typicalRange) {
+  const n = bars.length;
+  if (!(typicalRange > 0)) return null;
+  let best = null;
+  for (let flagLen = 4; flagLen <= 15; flagLen++) {
+    for (let poleLen = 3; poleLen <= 10; poleLen++) {
+      const poleStart = n - flagLen - poleLen - 1;
+      const poleEnd = n - flagLen - 1;
+      if (poleStart < 0) continue;
+      const pole = bars[poleEnd].c - bars[poleStart].c;
+      if (Math.abs(pole) < 3 * typicalRange || Math.abs(pole) / poleLen < typicalRange * 0.5) continue;
+      const flag = bars.slice(poleEnd + 1);
+      const flagHigh = Math.max(...flag.map((b) => b.h));
+      const flagLow = Math.min(...flag.map((b) => b.l));
+      const flagRange = flagHigh - flagLow;
+      if (flagRange > Math.abs(pole) * 0.5) continue;
+      const bull = pole > 0;
+      const retrace = bull ? bars[poleEnd].c - flagLow : flagHigh - bars[poleEnd].c;
+      if (retrace > Math.abs(pole) * 0.5) continue;
+      const drift = (bars[n - 1].c - bars[poleEnd].c) * Math.sign(pole);
+      if (drift > Math.abs(pole) * 0.25) continue;
+      const confidence = 0.45
+        + 0.2 * Math.min(1, Math.abs(pole) / (6 * typicalRange))
+        + 0.2 * (1 - flagRange / (Math.abs(pole) * 0.5));
+      if (!best || confidence > best.confidence) {
+        const indices = [];
+        for (let i = poleStart; i < n; i++) indices.push(i);
+        best = detection(bull ? 'bull_flag' : 'bear_flag', 'chart', bull ? 'bullish' : 'bearish', confidence, indices, bars);
+      }
+    }
+  }
+  return best;
+}
+
+// Confirmed swing points: the extreme of `span` bars on each side
+function findPivots(bars, span = 3) {
+  const highs = [];
+  const lows = [];
+  for (let i = span; i < bars.length - span; i++) {
+    let isHigh = true;
+    let isLow = true;
+    for (let j = i - span; j <= i + span; j++) {
+      if (j === i) continue;
+      if (bars[j].h >= bars[i].h) isHigh = false;
+      if (bars[j].l <= bars[i].l) isLow = false;
+    }
+    if (isHigh) highs.push(i);
+    if (isLow) lows.push(i);
+  }
+  return { highs, lows };
+}
+
+// First close beyond `level` (below when dir < 0) after index `from`, or null
+function firstCloseThrough(bars, from, level, dir) {
+  for (let i = from + 1; i < bars.length; i++) {
+    if (dir < 0 ? bars[i].c < level : bars[i].c > level) return i;
+  }
+  return null;
+}
+
+// Two peaks (troughs) within tolerance, at least 5 bars apart, with a real dip (rally) between;
+// closing through the neckline confirms it. The pattern ends at the second peak (trough), or at
+// the bar that broke the neckline once confirmed
+function detectDoubleTopBottom(bars, pivots, typicalRange) {
+  const n = bars.length;
+  const last = bars[n - 1].c;
+  const tolerance = Math.max(last * 0.002, typicalRange * 0.75);
+  const results = [];
+
+  const [h1, h2] = pivots.highs.slice(-2);
+  if (h2 != null && h2 - h1 >= 5 && Math.abs(bars[h1].h - bars[h2].h) <= tolerance) {
+    let neck = h1 + 1;
+    for (let i = h1 + 1; i < h2; i++) if (bars[i].l < bars[neck].l) neck = i;
+    const depth = Math.min(bars[h1].h, bars[h2].h) - bars[neck].l;
+    if (depth >= 2 * tolerance && last < bars[h2].h) {
+      const confirmed = last < bars[neck].l;
+      const indices = confirmed ? [h1, neck, h2, firstCloseThrough(bars, h2, bars[neck].l, -1)] : [h1, neck, h2];
+      results.push(detection('double_top', 'chart', 'bearish', confirmed ? 0.75 : 0.5, indices, bars));
+    }
+  }
+
+  const [l1, l2] = pivots.lows.slice(-2);
+  if (l2 != null && l2 - l1 >= 5 && Math.abs(bars[l1].l - bars[l2].l) <= tolerance) {
+    let neck = l1 + 1;
+    for (let i = l1 + 1; i < l2; i++) if (bars[i].h > bars[neck].h) neck = i;
+    const height = bars[neck].h - Math.max(bars[l1].l, bars[l2].l);
+    if (height >= 2 * tolerance && last > bars[l2].l) {
+      const confirmed = last > bars[neck].h;
+      const indices = confirmed ? [l1, neck, l2, firstCloseThrough(bars, l2, bars[neck].h, 1)] : [l1, neck, l2];
+      results.push(detection('double_bottom', 'chart', 'bullish', confirmed ? 0.75 : 0.5, indices, bars));
+    }
+  }
+  return results;
+}
+
+// Higher highs + higher lows (or lower highs + lower lows) across the last three swing points of each
+function detectStructure(bars, pivots) {
+  const highs = pivots.highs.slice(-3);
+  const lows = pivots.lows.slice(-3);
+  if (highs.length < 2 || lows.length < 2) return null;
+  const steps = (idx, key, dir) => {
+    let count = 0;
+    for (let i = idx.length - 1; i > 0; i--) {
+      if (Math.sign(bars[idx[i]][key] - bars[idx[i - 1]][key]) !== dir) break;
+      count += 1;
+    }
+    return count;
+  };
+  for (const [dir, name, bias] of [[1, 'higher_highs_higher_lows', 'bullish'], [-1, 'lower_highs_lower_lows', 'bearish']]) {
+    const highSteps = steps(highs, 'h', dir);
+    const lowSteps = steps(lows, 'l', dir);
+    if (highSteps >= 1 && lowSteps >= 1) {
+      const indices = [...new Set([...highs.slice(-(highSteps + 1)), ...lows.slice(-(lowSteps + 1))])].sort((a, b) => a - b);
+      return detection(name, 'chart', bias, 0.5 + 0.1 * (highSteps + lowSteps - 2), indices, bars);
+    }
+  }
+  return null;
+}
+
+// All patterns over the last `lookback` bars; indices in the result refer to the input array
+function detectPatterns(rawBars, { lookback = 60 } = {}) {
+  if (!Array.isArray(rawBars) || rawBars.length < 6) return [];
+  const offset = Math.max(0, rawBars.length - lookback);
+  const bars = normalize(rawBars.slice(Math.max(0, offset - 1))).slice(offset > 0 ? 1 : 0);
+  const typicalRange = median(bars.map((b) => b.h - b.l));
+  const pivots = findPivots(bars);
+  const found = [
+    detectEngulfing(bars, typicalRange),
+    detectHammerOrStar(bars, typicalRange),
+    detectInsideBar(bars),
+    detectFlag(bars, typicalRange),
+    ...detectDoubleTopBottom(bars, pivots, typicalRange),
+    detectStructure(bars, pivots),
+  ].filter(Boolean);
+  return found
+    .map((p) => ({ ...p, bars: p.bars.map((i) => i + offset) }))
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+// Net pattern lean: confidence-weighted bullish minus bearish, clamped to [-1, 1]
+function patternBias(patterns, { minConfidence = 0.5 } = {}) {
+  let score = 0;
+  for (const p of patterns || []) {
+    if (p.confidence < minConfidence || p.bias === 'neutral') continue;
+    score += p.bias === 'bullish' ? p.confidence : -p.confidence;
+  }
+  return Math.max(-1, Math.min(1, score));
+}
+
+// Prompt-sized view: bars_ago counts back from the latest bar to the pattern's last bar
+function compactPatterns(patterns, barCount, limit = 5) {
+  return (patterns || []).slice(0, limit).map((p) => ({
+    name: p.name,
+    kind: p.kind,
+    bias: p.bias,
+    confidence: p.confidence,
+    bars_ago: barCount - 1 - p.bars[p.bars.length - 1],
+    length: p.bars[p.bars.length - 1] - p.bars[0] + 1,
+  }));
+}
+
+const REVERSAL_PATTERNS = ['bullish_engulfing', 'bearish_engulfing', 'hammer', 'shooting_star', 'double_top', 'double_bottom'];
+
+module.exports = {
+  detectPatterns,
+  patternBias,
+  compactPatterns,
+  findPivots,
+  REVERSAL_PATTERNS,
+};
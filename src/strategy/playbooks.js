@@ -6,6 +6,15 @@ function pctChange(newValue, oldValue) {
   return (newValue - oldValue) / oldValue;
 }
 
+// ADX regime: trending >= 25, choppy < 20, mixed in between; null until there are enough bars
+function trendRegime(indicators) {
+  const adx = indicators?.dmi?.adx;
+  if (!Number.isFinite(adx)) return null;
+  if (adx >= 25) return 'trending';
+  if (adx < 20) return 'choppy';
+  return 'mixed';
+}
+
 function evaluateMomentum({ bars, indicators, price, volume, avgVolume }) {
   const reasons = [];
   const riskFlags = [];
@@ -53,15 +62,43 @@ function evaluateMomentum({ bars, indicators, price, volume, avgVolume }) {
   }
 
   if (indicators?.macd?.histogram != null) {
-    if (indicators.macd.histogram > 0) {
-      reasons.push('MACD histogram positive');
+    const { histogram, prevHistogram } = indicators.macd;
+    if (histogram > 0) {
+      reasons.push(prevHistogram != null && prevHistogram <= 0 ? 'MACD crossed above signal' : 'MACD histogram positive');
       score += 0.1;
     } else {
-      reasons.push('MACD histogram negative');
+      reasons.push(prevHistogram != null && prevHistogram > 0 ? 'MACD crossed below signal' : 'MACD histogram negative');
       score -= 0.1;
     }
   }
 
+  const supertrend = indicators?.supertrend;
+  if (supertrend?.direction === 1) {
+    reasons.push(supertrend.flipped ? 'Supertrend flipped up' : 'Supertrend up');
+    score += 0.1;
+  } else if (supertrend?.direction === -1) {
+    reasons.push(supertrend.flipped ? 'Supertrend flipped down' : 'Supertrend down');
+    score -= 0.1;
+  }
+
+  const cloud = indicators?.ichimoku?.position;
+  if (cloud === 'above') {
+    reasons.push('Above the Ichimoku cloud');
+    score += 0.05;
+  } else if (cloud === 'below') {
+    reasons.push('Below the Ichimoku cloud');
+    score -= 0.05;
+  }
+
+  const sessionVwap = indicators?.anchoredVwap?.open?.value;
+  if (Number.isFinite(sessionVwap) && close > sessionVwap) {
+    reasons.push('Above VWAP anchored at the open');
+    score += 0.05;
+  } else if (Number.isFinite(sessionVwap) && close < sessionVwap) {
+    reasons.push('Below VWAP anchored at the open');
+    score -= 0.05;
+  }
+
   if (score > 0.15) bias = 'bullish';
   if (score < -0.15) bias = 'bearish';
 
@@ -77,6 +114,8 @@ function evaluateMomentum({ bars, indicators, price, volume, avgVolume }) {
       price,
       ema20: indicators?.ema20 ?? null,
       sma50: indicators?.sma50 ?? null,
+      supertrend: supertrend?.value ?? null,
+      anchoredVwap: sessionVwap ?? null,
     },
   };
 }
@@ -130,6 +169,15 @@ function evaluateMeanReversion({ price, indicators }) {
     }
   }
 
+  const regime = trendRegime(indicators);
+  if (regime === 'trending' && score !== 0) {
+    riskFlags.push(`ADX ${indicators.dmi.adx.toFixed(0)}: strong trend, fading it is risky`);
+    score *= 0.6;
+  } else if (regime === 'choppy' && score !== 0) {
+    reasons.push(`ADX ${indicators.dmi.adx.toFixed(0)}: range-bound tape suits reversion`);
+    score += 0.1 * Math.sign(score);
+  }
+
   if (score === 0) {
     riskFlags.push('No extreme deviation from mean detected');
   }
@@ -149,6 +197,7 @@ function evaluateMeanReversion({ price, indicators }) {
         lower: bb.lower,
       } : null,
       sma20: sma20 ?? null,
+      adx: indicators?.dmi?.adx ?? null,
     },
   };
 }
@@ -225,6 +274,46 @@ function evaluateBreakout({ bars, price, indicators }) {
     }
   }
 
+  // ADX separates a trending tape, where breaks follow through, from chop, where they fail
+  const direction = Math.sign(score);
+  const dmi = indicators?.dmi;
+  const regime = trendRegime(indicators);
+  if (regime === 'trending' && direction !== 0) {
+    if (Math.sign(dmi.plusDI - dmi.minusDI) === direction) {
+      reasons.push(`ADX ${dmi.adx.toFixed(0)} trending with ${direction > 0 ? '+DI' : '-DI'} in control`);
+      score += 0.15 * direction;
+    } else {
+      riskFlags.push(`ADX ${dmi.adx.toFixed(0)} trend runs against the break`);
+      score *= 0.5;
+    }
+  } else if (regime === 'choppy' && direction !== 0) {
+    riskFlags.push(`ADX ${dmi.adx.toFixed(0)}: choppy tape, breakouts prone to fail`);
+    score *= 0.5;
+  }
+
+  const obvChange = indicators?.obv?.change;
+  if (Number.isFinite(obvChange) && direction !== 0) {
+    if (Math.sign(obvChange) === direction) {
+      reasons.push('OBV confirms the move');
+      score += 0.05 * direction;
+    } else if (Math.sign(obvChange) === -direction) {
+      riskFlags.push('OBV diverging from price');
+    }
+  }
+
+  const keltner = indicators?.keltner;
+  if (keltner && direction > 0 && price > keltner.upper) {
+    reasons.push('Closing above the upper Keltner channel');
+    score += 0.05;
+  } else if (keltner && direction < 0 && price < keltner.lower) {
+    reasons.push('Closing below the lower Keltner channel');
+    score -= 0.05;
+  }
+  const bb = indicators?.bb;
+  if (keltner && bb && bb.upper < keltner.upper && bb.lower > keltner.lower) {
+    reasons.push('Bollinger bands inside Keltner: squeeze building');
+  }
+
   return {
     name: 'breakout',
     label: 'Breakout / Breakdown',
@@ -237,6 +326,8 @@ function evaluateBreakout({ bars, price, indicators }) {
       recentHigh,
       recentLow,
       atr: atr ?? null,
+      adx: dmi?.adx ?? null,
+      regime,
     },
   };
 }
@@ -266,4 +357,5 @@ module.exports = {
   evaluateMomentum,
   evaluateMeanReversion,
   evaluateBreakout,
+  trendRegime,
 };
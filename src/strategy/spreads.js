@@ -0,0 +1,164 @@
+// Leg builders for defined-risk multi-leg option orders (verticals, straddles, strangles,
+// iron condors). Legs use the same contract fields as single-leg orders so the broker
+// providers can normalize them the same way.
+const { midPrice } = require('./selector');
+
+const SPREAD_TYPES = ['vertical', 'straddle', 'strangle', 'iron_condor'];
+
+function normalizeSide(value, fallback = 'long') {
+  const side = String(value || fallback).trim().toLowerCase();
+  if (side !== 'long' && side !== 'short') {
+    throw new Error(`Spread side must be long or short (got ${value})`);
+  }
+  return side;
+}
+
+function normalizeCallPut(value) {
+  const side = String(value || '').trim().toUpperCase();
+  if (side === 'CALL' || side === 'C') return 'CALL';
+  if (side === 'PUT' || side === 'P') return 'PUT';
+  throw new Error(`Option side must be CALL or PUT (got ${value})`);
+}
+
+function requireStrike(value, label) {
+  const strike = Number(value);
+  if (!Number.isFinite(strike) || strike <= 0) throw new Error(`${label} must be a positive number`);
+  return strike;
+}
+
+function makeLeg({ underlying, expiry, callPut, strike, buy, quantity }) {
+  return {
+    underlyingSymbol: String(underlying).toUpperCase(),
+    callPut,
+    strike,
+    expiry,
+    orderAction: buy ? 'BUY_OPEN' : 'SELL_OPEN',
+    quantity,
+  };
+}
+
+function baseParams({ underlying, symbol, expiry, quantity = 1 }) {
+  const sym = underlying || symbol;
+  if (!sym) throw new Error('Underlying symbol is required for a spread');
+  if (!expiry) throw new Error('Expiry is required for a spread');
+  const qty = Math.trunc(Number(quantity));
+  if (!Number.isFinite(qty) || qty < 1) throw new Error('Spread quantity must be at least one');
+  return { underlying: sym, expiry, quantity: qty };
+}
+
+// Debit vertical when longStrike is nearer the money, credit vertical otherwise
+function buildVerticalLegs({ callPut, longStrike, shortStrike, ...rest }) {
+  const base = baseParams(rest);
+  const type = normalizeCallPut(callPut);
+  const longK = requireStrike(longStrike, 'Long strike');
+  const shortK = requireStrike(shortStrike, 'Short strike');
+  if (longK === shortK) throw new Error('Vertical strikes must differ');
+  return [
+    makeLeg({ ...base, callPut: type, strike: longK, buy: true }),
+    makeLeg({ ...base, callPut: type, strike: shortK, buy: false }),
+  ];
+}
+
+function buildStraddleLegs({ strike, side, ...rest }) {
+  const base = baseParams(rest);
+  const buy = normalizeSide(side) === 'long';
+  const k = requireStrike(strike, 'Strike');
+  return [
+    makeLeg({ ...base, callPut: 'CALL', strike: k, buy }),
+    makeLeg({ ...base, callPut: 'PUT', strike: k, buy }),
+  ];
+}
+
+function buildStrangleLegs({ callStrike, putStrike, side, ...rest }) {
+  const base = baseParams(rest);
+  const buy = normalizeSide(side) === 'long';
+  const callK = requireStrike(callStrike, 'Call strike');
+  const putK = requireStrike(putStrike, 'Put strike');
+  if (putK >= callK) throw new Error('Strangle put strike must be below the call strike');
+  return [
+    makeLeg({ ...base, callPut: 'CALL', strike: callK, buy }),
+    makeLeg({ ...base, callPut: 'PUT', strike: putK, buy }),
+  ];
+}
+
+// Short condor (the usual credit structure) sells the inner strikes and buys the wings
+function buildIronCondorLegs({ putLong, putShort, callShort, callLong, side = 'short', ...rest }) {
+  const base = baseParams(rest);
+  const strikes = [
+    requireStrike(putLong, 'Put wing strike'),
+    requireStrike(putShort, 'Short put strike'),
+    requireStrike(callShort, 'Short call strike'),
+    requireStrike(callLong, 'Call wing strike'),
+  ];
+  for (let i = 1; i < strikes.length; i++) {
+    if (strikes[i] <= strikes[i - 1]) {
+      throw new Error('Iron condor strikes must be ordered put wing < short put < short call < call wing');
+    }
+  }
+  const short = normalizeSide(side, 'short') === 'short';
+  return [
+    makeLeg({ ...base, callPut: 'PUT', strike: strikes[0], buy: short }),
+    makeLeg({ ...base, callPut: 'PUT', strike: strikes[1], buy: !short }),
+    makeLeg({ ...base, callPut: 'CALL', strike: strikes[2], buy: !short }),
+    makeLeg({ ...base, callPut: 'CALL', strike: strikes[3], buy: short }),
+  ];
+}
+
+function buildSpreadLegs(type, params = {}) {
+  const key = String(type || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (key === 'vertical') return buildVerticalLegs(params);
+  if (key === 'straddle') return buildStraddleLegs(params);
+  if (key === 'strangle') return buildStrangleLegs(params);
+  if (key === 'iron_condor' || key === 'condor') return buildIronCondorLegs(params);
+  throw new Error(`Unknown spread type ${type} (expected one of: ${SPREAD_TYPES.join(', ')})`);
+}
+
+// Flips each leg's action so the same structure can be taken off as one order
+function closingLegs(legs) {
+  return legs.map((leg) => ({
+    ...leg,
+    orderAction: String(leg.orderAction).toUpperCase().startsWith('BUY') ? 'SELL_CLOSE' : 'BUY_CLOSE',
+  }));
+}
+
+// Prices the package from chain mids: positive net = debit, negative = credit.
+// Quantities are reduced to a per-spread ratio the way E*TRADE quotes net prices.
+function estimateNetPrice(legs, options) {
+  if (!Array.isArray(legs) || !legs.length) return null;
+  const unit = legs.reduce((g, leg) => gcd(g, Math.abs(Math.trunc(Number(leg.quantity) || 1))), 0) || 1;
+  let net = 0;
+  const quoted = [];
+  for (const leg of legs) {
+    const match = (options || []).find((opt) => opt
+      && opt.type === normalizeCallPut(leg.callPut)
+      && Number(opt.strike) === Number(leg.strike));
+    const mid = match ? midPrice(match) : null;
+    if (!Number.isFinite(mid)) return null;
+    const ratio = Math.abs(Math.trunc(Number(leg.quantity) || 1)) / unit;
+    const sign = String(leg.orderAction).toUpperCase().startsWith('BUY') ? 1 : -1;
+    net += sign * mid * ratio;
+    quoted.push({ ...leg, mid: Number(mid.toFixed(2)) });
+  }
+  const rounded = Number(net.toFixed(2));
+  return {
+    net: rounded,
+    priceType: rounded > 0 ? 'NET_DEBIT' : rounded < 0 ? 'NET_CREDIT' : 'NET_EVEN',
+    limitPrice: Math.abs(rounded),
+    legs: quoted,
+  };
+}
+
+function gcd(a, b) {
+  return b ? gcd(b, a % b) : a;
+}
+
+module.exports = {
+  SPREAD_TYPES,
+  buildSpreadLegs,
+  buildVerticalLegs,
+  buildStraddleLegs,
+  buildStrangleLegs,
+  buildIronCondorLegs,
+  closingLegs,
+  estimateNetPrice,
+};
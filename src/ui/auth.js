@@ -0,0 +1,371 @@
+// Dashboard authentication. Login is required once UI_AUTH_TOKEN is set or the users file
+// (managed with `npm run ui:user`) holds at least one account. With neither configured the
+// dashboard is read-only unless UI_AUTH_DISABLED=1 opts out of login. Every browser session,
+// including the anonymous one handed out in that opt-out mode, carries a CSRF token that mutating
+// requests must echo in X-CSRF-Token, and mutating requests from a foreign Origin are refused.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_USERS_FILE = path.join(__dirname, '..', '..', 'data', 'ui-users.json');
+const SESSION_COOKIE = 'ts_session';
+const CSRF_HEADER = 'x-csrf-token';
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+const PUBLIC_PATHS = new Set(['/login.html', '/favicon.svg', '/logo.svg', '/api/auth/login', '/api/auth/session']);
+const SCRYPT_KEYLEN = 64;
+const MIN_PASSWORD_LENGTH = 10;
+const MAX_FAILURES = 5;
+const LOCKOUT_MS = 60_000;
+const FAILURE_WINDOW_MS = 15 * 60_000;
+const MAX_SESSIONS = 1000;
+const MAX_TRACKED_CLIENTS = 10_000;
+
+const sessions = new Map();
+const failures = new Map();
+let usersCache = { file: null, mtimeMs: null, users: {} };
+
+function usersFile() {
+  return path.resolve(process.env.UI_USERS_FILE || DEFAULT_USERS_FILE);
+}
+
+function sessionTtlMs() {
+  const value = Number(process.env.UI_SESSION_TTL_MS);
+  return Number.isFinite(value) && value > 0 ? value : 12 * 60 * 60 * 1000;
+}
+
+function authError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Re-read only when the file changes so the CLI can add users without a server restart
+function readUsers() {
+  const file = usersFile();
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    return {};
+  }
+  if (usersCache.file === file && usersCache.mtimeMs === stat.mtimeMs) return usersCache.users;
+  const raw = fs.readFileSync(file, 'utf8');
+  const data = raw.trim() ? JSON.parse(raw) : {};
+  const users = data.users && typeof data.users === 'object' ? data.users : {};
+  usersCache = { file, mtimeMs: stat.mtimeMs, users };
+  return users;
+}
+
+function writeUsers(users) {
+  const file = usersFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ users }, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  return { salt, hash: crypto.scryptSync(String(password), salt, SCRYPT_KEYLEN).toString('hex') };
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a ?? ''));
+  const right = Buffer.from(String(b ?? ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function normalizeUsername(username) {
+  const name = String(username || '').trim().toLowerCase();
+  if (!/^[a-z0-9._-]{2,32}$/.test(name)) {
+    throw new Error('Username must be 2-32 characters of letters, digits, ".", "_" or "-"');
+  }
+  // "token" labels sessions opened with UI_AUTH_TOKEN
+  if (name === 'token') throw new Error('"token" is reserved');
+  return name;
+}
+
+function setUserPassword(username, password) {
+  const name = normalizeUsername(username);
+  if (String(password || '').length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  const users = { ...readUsers() };
+  const now = new Date().toISOString();
+  users[name] = { ...hashPassword(password), createdAt: users[name]?.createdAt || now, updatedAt: now };
+  writeUsers(users);
+  return name;
+}
+
+function removeUser(username) {
+  const name = normalizeUsername(username);
+  const users = { ...readUsers() };
+  if (!users[name]) throw new Error(`User ${name} not found`);
+  delete users[name];
+  writeUsers(users);
+  return name;
+}
+
+function listUsers() {
+  return Object.entries(readUsers()).map(([name, record]) => ({
+    username: name,
+    createdAt: record.createdAt || null,
+    updatedAt: record.updatedAt || null,
+  }));
+}
+
+function authModes() {
+  const modes = [];
+  if (process.env.UI_AUTH_TOKEN) modes.push('token');
+  if (Object.keys(readUsers()).length) modes.push('password');
+  return modes;
+}
+
+function authRequired() {
+  return authModes().length > 0;
+}
+
+// Explicit opt-out for a trusted single-user machine; otherwise no login means no order routes
+function authDisabled() {
+  return ['1', 'true'].includes(String(process.env.UI_AUTH_DISABLED || '').trim().toLowerCase());
+}
+
+// Drops the oldest entries (Map insertion order) once a map outgrows its cap
+function evictOldest(map, max) {
+  for (const key of map.keys()) {
+    if (map.size <= max) break;
+    map.delete(key);
+  }
+}
+
+function checkLockout(key, now = Date.now()) {
+  const entry = failures.get(key);
+  if (entry?.lockedUntil && entry.lockedUntil > now) {
+    throw authError(`Too many failed logins. Try again in ${Math.ceil((entry.lockedUntil - now) / 1000)}s.`, 429);
+  }
+}
+
+// Failure counts are forgotten after FAILURE_WINDOW_MS without another failure
+function pruneFailures(now = Date.now()) {
+  for (const [key, entry] of failures) {
+    if (!(entry.lockedUntil > now) && now - entry.lastAt > FAILURE_WINDOW_MS) failures.delete(key);
+  }
+}
+
+function recordFailure(key, now = Date.now()) {
+  pruneFailures(now);
+  const entry = failures.get(key) || { count: 0, lockedUntil: null, lastAt: now };
+  entry.count += 1;
+  entry.lastAt = now;
+  if (entry.count >= MAX_FAILURES) {
+    entry.count = 0;
+    entry.lockedUntil = now + LOCKOUT_MS;
+  }
+  failures.delete(key);
+  failures.set(key, entry);
+  evictOldest(failures, MAX_TRACKED_CLIENTS);
+}
+
+// Returns the user name for the session; throws 401 on bad credentials, 429 while locked out
+function authenticate({ username, password, token }, { clientKey = 'unknown' } = {}) {
+  checkLockout(clientKey);
+  const sharedToken = process.env.UI_AUTH_TOKEN;
+  if (token != null && token !== '') {
+    if (sharedToken && safeEqual(token, sharedToken)) {
+      failures.delete(clientKey);
+      return 'token';
+    }
+  } else if (username) {
+    const name = String(username).trim().toLowerCase();
+    const record = readUsers()[name];
+    // Hash even for unknown users so response timing does not reveal which names exist
+    const { hash } = hashPassword(password || '', record?.salt || '00');
+    if (record && safeEqual(hash, record.hash)) {
+      failures.delete(clientKey);
+      return name;
+    }
+  }
+  recordFailure(clientKey);
+  throw authError('Invalid credentials', 401);
+}
+
+function pruneSessions(now = Date.now()) {
+  for (const [id, session] of sessions) {
+    if (now - session.lastSeen > sessionTtlMs()) sessions.delete(id);
+  }
+}
+
+function createSession(user) {
+  pruneSessions();
+  const now = Date.now();
+  const session = {
+    id: crypto.randomBytes(32).toString('hex'),
+    user: user || null,
+    csrfToken: crypto.randomBytes(32).toString('hex'),
+    createdAt: now,
+    lastSeen: now,
+  };
+  sessions.set(session.id, session);
+  evictOldest(sessions, MAX_SESSIONS);
+  return session;
+}
+
+function destroySession(session) {
+  if (session) sessions.delete(session.id);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index < 0) continue;
+    // A malformed %-escape in someone else's cookie must not break the request
+    try {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      continue;
+    }
+  }
+  return cookies;
+}
+
+// The user CLI runs in another process, so removals and password changes are noticed here:
+// sessions created before the user's last password change are dropped
+function credentialsStillValid(session) {
+  if (!session.user) return true;
+  if (session.user === 'token') return Boolean(process.env.UI_AUTH_TOKEN);
+  const record = readUsers()[session.user];
+  return Boolean(record) && !(Date.parse(record.updatedAt) > session.createdAt);
+}
+
+function getSession(req, now = Date.now()) {
+  const id = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  const session = id ? sessions.get(id) : null;
+  if (!session) return null;
+  if (now - session.lastSeen > sessionTtlMs() || !credentialsStillValid(session)) {
+    sessions.delete(id);
+    return null;
+  }
+  session.lastSeen = now;
+  return session;
+}
+
+function cookieFlags() {
+  return `Path=/; HttpOnly; SameSite=Strict${process.env.UI_COOKIE_SECURE === 'true' ? '; Secure' : ''}`;
+}
+
+function setSessionCookie(res, session) {
+  res.append('Set-Cookie', `${SESSION_COOKIE}=${session.id}; ${cookieFlags()}; Max-Age=${Math.floor(sessionTtlMs() / 1000)}`);
+}
+
+function clearSessionCookie(res) {
+  res.append('Set-Cookie', `${SESSION_COOKIE}=; ${cookieFlags()}; Max-Age=0`);
+}
+
+function allowedOrigins() {
+  return String(process.env.UI_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map((origin) => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+}
+
+// Browsers always send Origin on cross-site POSTs; requests without Origin or Referer
+// (curl, scripts) still need a session and CSRF token or a bearer token
+function originAllowed(req) {
+  const source = req.get('origin') || req.get('referer');
+  if (!source || source === 'null') return !source;
+  let url;
+  try {
+    url = new URL(source);
+  } catch {
+    return false;
+  }
+  return url.host === req.get('host') || allowedOrigins().includes(url.origin);
+}
+
+function bearerUser(req) {
+  const sharedToken = process.env.UI_AUTH_TOKEN;
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+  return sharedToken && match && safeEqual(match[1].trim(), sharedToken) ? 'token' : null;
+}
+
+function deny(req, res, status, message) {
+  if (req.path.startsWith('/api/') || req.method !== 'GET') {
+    return res.status(status).json({ success: false, error: message });
+  }
+  return res.redirect(`/login.html?next=${encodeURIComponent(req.originalUrl)}`);
+}
+
+function authMiddleware(req, res, next) {
+  if (MUTATING_METHODS.has(req.method) && !originAllowed(req)) {
+    console.warn('[Auth] Cross-origin request refused', { method: req.method, path: req.path, origin: req.get('origin') || req.get('referer') });
+    return deny(req, res, 403, 'Cross-origin request refused.');
+  }
+
+  // Bearer tokens are not sent automatically by browsers, so they need no CSRF token
+  const tokenUser = bearerUser(req);
+  if (tokenUser) {
+    req.user = tokenUser;
+    return next();
+  }
+
+  const required = authRequired();
+  let session = getSession(req);
+  // Anonymous sessions only come from the endpoint the page reads its CSRF token from, so
+  // cookieless scripts and crawlers do not each leave a session behind
+  if (!session && !required && authDisabled() && req.path === '/api/auth/session') {
+    session = createSession(null);
+    setSessionCookie(res, session);
+  }
+  req.session = session;
+  req.user = session?.user || null;
+
+  if (PUBLIC_PATHS.has(req.path)) return next();
+  if (!required) {
+    if (!MUTATING_METHODS.has(req.method)) return next();
+    if (!authDisabled()) {
+      console.warn('[Auth] Mutating request refused: no login configured', { method: req.method, path: req.path });
+      return res.status(403).json({
+        success: false,
+        code: 'AUTH_NOT_CONFIGURED',
+        error: 'Dashboard login is not configured, so orders are disabled. Set UI_AUTH_TOKEN, add a user with `npm run ui:user -- add <name>`, or set UI_AUTH_DISABLED=1.',
+      });
+    }
+    if (!session) {
+      return res.status(403).json({ success: false, code: 'CSRF', error: 'Missing or invalid CSRF token. Reload the page and try again.' });
+    }
+  } else if (!session || !session.user) {
+    return deny(req, res, 401, 'Login required.');
+  }
+  if (MUTATING_METHODS.has(req.method) && !safeEqual(req.get(CSRF_HEADER), session.csrfToken)) {
+    console.warn('[Auth] CSRF token rejected', { method: req.method, path: req.path, user: req.user });
+    return res.status(403).json({ success: false, code: 'CSRF', error: 'Missing or invalid CSRF token. Reload the page and try again.' });
+  }
+  return next();
+}
+
+function describeSession(req) {
+  return {
+    authRequired: authRequired(),
+    authDisabled: !authRequired() && authDisabled(),
+    modes: authModes(),
+    authenticated: Boolean(req.user),
+    user: req.user || null,
+    csrfToken: req.session?.csrfToken || null,
+  };
+}
+
+module.exports = {
+  authMiddleware,
+  authenticate,
+  authRequired,
+  authDisabled,
+  createSession,
+  destroySession,
+  setSessionCookie,
+  clearSessionCookie,
+  describeSession,
+  setUserPassword,
+  removeUser,
+  listUsers,
+};
@@ -0,0 +1,79 @@
+// Server-Sent Events hub for the dashboard. Browsers hold one EventSource open on /api/events
+// and the server pushes scan progress and account changes instead of the page polling for them.
+// Clients subscribe to at most one account; account-scoped events only reach those clients.
+const HEARTBEAT_MS = Number(process.env.UI_EVENTS_HEARTBEAT_MS || 20000);
+
+const clients = new Set();
+let nextEventId = 1;
+let heartbeatTimer = null;
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data ?? null)}\n\n`);
+}
+
+// Comment lines keep proxies and idle browser connections from timing the stream out
+function startHeartbeat() {
+  if (heartbeatTimer || !Number.isFinite(HEARTBEAT_MS) || HEARTBEAT_MS <= 0) return;
+  heartbeatTimer = setInterval(() => {
+    for (const client of clients) client.res.write(': ping\n\n');
+  }, HEARTBEAT_MS);
+}
+
+function stopHeartbeat() {
+  if (heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+}
+
+function addClient(req, res, { accountIdKey } = {}) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write('retry: 5000\n\n');
+  const client = { res, accountIdKey: accountIdKey || null, connectedAt: new Date().toISOString() };
+  clients.add(client);
+  startHeartbeat();
+  req.on('close', () => {
+    clients.delete(client);
+    if (!clients.size) stopHeartbeat();
+  });
+  return client;
+}
+
+// Sends to a single client, e.g. the snapshot a browser gets right after connecting
+function sendTo(client, type, data) {
+  writeEvent(client.res, { id: nextEventId++, type, data });
+}
+
+function publish(type, data, { accountIdKey } = {}) {
+  const event = { id: nextEventId++, type, data };
+  for (const client of clients) {
+    if (accountIdKey && client.accountIdKey !== accountIdKey) continue;
+    writeEvent(client.res, event);
+  }
+  return event.id;
+}
+
+function watchedAccounts() {
+  const keys = new Set();
+  for (const client of clients) {
+    if (client.accountIdKey) keys.add(client.accountIdKey);
+  }
+  return Array.from(keys);
+}
+
+function clientCount() {
+  return clients.size;
+}
+
+module.exports = {
+  addClient,
+  sendTo,
+  publish,
+  watchedAccounts,
+  clientCount,
+};
@@ -6,6 +6,29 @@ const path = require('path');
 const { exec } = require('child_process');
 const util = require('util');
 const execAsync = util.promisify(exec);
+const { getBroker, resolveBrokerName, resolveDefaultAccountKey } = require('../providers/broker');
+const { fetchOptionChain } = require('../providers/options-chain');
+const { normalizeOptionContract } = require('../providers/etrade');
+const { buildSpreadLegs, closingLegs, estimateNetPrice } = require('../strategy/spreads');
+const { listExits, confirmExit, dismissExit } = require('../guardian/exits');
+const { fetchDayOrders } = require('../utils/day-orders');
+const { recordScan, listScans, getScan, latestScan } = require('../utils/scan-history');
+const { addClient, sendTo, publish, watchedAccounts } = require('./events');
+const { runWithAuditContext, listAuditEntries, verifyAuditLog } = require('../utils/order-audit');
+const { getGovernorStatus, haltTrading, resumeTrading } = require('../utils/risk-governor');
+const { fetchPortfolioRisk, underlyingOf } = require('../risk');
+const { evaluateConcentration } = require('../utils/concentration');
+const {
+  authMiddleware,
+  authenticate,
+  authRequired,
+  authDisabled,
+  createSession,
+  destroySession,
+  setSessionCookie,
+  clearSessionCookie,
+  describeSession,
+} = require('./auth');
 
 console.log('Starting Trading Dashboard server...');
 
@@ -98,292 +121,140 @@ function parseNumberEnv(value, defaultValue) {
   return Number.isFinite(numeric) ? numeric : defaultValue;
 }
 
-function ensureArray(value) {
-  if (value == null) return [];
-  return Array.isArray(value) ? value : [value];
-}
-
-function formatDateMMDDYYYY(date) {
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  const year = date.getFullYear();
-  return `${month}/${day}/${year}`;
-}
-
-function formatDateBareMMDDYYYY(date) {
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  const year = String(date.getFullYear());
-  return `${month}${day}${year}`;
-}
-
-function formatDateYYYYMMDD(date) {
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  const year = date.getFullYear();
-  return `${year}-${month}-${day}`;
-}
-
-function formatDateMMDDYY(date) {
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  const year = String(date.getFullYear()).slice(-2);
-  return `${month}/${day}/${year}`;
+// Flattens OPEN orders into rows the dashboard can cancel or reprice
+function summarizeOpenOrders(rawOrders) {
+  const orders = rawOrders?.OrdersResponse?.Order || rawOrders?.Order || [];
+  return orders
+    .filter((order) => (order?.OrderDetail?.[0]?.status || '').toUpperCase() === 'OPEN')
+    .map((order) => {
+      const detail = order.OrderDetail[0];
+      return {
+        orderId: order.orderId,
+        orderType: order.orderType || 'OPTN',
+        priceType: detail.priceType || null,
+        orderTerm: detail.orderTerm || null,
+        limitPrice: Number.isFinite(Number(detail.limitPrice)) && Number(detail.limitPrice) > 0 ? Number(detail.limitPrice) : null,
+        stopPrice: Number.isFinite(Number(detail.stopPrice)) && Number(detail.stopPrice) > 0 ? Number(detail.stopPrice) : null,
+        placedTime: detail.placedTime || null,
+        legs: (detail.Instrument || []).map((instrument) => ({
+          orderAction: instrument.orderAction,
+          quantity: Number(instrument.orderedQuantity ?? instrument.quantity ?? 0),
+          filledQuantity: Number(instrument.filledQuantity ?? 0),
+          description: instrument.symbolDescription || instrument.Product?.symbol || null,
+          symbol: instrument.Product?.symbol || null,
+          callPut: instrument.Product?.callPut || null,
+          strike: instrument.Product?.strikePrice ?? null,
+        })),
+      };
+    });
 }
 
-function canonicalOptionKey(instrument = {}, product = {}) {
-  const direct =
-    instrument.osiKey
-    || instrument.optionSymbol
-    || product.osiKey
-    || product.symbol
-    || instrument.symbol;
-  if (direct) {
-    return String(direct).toUpperCase();
-  }
-  const parts = [
-    product.symbol || instrument.symbol || 'UNKNOWN',
-    product.callPut || instrument.callPut || '',
-    product.strikePrice ?? instrument.strikePrice ?? '',
-    product.expiryYear ?? instrument.expiryYear ?? '',
-    product.expiryMonth ?? instrument.expiryMonth ?? '',
-    product.expiryDay ?? instrument.expiryDay ?? '',
-  ];
-  return parts.join('|').toUpperCase();
+async function fetchOpenOrders(accountIdKey) {
+  const rawOrders = await getOrders(accountIdKey, { status: 'OPEN', count: 100 });
+  return summarizeOpenOrders(rawOrders);
 }
 
-function isOptionInstrument(instrument = {}, product = {}) {
-  const securityType = (product.securityType || instrument.securityType || '').toUpperCase();
-  if (securityType) {
-    return securityType === 'OPTN';
-  }
-  if (instrument.optionSymbol || instrument.osiKey) return true;
-  if (product.callPut || product.osiKey || product.strikePrice != null) return true;
-  return false;
+function summarizeOrderEvent(order) {
+  const detail = order?.OrderDetail?.[0] || {};
+  return {
+    orderId: order?.orderId ?? null,
+    status: detail.status ? String(detail.status).toUpperCase() : null,
+    orderType: order?.orderType || 'OPTN',
+    priceType: detail.priceType || null,
+    limitPrice: Number.isFinite(Number(detail.limitPrice)) && Number(detail.limitPrice) > 0 ? Number(detail.limitPrice) : null,
+    placedTime: detail.placedTime || null,
+    executedTime: detail.executedTime || null,
+    legs: (detail.Instrument || []).map((instrument) => ({
+      orderAction: instrument.orderAction,
+      quantity: Number(instrument.orderedQuantity ?? instrument.quantity ?? 0),
+      filledQuantity: Number(instrument.filledQuantity ?? 0),
+      averageExecutionPrice: Number.isFinite(Number(instrument.averageExecutionPrice)) ? Number(instrument.averageExecutionPrice) : null,
+      description: instrument.symbolDescription || instrument.Product?.symbol || null,
+      symbol: instrument.Product?.symbol || null,
+      callPut: instrument.Product?.callPut || null,
+      strike: instrument.Product?.strikePrice ?? null,
+    })),
+  };
 }
 
-function buildExpiryLabel(product = {}, instrument = {}) {
-  const year = product.expiryYear ?? instrument.expiryYear;
-  if (!Number.isFinite(year)) return null;
-  const month = product.expiryMonth ?? instrument.expiryMonth;
-  const day = product.expiryDay ?? instrument.expiryDay;
-  if (!Number.isFinite(month) || !Number.isFinite(day)) return null;
-  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-}
+// One broker poll per watched account, shared by every connected browser. The first poll only
+// seeds the snapshot; later polls publish balance changes and order status transitions.
+const EVENTS_POLL_MS = Number(process.env.UI_EVENTS_POLL_MS || 20000);
+const accountEventState = new Map();
+let accountEventsTimer = null;
+let accountEventsNudge = null;
+let accountEventsInFlight = false;
+
+async function pollAccountEvents(accountIdKey) {
+  const previous = accountEventState.get(accountIdKey);
+  const next = {
+    balanceKey: previous?.balanceKey ?? null,
+    orderStatuses: previous?.orderStatuses || new Map(),
+  };
 
-function toIsoTimestamp(value) {
-  if (!value && value !== 0) return null;
-  const asNumber = Number(value);
-  if (Number.isFinite(asNumber)) {
-    const digits = String(Math.trunc(asNumber)).length;
-    if (digits >= 13) return new Date(asNumber).toISOString();
-    if (digits === 10) return new Date(asNumber * 1000).toISOString();
+  try {
+    const balance = await getAccountBalance(accountIdKey);
+    const balanceKey = JSON.stringify(balance);
+    if (balanceKey !== next.balanceKey) {
+      next.balanceKey = balanceKey;
+      if (previous) publish('balance', { accountIdKey, balance }, { accountIdKey });
+    }
+  } catch (error) {
+    console.warn('[Events] Balance poll failed:', accountIdKey, error.message);
   }
-  const parsed = new Date(value);
-  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString();
-}
-
-function normalizeOrderRecords(rawOrders) {
-  const root = rawOrders?.OrdersResponse || rawOrders?.ordersResponse || rawOrders;
-  if (!root) return [];
-  // E*TRADE returns 'Order' (capital O) as the array key
-  const orderEntries = ensureArray(root.Order || root.order || root.orders || root.OrderData || root.Orders);
-  const records = [];
 
-  for (const entry of orderEntries) {
-    const orderId = entry?.orderId || entry?.OrderId || entry?.id || null;
-    const details = ensureArray(entry?.orderDetail || entry?.OrderDetail || entry?.details || entry);
-    
-    for (const detail of details) {
-      const status = String(detail?.status || detail?.orderStatus || entry?.orderStatus || '').toUpperCase();
-      if (!status || !(status.includes('EXECUTED') || status.includes('FILLED'))) continue;
-      
-      const executedTime =
-        detail?.executedTime
-        || detail?.orderTime
-        || detail?.placedTime
-        || entry?.executedTime
-        || entry?.placedTime
-        || null;
-      const instruments = ensureArray(detail?.instrument || detail?.Instrument);
-      
-      for (const instrument of instruments) {
-        const product = instrument?.product || instrument?.Product || {};
-        if (!isOptionInstrument(instrument, product)) continue;
-        
-        const action = String(instrument?.orderAction || detail?.orderAction || entry?.orderAction || '').toUpperCase();
-        if (!action) continue;
-        
-        const quantity = Number(
-          instrument?.filledQuantity
-          ?? instrument?.quantity
-          ?? detail?.filledQuantity
-          ?? detail?.quantity
-          ?? 0,
-        );
-        if (!Number.isFinite(quantity) || quantity === 0) continue;
-        
-        const price = Number(
-          instrument?.averageExecutionPrice
-          ?? detail?.averageExecutionPrice
-          ?? instrument?.price
-          ?? detail?.price
-          ?? 0,
-        );
-        if (!Number.isFinite(price) || price <= 0) continue;
-        
-        const multiplierRaw = Number(product?.multiplier ?? instrument?.multiplier ?? 100);
-        const multiplier = Number.isFinite(multiplierRaw) && multiplierRaw > 0 ? multiplierRaw : 100;
-        const key = canonicalOptionKey(instrument, product);
-        const description =
-          instrument?.symbolDescription
-          || product?.symbolDescription
-          || instrument?.optionSymbol
-          || product?.osiKey
-          || key
-          || instrument?.symbol
-          || 'Option';
-        
-        records.push({
-          orderId,
-          timestamp: toIsoTimestamp(executedTime),
-          action,
-          qty: Math.abs(quantity),
-          price,
-          multiplier,
-          optionSymbol: instrument?.optionSymbol || instrument?.osiKey || product?.osiKey || key,
-          symbol: product?.symbol || instrument?.symbol || null,
-          description,
-          callPut: product?.callPut || instrument?.callPut || null,
-          strike: product?.strikePrice ?? instrument?.strikePrice ?? null,
-          expiry: buildExpiryLabel(product, instrument),
-          key,
-        });
+  try {
+    const rawOrders = await getOrders(accountIdKey, { count: 50 });
+    const orders = rawOrders?.OrdersResponse?.Order || rawOrders?.Order || [];
+    const statuses = new Map();
+    for (const order of orders) {
+      const summary = summarizeOrderEvent(order);
+      if (summary.orderId == null) continue;
+      const key = String(summary.orderId);
+      const before = next.orderStatuses.get(key) ?? null;
+      statuses.set(key, summary.status);
+      if (previous && before !== summary.status) {
+        publish('order', { accountIdKey, previousStatus: before, order: summary }, { accountIdKey });
       }
     }
+    next.orderStatuses = statuses;
+  } catch (error) {
+    console.warn('[Events] Orders poll failed:', accountIdKey, error.message);
   }
 
-  return records;
+  accountEventState.set(accountIdKey, next);
 }
 
-function summarizeDayOptionOrders(rawOrders) {
-  const records = normalizeOrderRecords(rawOrders);
-  if (!records.length) return null;
-  records.sort((a, b) => {
-    if (a.timestamp && b.timestamp) return a.timestamp.localeCompare(b.timestamp);
-    if (a.timestamp) return -1;
-    if (b.timestamp) return 1;
-    return 0;
-  });
-
-  const inventory = new Map();
-  const trades = [];
-  const totals = { realized: 0, grossBuys: 0, grossSells: 0 };
-
-  for (const record of records) {
-    const isSell = record.action.includes('SELL');
-    const isBuy = record.action.includes('BUY');
-    if (!isSell && !isBuy) continue;
-
-    const cash = Number((record.price * record.qty * record.multiplier * (isSell ? 1 : -1)).toFixed(2));
-    if (cash >= 0) totals.grossSells += cash;
-    else totals.grossBuys += Math.abs(cash);
-
-    const entry = {
-      id: record.orderId || `order-${trades.length + 1}`,
-      symbol: record.symbol,
-      optionSymbol: record.optionSymbol,
-      description: record.description,
-      side: record.action,
-      qty: record.qty,
-      price: record.price,
-      multiplier: record.multiplier,
-      timestamp: record.timestamp,
-      netCash: cash,
-      realized: null,
-      unmatchedQty: 0,
-      callPut: record.callPut,
-      strike: record.strike,
-      expiry: record.expiry,
-    };
-
-    if (isBuy) {
-      const queue = inventory.get(record.key) || [];
-      queue.push({ qty: record.qty, price: record.price });
-      inventory.set(record.key, queue);
-    } else {
-      let remaining = record.qty;
-      let realized = 0;
-      const queue = inventory.get(record.key) || [];
-      while (remaining > 0 && queue.length) {
-        const lot = queue[0];
-        const matchedQty = Math.min(remaining, lot.qty);
-        realized += (record.price - lot.price) * matchedQty * record.multiplier;
-        lot.qty -= matchedQty;
-        if (lot.qty <= 1e-6) queue.shift();
-        remaining -= matchedQty;
-      }
-      if (realized !== 0) {
-        realized = Number(realized.toFixed(2));
-        entry.realized = realized;
-        totals.realized += realized;
-      }
-      if (remaining > 0) {
-        entry.unmatchedQty = remaining;
-      }
+async function pollWatchedAccounts() {
+  if (accountEventsInFlight) return;
+  accountEventsInFlight = true;
+  try {
+    const accounts = watchedAccounts();
+    for (const key of accountEventState.keys()) {
+      if (!accounts.includes(key)) accountEventState.delete(key);
     }
-
-    trades.push(entry);
+    for (const accountIdKey of accounts) {
+      await pollAccountEvents(accountIdKey);
+    }
+  } finally {
+    accountEventsInFlight = false;
   }
+}
 
-  totals.realized = Number(totals.realized.toFixed(2));
-  totals.grossBuys = Number(totals.grossBuys.toFixed(2));
-  totals.grossSells = Number(totals.grossSells.toFixed(2));
-
-  return {
-    updatedAt: new Date().toISOString(),
-    totals,
-    trades,
-  };
+function startAccountEvents() {
+  if (accountEventsTimer || !Number.isFinite(EVENTS_POLL_MS) || EVENTS_POLL_MS <= 0) return;
+  accountEventsTimer = setInterval(() => {
+    pollWatchedAccounts().catch((err) => console.error('[Events] Account poll failed:', err.message));
+  }, EVENTS_POLL_MS);
 }
 
-async function fetchDayOrders(accountIdKey) {
-  const today = new Date();
-  const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-  const nextDay = new Date(startOfDay.getTime() + 24 * 60 * 60 * 1000);
-  
-  // Try multiple date formats as per E*TRADE API documentation
-  const attempts = [
-    { label: 'MMDDYYYY (bare digits)', format: formatDateBareMMDDYYYY },
-    { label: 'MM/DD/YYYY (with slashes)', format: formatDateMMDDYYYY },
-    { label: 'YYYY-MM-DD (ISO)', format: formatDateYYYYMMDD }
-  ];
-
-  let lastError = null;
-  for (const attempt of attempts) {
-    const params = {
-      fromDate: attempt.format(startOfDay),
-      toDate: attempt.format(nextDay),
-      count: 100,
-      securityType: 'OPTN',
-      marketSession: 'REGULAR',
-    };
-    try {
-      const rawOrders = await getOrders(accountIdKey, params);
-      const summary = summarizeDayOptionOrders(rawOrders);
-      if (summary?.totals) {
-        console.log('[DayOrders] Retrieved', summary.trades?.length || 0, 'trades with realized P&L:', summary.totals.realized);
-      }
-      return summary;
-    } catch (error) {
-      lastError = error;
-      console.warn('[DayOrders] Fetch failed (format', attempt.label, '):', error.message);
-    }
-  }
-  if (lastError) {
-    throw lastError;
-  }
-  return null;
+// Order actions change balances and statuses right away, so check sooner than the next tick
+function scheduleAccountEventsPoll(delayMs = 1000) {
+  if (accountEventsNudge || !watchedAccounts().length) return;
+  accountEventsNudge = setTimeout(() => {
+    accountEventsNudge = null;
+    pollWatchedAccounts().catch((err) => console.error('[Events] Account poll failed:', err.message));
+  }, delayMs);
 }
 
 function buildAgentCommand(symbolsList, strategy, expiryType) {
@@ -512,6 +383,16 @@ function resolveUiProviders() {
 
 // Middleware
 app.use(express.json());
+// Login, origin and CSRF checks run before anything is served, including the static dashboard
+app.use(authMiddleware);
+// Broker order calls made while handling a request are audited under the signed-in user
+app.use((req, res, next) => runWithAuditContext({
+  actor: req.user || 'anonymous',
+  source: 'ui',
+  ip: req.ip,
+  route: `${req.method} ${req.path}`,
+  intent: req.path.split('/').filter(Boolean).pop() || null,
+}, next));
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Disable browser caching for API responses to force fresh brokerage data
@@ -527,29 +408,77 @@ app.use((req, res, next) => {
   next();
 });
 
-// Load E*TRADE module
+// Load broker module (E*TRADE by default, BROKER=paper for the simulated account)
 try {
-  etradeModule = require('../providers/etrade');
-  console.log('E*TRADE module loaded successfully');
+  etradeModule = getBroker();
+  console.log(`Broker module loaded successfully (${resolveBrokerName()})`);
 } catch (error) {
-  console.error('Failed to load E*TRADE module:', error);
+  console.error('Failed to load broker module:', error);
   console.error('Stack:', error.stack);
   process.exit(1);
 }
 
-const { getAccounts, getPortfolio, getAccountBalance, placeOptionMarketOrder, previewOptionOrder } = etradeModule;
+const { getAccounts, getPortfolio, getAccountBalance, placeOptionMarketOrder, placeOptionOrder, previewOptionOrder } = etradeModule;
+const { placeSpreadOrder, previewSpreadOrder, cancelOrder, changePreviewedOrder, placeChangedOrder } = etradeModule;
 const { getOrders } = etradeModule;
 
-// API endpoints
-app.get('/api/recommendations', (req, res) => {
-  res.json({
+function buildRecommendationsPayload() {
+  return {
     results: latestResults,
     isScanning,
     scanMeta: lastScanMeta,
     lastError: lastScanError,
     config: scanConfig,
     timestamp: new Date().toISOString()
-  });
+  };
+}
+
+app.use('/api/portfolio/:accountIdKey', (req, res, next) => {
+  if (req.method === 'POST' && !req.path.includes('preview')) {
+    res.on('finish', () => {
+      if (res.statusCode < 400) scheduleAccountEventsPoll();
+    });
+  }
+  next();
+});
+
+app.get('/api/auth/session', (req, res) => {
+  res.json({ success: true, ...describeSession(req) });
+});
+
+app.post('/api/auth/login', (req, res) => {
+  try {
+    const user = authenticate(req.body || {}, { clientKey: req.ip });
+    // A fresh session id on login so a pre-login cookie cannot be carried over
+    destroySession(req.session);
+    const session = createSession(user);
+    setSessionCookie(res, session);
+    console.log('[Auth] Login succeeded', { user, ip: req.ip });
+    res.json({ success: true, user, csrfToken: session.csrfToken });
+  } catch (error) {
+    console.warn('[Auth] Login failed', { ip: req.ip, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  console.log('[Auth] Logout', { user: req.user });
+  destroySession(req.session);
+  clearSessionCookie(res);
+  res.json({ success: true });
+});
+
+// API endpoints
+app.get('/api/events', (req, res) => {
+  const accountIdKey = req.query.account ? String(req.query.account) : null;
+  console.log('[Events] Client connected', { accountIdKey });
+  const client = addClient(req, res, { accountIdKey });
+  sendTo(client, 'snapshot', buildRecommendationsPayload());
+  if (accountIdKey && !accountEventState.has(accountIdKey)) scheduleAccountEventsPoll(0);
+});
+
+app.get('/api/recommendations', (req, res) => {
+  res.json(buildRecommendationsPayload());
 });
 
 app.post('/api/scan', async (req, res) => {
@@ -561,6 +490,25 @@ app.post('/api/scan', async (req, res) => {
   res.json({ success: true, results: manualResult.results });
 });
 
+app.get('/api/scans', (req, res) => {
+  try {
+    const { symbol, date, from, to, source, success, limit } = req.query;
+    res.json({ success: true, ...listScans({ symbol, date, from, to, source, success, limit }) });
+  } catch (error) {
+    if (!error.status) console.error('[ScanHistory] Error listing scans:', error?.message);
+    res.status(error.status || 500).json({ success: false, error: error?.message || 'Failed to load scan history.' });
+  }
+});
+
+app.get('/api/scans/:id', (req, res) => {
+  try {
+    res.json({ success: true, scan: getScan(req.params.id) });
+  } catch (error) {
+    if (!error.status) console.error('[ScanHistory] Error loading scan:', error?.message);
+    res.status(error.status || 500).json({ success: false, error: error?.message || 'Failed to load scan.' });
+  }
+});
+
 app.get('/api/scan/config', (req, res) => {
   res.json({ success: true, config: scanConfig });
 });
@@ -622,7 +570,8 @@ app.get('/api/portfolio/config', (req, res) => {
 
   res.json({
     success: true,
-    defaultAccountIdKey: process.env.ETRADE_DEFAULT_ACCOUNT_KEY || null,
+    defaultAccountIdKey: resolveDefaultAccountKey(),
+    broker: resolveBrokerName(),
     autoExit: autoExitConfig,
   });
 });
@@ -654,17 +603,36 @@ app.get('/api/portfolio/:accountIdKey', async (req, res) => {
     const portfolio = await getPortfolio(accountIdKey, { view });
     let dayOrders = null;
     try {
-      dayOrders = await fetchDayOrders(accountIdKey);
+      dayOrders = await fetchDayOrders(etradeModule, accountIdKey);
     } catch (orderErr) {
       console.warn('Day orders fetch failed:', orderErr.message);
     }
-    res.json({ success: true, portfolio, dayOrders });
+    let openOrders = null;
+    try {
+      openOrders = await fetchOpenOrders(accountIdKey);
+    } catch (orderErr) {
+      console.warn('Open orders fetch failed:', orderErr.message);
+    }
+    res.json({ success: true, portfolio, dayOrders, openOrders });
   } catch (error) {
     console.error('Portfolio error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Net Greeks, notional and beta-weighted SPY delta across the account's option positions
+app.get('/api/portfolio/:accountIdKey/exposure', async (req, res) => {
+  try {
+    const { accountIdKey } = req.params;
+    const portfolio = await getPortfolio(accountIdKey, { view: 'QUICK' });
+    const exposure = await fetchPortfolioRisk(portfolio);
+    res.json({ success: true, exposure });
+  } catch (error) {
+    console.error('[Exposure] Error:', error?.message);
+    res.status(500).json({ success: false, error: error?.message || 'Failed to compute portfolio exposure.' });
+  }
+});
+
 app.get('/api/portfolio/:accountIdKey/balance', async (req, res) => {
   try {
     const { accountIdKey } = req.params;
@@ -689,7 +657,20 @@ app.get('/api/portfolio/:accountIdKey/balance', async (req, res) => {
 app.post('/api/portfolio/:accountIdKey/options/preview-order', async (req, res) => {
   try {
     const { accountIdKey } = req.params;
-    const { symbol, quantity, orderType, callPut, strike, expiry, price, underlyingSymbol } = req.body || {};
+    const {
+      symbol,
+      quantity,
+      orderType,
+      callPut,
+      strike,
+      expiry,
+      price,
+      underlyingSymbol,
+      priceType,
+      limitPrice,
+      stopPrice,
+      timeInForce,
+    } = req.body || {};
     
     console.log('[PreviewOrder] Request received', {
       accountIdKey,
@@ -714,7 +695,7 @@ app.post('/api/portfolio/:accountIdKey/options/preview-order', async (req, res)
     const action = orderType === 'BUY' ? 'BUY_OPEN' : 'SELL_CLOSE';
     
     // Call E*TRADE preview API with data from request
-    // For market orders, don't pass price to ensure priceType is MARKET
+    // Price type defaults to MARKET; limit/stop prices are only sent when requested
     const previewResult = await previewOptionOrder({
       accountIdKey,
       optionSymbol: tradeSymbol,
@@ -724,12 +705,18 @@ app.post('/api/portfolio/:accountIdKey/options/preview-order', async (req, res)
       callPut: callPut,
       strike: strike,
       expiry: expiry,
-      // price: undefined, // Omit price to force MARKET order
+      priceType: priceType || 'MARKET',
+      limitPrice,
+      stopPrice,
+      timeInForce: timeInForce || 'DAY',
     });
     
     // Build preview response
     const previewData = {
       orderType: previewResult.orderType || 'MARKET',
+      orderTerm: previewResult.orderTerm || 'GOOD_FOR_DAY',
+      limitPrice: previewResult.limitPrice ?? null,
+      stopPrice: previewResult.stopPrice ?? null,
       symbol: tradeSymbol,
       quantity: qty,
       action: orderType,
@@ -835,10 +822,71 @@ app.post('/api/portfolio/:accountIdKey/options/emergency-sell', async (req, res)
   }
 });
 
-app.post('/api/portfolio/:accountIdKey/options/market-buy', async (req, res) => {
+// Risk governor and concentration refusals are not broker failures; the dashboard tells them apart by status
+function orderFailureStatus(error) {
+  return error?.code === 'RISK_BLOCKED' || error?.code === 'CONCENTRATION_UNAVAILABLE' ? error.status : 500;
+}
+
+// One concentration candidate per opening leg, counted the way the filled position will be:
+// short legs in the opposite direction, premium only for the legs that pay it
+function concentrationCandidate(leg) {
+  const action = String(leg.orderAction || '').trim().toUpperCase();
+  if (!action.endsWith('_OPEN')) return null;
+  const contract = normalizeOptionContract({
+    optionSymbol: leg.optionSymbol,
+    underlyingSymbol: leg.underlyingSymbol || leg.symbol,
+    callPut: leg.callPut,
+    strike: leg.strike,
+    expiry: leg.expiry,
+  });
+  const price = Number(leg.price);
+  return {
+    symbol: underlyingOf({ underlyingSymbol: contract.underlying || leg.underlyingSymbol || leg.symbol }),
+    side: String(contract.callPut || 'CALL').toLowerCase(),
+    short: action === 'SELL_OPEN',
+    qty: Math.abs(Math.trunc(Number(leg.quantity) || 0)),
+    costPerContract: action === 'BUY_OPEN' && price > 0 ? price * 100 : undefined,
+  };
+}
+
+// Every dashboard order that opens a position runs the concentration limits here. When positions
+// cannot be loaded the order is refused (503) unless CONCENTRATION_FAIL_OPEN=true places it unchecked.
+async function checkOpeningConcentration(accountIdKey, legs, logTag) {
+  const candidates = legs.map(concentrationCandidate).filter(Boolean);
+  if (process.env.CONCENTRATION_CHECK === 'false' || !candidates.length) return [];
+  try {
+    return await evaluateConcentration(etradeModule, accountIdKey, candidates);
+  } catch (err) {
+    if (String(process.env.CONCENTRATION_FAIL_OPEN || '').toLowerCase() === 'true') {
+      console.warn(`${logTag} Concentration check unavailable; placing unchecked (CONCENTRATION_FAIL_OPEN)`, { message: err?.message });
+      return [];
+    }
+    console.warn(`${logTag} Concentration check unavailable; order refused`, { message: err?.message });
+    const error = new Error(`Concentration check unavailable (${err?.message}); order not placed. Set CONCENTRATION_FAIL_OPEN=true to place unchecked.`);
+    error.status = 503;
+    error.code = 'CONCENTRATION_UNAVAILABLE';
+    throw error;
+  }
+}
+
+// Explicit quantities are never changed behind the caller's back: a leg that would be down-sized
+// is refused with the quantity that still fits
+function sendConcentrationRefusal(res, results, logTag) {
+  const blocked = results.find((result) => result.decision !== 'allow');
+  if (!blocked) return false;
+  const error = blocked.decision === 'reject' ? blocked.reason : `${blocked.reason}; resubmit with quantity ${blocked.qty}`;
+  console.warn(`${logTag} Rejected by concentration limit`, { reason: error });
+  res.status(409).json({ success: false, code: 'CONCENTRATION_LIMIT', error, concentration: results });
+  return true;
+}
+
+// Sizes a BUY_OPEN from withdrawable cash at contractPrice and places it with the given pricing.
+// Shared by the market-buy and limit-buy routes so both honour allocationPct the same way.
+async function placeCashSizedBuy(req, res, { label, pricing }) {
+  const logTag = `[${label}]`;
   try {
     const { accountIdKey } = req.params;
-    console.log('[MarketBuy] Request received', {
+    console.log(`${logTag} Request received`, {
       accountIdKey,
       body: req.body,
     });
@@ -862,7 +910,8 @@ app.post('/api/portfolio/:accountIdKey/options/market-buy', async (req, res) =>
       return res.status(400).json({ success: false, error: 'Option symbol is required.' });
     }
 
-    const contractPrice = Number(price);
+    // Limit entries size off the limit price so the worst-case fill still fits the budget
+    const contractPrice = Number(pricing.limitPrice ?? price);
     if (!Number.isFinite(contractPrice) || contractPrice <= 0) {
       return res.status(400).json({ success: false, error: 'A valid contract price is required to size the order.' });
     }
@@ -870,7 +919,7 @@ app.post('/api/portfolio/:accountIdKey/options/market-buy', async (req, res) =>
     const normalizedCallPut = typeof callPut === 'string' ? callPut.trim().toUpperCase() : '';
     const numericStrike = Number(strike);
     if (!normalizedCallPut || (normalizedCallPut !== 'CALL' && normalizedCallPut !== 'PUT')) {
-      return res.status(400).json({ success: false, error: 'Contract side (call/put) is required for market buy.' });
+      return res.status(400).json({ success: false, error: `Contract side (call/put) is required for ${label === 'MarketBuy' ? 'market' : 'limit'} buy.` });
     }
     if (!Number.isFinite(numericStrike) || numericStrike <= 0) {
       return res.status(400).json({ success: false, error: 'Strike price missing for this contract.' });
@@ -918,7 +967,26 @@ app.post('/api/portfolio/:accountIdKey/options/market-buy', async (req, res) =>
       return res.status(400).json({ success: false, error: 'Withdrawable cash is insufficient for at least one contract at the provided price.' });
     }
 
-    console.log('[MarketBuy] Sizing decision', {
+    const [concentration = null] = await checkOpeningConcentration(accountIdKey, [{
+      optionSymbol: tradeSymbol,
+      underlyingSymbol: symbol,
+      callPut: normalizedCallPut,
+      strike: numericStrike,
+      expiry,
+      orderAction: 'BUY_OPEN',
+      quantity: finalQty,
+      price: contractPrice,
+    }], logTag);
+    if (concentration?.decision === 'reject') {
+      console.warn(`${logTag} Rejected by concentration limit`, { reason: concentration.reason });
+      return res.status(409).json({ success: false, code: 'CONCENTRATION_LIMIT', error: concentration.reason, concentration });
+    }
+    if (concentration?.decision === 'downsize') {
+      finalQty = concentration.qty;
+      sizingMode = 'concentration';
+    }
+
+    console.log(`${logTag} Sizing decision`, {
       withdrawCash,
       allocationPct: pct,
       budget,
@@ -931,9 +999,10 @@ app.post('/api/portfolio/:accountIdKey/options/market-buy', async (req, res) =>
       callPut: normalizedCallPut,
       strike: numericStrike,
       expiry,
+      pricing,
     });
 
-    const orderResult = await placeOptionMarketOrder({
+    const orderResult = await placeOptionOrder({
       accountIdKey,
       optionSymbol: tradeSymbol,
       underlyingSymbol: symbol,
@@ -943,6 +1012,7 @@ app.post('/api/portfolio/:accountIdKey/options/market-buy', async (req, res) =>
       strike: numericStrike,
       expiry,
       price: contractPrice,
+      ...pricing,
     });
 
     res.json({
@@ -957,10 +1027,11 @@ app.post('/api/portfolio/:accountIdKey/options/market-buy', async (req, res) =>
         quantity: finalQty,
         suggestedQuantity: normalizedSuggestedQty,
         sizingMode,
+        concentration,
       },
     });
   } catch (error) {
-    console.error('[MarketBuy] Error placing order', {
+    console.error(`${logTag} Error placing order`, {
       message: error?.message,
       payload: error?.payload,
       stack: error?.stack,
@@ -969,14 +1040,364 @@ app.post('/api/portfolio/:accountIdKey/options/market-buy', async (req, res) =>
       || error?.payload?.message
       || error?.body
       || error?.message;
-    res.status(500).json({
+    res.status(orderFailureStatus(error)).json({
+      success: false,
+      error: brokerMessage || `Failed to place ${label === 'MarketBuy' ? 'market' : 'limit'} buy order.`,
+      brokerResponse: error?.payload || null,
+    });
+  }
+}
+
+app.post('/api/portfolio/:accountIdKey/options/market-buy', (req, res) => (
+  placeCashSizedBuy(req, res, { label: 'MarketBuy', pricing: { priceType: 'MARKET', timeInForce: 'DAY' } })
+));
+
+// Works the entry at the suggestion's est_entry (or an explicit limitPrice) instead of crossing the spread
+app.post('/api/portfolio/:accountIdKey/options/limit-buy', (req, res) => {
+  const { limitPrice, price, timeInForce } = req.body || {};
+  const limit = Number(limitPrice ?? price);
+  if (!Number.isFinite(limit) || limit <= 0) {
+    return res.status(400).json({ success: false, error: 'A positive limit price (or est_entry price) is required.' });
+  }
+  return placeCashSizedBuy(req, res, {
+    label: 'LimitBuy',
+    pricing: { priceType: 'LIMIT', limitPrice: Number(limit.toFixed(2)), timeInForce: timeInForce || 'DAY' },
+  });
+});
+
+// Explicit-quantity order with any price type / time in force (used for stop and stop-limit exits)
+app.post('/api/portfolio/:accountIdKey/options/order', async (req, res) => {
+  try {
+    const { accountIdKey } = req.params;
+    const {
+      optionSymbol,
+      symbol,
+      quantity,
+      orderAction,
+      callPut,
+      strike,
+      expiry,
+      price,
+      priceType,
+      limitPrice,
+      stopPrice,
+      timeInForce,
+    } = req.body || {};
+
+    const tradeSymbol = optionSymbol || symbol;
+    if (!tradeSymbol) {
+      return res.status(400).json({ success: false, error: 'Option symbol is required.' });
+    }
+    const numericQty = Number(quantity);
+    if (!Number.isFinite(numericQty) || numericQty === 0) {
+      return res.status(400).json({ success: false, error: 'Quantity must be provided.' });
+    }
+    if (!orderAction) {
+      return res.status(400).json({ success: false, error: 'Order action (BUY_OPEN, SELL_CLOSE, ...) is required.' });
+    }
+
+    console.log('[OptionOrder] Request received', { accountIdKey, body: req.body });
+
+    const concentration = await checkOpeningConcentration(accountIdKey, [{
+      optionSymbol: tradeSymbol,
+      underlyingSymbol: symbol,
+      callPut,
+      strike,
+      expiry,
+      orderAction,
+      quantity: numericQty,
+      price: limitPrice ?? price,
+    }], '[OptionOrder]');
+    if (sendConcentrationRefusal(res, concentration, '[OptionOrder]')) return;
+
+    const orderResult = await placeOptionOrder({
+      accountIdKey,
+      optionSymbol: tradeSymbol,
+      underlyingSymbol: symbol,
+      quantity: numericQty,
+      orderAction,
+      callPut,
+      strike,
+      expiry,
+      price,
+      priceType: priceType || 'MARKET',
+      limitPrice,
+      stopPrice,
+      timeInForce: timeInForce || 'DAY',
+    });
+
+    res.json({ success: true, order: orderResult, concentration });
+  } catch (error) {
+    console.error('[OptionOrder] Error placing order', {
+      message: error?.message,
+      payload: error?.payload,
+    });
+    const brokerMessage = error?.payload?.Error?.message
+      || error?.payload?.message
+      || error?.body
+      || error?.message;
+    res.status(orderFailureStatus(error)).json({
       success: false,
-      error: brokerMessage || 'Failed to place market buy order.',
+      error: brokerMessage || 'Failed to place option order.',
       brokerResponse: error?.payload || null,
     });
   }
 });
 
+// Accepts explicit legs or a spreadType (vertical, straddle, strangle, iron_condor) plus its strikes.
+// Without priceType/limitPrice the package is priced from chain mids as a net debit/credit.
+async function resolveSpreadRequest(body = {}) {
+  const {
+    legs,
+    spreadType,
+    close,
+    priceType,
+    limitPrice,
+    timeInForce,
+    ...params
+  } = body;
+  let orderLegs;
+  try {
+    orderLegs = Array.isArray(legs) && legs.length ? legs : buildSpreadLegs(spreadType, params);
+  } catch (err) {
+    err.status = 400;
+    throw err;
+  }
+  if (close) orderLegs = closingLegs(orderLegs);
+
+  let pricing = { priceType, limitPrice };
+  let estimate = null;
+  if (!priceType || (priceType !== 'NET_EVEN' && limitPrice == null)) {
+    const first = orderLegs[0] || {};
+    const chain = await fetchOptionChain({
+      symbol: first.underlyingSymbol || first.symbol || params.underlying || params.symbol,
+      expiry: first.expiry,
+      includeGreeks: false,
+      minContracts: 1,
+    });
+    estimate = estimateNetPrice(orderLegs, chain.options || []);
+    if (!estimate) {
+      const err = new Error('Unable to price every spread leg from the option chain; pass priceType and limitPrice.');
+      err.status = 400;
+      throw err;
+    }
+    pricing = { priceType: priceType || estimate.priceType, limitPrice: limitPrice ?? estimate.limitPrice };
+  }
+  return { legs: orderLegs, pricing: { ...pricing, timeInForce: timeInForce || 'DAY' }, estimate };
+}
+
+function sendSpreadError(res, error, fallback) {
+  const brokerMessage = error?.payload?.Error?.message
+    || error?.payload?.message
+    || error?.body
+    || error?.message;
+  res.status(error?.status === 400 ? 400 : orderFailureStatus(error)).json({
+    success: false,
+    error: brokerMessage || fallback,
+    brokerResponse: error?.payload || null,
+  });
+}
+
+function sendOrderChangeError(res, error, fallback) {
+  const brokerMessage = error?.payload?.Error?.message
+    || error?.payload?.message
+    || error?.body
+    || error?.message;
+  const status = Number(error?.status);
+  res.status(status >= 400 && status < 500 ? status : 500).json({
+    success: false,
+    error: brokerMessage || fallback,
+    brokerResponse: error?.payload || null,
+  });
+}
+
+app.get('/api/portfolio/:accountIdKey/orders/open', async (req, res) => {
+  try {
+    const orders = await fetchOpenOrders(req.params.accountIdKey);
+    res.json({ success: true, orders });
+  } catch (error) {
+    console.error('[OpenOrders] Error:', error?.message);
+    sendOrderChangeError(res, error, 'Failed to load open orders.');
+  }
+});
+
+app.post('/api/portfolio/:accountIdKey/orders/:orderId/cancel', async (req, res) => {
+  try {
+    const { accountIdKey, orderId } = req.params;
+    console.log('[CancelOrder] Request received', { accountIdKey, orderId });
+    const result = await cancelOrder(accountIdKey, orderId);
+    res.json({ success: true, cancel: result });
+  } catch (error) {
+    console.error('[CancelOrder] Error:', { message: error?.message, payload: error?.payload });
+    sendOrderChangeError(res, error, 'Failed to cancel order.');
+  }
+});
+
+function readOrderChanges(body = {}) {
+  const { priceType, limitPrice, stopPrice, timeInForce, quantity } = body;
+  const changes = {};
+  if (priceType) changes.priceType = priceType;
+  if (limitPrice != null && limitPrice !== '') changes.limitPrice = Number(limitPrice);
+  if (stopPrice != null && stopPrice !== '') changes.stopPrice = Number(stopPrice);
+  if (timeInForce) changes.timeInForce = timeInForce;
+  if (quantity != null && quantity !== '') changes.quantity = Number(quantity);
+  return changes;
+}
+
+app.post('/api/portfolio/:accountIdKey/orders/:orderId/replace/preview', async (req, res) => {
+  try {
+    const { accountIdKey, orderId } = req.params;
+    const preview = await changePreviewedOrder({ accountIdKey, orderId, ...readOrderChanges(req.body) });
+    res.json({ success: true, preview });
+  } catch (error) {
+    console.error('[ReplaceOrder] Preview error:', { message: error?.message, payload: error?.payload });
+    sendOrderChangeError(res, error, 'Failed to preview order change.');
+  }
+});
+
+// Reprices (or resizes) a working order in place via E*TRADE's change preview/place flow
+app.post('/api/portfolio/:accountIdKey/orders/:orderId/replace', async (req, res) => {
+  try {
+    const { accountIdKey, orderId } = req.params;
+    const changes = readOrderChanges(req.body);
+    if (!Object.keys(changes).length) {
+      return res.status(400).json({ success: false, error: 'Provide at least one of limitPrice, stopPrice, priceType, timeInForce or quantity.' });
+    }
+    console.log('[ReplaceOrder] Request received', { accountIdKey, orderId, changes });
+    const preview = await changePreviewedOrder({ accountIdKey, orderId, ...changes });
+    const order = await placeChangedOrder({ accountIdKey, orderId, preview });
+    res.json({ success: true, order });
+  } catch (error) {
+    console.error('[ReplaceOrder] Error:', { message: error?.message, payload: error?.payload });
+    sendOrderChangeError(res, error, 'Failed to replace order.');
+  }
+});
+
+app.post('/api/portfolio/:accountIdKey/options/spread/preview', async (req, res) => {
+  try {
+    const { accountIdKey } = req.params;
+    console.log('[SpreadPreview] Request received', { accountIdKey, body: req.body });
+    const { legs, pricing, estimate } = await resolveSpreadRequest(req.body);
+    const preview = await previewSpreadOrder({ accountIdKey, legs, ...pricing });
+    res.json({ success: true, preview, estimate });
+  } catch (error) {
+    console.error('[SpreadPreview] Error:', error?.message);
+    sendSpreadError(res, error, 'Failed to preview spread order.');
+  }
+});
+
+app.post('/api/portfolio/:accountIdKey/options/spread', async (req, res) => {
+  try {
+    const { accountIdKey } = req.params;
+    console.log('[SpreadOrder] Request received', { accountIdKey, body: req.body });
+    const { legs, pricing, estimate } = await resolveSpreadRequest(req.body);
+    const quotedLegs = legs.map((leg, i) => ({ ...leg, price: estimate?.legs[i]?.mid ?? leg.price }));
+    const concentration = await checkOpeningConcentration(accountIdKey, quotedLegs, '[SpreadOrder]');
+    if (sendConcentrationRefusal(res, concentration, '[SpreadOrder]')) return;
+    const order = await placeSpreadOrder({ accountIdKey, legs, ...pricing });
+    res.json({ success: true, order, estimate, concentration });
+  } catch (error) {
+    console.error('[SpreadOrder] Error placing order', {
+      message: error?.message,
+      payload: error?.payload,
+    });
+    sendSpreadError(res, error, 'Failed to place spread order.');
+  }
+});
+
+app.get('/api/risk/status', async (req, res) => {
+  try {
+    const accountIdKey = req.query.account || resolveDefaultAccountKey();
+    if (!accountIdKey) {
+      return res.status(400).json({ success: false, error: 'Account is required (?account=<accountIdKey>).' });
+    }
+    const status = await getGovernorStatus(etradeModule, accountIdKey, { refresh: req.query.refresh === 'true' });
+    res.json({ success: true, status });
+  } catch (error) {
+    console.error('[RiskGovernor] Status error:', error?.message);
+    res.status(500).json({ success: false, error: error?.message || 'Failed to read risk governor status.' });
+  }
+});
+
+app.post('/api/risk/halt', (req, res) => {
+  try {
+    console.log('[RiskGovernor] Kill switch requested', { user: req.user, reason: req.body?.reason });
+    const halt = haltTrading({ reason: req.body?.reason, by: req.user || 'anonymous' });
+    publish('risk', { halt });
+    res.json({ success: true, halt });
+  } catch (error) {
+    console.error('[RiskGovernor] Halt error:', error?.message);
+    res.status(500).json({ success: false, error: error?.message || 'Failed to turn on the kill switch.' });
+  }
+});
+
+app.post('/api/risk/resume', (req, res) => {
+  try {
+    console.log('[RiskGovernor] Resume requested', { user: req.user, accountIdKey: req.body?.accountIdKey || null });
+    const previous = resumeTrading({ accountIdKey: req.body?.accountIdKey });
+    publish('risk', { halt: null });
+    res.json({ success: true, previous });
+  } catch (error) {
+    console.error('[RiskGovernor] Resume error:', error?.message);
+    res.status(500).json({ success: false, error: error?.message || 'Failed to lift the kill switch.' });
+  }
+});
+
+app.get('/api/audit', (req, res) => {
+  try {
+    const { account, action, outcome, actor, phase, from, to, limit } = req.query;
+    res.json({ success: true, ...listAuditEntries({ account, action, outcome, actor, phase, from, to, limit }) });
+  } catch (error) {
+    if (!error.status) console.error('[Audit] Error reading audit log:', error?.message);
+    res.status(error.status || 500).json({ success: false, error: error?.message || 'Failed to read audit log.' });
+  }
+});
+
+app.get('/api/audit/verify', (req, res) => {
+  try {
+    const result = verifyAuditLog();
+    res.status(result.ok ? 200 : 409).json({ success: result.ok, ...result });
+  } catch (error) {
+    console.error('[Audit] Verification error:', error?.message);
+    res.status(500).json({ success: false, error: error?.message || 'Failed to verify audit log.' });
+  }
+});
+
+// Bracket exits queued by the position guardian when GUARDIAN_EXIT_MODE=confirm
+app.get('/api/guardian/exits', (req, res) => {
+  try {
+    res.json({ success: true, exits: listExits({ status: req.query.status }) });
+  } catch (error) {
+    console.error('[GuardianExits] Error listing exits:', error?.message);
+    res.status(500).json({ success: false, error: error?.message || 'Failed to load guardian exits.' });
+  }
+});
+
+app.post('/api/guardian/exits/:id/confirm', async (req, res) => {
+  try {
+    console.log('[GuardianExits] Confirm received', { id: req.params.id });
+    const exit = await confirmExit(req.params.id);
+    if (exit.status !== 'submitted') {
+      return res.status(502).json({ success: false, error: exit.error || 'Exit order was not accepted.', exit });
+    }
+    scheduleAccountEventsPoll();
+    res.json({ success: true, exit });
+  } catch (error) {
+    console.error('[GuardianExits] Confirm error:', error?.message);
+    sendOrderChangeError(res, error, 'Failed to confirm guardian exit.');
+  }
+});
+
+app.post('/api/guardian/exits/:id/dismiss', async (req, res) => {
+  try {
+    console.log('[GuardianExits] Dismiss received', { id: req.params.id });
+    res.json({ success: true, exit: await dismissExit(req.params.id) });
+  } catch (error) {
+    console.error('[GuardianExits] Dismiss error:', error?.message);
+    sendOrderChangeError(res, error, 'Failed to dismiss guardian exit.');
+  }
+});
+
 
 
 function parseAIOutput(output, { provider, model } = {}) {
@@ -1186,6 +1607,35 @@ function parseAIOutput(output, { provider, model } = {}) {
       continue;
     }
 
+    if (matchLine.startsWith('MULTI_TIMEFRAME ')) {
+      const payload = line.slice('MULTI_TIMEFRAME '.length).trim();
+      try {
+        rec.multiTimeframe = JSON.parse(payload);
+      } catch (err) {
+        console.warn('Failed to parse multi-timeframe payload:', payload, err.message);
+      }
+      continue;
+    }
+
+    if (matchLine.startsWith('CONCENTRATION ')) {
+      const payload = line.slice('CONCENTRATION '.length).trim();
+      try {
+        const parsed = JSON.parse(payload);
+        rec.concentration = parsed;
+        if (parsed?.decision === 'reject') {
+          rec.ai.decision = 'reject';
+        } else if (parsed?.decision === 'downsize' && Number.isFinite(parsed.qty)) {
+          rec.qty = parsed.qty;
+        }
+        if (parsed?.reason) {
+          rec.ai.riskFlags = [...(rec.ai.riskFlags || []), `Concentration: ${parsed.reason}`];
+        }
+      } catch (err) {
+        console.warn('Failed to parse concentration payload:', payload, err.message);
+      }
+      continue;
+    }
+
     if (matchLine.includes('Option contract:')) {
       const payload = line.replace(/^.*Option contract:/i, '').trim();
       if (payload) {
@@ -1383,6 +1833,12 @@ async function triggerScan(source = 'auto') {
   const startedAt = new Date();
   const startedMs = Date.now();
   clearPendingTimer();
+  publish('scan-start', {
+    source,
+    startedAt: startedAt.toISOString(),
+    symbols: Array.isArray(scanConfig.symbols) ? scanConfig.symbols : [],
+    strategy: normalizeStrategy(scanConfig.strategy) || DEFAULT_STRATEGY,
+  });
 
   const symbolsList = Array.isArray(scanConfig.symbols) ? scanConfig.symbols : [];
   const strategy = normalizeStrategy(scanConfig.strategy) || DEFAULT_STRATEGY;
@@ -1497,6 +1953,7 @@ async function triggerScan(source = 'auto') {
         command: commandToRun,
         timestamp: completedAt,
       };
+      persistScan({ ...lastScanMeta, runs: [], parsed: [], command: commandToRun });
       response = { success: false, statusCode: 502, error: lastScanError.message };
     } else {
       const completedAt = new Date().toISOString();
@@ -1557,10 +2014,16 @@ async function triggerScan(source = 'auto') {
         errors: runErrors,
       };
       lastScanError = runErrors.length ? { message: 'One or more providers failed', providers: runErrors } : null;
+      const stored = persistScan({ ...latestResults, success: true });
+      if (stored) {
+        latestResults.scanId = stored.id;
+        lastScanMeta.scanId = stored.id;
+      }
       response = { success: true, results: latestResults };
     }
   } finally {
     isScanning = false;
+    publish('scan-finish', buildRecommendationsPayload());
     const nextDelay = nextScanDelayOverride != null ? nextScanDelayOverride : AGENT_INTERVAL_MS;
     nextScanDelayOverride = null;
     scheduleNextScan(nextDelay);
@@ -1569,6 +2032,62 @@ async function triggerScan(source = 'auto') {
   return response;
 }
 
+// A failed write should not fail the scan itself; the results are still served from memory
+function persistScan(scan) {
+  try {
+    return recordScan(scan);
+  } catch (error) {
+    console.error('Failed to persist scan history:', error.message);
+    return null;
+  }
+}
+
+// Serve the last stored scan after a restart instead of an empty dashboard
+function restoreLatestScan() {
+  try {
+    const scan = latestScan();
+    if (!scan) return;
+    const meta = {
+      scanId: scan.id,
+      startedAt: scan.startedAt,
+      completedAt: scan.completedAt,
+      durationMs: scan.durationMs,
+      source: scan.source,
+      success: scan.success,
+      symbols: scan.config?.symbols || [],
+      strategy: scan.config?.strategy || null,
+      expiryType: scan.config?.expiryType || null,
+      errors: scan.errors || [],
+      restored: true,
+    };
+    if (scan.success) {
+      latestResults = {
+        scanId: scan.id,
+        runs: scan.runs,
+        rawOutput: scan.runs.map((run) => `# ${run.provider}\n${run.rawOutput}`).join('\n'),
+        parsed: scan.parsed,
+        startedAt: scan.startedAt,
+        completedAt: scan.completedAt,
+        durationMs: scan.durationMs,
+        command: scan.config?.command || null,
+        source: scan.source,
+        symbols: meta.symbols,
+        providers: scan.providers,
+        strategy: meta.strategy,
+        expiryType: meta.expiryType,
+        errors: scan.errors || [],
+      };
+      meta.providers = scan.runs.map((run) => ({ provider: run.provider, model: run.model }));
+    } else {
+      meta.providers = scan.providers;
+    }
+    lastScanMeta = meta;
+    console.log(`Restored scan ${scan.id} from ${scan.completedAt} (${scan.success ? 'success' : 'failed'})`);
+  } catch (error) {
+    console.error('Failed to restore scan history:', error.message);
+  }
+}
+
 function scheduleNextScan(delayMs = AGENT_INTERVAL_MS) {
   if (!Number.isFinite(delayMs) || delayMs <= 0) {
     return;
@@ -1601,6 +2120,13 @@ app.listen(PORT, () => {
   console.log(`Open your browser to view AI recommendations and execute trades`);
   console.log(`Auto-scanning every ${AGENT_INTERVAL_MS}ms with command: ${AGENT_COMMAND}`);
   console.log(`Initial symbol watchlist: ${scanConfig.symbols.join(', ')}`);
+  if (!authRequired() && authDisabled()) {
+    console.warn('Dashboard login is OFF (UI_AUTH_DISABLED): anyone who can reach this port can place orders.');
+  } else if (!authRequired()) {
+    console.warn('Dashboard login is not configured: the dashboard is read-only and order routes return 403. Set UI_AUTH_TOKEN, add a user with `npm run ui:user -- add <name>`, or set UI_AUTH_DISABLED=1.');
+  }
+  restoreLatestScan();
+  startAccountEvents();
   scheduleNextScan(1000);
 }).on('error', (err) => {
   console.error('Server failed to start:', err);
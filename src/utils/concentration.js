@@ -0,0 +1,221 @@
+// Correlation-aware concentration limits. A new long call/put is compared with the account's open
+// option positions (and ideas already approved in the same scan): each position whose underlying
+// moves with the new one in the same direction (return correlation x direction >= threshold) joins
+// its cluster. Too many positions in the cluster rejects the idea; too much premium in it
+// down-sizes the idea to whatever still fits. Limits come from env with per-account overrides.
+const fs = require('fs');
+const path = require('path');
+const { fetchBarsWithFallback } = require('../providers/bars');
+const { isOptionPosition, underlyingOf } = require('../risk');
+
+const DEFAULT_LIMITS_FILE = path.join(__dirname, '..', '..', 'data', 'concentration-limits.json');
+
+function limitsFile() {
+  return path.resolve(process.env.CONCENTRATION_LIMITS_FILE || DEFAULT_LIMITS_FILE);
+}
+
+function envNumber(name, fallback) {
+  const raw = process.env[name];
+  const value = Number(raw);
+  return raw != null && raw !== '' && Number.isFinite(value) ? value : fallback;
+}
+
+function readLimitOverrides() {
+  let raw;
+  try {
+    raw = fs.readFileSync(limitsFile(), 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    return {};
+  }
+  return raw.trim() ? JSON.parse(raw) : {};
+}
+
+// Env defaults <- file "default" <- file "accounts"[accountIdKey]. maxPositions 0 and
+// maxExposurePct null switch that check off.
+function concentrationLimits(accountIdKey) {
+  const overrides = readLimitOverrides();
+  const limits = {
+    correlation: envNumber('CONCENTRATION_CORRELATION', 0.7),
+    maxPositions: envNumber('CONCENTRATION_MAX_POSITIONS', 2),
+    maxExposurePct: envNumber('CONCENTRATION_MAX_EXPOSURE_PCT', null),
+    window: envNumber('CONCENTRATION_WINDOW', 120),
+    ...(overrides.default || {}),
+    ...((accountIdKey && overrides.accounts?.[accountIdKey]) || {}),
+  };
+  return { ...limits, accountIdKey: accountIdKey || null };
+}
+
+function closesByTime(bars) {
+  const map = new Map();
+  for (const bar of bars || []) {
+    const close = Number(bar.c ?? bar.close);
+    if (Number.isFinite(bar.t) && close > 0) map.set(bar.t, close);
+  }
+  return map;
+}
+
+// Pearson correlation of log returns over the last `window` bars both series share
+function returnCorrelation(barsA, barsB, window = 120) {
+  const a = closesByTime(barsA);
+  const b = closesByTime(barsB);
+  const times = [...a.keys()].filter((t) => b.has(t)).sort((x, y) => x - y).slice(-(window + 1));
+  if (times.length < 20) return null;
+  const ra = [];
+  const rb = [];
+  for (let i = 1; i < times.length; i++) {
+    ra.push(Math.log(a.get(times[i]) / a.get(times[i - 1])));
+    rb.push(Math.log(b.get(times[i]) / b.get(times[i - 1])));
+  }
+  const mean = (xs) => xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const ma = mean(ra);
+  const mb = mean(rb);
+  let cov = 0;
+  let va = 0;
+  let vb = 0;
+  for (let i = 0; i < ra.length; i++) {
+    cov += (ra[i] - ma) * (rb[i] - mb);
+    va += (ra[i] - ma) ** 2;
+    vb += (rb[i] - mb) ** 2;
+  }
+  if (!(va > 0) || !(vb > 0)) return null;
+  return Number((cov / Math.sqrt(va * vb)).toFixed(3));
+}
+
+// +1 profits when the underlying rises (long call, short put), -1 when it falls
+function directionOf(callPut, quantitySign) {
+  const side = String(callPut || '').toUpperCase() === 'PUT' ? -1 : 1;
+  return side * (quantitySign < 0 ? -1 : 1);
+}
+
+function exposuresFromPositions(positions) {
+  return (positions || []).filter(isOptionPosition).map((position) => {
+    const qty = Number(position.quantity || 0);
+    const short = String(position.positionType || '').toUpperCase() === 'SHORT' || qty < 0;
+    return {
+      symbol: underlyingOf(position),
+      label: position.symbolDescription || position.optionSymbol || position.symbol,
+      direction: directionOf(position.callPut, short ? -1 : 1),
+      marketValue: Math.abs(Number(position.marketValue) || 0),
+    };
+  });
+}
+
+async function loadAccountExposure(broker, accountIdKey) {
+  const { account, positions } = await broker.getPortfolio(accountIdKey);
+  return {
+    exposures: exposuresFromPositions(positions),
+    accountValue: Number(account?.totalValue) || null,
+  };
+}
+
+// Live bars only: correlations against generated mock bars would be noise
+async function defaultBarsFor(symbol) {
+  const result = await fetchBarsWithFallback(symbol, { range: '1d', interval: '1m' });
+  return result.mock ? null : result.bars;
+}
+
+// candidate: { symbol, side: 'call'|'put', short?, qty, costPerContract }; `bars` seeds symbol -> bars
+// already fetched by the caller. A short leg counts in the opposite direction, as it will once filled. Returns { decision: allow|downsize|reject, qty, requestedQty, reason, cluster,
+// unknown, clusterExposure, limits }.
+async function checkConcentration({ candidate, exposures = [], accountValue = null, limits, bars = {}, barsFor = defaultBarsFor }) {
+  const symbol = String(candidate.symbol).toUpperCase();
+  const direction = directionOf(candidate.side, candidate.short ? -1 : 1);
+  const label = `${symbol} ${candidate.short ? 'short ' : ''}${candidate.side}`;
+  const requestedQty = Math.max(0, Math.trunc(Number(candidate.qty) || 0));
+  const barsCache = new Map(Object.entries(bars));
+  const loadBars = async (sym) => {
+    if (!barsCache.has(sym)) {
+      barsCache.set(sym, await Promise.resolve(barsFor(sym)).catch(() => null));
+    }
+    return barsCache.get(sym);
+  };
+
+  const cluster = [];
+  const unknown = [];
+  for (const exposure of exposures) {
+    let correlation = 1;
+    if (exposure.symbol !== symbol) {
+      const [own, other] = await Promise.all([loadBars(symbol), loadBars(exposure.symbol)]);
+      correlation = own && other ? returnCorrelation(own, other, limits.window) : null;
+    }
+    if (correlation == null) {
+      unknown.push(exposure.symbol);
+      continue;
+    }
+    const alignment = Number((correlation * direction * exposure.direction).toFixed(3));
+    if (alignment >= limits.correlation) cluster.push({ ...exposure, correlation, alignment });
+  }
+
+  const clusterExposure = Number(cluster.reduce((sum, e) => sum + e.alignment * e.marketValue, 0).toFixed(2));
+  const result = {
+    decision: 'allow',
+    qty: requestedQty,
+    requestedQty,
+    reason: null,
+    cluster,
+    unknown: [...new Set(unknown)],
+    clusterExposure,
+    limits,
+  };
+  const names = [...new Set(cluster.map((e) => e.symbol))].join(', ');
+
+  if (limits.maxPositions > 0 && cluster.length + 1 > limits.maxPositions) {
+    return {
+      ...result,
+      decision: 'reject',
+      qty: 0,
+      reason: `${label} would be position ${cluster.length + 1} in a correlated cluster (${names}); max ${limits.maxPositions}`,
+    };
+  }
+
+  const cost = Number(candidate.costPerContract);
+  if (limits.maxExposurePct != null && accountValue > 0 && cost > 0) {
+    const room = limits.maxExposurePct * accountValue - clusterExposure;
+    const maxQty = Math.max(0, Math.floor(room / cost));
+    if (maxQty < 1) {
+      return {
+        ...result,
+        decision: 'reject',
+        qty: 0,
+        reason: `Correlated exposure ${names ? `(${names}) ` : ''}already uses $${clusterExposure.toFixed(0)} of the $${(limits.maxExposurePct * accountValue).toFixed(0)} cap`,
+      };
+    }
+    if (maxQty < requestedQty) {
+      return {
+        ...result,
+        decision: 'downsize',
+        qty: maxQty,
+        reason: `Down-sized ${requestedQty} -> ${maxQty} to keep correlated exposure under ${(limits.maxExposurePct * 100).toFixed(0)}% of the account`,
+      };
+    }
+  }
+  return result;
+}
+
+// One-shot check for an order's opening legs, one result per candidate. Positions, limits and
+// bars are loaded once; each leg is judged against the account as it stands, not the other legs.
+async function evaluateConcentration(broker, accountIdKey, candidates, { barsFor = defaultBarsFor } = {}) {
+  const { exposures, accountValue } = await loadAccountExposure(broker, accountIdKey);
+  const limits = concentrationLimits(accountIdKey);
+  const barsCache = new Map();
+  const sharedBars = (symbol) => {
+    if (!barsCache.has(symbol)) barsCache.set(symbol, Promise.resolve(barsFor(symbol)).catch(() => null));
+    return barsCache.get(symbol);
+  };
+  const results = [];
+  for (const candidate of candidates) {
+    results.push(await checkConcentration({ candidate, exposures, accountValue, limits, barsFor: sharedBars }));
+  }
+  return results;
+}
+
+module.exports = {
+  concentrationLimits,
+  returnCorrelation,
+  exposuresFromPositions,
+  loadAccountExposure,
+  checkConcentration,
+  evaluateConcentration,
+  limitsFile,
+};
@@ -0,0 +1,319 @@
+// Today's executed option orders, FIFO-matched into per-trade realized P&L, plus the working
+// orders that would open positions. Shared by the dashboard's day P&L panel and the risk governor.
+function ensureArray(value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function formatDateMMDDYYYY(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  const year = date.getFullYear();
+  return `${month}/${day}/${year}`;
+}
+
+function formatDateBareMMDDYYYY(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  const year = String(date.getFullYear());
+  return `${month}${day}${year}`;
+}
+
+function formatDateYYYYMMDD(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  const year = date.getFullYear();
+  return `${year}-${month}-${day}`;
+}
+
+function canonicalOptionKey(instrument = {}, product = {}) {
+  const direct =
+    instrument.osiKey
+    || instrument.optionSymbol
+    || product.osiKey
+    || product.symbol
+    || instrument.symbol;
+  if (direct) {
+    return String(direct).toUpperCase();
+  }
+  const parts = [
+    product.symbol || instrument.symbol || 'UNKNOWN',
+    product.callPut || instrument.callPut || '',
+    product.strikePrice ?? instrument.strikePrice ?? '',
+    product.expiryYear ?? instrument.expiryYear ?? '',
+    product.expiryMonth ?? instrument.expiryMonth ?? '',
+    product.expiryDay ?? instrument.expiryDay ?? '',
+  ];
+  return parts.join('|').toUpperCase();
+}
+
+function isOptionInstrument(instrument = {}, product = {}) {
+  const securityType = (product.securityType || instrument.securityType || '').toUpperCase();
+  if (securityType) {
+    return securityType === 'OPTN';
+  }
+  if (instrument.optionSymbol || instrument.osiKey) return true;
+  if (product.callPut || product.osiKey || product.strikePrice != null) return true;
+  return false;
+}
+
+function buildExpiryLabel(product = {}, instrument = {}) {
+  const year = product.expiryYear ?? instrument.expiryYear;
+  if (!Number.isFinite(year)) return null;
+  const month = product.expiryMonth ?? instrument.expiryMonth;
+  const day = product.expiryDay ?? instrument.expiryDay;
+  if (!Number.isFinite(month) || !Number.isFinite(day)) return null;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function toIsoTimestamp(value) {
+  if (!value && value !== 0) return null;
+  const asNumber = Number(value);
+  if (Number.isFinite(asNumber)) {
+    const digits = String(Math.trunc(asNumber)).length;
+    if (digits >= 13) return new Date(asNumber).toISOString();
+    if (digits === 10) return new Date(asNumber * 1000).toISOString();
+  }
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString();
+}
+
+function normalizeOrderRecords(rawOrders) {
+  const root = rawOrders?.OrdersResponse || rawOrders?.ordersResponse || rawOrders;
+  if (!root) return [];
+  // E*TRADE returns 'Order' (capital O) as the array key
+  const orderEntries = ensureArray(root.Order || root.order || root.orders || root.OrderData || root.Orders);
+  const records = [];
+
+  for (const entry of orderEntries) {
+    const orderId = entry?.orderId || entry?.OrderId || entry?.id || null;
+    const details = ensureArray(entry?.orderDetail || entry?.OrderDetail || entry?.details || entry);
+    
+    for (const detail of details) {
+      const status = String(detail?.status || detail?.orderStatus || entry?.orderStatus || '').toUpperCase();
+      if (!status || !(status.includes('EXECUTED') || status.includes('FILLED'))) continue;
+      
+      const executedTime =
+        detail?.executedTime
+        || detail?.orderTime
+        || detail?.placedTime
+        || entry?.executedTime
+        || entry?.placedTime
+        || null;
+      const instruments = ensureArray(detail?.instrument || detail?.Instrument);
+      
+      for (const instrument of instruments) {
+        const product = instrument?.product || instrument?.Product || {};
+        if (!isOptionInstrument(instrument, product)) continue;
+        
+        const action = String(instrument?.orderAction || detail?.orderAction || entry?.orderAction || '').toUpperCase();
+        if (!action) continue;
+        
+        const quantity = Number(
+          instrument?.filledQuantity
+          ?? instrument?.quantity
+          ?? detail?.filledQuantity
+          ?? detail?.quantity
+          ?? 0,
+        );
+        if (!Number.isFinite(quantity) || quantity === 0) continue;
+        
+        const price = Number(
+          instrument?.averageExecutionPrice
+          ?? detail?.averageExecutionPrice
+          ?? instrument?.price
+          ?? detail?.price
+          ?? 0,
+        );
+        if (!Number.isFinite(price) || price <= 0) continue;
+        
+        const multiplierRaw = Number(product?.multiplier ?? instrument?.multiplier ?? 100);
+        const multiplier = Number.isFinite(multiplierRaw) && multiplierRaw > 0 ? multiplierRaw : 100;
+        const key = canonicalOptionKey(instrument, product);
+        const description =
+          instrument?.symbolDescription
+          || product?.symbolDescription
+          || instrument?.optionSymbol
+          || product?.osiKey
+          || key
+          || instrument?.symbol
+          || 'Option';
+        
+        records.push({
+          orderId,
+          timestamp: toIsoTimestamp(executedTime),
+          action,
+          qty: Math.abs(quantity),
+          price,
+          multiplier,
+          optionSymbol: instrument?.optionSymbol || instrument?.osiKey || product?.osiKey || key,
+          symbol: product?.symbol || instrument?.symbol || null,
+          description,
+          callPut: product?.callPut || instrument?.callPut || null,
+          strike: product?.strikePrice ?? instrument?.strikePrice ?? null,
+          expiry: buildExpiryLabel(product, instrument),
+          key,
+        });
+      }
+    }
+  }
+
+  return records;
+}
+
+function summarizeDayOptionOrders(rawOrders) {
+  const records = normalizeOrderRecords(rawOrders);
+  if (!records.length) return null;
+  records.sort((a, b) => {
+    if (a.timestamp && b.timestamp) return a.timestamp.localeCompare(b.timestamp);
+    if (a.timestamp) return -1;
+    if (b.timestamp) return 1;
+    return 0;
+  });
+
+  const inventory = new Map();
+  const trades = [];
+  const totals = { realized: 0, grossBuys: 0, grossSells: 0, openingOrders: 0 };
+  const openingOrderIds = new Set();
+
+  for (const record of records) {
+    const isSell = record.action.includes('SELL');
+    const isBuy = record.action.includes('BUY');
+    if (!isSell && !isBuy) continue;
+
+    const cash = Number((record.price * record.qty * record.multiplier * (isSell ? 1 : -1)).toFixed(2));
+    if (record.action.endsWith('_OPEN')) openingOrderIds.add(record.orderId || `order-${trades.length + 1}`);
+    if (cash >= 0) totals.grossSells += cash;
+    else totals.grossBuys += Math.abs(cash);
+
+    const entry = {
+      id: record.orderId || `order-${trades.length + 1}`,
+      symbol: record.symbol,
+      optionSymbol: record.optionSymbol,
+      description: record.description,
+      side: record.action,
+      qty: record.qty,
+      price: record.price,
+      multiplier: record.multiplier,
+      timestamp: record.timestamp,
+      netCash: cash,
+      realized: null,
+      unmatchedQty: 0,
+      callPut: record.callPut,
+      strike: record.strike,
+      expiry: record.expiry,
+    };
+
+    if (isBuy) {
+      const queue = inventory.get(record.key) || [];
+      queue.push({ qty: record.qty, price: record.price });
+      inventory.set(record.key, queue);
+    } else {
+      let remaining = record.qty;
+      let realized = 0;
+      const queue = inventory.get(record.key) || [];
+      while (remaining > 0 && queue.length) {
+        const lot = queue[0];
+        const matchedQty = Math.min(remaining, lot.qty);
+        realized += (record.price - lot.price) * matchedQty * record.multiplier;
+        lot.qty -= matchedQty;
+        if (lot.qty <= 1e-6) queue.shift();
+        remaining -= matchedQty;
+      }
+      if (realized !== 0) {
+        realized = Number(realized.toFixed(2));
+        entry.realized = realized;
+        totals.realized += realized;
+      }
+      if (remaining > 0) {
+        entry.unmatchedQty = remaining;
+      }
+    }
+
+    trades.push(entry);
+  }
+
+  totals.realized = Number(totals.realized.toFixed(2));
+  totals.grossBuys = Number(totals.grossBuys.toFixed(2));
+  totals.grossSells = Number(totals.grossSells.toFixed(2));
+  totals.openingOrders = openingOrderIds.size;
+
+  return {
+    updatedAt: new Date().toISOString(),
+    totals,
+    trades,
+  };
+}
+
+function orderActions(entry) {
+  return ensureArray(entry?.OrderDetail || entry?.orderDetail).flatMap((detail) =>
+    ensureArray(detail?.Instrument || detail?.instrument).map((instrument) =>
+      String(instrument?.orderAction || detail?.orderAction || '').toUpperCase()));
+}
+
+function isWorkingStatus(entry) {
+  const detail = ensureArray(entry?.OrderDetail || entry?.orderDetail)[0];
+  const status = String(detail?.status || entry?.orderStatus || '').toUpperCase();
+  return status === 'OPEN' || status === 'PARTIAL';
+}
+
+// Orders still working with at least one BUY_OPEN / SELL_OPEN leg (a spread counts once)
+function workingOpeningOrders(rawOrders) {
+  const root = rawOrders?.OrdersResponse || rawOrders?.ordersResponse || rawOrders;
+  if (!root) return [];
+  return ensureArray(root.Order || root.order || root.orders)
+    .filter((entry) => isWorkingStatus(entry) && orderActions(entry).some((action) => action.endsWith('_OPEN')));
+}
+
+async function fetchWorkingOpeningOrders(broker, accountIdKey) {
+  const rawOrders = await broker.getOrders(accountIdKey, { status: 'OPEN', count: 100 });
+  return workingOpeningOrders(rawOrders);
+}
+
+async function fetchDayOrders(broker, accountIdKey) {
+  const today = new Date();
+  const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  const nextDay = new Date(startOfDay.getTime() + 24 * 60 * 60 * 1000);
+  
+  // Try multiple date formats as per E*TRADE API documentation
+  const attempts = [
+    { label: 'MMDDYYYY (bare digits)', format: formatDateBareMMDDYYYY },
+    { label: 'MM/DD/YYYY (with slashes)', format: formatDateMMDDYYYY },
+    { label: 'YYYY-MM-DD (ISO)', format: formatDateYYYYMMDD }
+  ];
+
+  let lastError = null;
+  for (const attempt of attempts) {
+    const params = {
+      fromDate: attempt.format(startOfDay),
+      toDate: attempt.format(nextDay),
+      count: 100,
+      securityType: 'OPTN',
+      marketSession: 'REGULAR',
+    };
+    try {
+      const rawOrders = await broker.getOrders(accountIdKey, params);
+      const summary = summarizeDayOptionOrders(rawOrders);
+      if (summary?.totals) {
+        console.log('[DayOrders] Retrieved', summary.trades?.length || 0, 'trades with realized P&L:', summary.totals.realized);
+      }
+      return summary;
+    } catch (error) {
+      lastError = error;
+      console.warn('[DayOrders] Fetch failed (format', attempt.label, '):', error.message);
+    }
+  }
+  if (lastError) {
+    throw lastError;
+  }
+  return null;
+}
+
+module.exports = {
+  normalizeOrderRecords,
+  summarizeDayOptionOrders,
+  fetchDayOrders,
+  orderActions,
+  workingOpeningOrders,
+  fetchWorkingOpeningOrders,
+};
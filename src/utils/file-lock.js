@@ -0,0 +1,49 @@
+// Cross-process mutual exclusion on a data file via an exclusive `<file>.lock` sibling. The UI
+// server, guardian and CLIs share the JSON stores under data/, so an in-process queue is not
+// enough. Waiting backs off on timers so other requests keep being served meanwhile; a lock left
+// behind by a crashed process is broken once it is older than STALE_LOCK_MS.
+const fs = require('fs');
+
+const LOCK_TIMEOUT_MS = 5000;
+const STALE_LOCK_MS = 30_000;
+const LOCK_RETRY_MS = 10;
+const MAX_LOCK_RETRY_MS = 200;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function withFileLock(file, fn) {
+  const lock = `${file}.lock`;
+  const started = Date.now();
+  let delay = LOCK_RETRY_MS;
+  let handle = null;
+  while (handle == null) {
+    try {
+      handle = await fs.promises.open(lock, 'wx');
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      let age = 0;
+      try {
+        age = Date.now() - (await fs.promises.stat(lock)).mtimeMs;
+      } catch {
+        continue;
+      }
+      if (age > STALE_LOCK_MS) {
+        await fs.promises.rm(lock, { force: true });
+        continue;
+      }
+      if (Date.now() - started > LOCK_TIMEOUT_MS) throw new Error(`Timed out waiting for file lock ${lock}`);
+      await sleep(delay);
+      delay = Math.min(delay * 2, MAX_LOCK_RETRY_MS);
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    await handle.close();
+    await fs.promises.rm(lock, { force: true });
+  }
+}
+
+module.exports = { withFileLock };
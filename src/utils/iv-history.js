@@ -0,0 +1,176 @@
+// Per-symbol ATM implied volatility history. Each scan records one reading; the store keeps
+// the latest reading per trading day so IV rank/percentile can be computed over 30/90/252
+// sessions without pulling historical option data.
+const fs = require('fs');
+const path = require('path');
+const { impliedVolatility, getPricingProfile, yearsToExpiry } = require('../strategy/options');
+const { midPrice } = require('../strategy/selector');
+
+const DEFAULT_HISTORY_FILE = path.join(__dirname, '..', '..', 'data', 'iv-history.json');
+const IV_WINDOWS = [30, 90, 252];
+const MAX_DAYS = 400;
+const MIN_OBSERVATIONS = 5;
+
+function historyFile() {
+  return path.resolve(process.env.IV_HISTORY_FILE || DEFAULT_HISTORY_FILE);
+}
+
+function readHistory() {
+  try {
+    const raw = fs.readFileSync(historyFile(), 'utf8');
+    const data = raw.trim() ? JSON.parse(raw) : {};
+    return { version: 1, symbols: data.symbols && typeof data.symbols === 'object' ? data.symbols : {} };
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    return { version: 1, symbols: {} };
+  }
+}
+
+function writeHistory(history) {
+  const file = historyFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(history, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+function sessionDate(ts) {
+  return new Date(ts).toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+}
+
+function readContractIv(option, { symbol, underlyingPrice, expiry, r, asOf }) {
+  const reported = Number(option?.raw?.OptionGreeks?.iv ?? option?.raw?.impliedVolatility);
+  if (Number.isFinite(reported) && reported > 0) return { iv: reported, source: 'broker' };
+  const mid = midPrice(option);
+  if (!Number.isFinite(mid) || !expiry) return null;
+  const pricing = getPricingProfile(symbol);
+  const iv = impliedVolatility({
+    price: mid,
+    S: underlyingPrice,
+    K: Number(option.strike),
+    T: yearsToExpiry(expiry, asOf),
+    r,
+    q: pricing.dividendYield,
+    type: option.type,
+    model: pricing.model,
+  });
+  return iv != null ? { iv, source: 'model' } : null;
+}
+
+// ATM IV as the average of the call and put nearest the underlying
+function estimateAtmIv({ symbol, chain, underlyingPrice, expiry, r = 0.01, asOf = new Date() }) {
+  if (!Array.isArray(chain) || !chain.length || !Number.isFinite(underlyingPrice) || underlyingPrice <= 0) return null;
+  const readings = [];
+  let atmStrike = null;
+  for (const type of ['CALL', 'PUT']) {
+    let best = null;
+    for (const option of chain) {
+      if (!option || option.type !== type || !Number.isFinite(Number(option.strike))) continue;
+      if (!best || Math.abs(option.strike - underlyingPrice) < Math.abs(best.strike - underlyingPrice)) best = option;
+    }
+    if (!best) continue;
+    atmStrike = atmStrike ?? Number(best.strike);
+    const reading = readContractIv(best, { symbol, underlyingPrice, expiry: best.expiry || expiry, r, asOf });
+    if (reading && reading.iv > 0.01 && reading.iv < 5) readings.push(reading);
+  }
+  if (!readings.length) return null;
+  const iv = readings.reduce((sum, reading) => sum + reading.iv, 0) / readings.length;
+  return {
+    iv: Number(iv.toFixed(4)),
+    strike: atmStrike,
+    expiry: expiry || null,
+    source: readings.every((reading) => reading.source === 'broker') ? 'broker' : 'model',
+  };
+}
+
+function summarizeWindow(series, current, days) {
+  const window = series.slice(-days);
+  const values = window.map((entry) => entry.iv).filter(Number.isFinite);
+  if (values.length < MIN_OBSERVATIONS) {
+    return { rank: null, percentile: null, low: null, high: null, observations: values.length };
+  }
+  const low = Math.min(...values);
+  const high = Math.max(...values);
+  // Percentile compares against prior sessions only, so today's reading does not count itself
+  const prior = values.slice(0, -1);
+  const below = prior.filter((value) => value < current).length;
+  return {
+    rank: high > low ? Number(((current - low) / (high - low)).toFixed(3)) : null,
+    percentile: prior.length ? Number((below / prior.length).toFixed(3)) : null,
+    low: Number(low.toFixed(4)),
+    high: Number(high.toFixed(4)),
+    observations: values.length,
+  };
+}
+
+function describeRegime(rank) {
+  if (!Number.isFinite(rank)) return 'unknown';
+  if (rank >= 0.7) return 'rich';
+  if (rank <= 0.3) return 'cheap';
+  return 'neutral';
+}
+
+function computeIvStats(symbol, series) {
+  if (!Array.isArray(series) || !series.length) return null;
+  const latest = series[series.length - 1];
+  const windows = {};
+  for (const days of IV_WINDOWS) {
+    windows[`${days}d`] = summarizeWindow(series, latest.iv, days);
+  }
+  // Longest window with enough history decides the label
+  const reference = [...IV_WINDOWS].reverse().map((days) => windows[`${days}d`]).find((w) => w.rank != null);
+  return {
+    symbol,
+    current_iv: latest.iv,
+    as_of: latest.date,
+    source: latest.source || null,
+    windows,
+    regime: describeRegime(reference?.rank),
+  };
+}
+
+function recordIvReading(symbol, reading, { asOf = new Date() } = {}) {
+  const key = String(symbol || '').trim().toUpperCase();
+  if (!key || !reading || !Number.isFinite(reading.iv)) return getIvStats(key);
+  const history = readHistory();
+  const series = Array.isArray(history.symbols[key]) ? history.symbols[key] : [];
+  const date = sessionDate(asOf);
+  const last = series[series.length - 1];
+  if (last && last.date === date) {
+    last.iv = reading.iv;
+    last.high = Math.max(last.high ?? reading.iv, reading.iv);
+    last.low = Math.min(last.low ?? reading.iv, reading.iv);
+    last.samples = (last.samples || 1) + 1;
+    last.ts = asOf.toISOString();
+    last.expiry = reading.expiry ?? last.expiry ?? null;
+    last.source = reading.source ?? last.source ?? null;
+  } else {
+    series.push({
+      date,
+      iv: reading.iv,
+      high: reading.iv,
+      low: reading.iv,
+      samples: 1,
+      ts: asOf.toISOString(),
+      expiry: reading.expiry ?? null,
+      source: reading.source ?? null,
+    });
+  }
+  history.symbols[key] = series.slice(-MAX_DAYS);
+  writeHistory(history);
+  return computeIvStats(key, history.symbols[key]);
+}
+
+function getIvStats(symbol) {
+  const key = String(symbol || '').trim().toUpperCase();
+  if (!key) return null;
+  return computeIvStats(key, readHistory().symbols[key]);
+}
+
+module.exports = {
+  IV_WINDOWS,
+  estimateAtmIv,
+  recordIvReading,
+  getIvStats,
+  computeIvStats,
+};
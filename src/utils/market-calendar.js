@@ -0,0 +1,255 @@
+// NYSE/Cboe trading calendar: full-day holidays and 1 PM ET early closes, computed per year from
+// the exchange rules, plus local additions (unscheduled closures, changed half days) from a JSON
+// file. Calendar dates are 'YYYY-MM-DD' keys; Date arguments are read in UTC like the expiry dates
+// in options.js, and sessionDate() maps an instant to its New York trading date.
+const fs = require('fs');
+const path = require('path');
+
+const MARKET_TIMEZONE = 'America/New_York';
+const REGULAR_OPEN = '09:30';
+const REGULAR_CLOSE = '16:00';
+const EARLY_CLOSE = '13:00';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+const DEFAULT_CALENDAR_FILE = path.join(__dirname, '..', '..', 'data', 'market-calendar.json');
+
+const NY_DATE = new Intl.DateTimeFormat('en-CA', { timeZone: MARKET_TIMEZONE });
+const NY_OFFSET = new Intl.DateTimeFormat('en-US', { timeZone: MARKET_TIMEZONE, timeZoneName: 'longOffset' });
+
+const years = new Map();
+let overrides = null;
+
+function calendarFile() {
+  return path.resolve(process.env.MARKET_CALENDAR_FILE || DEFAULT_CALENDAR_FILE);
+}
+
+// { "holidays": { "2025-01-09": "National Day of Mourning" } (or a list of dates),
+//   "earlyCloses": { "2026-12-31": "14:00" } } -- an early close of "16:00" cancels a built-in one
+function readOverrides() {
+  let raw;
+  try {
+    raw = fs.readFileSync(calendarFile(), 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    return { holidays: {}, earlyCloses: {} };
+  }
+  const parsed = raw.trim() ? JSON.parse(raw) : {};
+  const holidays = Array.isArray(parsed.holidays)
+    ? Object.fromEntries(parsed.holidays.map((d) => [d, 'Market closed']))
+    : parsed.holidays || {};
+  return { holidays, earlyCloses: parsed.earlyCloses || {} };
+}
+
+// The file is read once per process; call after editing it from a long-running process
+function reloadCalendar() {
+  overrides = null;
+  years.clear();
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function keyOf(year, month, day) {
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function dateKey(value) {
+  if (typeof value === 'string') return value.slice(0, 10);
+  const d = value instanceof Date ? value : new Date(value);
+  return keyOf(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate());
+}
+
+function sessionDate(ts = Date.now()) {
+  return NY_DATE.format(ts instanceof Date ? ts : new Date(ts));
+}
+
+function parseKey(key) {
+  const [y, m, d] = key.split('-').map(Number);
+  return Date.UTC(y, m - 1, d);
+}
+
+function addDays(key, days) {
+  return dateKey(new Date(parseKey(key) + days * DAY_MS));
+}
+
+function weekday(key) {
+  return new Date(parseKey(key)).getUTCDay();
+}
+
+function isWeekend(date) {
+  const d = weekday(dateKey(date));
+  return d === 0 || d === 6;
+}
+
+// nth (1-based) weekday of the month, or the last one when n < 0
+function nthWeekday(year, month, dow, n) {
+  if (n > 0) {
+    const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    return keyOf(year, month, 1 + ((dow - first + 7) % 7) + (n - 1) * 7);
+  }
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const last = new Date(Date.UTC(year, month - 1, lastDay)).getUTCDay();
+  return keyOf(year, month, lastDay - ((last - dow + 7) % 7));
+}
+
+// Anonymous Gregorian computus
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return keyOf(year, month, day);
+}
+
+// Saturday holidays move to Friday, Sunday ones to Monday
+function observed(key) {
+  const dow = weekday(key);
+  if (dow === 6) return addDays(key, -1);
+  if (dow === 0) return addDays(key, 1);
+  return key;
+}
+
+function builtInYear(year) {
+  const holidays = new Map();
+  // A Saturday New Year's Day is not made up on the Friday before (that would close the prior year)
+  const newYear = keyOf(year, 1, 1);
+  if (weekday(newYear) !== 6) holidays.set(observed(newYear), "New Year's Day");
+  holidays.set(nthWeekday(year, 1, 1, 3), 'Martin Luther King Jr. Day');
+  holidays.set(nthWeekday(year, 2, 1, 3), "Washington's Birthday");
+  holidays.set(addDays(easterSunday(year), -2), 'Good Friday');
+  holidays.set(nthWeekday(year, 5, 1, -1), 'Memorial Day');
+  if (year >= 2022) holidays.set(observed(keyOf(year, 6, 19)), 'Juneteenth');
+  holidays.set(observed(keyOf(year, 7, 4)), 'Independence Day');
+  holidays.set(nthWeekday(year, 9, 1, 1), 'Labor Day');
+  const thanksgiving = nthWeekday(year, 11, 4, 4);
+  holidays.set(thanksgiving, 'Thanksgiving Day');
+  holidays.set(observed(keyOf(year, 12, 25)), 'Christmas Day');
+
+  const earlyCloses = new Map();
+  // July 3 and Christmas Eve only close early when they fall Monday-Thursday
+  for (const key of [keyOf(year, 7, 3), keyOf(year, 12, 24)]) {
+    const dow = weekday(key);
+    if (dow >= 1 && dow <= 4 && !holidays.has(key)) earlyCloses.set(key, EARLY_CLOSE);
+  }
+  earlyCloses.set(addDays(thanksgiving, 1), EARLY_CLOSE);
+  return { holidays, earlyCloses };
+}
+
+function calendarYear(year) {
+  if (!years.has(year)) {
+    if (!overrides) overrides = readOverrides();
+    const { holidays, earlyCloses } = builtInYear(year);
+    const prefix = `${year}-`;
+    for (const [key, name] of Object.entries(overrides.holidays)) {
+      if (key.startsWith(prefix)) holidays.set(key, name || 'Market closed');
+    }
+    for (const [key, time] of Object.entries(overrides.earlyCloses)) {
+      if (!key.startsWith(prefix)) continue;
+      if (time === REGULAR_CLOSE) earlyCloses.delete(key);
+      else earlyCloses.set(key, time);
+    }
+    years.set(year, { holidays, earlyCloses });
+  }
+  return years.get(year);
+}
+
+function holidayName(date) {
+  const key = dateKey(date);
+  if (!DATE_KEY.test(key)) return null;
+  return calendarYear(Number(key.slice(0, 4))).holidays.get(key) || null;
+}
+
+function isTradingDay(date) {
+  return !isWeekend(date) && !holidayName(date);
+}
+
+function earlyClose(date) {
+  const key = dateKey(date);
+  if (!isTradingDay(key)) return null;
+  return calendarYear(Number(key.slice(0, 4))).earlyCloses.get(key) || null;
+}
+
+// New York wall-clock 'HH:MM' on a calendar date as a Date (DST-aware)
+function marketTime(date, time) {
+  const key = dateKey(date);
+  if (!DATE_KEY.test(key)) return new Date(NaN);
+  const [hour, minute] = time.split(':').map(Number);
+  const noon = parseKey(key) + 12 * 60 * 60 * 1000;
+  const match = /GMT([+-])(\d{2}):(\d{2})/.exec(NY_OFFSET.format(noon));
+  const offsetMs = match ? (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3])) * 60_000 : 0;
+  return new Date(parseKey(key) + (hour * 60 + minute) * 60_000 - offsetMs);
+}
+
+// { date, open, close, earlyClose } for a trading day, null when the market is closed
+function sessionTimes(date) {
+  const key = dateKey(date);
+  if (!isTradingDay(key)) return null;
+  const early = earlyClose(key);
+  return {
+    date: key,
+    open: marketTime(key, REGULAR_OPEN),
+    close: marketTime(key, early || REGULAR_CLOSE),
+    earlyClose: early,
+  };
+}
+
+// Options stop trading at the session close, early on half days; non-trading dates get 4 PM ET
+function closeTime(date) {
+  const key = dateKey(date);
+  return marketTime(key, earlyClose(key) || REGULAR_CLOSE);
+}
+
+function nextTradingDay(date, { inclusive = false } = {}) {
+  let key = dateKey(date);
+  if (!inclusive) key = addDays(key, 1);
+  while (!isTradingDay(key)) key = addDays(key, 1);
+  return key;
+}
+
+function previousTradingDay(date, { inclusive = false } = {}) {
+  let key = dateKey(date);
+  if (!inclusive) key = addDays(key, -1);
+  while (!isTradingDay(key)) key = addDays(key, -1);
+  return key;
+}
+
+// Trading days d with from <= d < to
+function tradingDaysBetween(from, to) {
+  const end = dateKey(to);
+  let days = 0;
+  for (let key = dateKey(from); key < end; key = addDays(key, 1)) {
+    if (isTradingDay(key)) days++;
+  }
+  return days;
+}
+
+module.exports = {
+  MARKET_TIMEZONE,
+  calendarFile,
+  reloadCalendar,
+  dateKey,
+  sessionDate,
+  addDays,
+  isWeekend,
+  holidayName,
+  isTradingDay,
+  earlyClose,
+  marketTime,
+  sessionTimes,
+  closeTime,
+  nextTradingDay,
+  previousTradingDay,
+  tradingDaysBetween,
+};
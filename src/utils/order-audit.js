@@ -0,0 +1,267 @@
+// Append-only, hash-chained audit log of every order call that goes through the broker layer.
+// Each JSON line carries the SHA-256 of the previous line's entry, so editing, reordering or
+// deleting a line breaks the chain at that point (see `npm run audit:verify`). Truncating the
+// tail is only detectable against a head hash recorded somewhere else. Every call writes an
+// `attempt` entry before the broker is reached and a `result` entry (pointing back at it via
+// attemptSeq) once it returns, so a crash mid-call still leaves the attempt on record.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { withFileLock } = require('./file-lock');
+
+const DEFAULT_AUDIT_FILE = path.join(__dirname, '..', '..', 'data', 'order-audit.jsonl');
+const GENESIS_HASH = '0'.repeat(64);
+const DEFAULT_LIST_LIMIT = 100;
+const MAX_LIST_LIMIT = 1000;
+
+const AUDITED_CALLS = {
+  previewOptionOrder: 'preview',
+  placeOptionOrder: 'place',
+  placeOptionMarketOrder: 'place_market',
+  previewSpreadOrder: 'preview_spread',
+  placeSpreadOrder: 'place_spread',
+  cancelOrder: 'cancel',
+  changePreviewedOrder: 'change_preview',
+  placeChangedOrder: 'change_place',
+  replaceOrder: 'replace',
+};
+
+// Who is acting (dashboard user, guardian, CLI) rides along with the async call chain so
+// broker functions do not need an extra parameter
+const auditContext = new AsyncLocalStorage();
+
+function auditFile() {
+  return path.resolve(process.env.ORDER_AUDIT_FILE || DEFAULT_AUDIT_FILE);
+}
+
+function defaultActor() {
+  if (process.env.AUDIT_ACTOR) return process.env.AUDIT_ACTOR;
+  try {
+    return os.userInfo().username;
+  } catch {
+    return 'unknown';
+  }
+}
+
+function runWithAuditContext(context, fn) {
+  return auditContext.run({ ...(auditContext.getStore() || {}), ...context }, fn);
+}
+
+function hashEntry(prevHash, body) {
+  return crypto.createHash('sha256').update(`${prevHash}\n${body}`).digest('hex');
+}
+
+function readLastLine(file) {
+  let fd;
+  try {
+    fd = fs.openSync(file, 'r');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+  try {
+    const size = fs.fstatSync(fd).size;
+    let chunkSize = 64 * 1024;
+    while (true) {
+      const start = Math.max(0, size - chunkSize);
+      const buffer = Buffer.alloc(size - start);
+      fs.readSync(fd, buffer, 0, buffer.length, start);
+      const text = buffer.toString('utf8').replace(/\n+$/, '');
+      const index = text.lastIndexOf('\n');
+      if (index >= 0 || start === 0) return text.slice(index + 1) || null;
+      chunkSize *= 4;
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+async function appendAuditEntry(fields) {
+  const file = auditFile();
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  // The UI server and guardian append to the same file; the lock keeps the chain linear
+  return withFileLock(file, async () => {
+    const lastLine = readLastLine(file);
+    const last = lastLine ? JSON.parse(lastLine) : null;
+    const entry = {
+      seq: last ? last.seq + 1 : 1,
+      ts: new Date().toISOString(),
+      ...fields,
+      prevHash: last ? last.hash : GENESIS_HASH,
+    };
+    const body = JSON.stringify(entry);
+    entry.hash = hashEntry(entry.prevHash, body);
+    await fs.promises.appendFile(file, `${JSON.stringify(entry)}\n`);
+    return entry;
+  });
+}
+
+function readAuditEntries() {
+  let raw;
+  try {
+    raw = fs.readFileSync(auditFile(), 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    return [];
+  }
+  return raw.split('\n').filter((line) => line.trim());
+}
+
+// Broker rejections surface as errors with a payload or 4xx status; anything else is a failure to reach the broker
+function classifyError(err) {
+  const status = Number(err?.status);
+  return err?.payload || (Number.isFinite(status) && status < 500) ? 'rejected' : 'failed';
+}
+
+function classifyResult(result) {
+  const status = String(result?.status || '').toUpperCase();
+  return status === 'REJECTED' ? 'rejected' : 'accepted';
+}
+
+function describeRequest(args) {
+  if (args.length === 1 && args[0] && typeof args[0] === 'object') return args[0];
+  return { args };
+}
+
+function callOutcome({ phase, result, error }) {
+  if (phase === 'attempt') return 'pending';
+  return error ? classifyError(error) : classifyResult(result);
+}
+
+async function recordOrderCall({ phase, attempt, action, broker, args, result, error, startedMs }) {
+  const context = auditContext.getStore() || {};
+  const request = describeRequest(args);
+  try {
+    return await appendAuditEntry({
+      phase,
+      attemptSeq: attempt?.seq ?? null,
+      actor: context.actor || defaultActor(),
+      source: context.source || path.basename(process.argv[1] || 'node'),
+      ip: context.ip || null,
+      route: context.route || null,
+      intent: context.intent || null,
+      broker,
+      action,
+      accountIdKey: request.accountIdKey ?? (typeof args[0] === 'string' ? args[0] : null),
+      outcome: callOutcome({ phase, result, error }),
+      durationMs: phase === 'attempt' ? null : Date.now() - startedMs,
+      request,
+      response: error ? null : result ?? null,
+      error: error
+        ? {
+          message: error.message,
+          status: error.status ?? null,
+          brokerMessage: error?.payload?.Error?.message || error?.payload?.message || null,
+          payload: error.payload ?? null,
+        }
+        : null,
+    });
+  } catch (err) {
+    // A broken audit log must neither block the order nor hide its result from the caller
+    console.error(`[OrderAudit] Failed to record ${action} ${phase}: ${err.message}`);
+    return null;
+  }
+}
+
+function auditedCall(fn, { action, broker }) {
+  return async function audited(...args) {
+    const startedMs = Date.now();
+    const attempt = await recordOrderCall({ phase: 'attempt', action, broker, args, startedMs });
+    try {
+      const result = await fn(...args);
+      await recordOrderCall({ phase: 'result', attempt, action, broker, args, result, startedMs });
+      return result;
+    } catch (error) {
+      await recordOrderCall({ phase: 'result', attempt, action, broker, args, error, startedMs });
+      throw error;
+    }
+  };
+}
+
+// Returns a copy of the broker module whose order functions write an audit entry per call
+function withOrderAudit(brokerModule, broker) {
+  const wrapped = { ...brokerModule };
+  for (const [name, action] of Object.entries(AUDITED_CALLS)) {
+    if (typeof brokerModule[name] === 'function') {
+      wrapped[name] = auditedCall(brokerModule[name], { action, broker });
+    }
+  }
+  return wrapped;
+}
+
+function parseBound(value, label) {
+  if (!value) return null;
+  const ms = Date.parse(String(value));
+  if (!Number.isFinite(ms)) {
+    const err = new Error(`Invalid ${label} value "${value}" (expected a date or ISO timestamp)`);
+    err.status = 400;
+    throw err;
+  }
+  return ms;
+}
+
+// Newest first; filters match the stored fields exactly
+function listAuditEntries({ account, action, outcome, actor, phase, from, to, limit } = {}) {
+  const lower = parseBound(from, 'from');
+  const upper = parseBound(to, 'to');
+  const count = Math.min(Math.max(Number(limit) || DEFAULT_LIST_LIMIT, 1), MAX_LIST_LIMIT);
+  const entries = [];
+  const lines = readAuditEntries();
+  for (let i = lines.length - 1; i >= 0 && entries.length < count; i--) {
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch {
+      continue;
+    }
+    const ts = Date.parse(entry.ts);
+    if (account && entry.accountIdKey !== account) continue;
+    if (action && entry.action !== action) continue;
+    if (outcome && entry.outcome !== outcome) continue;
+    if (actor && entry.actor !== actor) continue;
+    if (phase && entry.phase !== phase) continue;
+    if (lower != null && ts < lower) continue;
+    if (upper != null && ts > upper) continue;
+    entries.push(entry);
+  }
+  return { total: lines.length, entries };
+}
+
+// Recomputes every hash from the top of the file; reports the first line that does not chain.
+// `expectHead` ({ seq, hash } noted earlier) must still be in the chain, which catches truncation.
+function verifyAuditLog({ expectHead } = {}) {
+  const lines = readAuditEntries();
+  let prevHash = GENESIS_HASH;
+  let expectedSeq = 1;
+  for (let i = 0; i < lines.length; i++) {
+    const fail = (reason) => ({ ok: false, entries: lines.length, line: i + 1, seq: expectedSeq, reason });
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch (err) {
+      return fail(`Unparseable line: ${err.message}`);
+    }
+    const { hash, ...rest } = entry;
+    if (entry.seq !== expectedSeq) return fail(`Expected seq ${expectedSeq}, found ${entry.seq}`);
+    if (entry.prevHash !== prevHash) return fail('prevHash does not match the previous entry');
+    if (hashEntry(prevHash, JSON.stringify(rest)) !== hash) return fail('Entry contents do not match its hash');
+    if (expectHead && entry.seq === expectHead.seq && hash !== expectHead.hash) return fail('Hash differs from the recorded head');
+    prevHash = hash;
+    expectedSeq += 1;
+  }
+  if (expectHead && expectHead.seq >= expectedSeq) {
+    return { ok: false, entries: lines.length, line: null, seq: expectHead.seq, reason: `Recorded head ${expectHead.seq} is missing; the log was truncated` };
+  }
+  return { ok: true, entries: lines.length, headSeq: expectedSeq - 1, headHash: prevHash };
+}
+
+module.exports = {
+  AUDITED_CALLS,
+  withOrderAudit,
+  runWithAuditContext,
+  listAuditEntries,
+  verifyAuditLog,
+  auditFile,
+};
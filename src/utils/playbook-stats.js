@@ -0,0 +1,69 @@
+// Per-playbook win rates and payoffs from the last saved backtest (`npm run backtest -- --save-stats`),
+// keyed by strategy. Kelly sizing reads them to turn historical edge into a risk fraction.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STATS_FILE = path.join(__dirname, '..', '..', 'data', 'playbook-stats.json');
+
+function statsFile() {
+  return path.resolve(process.env.PLAYBOOK_STATS_FILE || DEFAULT_STATS_FILE);
+}
+
+function readAll() {
+  let raw;
+  try {
+    raw = fs.readFileSync(statsFile(), 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    return {};
+  }
+  return raw.trim() ? JSON.parse(raw) : {};
+}
+
+function pickStats(stats) {
+  return {
+    trades: stats?.trades ?? 0,
+    winRate: stats?.winRate ?? null,
+    avgWin: stats?.avgWin ?? null,
+    avgLoss: stats?.avgLoss ?? null,
+    expectancy: stats?.expectancy ?? null,
+  };
+}
+
+// `combined` is the backtest's computeStats output (overall figures plus byPlaybook)
+function savePlaybookStats({ strategy, interval, symbols, from, to, combined }) {
+  const file = statsFile();
+  const all = readAll();
+  all[strategy] = {
+    updatedAt: new Date().toISOString(),
+    interval: interval || null,
+    symbols: symbols || [],
+    from: from || null,
+    to: to || null,
+    overall: pickStats(combined),
+    byPlaybook: Object.fromEntries(
+      Object.entries(combined?.byPlaybook || {}).map(([name, stats]) => [name, pickStats(stats)])
+    ),
+  };
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(all, null, 2));
+  fs.renameSync(tmp, file);
+  return all[strategy];
+}
+
+// The playbook's own record when it has enough trades, otherwise the strategy-wide figures
+function getPlaybookStats(strategy, playbook, { minTrades = 0 } = {}) {
+  const entry = readAll()[strategy];
+  if (!entry) return null;
+  const own = playbook ? entry.byPlaybook?.[playbook] : null;
+  if (own && own.trades >= minTrades) return { ...own, source: `playbook:${playbook}`, updatedAt: entry.updatedAt };
+  if (entry.overall) return { ...entry.overall, source: `strategy:${strategy}`, updatedAt: entry.updatedAt };
+  return null;
+}
+
+module.exports = {
+  savePlaybookStats,
+  getPlaybookStats,
+  statsFile,
+};
@@ -0,0 +1,263 @@
+// Daily loss limit, trade-count limit and manual kill switch for new positions. Opening orders
+// (BUY_OPEN / SELL_OPEN legs) placed or replaced through the broker layer are refused while the
+// kill switch is on, once today's realized + open P&L crosses the loss limit, or once today's
+// executed plus still-working opening orders reach the trade limit. Closing orders always go
+// through so positions can still be flattened. A tripped loss limit stays tripped for the rest of
+// the New York session even if open P&L recovers, until `resume` clears it.
+const fs = require('fs');
+const path = require('path');
+const { fetchDayOrders, fetchWorkingOpeningOrders, orderActions } = require('./day-orders');
+
+const DEFAULT_STATE_FILE = path.join(__dirname, '..', '..', 'data', 'risk-governor.json');
+const GOVERNED_CALLS = ['placeOptionOrder', 'placeOptionMarketOrder', 'placeSpreadOrder', 'replaceOrder', 'placeChangedOrder'];
+// Calls that re-price a working order; whether they open a position depends on that order's legs
+const CHANGE_CALLS = new Set(['replaceOrder', 'placeChangedOrder']);
+
+const statusCache = new Map();
+
+function stateFile() {
+  return path.resolve(process.env.RISK_GOVERNOR_FILE || DEFAULT_STATE_FILE);
+}
+
+function positiveEnv(name) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+function riskLimits() {
+  return {
+    maxDailyLoss: positiveEnv('RISK_MAX_DAILY_LOSS'),
+    maxDailyTrades: positiveEnv('RISK_MAX_DAILY_TRADES'),
+  };
+}
+
+function cacheTtlMs() {
+  const value = Number(process.env.RISK_STATUS_CACHE_MS);
+  return Number.isFinite(value) && value >= 0 ? value : 15_000;
+}
+
+function sessionDate(ts) {
+  return new Date(ts).toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+}
+
+function riskError(message, status, extra = {}) {
+  const err = new Error(message);
+  err.status = status;
+  Object.assign(err, extra);
+  return err;
+}
+
+// Read on every check: the CLI flips the switch from another process
+function readState() {
+  let raw;
+  try {
+    raw = fs.readFileSync(stateFile(), 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    return { halt: null, tripped: {} };
+  }
+  const data = raw.trim() ? JSON.parse(raw) : {};
+  return { halt: data.halt || null, tripped: data.tripped || {} };
+}
+
+function writeState(state) {
+  const file = stateFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+function haltTrading({ reason, by } = {}) {
+  const state = readState();
+  state.halt = { active: true, reason: reason || 'Manual kill switch', by: by || null, at: new Date().toISOString() };
+  writeState(state);
+  statusCache.clear();
+  return state.halt;
+}
+
+// Lifts the kill switch and any limit tripped today; a limit that is still breached trips again on the next check
+function resumeTrading({ accountIdKey } = {}) {
+  const state = readState();
+  const previous = state.halt;
+  state.halt = null;
+  if (accountIdKey) delete state.tripped[accountIdKey];
+  else state.tripped = {};
+  writeState(state);
+  statusCache.clear();
+  return previous;
+}
+
+function optionPositions(portfolio) {
+  return (portfolio?.positions || []).filter((position) => {
+    const type = String(position?.positionType || '').toUpperCase();
+    return Boolean(position?.optionSymbol || position?.callPut || type.includes('OPTION'));
+  });
+}
+
+// Same arithmetic as the dashboard's day P&L panel: open option P&L plus today's FIFO-realized P&L.
+// Working opening orders count toward the trade limit so a burst of resting limits cannot exceed it.
+function summarizeDayPnl(portfolio, dayOrders, workingOrders = []) {
+  const open = optionPositions(portfolio).reduce((sum, position) => {
+    const unrealized = Number(position.unrealizedGainLoss);
+    return sum + (Number.isFinite(unrealized)
+      ? unrealized
+      : Number(position.marketValue || 0) - Number(position.totalCost || 0));
+  }, 0);
+  const realized = Number(dayOrders?.totals?.realized ?? 0);
+  const executed = Number(dayOrders?.totals?.openingOrders ?? 0);
+  return {
+    realized: Number(realized.toFixed(2)),
+    unrealized: Number(open.toFixed(2)),
+    total: Number((realized + open).toFixed(2)),
+    openingOrders: executed + workingOrders.length,
+    workingOpeningOrders: workingOrders.length,
+  };
+}
+
+function lossLimitBreach(pnl, limits) {
+  if (limits.maxDailyLoss != null && pnl.total <= -limits.maxDailyLoss) {
+    return `Daily loss limit hit: P&L ${pnl.total.toFixed(2)} vs max loss ${limits.maxDailyLoss.toFixed(2)}`;
+  }
+  return null;
+}
+
+// Not latched like the loss limit: cancelling a working opening order frees its slot again
+function tradeLimitBreach(pnl, limits) {
+  if (limits.maxDailyTrades != null && pnl.openingOrders >= limits.maxDailyTrades) {
+    const working = pnl.workingOpeningOrders ? ` (${pnl.workingOpeningOrders} still working)` : '';
+    return `Daily trade limit hit: ${pnl.openingOrders} opening orders${working} vs max ${limits.maxDailyTrades}`;
+  }
+  return null;
+}
+
+function tripLimit(accountIdKey, reason, today) {
+  const state = readState();
+  if (state.tripped[accountIdKey]?.sessionDate === today) return state.tripped[accountIdKey];
+  state.tripped[accountIdKey] = { sessionDate: today, reason, at: new Date().toISOString() };
+  writeState(state);
+  console.warn(`[RiskGovernor] ${accountIdKey}: ${reason}; new positions blocked for the rest of ${today}`);
+  return state.tripped[accountIdKey];
+}
+
+// P&L is only fetched when a limit is configured; results are cached for RISK_STATUS_CACHE_MS
+async function getGovernorStatus(broker, accountIdKey, { refresh = false } = {}) {
+  const limits = riskLimits();
+  const today = sessionDate(Date.now());
+  const cached = statusCache.get(accountIdKey);
+  let pnl = null;
+  let pnlError = null;
+  if (limits.maxDailyLoss != null || limits.maxDailyTrades != null) {
+    if (!refresh && cached && cached.sessionDate === today && Date.now() - cached.at < cacheTtlMs()) {
+      pnl = cached.pnl;
+    } else {
+      try {
+        const [portfolio, dayOrders, workingOrders] = await Promise.all([
+          broker.getPortfolio(accountIdKey),
+          fetchDayOrders(broker, accountIdKey),
+          limits.maxDailyTrades != null ? fetchWorkingOpeningOrders(broker, accountIdKey) : [],
+        ]);
+        pnl = summarizeDayPnl(portfolio, dayOrders, workingOrders);
+        statusCache.set(accountIdKey, { sessionDate: today, at: Date.now(), pnl });
+      } catch (err) {
+        pnlError = err.message;
+      }
+    }
+  }
+
+  const breach = pnl ? lossLimitBreach(pnl, limits) : null;
+  if (breach) tripLimit(accountIdKey, breach, today);
+  const tradeLimit = pnl ? tradeLimitBreach(pnl, limits) : null;
+  const state = readState();
+  const tripped = state.tripped[accountIdKey]?.sessionDate === today ? state.tripped[accountIdKey] : null;
+
+  let blockedBy = null;
+  if (state.halt?.active) blockedBy = 'halt';
+  else if (tripped) blockedBy = 'loss_limit';
+  else if (tradeLimit) blockedBy = 'trade_limit';
+  // Limits are configured but P&L could not be read: fail closed rather than trade blind
+  else if (pnlError) blockedBy = 'unavailable';
+  const reason = {
+    halt: `Kill switch on: ${state.halt?.reason}`,
+    loss_limit: tripped?.reason,
+    trade_limit: tradeLimit,
+    unavailable: `Risk check unavailable: ${pnlError}`,
+  }[blockedBy] || null;
+
+  return {
+    accountIdKey,
+    sessionDate: today,
+    blocked: Boolean(reason),
+    blockedBy,
+    reason,
+    halt: state.halt?.active ? state.halt : null,
+    tripped,
+    limits,
+    pnl,
+    pnlError,
+    checkedAt: new Date().toISOString(),
+  };
+}
+
+// A change that cannot be matched to a working order is left to the broker to reject; a failed
+// lookup is treated as opening so the governor fails closed
+async function isOpeningChange(brokerModule, { accountIdKey, orderId } = {}) {
+  let rawOrders;
+  try {
+    rawOrders = await brokerModule.getOrders(accountIdKey, { status: 'OPEN', count: 100 });
+  } catch {
+    return true;
+  }
+  const root = rawOrders?.OrdersResponse || rawOrders;
+  const orders = [].concat(root?.Order || root?.orders || []);
+  const order = orders.find((entry) => String(entry?.orderId) === String(orderId));
+  return Boolean(order) && orderActions(order).some((action) => action.endsWith('_OPEN'));
+}
+
+function isOpeningCall(name, params = {}) {
+  if (name === 'placeSpreadOrder') {
+    return (params.legs || []).some((leg) => String(leg?.orderAction || '').toUpperCase().endsWith('_OPEN'));
+  }
+  return String(params.orderAction || '').toUpperCase().endsWith('_OPEN');
+}
+
+// Changing a working order does not add a trade, so only the trade limit lets it through
+async function assertTradingAllowed(broker, accountIdKey, { change = false } = {}) {
+  const status = await getGovernorStatus(broker, accountIdKey);
+  if (status.blocked && !(change && status.blockedBy === 'trade_limit')) {
+    throw riskError(`New positions blocked by risk governor. ${status.reason}`, 403, { code: 'RISK_BLOCKED', riskStatus: status });
+  }
+  return status;
+}
+
+// Returns a copy of the broker module whose place and replace calls check the governor before
+// opening positions
+function withRiskGovernor(brokerModule) {
+  const wrapped = { ...brokerModule };
+  for (const name of GOVERNED_CALLS) {
+    const place = brokerModule[name];
+    if (typeof place !== 'function') continue;
+    wrapped[name] = async function governed(params = {}) {
+      const opening = CHANGE_CALLS.has(name)
+        ? await isOpeningChange(brokerModule, params)
+        : isOpeningCall(name, params);
+      if (!opening) return place(params);
+      await assertTradingAllowed(brokerModule, params.accountIdKey, { change: CHANGE_CALLS.has(name) });
+      const result = await place(params);
+      // The order changes the trade count and P&L; re-read them on the next order
+      statusCache.delete(params.accountIdKey);
+      return result;
+    };
+  }
+  return wrapped;
+}
+
+module.exports = {
+  withRiskGovernor,
+  getGovernorStatus,
+  assertTradingAllowed,
+  haltTrading,
+  resumeTrading,
+  riskLimits,
+  stateFile,
+};
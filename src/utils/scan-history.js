@@ -0,0 +1,302 @@
+// Persistent record of every dashboard scan run. Each scan is appended as one JSON line so a
+// crash mid-write can only lose the scan being written, and the file can be tailed or grepped
+// directly. Old scans are trimmed once the file grows past SCAN_HISTORY_MAX_RECORDS.
+// Provider output (raw text and stderr) goes to one JSON file per scan beside the history,
+// which keeps the list small enough to hold in memory between requests.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_HISTORY_FILE = path.join(__dirname, '..', '..', 'data', 'scan-history.jsonl');
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 500;
+
+function historyFile() {
+  return path.resolve(process.env.SCAN_HISTORY_FILE || DEFAULT_HISTORY_FILE);
+}
+
+function maxRecords() {
+  const value = Number(process.env.SCAN_HISTORY_MAX_RECORDS);
+  return Number.isFinite(value) && value > 0 ? Math.floor(value) : 2000;
+}
+
+function maxOutputChars() {
+  const value = Number(process.env.SCAN_HISTORY_MAX_OUTPUT_CHARS);
+  return Number.isFinite(value) && value >= 0 ? Math.floor(value) : 200_000;
+}
+
+function outputsDir() {
+  const file = historyFile();
+  return path.join(path.dirname(file), `${path.basename(file, path.extname(file))}-outputs`);
+}
+
+function outputsFile(id) {
+  return path.join(outputsDir(), `${id}.json`);
+}
+
+function readScans() {
+  let raw;
+  try {
+    raw = fs.readFileSync(historyFile(), 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    return [];
+  }
+  const scans = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      scans.push(JSON.parse(line));
+    } catch (err) {
+      // A torn final line from an interrupted append is skipped rather than failing the read
+      console.warn(`[ScanHistory] Skipping unreadable line in ${historyFile()}: ${err.message}`);
+    }
+  }
+  return scans;
+}
+
+function statHistory(file) {
+  try {
+    const stat = fs.statSync(file);
+    return { size: stat.size, mtimeMs: stat.mtimeMs };
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    return { size: 0, mtimeMs: 0 };
+  }
+}
+
+// Parsed list records, reloaded only when the file's size or mtime no longer match what this
+// process last read or wrote (someone edited or replaced it)
+let cache = null;
+
+function loadScans() {
+  const file = historyFile();
+  const stat = statHistory(file);
+  if (cache?.file === file && cache.size === stat.size && cache.mtimeMs === stat.mtimeMs) return cache.scans;
+  cache = { file, ...stat, scans: stat.size ? readScans() : [] };
+  return cache.scans;
+}
+
+function appendScan(record) {
+  const file = historyFile();
+  const scans = loadScans();
+  const line = `${JSON.stringify(record)}\n`;
+  fs.appendFileSync(file, line);
+  const stat = statHistory(file);
+  if (stat.size !== cache.size + Buffer.byteLength(line)) {
+    // Another writer appended in between; read everything back on the next call
+    cache = null;
+    return loadScans();
+  }
+  scans.push(record);
+  Object.assign(cache, stat);
+  return scans;
+}
+
+function rewriteScans(scans) {
+  const file = historyFile();
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, scans.map((scan) => JSON.stringify(scan)).join('\n') + (scans.length ? '\n' : ''));
+  fs.renameSync(tmp, file);
+  cache = { file, ...statHistory(file), scans };
+}
+
+function writeOutputs(id, outputs) {
+  const file = outputsFile(id);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(outputs));
+  fs.renameSync(tmp, file);
+}
+
+// Scans recorded before outputs moved out of the list still carry them inline and have no file
+function withOutputs(scan) {
+  let outputs;
+  try {
+    outputs = JSON.parse(fs.readFileSync(outputsFile(scan.id), 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`[ScanHistory] Skipping unreadable output for scan ${scan.id}: ${err.message}`);
+    return scan;
+  }
+  return {
+    ...scan,
+    runs: (scan.runs || []).map((run, i) => ({ ...run, ...outputs.runs?.[i] })),
+    errors: (scan.errors || []).map((error, i) => ({ ...error, ...outputs.errors?.[i] })),
+  };
+}
+
+function truncate(text) {
+  if (typeof text !== 'string') return text ?? null;
+  const limit = maxOutputChars();
+  if (text.length <= limit) return text;
+  return `${text.slice(0, limit)}\n…[truncated ${text.length - limit} chars]`;
+}
+
+function sessionDate(ts) {
+  return new Date(ts).toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+}
+
+function newScanId(startedAt) {
+  const ms = Date.parse(startedAt);
+  return `${(Number.isFinite(ms) ? ms : Date.now()).toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function normalizeRun(run) {
+  return {
+    ...run,
+    rawOutput: truncate(run.rawOutput),
+    stderr: truncate(run.stderr),
+  };
+}
+
+function normalizeError(error) {
+  return {
+    ...error,
+    stdout: truncate(error.stdout),
+    stderr: truncate(error.stderr),
+  };
+}
+
+function recommendedSymbols(runs) {
+  const symbols = new Set();
+  for (const run of runs) {
+    for (const rec of run.parsed || []) {
+      if (rec?.symbol) symbols.add(String(rec.symbol).toUpperCase());
+    }
+  }
+  return Array.from(symbols);
+}
+
+// Stores one scan (successful or not) and returns the saved record including its id
+function recordScan(scan) {
+  const runs = (scan.runs || []).map(normalizeRun);
+  const errors = (scan.errors || []).map(normalizeError);
+  const record = {
+    id: newScanId(scan.startedAt),
+    source: scan.source || null,
+    success: Boolean(scan.success),
+    startedAt: scan.startedAt,
+    completedAt: scan.completedAt,
+    durationMs: scan.durationMs ?? null,
+    sessionDate: sessionDate(scan.startedAt || Date.now()),
+    config: {
+      symbols: scan.symbols || [],
+      strategy: scan.strategy || null,
+      expiryType: scan.expiryType || null,
+      command: scan.command || null,
+    },
+    providers: scan.providers || [],
+    recommendedSymbols: recommendedSymbols(runs),
+    runs: runs.map(({ rawOutput, stderr, ...run }) => run),
+    parsed: scan.parsed || [],
+    errors: errors.map(({ stdout, stderr, ...error }) => error),
+  };
+
+  fs.mkdirSync(path.dirname(historyFile()), { recursive: true });
+  // Output first: a list record never points at output that was not written
+  writeOutputs(record.id, {
+    runs: runs.map(({ rawOutput, stderr }) => ({ rawOutput, stderr })),
+    errors: errors.map(({ stdout, stderr }) => ({ stdout, stderr })),
+  });
+  const scans = appendScan(record);
+
+  // Trim in batches so the whole file is not rewritten on every scan
+  const limit = maxRecords();
+  if (scans.length > limit + Math.max(1, Math.ceil(limit * 0.1))) {
+    const dropped = scans.slice(0, -limit);
+    rewriteScans(scans.slice(-limit));
+    for (const old of dropped) fs.rmSync(outputsFile(old.id), { force: true });
+  }
+  return { ...record, runs, errors };
+}
+
+function summarizeScan(scan) {
+  return {
+    id: scan.id,
+    source: scan.source,
+    success: scan.success,
+    startedAt: scan.startedAt,
+    completedAt: scan.completedAt,
+    durationMs: scan.durationMs,
+    sessionDate: scan.sessionDate,
+    config: scan.config,
+    providers: (scan.runs || []).map((run) => ({ provider: run.provider, model: run.model, durationMs: run.durationMs })),
+    errors: (scan.errors || []).map((error) => ({ provider: error.provider, message: error.message })),
+    recommendations: (scan.parsed || []).map((rec) => ({
+      symbol: rec.symbol,
+      side: rec.side ?? null,
+      contract: rec.contract ?? null,
+      entry: rec.entry ?? null,
+      stop: rec.stop ?? null,
+      target: rec.target ?? null,
+      provider: rec.ai?.provider || rec.provider || null,
+    })),
+  };
+}
+
+function parseBound(value, endOfDay) {
+  if (!value) return null;
+  const text = String(value).trim();
+  // Bare dates are New York session dates, matched against sessionDate rather than timestamps
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return { date: text };
+  const ms = Date.parse(text);
+  if (!Number.isFinite(ms)) {
+    const err = new Error(`Invalid ${endOfDay ? 'to' : 'from'} value "${value}" (expected YYYY-MM-DD or an ISO timestamp)`);
+    err.status = 400;
+    throw err;
+  }
+  return { ms };
+}
+
+function withinBound(scan, bound, isUpper) {
+  if (!bound) return true;
+  if (bound.date) return isUpper ? scan.sessionDate <= bound.date : scan.sessionDate >= bound.date;
+  const ms = Date.parse(scan.startedAt);
+  return isUpper ? ms <= bound.ms : ms >= bound.ms;
+}
+
+// Newest first. `symbol` matches the configured watchlist or any recommended symbol;
+// `date` is shorthand for from=to=<session date>.
+function listScans({ symbol, date, from, to, source, success, limit } = {}) {
+  const wantedSymbol = symbol ? String(symbol).trim().toUpperCase() : null;
+  const lower = parseBound(date || from, false);
+  const upper = parseBound(date || to, true);
+  const wantedSuccess = success == null || success === '' ? null : String(success) === 'true';
+  const count = Math.min(Math.max(Number(limit) || DEFAULT_LIST_LIMIT, 1), MAX_LIST_LIMIT);
+
+  const matches = loadScans()
+    .filter((scan) => !wantedSymbol
+      || (scan.config?.symbols || []).includes(wantedSymbol)
+      || (scan.recommendedSymbols || []).includes(wantedSymbol))
+    .filter((scan) => withinBound(scan, lower, false) && withinBound(scan, upper, true))
+    .filter((scan) => !source || scan.source === source)
+    .filter((scan) => wantedSuccess == null || scan.success === wantedSuccess)
+    .sort((a, b) => Date.parse(b.startedAt) - Date.parse(a.startedAt));
+
+  return { total: matches.length, scans: matches.slice(0, count).map(summarizeScan) };
+}
+
+function getScan(id) {
+  const scan = loadScans().find((item) => item.id === String(id));
+  if (!scan) {
+    const err = new Error(`Scan ${id} not found`);
+    err.status = 404;
+    throw err;
+  }
+  return withOutputs(scan);
+}
+
+function latestScan({ success } = {}) {
+  const scans = loadScans();
+  for (let i = scans.length - 1; i >= 0; i--) {
+    if (success == null || scans[i].success === success) return withOutputs(scans[i]);
+  }
+  return null;
+}
+
+module.exports = {
+  recordScan,
+  listScans,
+  getScan,
+  latestScan,
+};
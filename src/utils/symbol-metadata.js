@@ -0,0 +1,206 @@
+// Option contract metadata per underlying, inferred from what the brokers list instead of a
+// hand-kept table: strike increment and multiplier from a fetched chain, listed expirations from
+// E*TRADE's expiration dates (daily names get 0DTE support). Entries are cached on disk and
+// refreshed after SYMBOL_METADATA_TTL_HOURS; getOptionConfig() in options.js layers them over its
+// static OPTION_CONFIG fallback.
+const fs = require('fs');
+const path = require('path');
+const etrade = require('../providers/etrade');
+const { fetchOptionChain, hasEtradeCredentials } = require('../providers/options-chain');
+const calendar = require('./market-calendar');
+
+const DEFAULT_METADATA_FILE = path.join(__dirname, '..', '..', 'data', 'symbol-metadata.json');
+const STRIKE_WINDOW_PCT = 0.15;
+const DAILY_LOOKAHEAD_DAYS = 5;
+const RETRY_MS = 15 * 60 * 1000;
+
+// Failed refreshes are not retried for RETRY_MS so a scan loop without credentials stays quiet
+const failures = new Map();
+let storeCache = { file: null, mtimeMs: null, size: null, symbols: {} };
+
+function metadataFile() {
+  return path.resolve(process.env.SYMBOL_METADATA_FILE || DEFAULT_METADATA_FILE);
+}
+
+function ttlMs() {
+  const hours = Number(process.env.SYMBOL_METADATA_TTL_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : 24) * 60 * 60 * 1000;
+}
+
+// getOptionConfig() reads this for every contract it prices, so the parsed file is kept until its
+// mtime or size changes. An unreadable or corrupt file reads as empty (once per version of the
+// file, with a warning) and callers fall back to the static table; the next refresh rewrites it.
+function readAll() {
+  const file = metadataFile();
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`[SymbolMetadata] Cannot read ${file}: ${err.message}`);
+    return { version: 1, symbols: {} };
+  }
+  const fresh = storeCache.file === file && storeCache.mtimeMs === stat.mtimeMs && storeCache.size === stat.size;
+  if (!fresh) {
+    let symbols = {};
+    try {
+      const raw = fs.readFileSync(file, 'utf8');
+      const data = raw.trim() ? JSON.parse(raw) : {};
+      if (data.symbols && typeof data.symbols === 'object') symbols = data.symbols;
+    } catch (err) {
+      console.warn(`[SymbolMetadata] Ignoring ${file}: ${err.message}`);
+    }
+    storeCache = { file, mtimeMs: stat.mtimeMs, size: stat.size, symbols };
+  }
+  return { version: 1, symbols: { ...storeCache.symbols } };
+}
+
+function writeAll(store) {
+  const file = metadataFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(store, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+function normalizeSymbol(symbol) {
+  return String(symbol || '').trim().toUpperCase();
+}
+
+// Cached entry or null; stale entries are still returned (expirations are filtered by date anyway)
+function getSymbolMetadata(symbol) {
+  const key = normalizeSymbol(symbol);
+  if (!key) return null;
+  return readAll().symbols[key] || null;
+}
+
+function isStale(entry, now = Date.now()) {
+  const updated = Date.parse(entry?.updatedAt);
+  return !Number.isFinite(updated) || now - updated > ttlMs();
+}
+
+function mode(values) {
+  const counts = new Map();
+  for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+  let best = null;
+  for (const [value, count] of counts) {
+    if (best == null || count > counts.get(best) || (count === counts.get(best) && value < best)) best = value;
+  }
+  return best;
+}
+
+// Corporate-action adjusted contracts carry odd strikes and deliverables
+function isStandardContract(option) {
+  const raw = option?.raw || {};
+  if (raw.adjustedFlag === true || String(raw.adjustedFlag).toLowerCase() === 'true') return false;
+  return !raw.optionCategory || String(raw.optionCategory).toUpperCase() === 'STANDARD';
+}
+
+// Most common gap between listed strikes near the money (ties go to the finer increment)
+function inferStrikeIncrement(options, underlyingPrice) {
+  let strikes = [...new Set(options.filter(isStandardContract).map((o) => Number(o.strike)).filter((k) => k > 0))].sort((a, b) => a - b);
+  if (underlyingPrice > 0) {
+    const near = strikes.filter((k) => Math.abs(k / underlyingPrice - 1) <= STRIKE_WINDOW_PCT);
+    if (near.length >= 3) strikes = near;
+  }
+  if (strikes.length < 3) return null;
+  const gaps = [];
+  for (let i = 1; i < strikes.length; i++) gaps.push(Number((strikes[i] - strikes[i - 1]).toFixed(2)));
+  return mode(gaps.filter((g) => g > 0));
+}
+
+function inferMultiplier(options) {
+  const standard = options.filter(isStandardContract);
+  const explicit = standard
+    .map((o) => Number(o.raw?.optionMultiplier ?? o.raw?.multiplier ?? o.raw?.contractSize ?? o.raw?.sharesPerContract))
+    .filter((m) => m > 0);
+  if (explicit.length) return mode(explicit);
+  return standard.length ? 100 : null;
+}
+
+// Names listing an expiration on most of the next few trading days trade dailies (0DTE every session)
+function listsDailies(expirations, asOf = new Date()) {
+  const listed = new Set(expirations.map((e) => e.date));
+  let day = calendar.sessionDate(asOf);
+  let hits = 0;
+  for (let i = 0; i < DAILY_LOOKAHEAD_DAYS; i++) {
+    day = calendar.nextTradingDay(day, { inclusive: true });
+    if (listed.has(day)) hits++;
+    day = calendar.addDays(day, 1);
+  }
+  return hits >= DAILY_LOOKAHEAD_DAYS - 1;
+}
+
+async function defaultFetchExpirations(symbol) {
+  if (!hasEtradeCredentials()) return [];
+  return etrade.getOptionExpireDates(symbol);
+}
+
+// Fetches expirations and the nearest chain, then caches what could be inferred. Throws when
+// neither source returned anything usable; the previous entry is left in place.
+async function refreshSymbolMetadata(symbol, { underlyingPrice, asOf = new Date(), fetchExpirations = defaultFetchExpirations, fetchChain = fetchOptionChain } = {}) {
+  const key = normalizeSymbol(symbol);
+  if (!key) throw new Error('refreshSymbolMetadata: symbol required');
+  const today = calendar.sessionDate(asOf);
+
+  let expirations = [];
+  let expirationError = null;
+  try {
+    expirations = (await fetchExpirations(key)).filter((e) => e.date >= today);
+  } catch (err) {
+    expirationError = err;
+  }
+
+  const chain = await fetchChain({ symbol: key, expiry: expirations[0]?.date, includeGreeks: false });
+  const options = Array.isArray(chain?.options) ? chain.options : [];
+  const strikeIncrement = inferStrikeIncrement(options, underlyingPrice);
+  const multiplier = inferMultiplier(options);
+  const chainExpiry = options.find((o) => o.expiry)?.expiry || null;
+  if (!expirations.length && chainExpiry && chainExpiry >= today) expirations = [{ date: chainExpiry, type: null }];
+
+  if (!strikeIncrement && !expirations.length) {
+    const reasons = [expirationError?.message, ...(chain?.errors || []).map((e) => `${e.provider}: ${e.message}`)].filter(Boolean);
+    throw new Error(`No option metadata for ${key}${reasons.length ? ` (${reasons.join('; ')})` : ''}`);
+  }
+
+  const entry = {
+    symbol: key,
+    updatedAt: new Date().toISOString(),
+    source: chain?.source || (expirations.length ? 'etrade' : null),
+    strikeIncrement,
+    multiplier,
+    supports0DTE: expirations.length ? listsDailies(expirations, asOf) : null,
+    expirations,
+    underlyingPrice: underlyingPrice > 0 ? underlyingPrice : null,
+  };
+  const store = readAll();
+  store.symbols[key] = entry;
+  writeAll(store);
+  failures.delete(key);
+  return entry;
+}
+
+// Cached entry when fresh, otherwise a refresh; never throws. Returns null when nothing is known
+// (callers fall back to the static table).
+async function ensureSymbolMetadata(symbol, options = {}) {
+  const key = normalizeSymbol(symbol);
+  if (!key) return null;
+  const cached = getSymbolMetadata(key);
+  if (cached && !isStale(cached)) return cached;
+  if (Date.now() - (failures.get(key) || 0) < RETRY_MS) return cached;
+  try {
+    return await refreshSymbolMetadata(key, options);
+  } catch (err) {
+    failures.set(key, Date.now());
+    if (process.env.DEBUG_SYMBOL_METADATA) console.warn(`[SymbolMetadata] ${key}: ${err.message}`);
+    return cached;
+  }
+}
+
+module.exports = {
+  getSymbolMetadata,
+  refreshSymbolMetadata,
+  ensureSymbolMetadata,
+  inferStrikeIncrement,
+  inferMultiplier,
+  metadataFile,
+};
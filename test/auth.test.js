@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempFiles } = require('./helpers/temp-files');
+
+const { reset } = useTempFiles('ui-auth', { UI_USERS_FILE: 'ui-users.json' });
+
+const { authMiddleware, authenticate, createSession, describeSession, setUserPassword } = require('../src/ui/auth');
+
+// Just enough of Express's req/res for the middleware; the outcome is 'next' or the response sent
+function request(method, url, headers = {}) {
+  const lower = Object.fromEntries(Object.entries({ host: 'localhost:3000', ...headers }).map(([k, v]) => [k.toLowerCase(), v]));
+  return { method, path: url, originalUrl: url, headers: lower, get: (name) => lower[name.toLowerCase()] };
+}
+
+function run(req) {
+  const res = {
+    statusCode: 200,
+    cookies: [],
+    body: null,
+    status(code) { res.statusCode = code; return res; },
+    json(body) { res.body = body; return res; },
+    redirect(url) { res.statusCode = 302; res.body = url; return res; },
+    append(name, value) { if (name === 'Set-Cookie') res.cookies.push(value); return res; },
+  };
+  let passed = false;
+  authMiddleware(req, res, () => { passed = true; });
+  return { passed, res, req };
+}
+
+function sessionCookie(res) {
+  return res.cookies[0].split(';')[0];
+}
+
+function resetEnv() {
+  delete process.env.UI_AUTH_TOKEN;
+  delete process.env.UI_AUTH_DISABLED;
+  reset();
+}
+
+test.beforeEach(resetEnv);
+
+test('without any login configured the dashboard is read-only', () => {
+  assert.equal(run(request('GET', '/api/positions')).passed, true);
+
+  const { passed, res } = run(request('POST', '/api/orders/place'));
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.code, 'AUTH_NOT_CONFIGURED');
+});
+
+test('UI_AUTH_DISABLED hands out an anonymous session that still needs the CSRF token', () => {
+  process.env.UI_AUTH_DISABLED = '1';
+  assert.equal(run(request('GET', '/api/positions')).res.cookies.length, 0);
+
+  const { req, res } = run(request('GET', '/api/auth/session'));
+  assert.equal(res.cookies.length, 1);
+  assert.equal(describeSession(req).authDisabled, true);
+  const cookie = sessionCookie(res);
+
+  const noToken = run(request('POST', '/api/orders/place', { cookie }));
+  assert.equal(noToken.res.statusCode, 403);
+  assert.equal(noToken.res.body.code, 'CSRF');
+  assert.equal(run(request('POST', '/api/orders/place', { cookie, 'X-CSRF-Token': req.session.csrfToken })).passed, true);
+});
+
+test('a configured token requires login and accepts bearer auth', () => {
+  process.env.UI_AUTH_TOKEN = 'shared-secret-token';
+  process.env.UI_AUTH_DISABLED = '1'; // ignored once login is configured
+
+  assert.equal(run(request('GET', '/api/positions')).res.statusCode, 401);
+  assert.equal(run(request('GET', '/index.html')).res.statusCode, 302);
+  assert.equal(run(request('POST', '/api/orders/place', { Authorization: 'Bearer shared-secret-token' })).passed, true);
+  assert.equal(run(request('POST', '/api/orders/place', { Authorization: 'Bearer wrong' })).res.statusCode, 401);
+});
+
+test('mutating requests from a foreign origin are refused', () => {
+  process.env.UI_AUTH_TOKEN = 'shared-secret-token';
+  const { passed, res } = run(request('POST', '/api/orders/place', {
+    Authorization: 'Bearer shared-secret-token',
+    Origin: 'https://evil.example',
+  }));
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 403);
+  assert.equal(run(request('POST', '/api/orders/place', { Authorization: 'Bearer shared-secret-token', Origin: 'http://localhost:3000' })).passed, true);
+});
+
+test('repeated failed logins lock the client out', () => {
+  process.env.UI_AUTH_TOKEN = 'shared-secret-token';
+  const clientKey = 'lockout-test';
+  for (let i = 0; i < 5; i++) {
+    assert.throws(() => authenticate({ token: 'wrong' }, { clientKey }), (err) => err.status === 401);
+  }
+  assert.throws(() => authenticate({ token: 'shared-secret-token' }, { clientKey }), (err) => err.status === 429);
+  assert.equal(authenticate({ token: 'shared-secret-token' }, { clientKey: 'other-client' }), 'token');
+});
+
+test('changing a password ends the sessions created before it', async () => {
+  setUserPassword('alice', 'first-password');
+  const session = createSession(authenticate({ username: 'alice', password: 'first-password' }, { clientKey: 'pw-test' }));
+  const cookie = `ts_session=${session.id}`;
+  assert.equal(run(request('GET', '/api/positions', { cookie })).passed, true);
+
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  setUserPassword('alice', 'second-password');
+  assert.equal(run(request('GET', '/api/positions', { cookie })).res.statusCode, 401);
+});
+
+test('a malformed cookie is ignored instead of failing the request', () => {
+  process.env.UI_AUTH_TOKEN = 'shared-secret-token';
+  const { res } = run(request('GET', '/api/positions', { cookie: 'other=%E0%A4%A; ts_session=abc' }));
+  assert.equal(res.statusCode, 401);
+});
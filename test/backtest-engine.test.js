@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { loadLocalBars } = require('../src/providers/bars');
+const { runBacktest, computeStats } = require('../src/backtest/engine');
+
+const BARS_FILE = path.join(__dirname, 'fixtures', 'SPY-1d.json');
+
+function trade(playbook, pnl, exitTime) {
+  return { playbook, pnl, rMultiple: null, exitTime };
+}
+
+test('stops and targets exit at the configured option prices', async () => {
+  const bars = await loadLocalBars('SPY', { file: BARS_FILE });
+  const result = runBacktest({ symbol: 'SPY', bars, strategy: 'swing_trade' });
+  const { stopLossPct, takeProfitMult } = result.config;
+  const stops = result.trades.filter((t) => t.reason === 'stop');
+  const targets = result.trades.filter((t) => t.reason === 'target');
+  assert.ok(stops.length > 0 && targets.length > 0, 'fixture should produce both exits');
+
+  for (const t of stops) assert.ok(Math.abs(t.exit - t.entry * (1 - stopLossPct)) <= 0.01, `stop exit ${t.exit} for entry ${t.entry}`);
+  for (const t of targets) assert.ok(Math.abs(t.exit - t.entry * (1 + takeProfitMult)) <= 0.01, `target exit ${t.exit} for entry ${t.entry}`);
+  assert.equal(result.signalsSeen, result.trades.length + result.skippedForPremium + result.skippedForSizing);
+});
+
+test('stats add up per playbook and drawdown follows the equity curve', async () => {
+  const bars = await loadLocalBars('SPY', { file: BARS_FILE });
+  const { trades, stats, config } = runBacktest({ symbol: 'SPY', bars, strategy: 'swing_trade' });
+
+  const playbooks = Object.entries(stats.byPlaybook);
+  assert.ok(playbooks.length > 1);
+  assert.equal(playbooks.reduce((sum, [, s]) => sum + s.trades, 0), stats.trades);
+  for (const [name, s] of playbooks) {
+    const own = trades.filter((t) => t.playbook === name);
+    assert.equal(s.trades, own.length);
+    assert.equal(s.wins, own.filter((t) => t.pnl > 0).length);
+  }
+
+  let equity = config.accountSize;
+  let peak = equity;
+  let maxDrawdown = 0;
+  for (const t of trades) {
+    equity += t.pnl;
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.max(maxDrawdown, peak - equity);
+  }
+  assert.ok(Math.abs(stats.maxDrawdown - maxDrawdown) < 0.01);
+  assert.ok(Math.abs(stats.endingEquity - equity) < 0.01);
+});
+
+test('computeStats measures drawdown from the running peak', () => {
+  const stats = computeStats([
+    trade('momentum', 100, '2025-01-02T21:00:00Z'),
+    trade('mean_reversion', -300, '2025-01-03T21:00:00Z'),
+    trade('momentum', 50, '2025-01-06T21:00:00Z'),
+    trade('momentum', -100, '2025-01-07T21:00:00Z'),
+  ], 1000);
+  assert.equal(stats.maxDrawdown, 350);
+  assert.equal(stats.maxDrawdownPct, 0.3182);
+  assert.equal(stats.endingEquity, 750);
+  assert.equal(stats.netPnl, -250);
+  assert.deepEqual([stats.byPlaybook.momentum.trades, stats.byPlaybook.momentum.netPnl], [3, 50]);
+  assert.deepEqual([stats.byPlaybook.mean_reversion.trades, stats.byPlaybook.mean_reversion.netPnl], [1, -300]);
+});
+
+test('penny premiums are skipped apart from sizing skips', async () => {
+  const bars = await loadLocalBars('SPY', { file: BARS_FILE });
+  const result = runBacktest({ symbol: 'SPY', bars, strategy: 'swing_trade', iv: 0.01, otmPct: 0.25 });
+  assert.ok(result.signalsSeen > 0);
+  assert.equal(result.skippedForPremium, result.signalsSeen);
+  assert.equal(result.skippedForSizing, 0);
+  assert.deepEqual(result.trades, []);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempFiles } = require('./helpers/temp-files');
+
+useTempFiles('concentration', { CONCENTRATION_LIMITS_FILE: 'concentration-limits.json' });
+process.env.CONCENTRATION_MAX_POSITIONS = '2';
+process.env.CONCENTRATION_MAX_EXPOSURE_PCT = '0.1';
+
+const { evaluateConcentration } = require('../src/utils/concentration');
+
+// Two underlyings that move together: QQQ is SPY with a little noise
+function bars(seed, noise) {
+  let price = 100;
+  return Array.from({ length: 60 }, (_, i) => {
+    price *= 1 + 0.004 * Math.sin(i * 0.7) + noise * Math.sin(i * seed);
+    return { t: i * 60_000, c: price };
+  });
+}
+const BARS = { SPY: bars(1, 0), QQQ: bars(3.1, 0.0005) };
+
+function broker(positions) {
+  return {
+    portfolioCalls: 0,
+    async getPortfolio() {
+      this.portfolioCalls += 1;
+      return { account: { totalValue: 20000 }, positions };
+    },
+  };
+}
+
+const LONG_SPY_CALL = { symbol: 'SPY', callPut: 'CALL', quantity: 1, positionType: 'LONG', marketValue: 500 };
+
+test('every leg of one order is judged against a single portfolio load', async () => {
+  const account = broker([LONG_SPY_CALL]);
+  const fetched = [];
+  const barsFor = (symbol) => {
+    fetched.push(symbol);
+    return BARS[symbol];
+  };
+  const results = await evaluateConcentration(account, 'ACC', [
+    { symbol: 'QQQ', side: 'call', qty: 3, costPerContract: 600 },
+    { symbol: 'QQQ', side: 'call', short: true, qty: 3 },
+  ], { barsFor });
+
+  assert.equal(account.portfolioCalls, 1);
+  assert.deepEqual(fetched.sort(), ['QQQ', 'SPY']);
+  // The long call joins the SPY cluster and is trimmed to the premium that still fits
+  assert.deepEqual([results[0].decision, results[0].qty], ['downsize', 2]);
+  // The short call leans the other way and stays outside the cluster
+  assert.deepEqual([results[1].decision, results[1].cluster.length], ['allow', 0]);
+});
+
+test('short legs count in the opposite direction', async () => {
+  const account = broker([LONG_SPY_CALL, { ...LONG_SPY_CALL, callPut: 'PUT', quantity: -1, positionType: 'SHORT' }]);
+  const [result] = await evaluateConcentration(account, 'ACC', [{ symbol: 'SPY', side: 'put', short: true, qty: 1 }], { barsFor: (symbol) => BARS[symbol] });
+  assert.equal(result.decision, 'reject');
+  assert.match(result.reason, /^SPY short put would be position 3/);
+});
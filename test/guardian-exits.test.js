@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempFiles } = require('./helpers/temp-files');
+
+const { reset } = useTempFiles('guardian-exits', { GUARDIAN_EXITS_FILE: 'guardian-exits.json', ORDER_AUDIT_FILE: 'order-audit.jsonl' });
+process.env.GUARDIAN_EXIT_COOLDOWN_MS = '60000';
+
+const { handleExitSignal, listExits, confirmExit, dismissExit } = require('../src/guardian/exits');
+
+const POSITION = { qty: 2, optionSymbol: null };
+const STOP_HIT = {
+  symbol: 'SPY',
+  side: 'call',
+  strike: 600,
+  expiry: '2030-12-20',
+  qty: 2,
+  optionPrice: 1.2,
+  recommendation: { trigger: 'stop', reasons: ['Stop hit'], level: 1.25 },
+};
+
+// Broker double that records orders; `reject` makes the next calls throw like a broker refusal
+function fakeBroker({ reject = false, delayMs = 0 } = {}) {
+  const placed = [];
+  return {
+    placed,
+    async placeOptionOrder(params) {
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+      placed.push(params);
+      if (reject) {
+        const err = new Error('rejected');
+        err.payload = { Error: { message: 'Order rejected by broker' } };
+        throw err;
+      }
+      return { orderId: placed.length, status: 'OPEN', messages: [] };
+    },
+  };
+}
+
+test.beforeEach(() => reset());
+
+test('auto mode does not resend a rejected close within the cooldown', async () => {
+  const broker = fakeBroker({ reject: true });
+  const first = await handleExitSignal(STOP_HIT, POSITION, { mode: 'auto', accountIdKey: 'ACC', broker });
+  assert.equal(first.action, 'failed');
+  assert.equal(first.exit.error, 'Order rejected by broker');
+
+  const second = await handleExitSignal(STOP_HIT, POSITION, { mode: 'auto', accountIdKey: 'ACC', broker });
+  assert.deepEqual([second.action, second.reason], ['skipped', 'Exit already failed']);
+  assert.equal(broker.placed.length, 1);
+  assert.deepEqual(listExits().map((exit) => exit.status), ['failed']);
+});
+
+test('a queued exit is sent once however many times it is confirmed', async () => {
+  const { exit } = await handleExitSignal(STOP_HIT, POSITION, { mode: 'confirm', accountIdKey: 'ACC' });
+  const broker = fakeBroker({ delayMs: 50 });
+  const results = await Promise.allSettled([confirmExit(exit.id, { broker }), confirmExit(exit.id, { broker }), dismissExit(exit.id)]);
+
+  assert.equal(results[0].value.status, 'submitted');
+  assert.deepEqual(results.slice(1).map((result) => result.reason?.status), [409, 409]);
+  assert.equal(broker.placed.length, 1);
+  assert.equal(broker.placed[0].orderAction, 'SELL_CLOSE');
+  assert.deepEqual(listExits().map((exit) => [exit.status, exit.order?.orderId]), [['submitted', 1]]);
+});
+
+test('updates from separate signals are merged rather than overwritten', async () => {
+  const broker = fakeBroker({ delayMs: 30 });
+  const put = { ...STOP_HIT, side: 'put', strike: 580 };
+  const [call, queued] = await Promise.all([
+    handleExitSignal(STOP_HIT, POSITION, { mode: 'auto', accountIdKey: 'ACC', broker }),
+    handleExitSignal(put, POSITION, { mode: 'confirm', accountIdKey: 'ACC' }),
+  ]);
+  assert.deepEqual([call.action, queued.action], ['submitted', 'queued']);
+  assert.deepEqual(listExits().map((exit) => exit.status).sort(), ['pending', 'submitted']);
+});
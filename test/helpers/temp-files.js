@@ -0,0 +1,20 @@
+// Points file-path env vars at a fresh temp directory before the modules under test read them.
+// The directory is removed after the file's tests; reset() deletes the files between tests.
+const test = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function useTempFiles(prefix, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `${prefix}-`));
+  for (const [name, file] of Object.entries(files)) process.env[name] = path.join(dir, file);
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  function reset() {
+    for (const name of Object.keys(files)) fs.rmSync(process.env[name], { force: true });
+  }
+
+  return { dir, reset };
+}
+
+module.exports = { useTempFiles };
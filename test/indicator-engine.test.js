@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculateIndicators } = require('../src/strategy/indicators');
+const { updateBars, updateQuote, snapshot, clearSeries } = require('../src/strategy/indicator-engine');
+
+const OPEN = Date.parse('2026-10-19T13:30:00Z');
+
+// Deterministic minute bars: a drifting wave with uneven ranges and volume
+function makeBars(count) {
+  return Array.from({ length: count }, (_, i) => {
+    const c = 100 + i * 0.02 + 2 * Math.sin(i / 7) + 0.6 * Math.sin(i / 1.7);
+    return { t: OPEN + i * 60_000, c, h: c + 0.2 + 0.15 * Math.abs(Math.sin(i)), l: c - 0.25 - 0.1 * Math.abs(Math.cos(i)), v: 1000 + (i % 13) * 150 };
+  });
+}
+
+// Every field calculateIndicators() returns must match the snapshot (to rounding)
+function assertParity(snap, bars, label, options) {
+  const expected = calculateIndicators(bars, options);
+  const compare = (actual, wanted, keyPath) => {
+    if (wanted == null || typeof wanted !== 'object') {
+      if (typeof wanted === 'number' && wanted !== 0) {
+        assert.ok(Math.abs(actual - wanted) <= 1e-9 * Math.max(1, Math.abs(wanted)), `${label} ${keyPath}: ${actual} vs ${wanted}`);
+      } else {
+        assert.equal(actual, wanted, `${label} ${keyPath}`);
+      }
+      return;
+    }
+    assert.ok(actual && typeof actual === 'object', `${label} ${keyPath} missing`);
+    for (const key of Object.keys(wanted)) compare(actual[key], wanted[key], `${keyPath}.${key}`);
+  };
+  for (const key of Object.keys(expected)) compare(snap[key], expected[key], key);
+}
+
+test.beforeEach(() => clearSeries());
+
+test('overlapping bar windows give the same indicators as a full recalculation', () => {
+  const bars = makeBars(180);
+  const windows = [[0, 40], [10, 75], [60, 76], [70, 130], [129, 180]];
+  for (const [from, to] of windows) {
+    const snap = updateBars('SPY', '1m', bars.slice(from, to));
+    assertParity(snap, bars.slice(0, to), `bars ${from}-${to}`);
+  }
+  assert.equal(snapshot('SPY', '1m').bars, 180);
+});
+
+test('a refreshed forming bar replaces the previous version', () => {
+  const bars = makeBars(90);
+  updateBars('SPY', '1m', bars);
+  const revised = [...bars.slice(0, -1), { ...bars[89], c: bars[89].c + 1.5, h: bars[89].h + 1.5, v: bars[89].v + 500 }];
+  assertParity(updateBars('SPY', '1m', revised.slice(-5)), revised, 'revised last bar');
+  // Older bars sent again are ignored
+  assertParity(updateBars('SPY', '1m', bars.slice(20, 40)), revised, 'stale window');
+});
+
+test('quotes fold into the forming bar and open new ones', () => {
+  const bars = makeBars(80);
+  updateBars('SPY', '1m', bars);
+  const expected = bars.map((bar) => ({ ...bar }));
+  const last = expected[expected.length - 1];
+
+  const quotes = [
+    { price: last.c + 0.4, ts: last.t + 20_000 },
+    { price: last.c - 0.9, ts: last.t + 40_000 },
+    { price: last.c + 0.1, ts: last.t + 65_000 },
+    { price: last.c + 0.3, ts: last.t + 130_000 },
+  ];
+  for (const quote of quotes) {
+    updateQuote('SPY', '1m', quote);
+    const bucket = Math.floor(quote.ts / 60_000) * 60_000;
+    const forming = expected[expected.length - 1];
+    if (forming.t === bucket) {
+      Object.assign(forming, { c: quote.price, h: Math.max(forming.h, quote.price), l: Math.min(forming.l, quote.price) });
+    } else {
+      expected.push({ t: bucket, c: quote.price, h: quote.price, l: quote.price, v: 0 });
+    }
+    assertParity(snapshot('SPY', '1m'), expected, `quote at ${quote.ts - last.t}ms`);
+  }
+  assert.equal(snapshot('SPY', '1m').bars, 82);
+});
+
+test('anchored VWAPs carry across sessions', () => {
+  const day = 24 * 3_600_000;
+  const bars = [...makeBars(120), ...makeBars(150).map((bar) => ({ ...bar, t: bar.t + day }))];
+  for (const vwapAnchor of ['9:35', new Date(OPEN + 90 * 60_000).toISOString(), 'prior_close']) {
+    clearSeries();
+    updateBars('SPY', '1m', bars.slice(0, 100), { vwapAnchor });
+    for (const to of [130, 200, 270]) {
+      const snap = updateBars('SPY', '1m', bars.slice(0, to), { vwapAnchor });
+      assertParity(snap, bars.slice(0, to), `${vwapAnchor} to ${to}`, { vwapAnchor });
+      assert.ok(snap.anchoredVwap.custom, `${vwapAnchor} to ${to} custom`);
+    }
+  }
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ema, macd, macdSeries, calculateIndicators } = require('../src/strategy/indicators');
+
+function near(actual, expected, tolerance, label = '') {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${label} expected ${expected} +/- ${tolerance}, got ${actual}`);
+}
+
+// Deterministic wave with drift so the MACD crosses its signal line a few times
+const prices = Array.from({ length: 120 }, (_, i) => 100 + i * 0.05 + 4 * Math.sin(i / 6) + 1.5 * Math.sin(i / 2.3));
+
+test('the signal line is the EMA of the MACD line', () => {
+  const series = macdSeries(prices);
+  const firstMacd = series.macd.findIndex((v) => v != null);
+  assert.equal(firstMacd, 25);
+  assert.equal(series.signal.findIndex((v) => v != null), firstMacd + 8);
+
+  for (let i = firstMacd + 8; i < prices.length; i++) {
+    const expected = ema(series.macd.slice(firstMacd, i + 1), 9);
+    near(series.signal[i], expected, 1e-9, `signal[${i}]`);
+    near(series.histogram[i], series.macd[i] - series.signal[i], 1e-12, `histogram[${i}]`);
+    near(series.macd[i], ema(prices.slice(0, i + 1), 12) - ema(prices.slice(0, i + 1), 26), 1e-9, `macd[${i}]`);
+  }
+});
+
+test('macd reports the previous histogram for cross detection', () => {
+  const series = macdSeries(prices);
+  let crosses = 0;
+  for (let end = 40; end <= prices.length; end++) {
+    const latest = macd(prices.slice(0, end));
+    near(latest.histogram, series.histogram[end - 1], 1e-12, `histogram at ${end}`);
+    near(latest.prevHistogram, series.histogram[end - 2], 1e-12, `prevHistogram at ${end}`);
+    if (Math.sign(latest.histogram) !== Math.sign(latest.prevHistogram)) crosses++;
+  }
+  assert.ok(crosses > 0, 'fixture should cross the signal line');
+});
+
+test('macd waits for enough bars to seed the signal line', () => {
+  assert.equal(macd(prices.slice(0, 34)), null);
+  assert.notEqual(macd(prices.slice(0, 35)), null);
+  const bars = prices.slice(0, 60).map((c, i) => ({ t: i * 60_000, o: c, h: c + 0.5, l: c - 0.5, c, v: 1000 }));
+  assert.deepEqual(calculateIndicators(bars).macd, macd(prices.slice(0, 60)));
+});
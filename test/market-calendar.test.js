@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { useTempFiles } = require('./helpers/temp-files');
+
+const { reset } = useTempFiles('market-calendar', {
+  MARKET_CALENDAR_FILE: 'market-calendar.json',
+  SYMBOL_METADATA_FILE: 'symbol-metadata.json',
+});
+
+const calendar = require('../src/utils/market-calendar');
+const { nextWeeklyExpiry, nextMonthlyExpiry, getExpiryByType, formatExpiryISO, yearsToExpiry } = require('../src/strategy/options');
+
+function iso(date) {
+  return formatExpiryISO(date);
+}
+
+test.afterEach(() => {
+  reset();
+  calendar.reloadCalendar();
+});
+
+test('exchange holidays follow the NYSE rules and weekend observance', () => {
+  assert.equal(calendar.holidayName('2026-04-03'), 'Good Friday');
+  assert.equal(calendar.holidayName('2026-07-03'), 'Independence Day'); // July 4 is a Saturday
+  assert.equal(calendar.holidayName('2027-06-18'), 'Juneteenth'); // June 19 is a Saturday
+  assert.equal(calendar.holidayName('2026-11-26'), 'Thanksgiving Day');
+  assert.equal(calendar.holidayName('2027-12-24'), 'Christmas Day');
+  // A Saturday New Year's Day is not made up on the last trading day of the year
+  assert.equal(calendar.holidayName('2027-12-31'), null);
+  assert.equal(calendar.isTradingDay('2027-12-31'), true);
+  assert.equal(calendar.isTradingDay('2026-10-17'), false);
+});
+
+test('early closes land on the day after Thanksgiving and weekday Christmas Eves', () => {
+  assert.equal(calendar.earlyClose('2026-11-27'), '13:00');
+  assert.equal(calendar.earlyClose('2026-12-24'), '13:00');
+  assert.equal(calendar.earlyClose('2027-12-24'), null); // observed Christmas, closed all day
+  assert.equal(calendar.earlyClose('2026-07-02'), null);
+
+  const session = calendar.sessionTimes('2026-11-27');
+  assert.equal(session.open.toISOString(), '2026-11-27T14:30:00.000Z');
+  assert.equal(session.close.toISOString(), '2026-11-27T18:00:00.000Z');
+  assert.equal(calendar.sessionTimes('2026-11-26'), null);
+});
+
+test('session times follow daylight saving time', () => {
+  assert.equal(calendar.sessionTimes('2026-07-15').open.toISOString(), '2026-07-15T13:30:00.000Z');
+  assert.equal(calendar.sessionTimes('2026-01-15').open.toISOString(), '2026-01-15T14:30:00.000Z');
+  assert.equal(calendar.closeTime('2026-03-09').toISOString(), '2026-03-09T20:00:00.000Z');
+});
+
+test('trading day arithmetic skips weekends and holidays', () => {
+  assert.equal(calendar.nextTradingDay('2026-04-02'), '2026-04-06');
+  assert.equal(calendar.previousTradingDay('2026-04-03', { inclusive: true }), '2026-04-02');
+  assert.equal(calendar.tradingDaysBetween('2026-11-23', '2026-11-30'), 4);
+  assert.equal(calendar.sessionDate(new Date('2026-10-20T02:00:00Z')), '2026-10-19');
+});
+
+test('the override file adds closures and moves or cancels early closes', () => {
+  fs.writeFileSync(process.env.MARKET_CALENDAR_FILE, JSON.stringify({
+    holidays: { '2026-10-21': 'Unscheduled closure' },
+    earlyCloses: { '2026-12-31': '14:00', '2026-11-27': '16:00' },
+  }));
+  calendar.reloadCalendar();
+  assert.equal(calendar.holidayName('2026-10-21'), 'Unscheduled closure');
+  assert.equal(calendar.earlyClose('2026-12-31'), '14:00');
+  assert.equal(calendar.earlyClose('2026-11-27'), null);
+  assert.equal(calendar.nextTradingDay('2026-10-20'), '2026-10-22');
+});
+
+test('weekly expiries move to Thursday in Good Friday weeks', () => {
+  assert.equal(iso(nextWeeklyExpiry(2, new Date('2026-03-30T15:00:00Z'))), '2026-04-02');
+  // Too close to the Thursday expiry: roll to the following Friday
+  assert.equal(iso(nextWeeklyExpiry(2, new Date('2026-04-01T15:00:00Z'))), '2026-04-10');
+});
+
+test('monthly expiries are the third Friday and never in the past', () => {
+  assert.equal(iso(nextMonthlyExpiry(2, new Date('2026-03-02T15:00:00Z'))), '2026-03-20');
+  assert.equal(iso(nextMonthlyExpiry(2, new Date('2026-03-31T15:00:00Z'))), '2026-04-17');
+  assert.equal(iso(nextMonthlyExpiry(2, new Date('2026-11-27T19:00:00Z'))), '2026-12-18');
+  // Inside the minimum runway, and after the expiry session has closed
+  assert.equal(iso(nextMonthlyExpiry(2, new Date('2026-03-19T15:00:00Z'))), '2026-04-17');
+  assert.equal(iso(nextMonthlyExpiry(0, new Date('2026-03-20T21:00:00Z'))), '2026-04-17');
+  assert.equal(iso(nextMonthlyExpiry(0, new Date('2026-03-20T15:00:00Z'))), '2026-03-20');
+  // Good Friday on the third Friday: expires Thursday
+  assert.equal(iso(nextMonthlyExpiry(2, new Date('2025-04-01T15:00:00Z'))), '2025-04-17');
+  assert.equal(iso(nextMonthlyExpiry(2, new Date('2026-12-20T12:00:00Z'))), '2027-01-15');
+});
+
+test('0DTE rolls to the next session once the market has closed, including half days', () => {
+  assert.equal(iso(getExpiryByType('0dte', 2, new Date('2026-11-27T17:00:00Z'))), '2026-11-27');
+  assert.equal(iso(getExpiryByType('0dte', 2, new Date('2026-11-27T18:30:00Z'))), '2026-11-30');
+  assert.equal(iso(getExpiryByType('0dte', 2, new Date('2026-04-03T14:00:00Z'))), '2026-04-06');
+});
+
+test('time to expiry runs to the early close on half days', () => {
+  const asOf = new Date('2026-11-27T15:00:00Z');
+  const years = yearsToExpiry('2026-11-27', asOf);
+  assert.ok(Math.abs(years * 365 * 24 - 3) < 1e-6, `expected 3 hours, got ${years * 365 * 24}`);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { bsOptionPrice, bsGreeks, optionGreeks, priceOption, PRICING_MODELS, impliedVolatility, greeksFromMarket } = require('../src/strategy/options');
+
+function near(actual, expected, tolerance, label = '') {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${label} expected ${expected} +/- ${tolerance}, got ${actual}`);
+}
+
+test('call and put prices satisfy put-call parity', () => {
+  for (const [S, K, T, sigma] of [[100, 100, 0.25, 0.2], [450, 480, 0.05, 0.35], [20, 12, 1.5, 0.8]]) {
+    const r = 0.045;
+    const call = bsOptionPrice({ S, K, T, r, sigma, type: 'call' });
+    const put = bsOptionPrice({ S, K, T, r, sigma, type: 'put' });
+    near(call - put, S - K * Math.exp(-r * T), 1e-9, `S=${S} K=${K}`);
+  }
+});
+
+test('Greeks match the textbook values and finite differences', () => {
+  const params = { S: 100, K: 100, T: 0.5, r: 0.05, sigma: 0.2 };
+  const call = bsGreeks({ ...params, type: 'call' });
+  const put = bsGreeks({ ...params, type: 'put' });
+  near(call.price, 6.8887, 1e-3, 'call price');
+  near(call.delta, 0.5977, 1e-3, 'call delta');
+  near(call.delta - put.delta, 1, 1e-9, 'delta parity');
+  near(call.gamma, put.gamma, 1e-12, 'gamma');
+
+  const h = 0.01;
+  const up = bsOptionPrice({ ...params, S: params.S + h });
+  const down = bsOptionPrice({ ...params, S: params.S - h });
+  near(call.delta, (up - down) / (2 * h), 1e-5, 'delta vs difference');
+  near(call.gamma, (up - 2 * call.price + down) / (h * h), 1e-4, 'gamma vs difference');
+  near(call.vega, bsOptionPrice({ ...params, sigma: 0.21 }) - call.price, 2e-3, 'vega per vol point');
+  near(call.theta, bsOptionPrice({ ...params, T: params.T - 1 / 365 }) - call.price, 2e-3, 'theta per day');
+});
+
+test('implied volatility round-trips the model price', () => {
+  for (const [S, K, T, sigma, type] of [[100, 100, 0.25, 0.2, 'call'], [100, 90, 0.1, 0.45, 'put'], [50, 55, 1, 0.3, 'call']]) {
+    const price = bsOptionPrice({ S, K, T, r: 0.03, sigma, type });
+    near(impliedVolatility({ price, S, K, T, r: 0.03, type }), sigma, 1e-4, `${type} S=${S} K=${K}`);
+  }
+});
+
+test('implied volatility round-trips every pricing model with a dividend yield', () => {
+  for (const model of PRICING_MODELS) {
+    for (const [K, type] of [[95, 'put'], [105, 'call'], [100, 'put']]) {
+      const params = { S: 100, K, T: 0.4, r: 0.05, q: 0.02, type };
+      const price = priceOption({ model, ...params, sigma: 0.35 });
+      near(impliedVolatility({ model, price, ...params }), 0.35, 1e-3, `${model} ${type} K=${K}`);
+    }
+  }
+});
+
+test('American prices never fall below the European price or intrinsic value', () => {
+  const params = { S: 100, K: 120, T: 1, r: 0.06, q: 0.01, sigma: 0.25, type: 'put' };
+  const european = priceOption({ model: 'black_scholes', ...params });
+  for (const model of ['binomial', 'bjerksund_stensland']) {
+    const american = priceOption({ model, ...params });
+    assert.ok(american >= european && american >= 20, `${model} put ${american} vs ${european}`);
+  }
+  // Without dividends an American call is never exercised early
+  const call = { S: 100, K: 95, T: 0.5, r: 0.05, q: 0, sigma: 0.3, type: 'call' };
+  near(priceOption({ model: 'bjerksund_stensland', ...call }), bsOptionPrice(call), 1e-9, 'call without dividends');
+  near(priceOption({ model: 'binomial', ...call }), bsOptionPrice(call), 0.02, 'tree call without dividends');
+});
+
+test('binomial Greeks track Black-Scholes when early exercise is worthless', () => {
+  // Without dividends the American call is the European one, so the tree's Greeks should land
+  // on the closed form at every strike rather than oscillate with the node spacing
+  for (const K of [80, 95, 100, 103, 105, 130]) {
+    const params = { S: 100, K, T: 0.3, r: 0.04, q: 0, sigma: 0.25, type: 'call' };
+    const tree = optionGreeks({ model: 'binomial', ...params });
+    const closed = bsGreeks(params);
+    near(tree.delta, closed.delta, 2e-3, `delta K=${K}`);
+    near(tree.gamma, closed.gamma, Math.max(5e-4, closed.gamma * 0.02), `gamma K=${K}`);
+    near(tree.theta, closed.theta, 1e-3, `theta K=${K}`);
+  }
+  // The case that used to give a near-zero call gamma and a much larger put gamma
+  const dividend = { S: 100, K: 105, T: 0.5, r: 0.05, q: 0.03, sigma: 0.3 };
+  for (const type of ['call', 'put']) {
+    near(optionGreeks({ model: 'binomial', ...dividend, type }).gamma, bsGreeks({ ...dividend, type }).gamma, 2e-3, `${type} gamma with dividends`);
+  }
+});
+
+test('deep out-of-the-money and in-the-money quotes still solve', () => {
+  // On the far wings vega is nearly flat, Newton steps leave the bracket and the solver
+  // finishes by bisection; the deep ITM put converges on the Newton path
+  const cases = [
+    { S: 100, K: 150, T: 0.05, sigma: 0.9, type: 'call' },
+    { S: 100, K: 40, T: 0.1, sigma: 1.2, type: 'put' },
+    { S: 100, K: 130, T: 0.1, sigma: 0.6, type: 'put' },
+  ];
+  for (const c of cases) {
+    const price = bsOptionPrice({ ...c, r: 0.01 });
+    const iv = impliedVolatility({ price, ...c, r: 0.01 });
+    assert.ok(iv != null, `no IV for ${JSON.stringify(c)}`);
+    near(bsOptionPrice({ ...c, r: 0.01, sigma: iv }), price, Math.max(1e-6, price * 1e-4), `reprice ${c.type} K=${c.K}`);
+  }
+});
+
+test('quotes outside no-arbitrage bounds fall back to the assumed volatility', () => {
+  assert.equal(impliedVolatility({ price: 0.5, S: 100, K: 90, T: 0.1, r: 0.01, type: 'call' }), null);
+  assert.equal(impliedVolatility({ price: 120, S: 100, K: 90, T: 0.1, r: 0.01, type: 'call' }), null);
+
+  const stale = greeksFromMarket({ price: 0.5, S: 100, K: 90, T: 0.1, r: 0.01, type: 'call', fallbackIv: 0.25 });
+  assert.deepEqual([stale.iv, stale.ivSource], [0.25, 'assumed']);
+  const live = greeksFromMarket({ price: bsOptionPrice({ S: 100, K: 105, T: 0.1, r: 0.01, sigma: 0.3 }), S: 100, K: 105, T: 0.1, r: 0.01, type: 'call' });
+  assert.deepEqual([live.iv, live.ivSource], [0.3, 'market']);
+  assert.equal(greeksFromMarket({ price: 0.5, S: 100, K: 90, T: 0.1, type: 'call' }).greeks, null);
+});
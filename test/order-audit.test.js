@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { useTempFiles } = require('./helpers/temp-files');
+
+const { reset } = useTempFiles('order-audit', { ORDER_AUDIT_FILE: 'order-audit.jsonl' });
+
+const { withOrderAudit, runWithAuditContext, listAuditEntries, verifyAuditLog } = require('../src/utils/order-audit');
+
+function readLines() {
+  return fs.readFileSync(process.env.ORDER_AUDIT_FILE, 'utf8').trim().split('\n');
+}
+
+function fakeBroker() {
+  return {
+    async placeOptionOrder(params) {
+      return { orderId: 7, status: params.limitPrice > 0 ? 'OPEN' : 'REJECTED' };
+    },
+    async cancelOrder() {
+      const err = new Error('Order already filled');
+      err.status = 400;
+      err.payload = { Error: { message: 'Order already filled' } };
+      throw err;
+    },
+    async getQuote() {
+      return { last: 1 };
+    },
+  };
+}
+
+test.beforeEach(reset);
+
+test('each order call writes an attempt entry and a linked result entry', async () => {
+  const broker = withOrderAudit(fakeBroker(), 'paper');
+  const result = await runWithAuditContext({ actor: 'alice', source: 'ui' }, () => (
+    broker.placeOptionOrder({ accountIdKey: 'ACC1', limitPrice: 1.25 })
+  ));
+  assert.equal(result.orderId, 7);
+
+  const [attempt, outcome] = readLines().map((line) => JSON.parse(line));
+  assert.deepEqual([attempt.phase, attempt.outcome, attempt.durationMs, attempt.response], ['attempt', 'pending', null, null]);
+  assert.deepEqual([outcome.phase, outcome.attemptSeq, outcome.outcome], ['result', attempt.seq, 'accepted']);
+  assert.equal(outcome.actor, 'alice');
+  assert.equal(outcome.accountIdKey, 'ACC1');
+  assert.equal(outcome.response.orderId, 7);
+});
+
+test('broker rejections are recorded and still reach the caller', async () => {
+  const broker = withOrderAudit(fakeBroker(), 'etrade');
+  await assert.rejects(broker.cancelOrder('ACC1', 42), /already filled/);
+  await broker.placeOptionOrder({ accountIdKey: 'ACC1', limitPrice: 0 });
+
+  const results = listAuditEntries({ phase: 'result' }).entries;
+  assert.deepEqual(results.map((e) => [e.action, e.outcome]), [['place', 'rejected'], ['cancel', 'rejected']]);
+  assert.equal(results[1].accountIdKey, 'ACC1');
+  assert.equal(results[1].error.brokerMessage, 'Order already filled');
+});
+
+test('non-order calls pass through unaudited', async () => {
+  const broker = withOrderAudit(fakeBroker(), 'paper');
+  assert.deepEqual(await broker.getQuote('SPY'), { last: 1 });
+  assert.equal(fs.existsSync(process.env.ORDER_AUDIT_FILE), false);
+});
+
+test('concurrent calls keep the hash chain linear', async () => {
+  const broker = withOrderAudit(fakeBroker(), 'paper');
+  await Promise.all(Array.from({ length: 20 }, (_, i) => broker.placeOptionOrder({ accountIdKey: `ACC${i}`, limitPrice: 1 })));
+
+  const entries = readLines().map((line) => JSON.parse(line));
+  assert.deepEqual(entries.map((e) => e.seq), Array.from({ length: 40 }, (_, i) => i + 1));
+  assert.deepEqual(verifyAuditLog(), { ok: true, entries: 40, headSeq: 40, headHash: entries[39].hash });
+  assert.equal(fs.existsSync(`${process.env.ORDER_AUDIT_FILE}.lock`), false);
+});
+
+test('edited and truncated logs fail verification', async () => {
+  const broker = withOrderAudit(fakeBroker(), 'paper');
+  for (let i = 0; i < 3; i++) await broker.placeOptionOrder({ accountIdKey: 'ACC1', limitPrice: 1 });
+  const head = verifyAuditLog();
+  assert.equal(head.ok, true);
+
+  const lines = readLines();
+  fs.writeFileSync(process.env.ORDER_AUDIT_FILE, `${lines.map((line, i) => (i === 2 ? line.replace('"ACC1"', '"ACC2"') : line)).join('\n')}\n`);
+  assert.deepEqual([verifyAuditLog().ok, verifyAuditLog().line], [false, 3]);
+
+  fs.writeFileSync(process.env.ORDER_AUDIT_FILE, `${lines.slice(0, 4).join('\n')}\n`);
+  assert.equal(verifyAuditLog().ok, true);
+  const truncated = verifyAuditLog({ expectHead: { seq: head.headSeq, hash: head.headHash } });
+  assert.equal(truncated.ok, false);
+  assert.match(truncated.reason, /truncated/);
+});
+
+test('listing filters by account and phase and rejects bad dates', async () => {
+  const broker = withOrderAudit(fakeBroker(), 'paper');
+  await broker.placeOptionOrder({ accountIdKey: 'ACC1', limitPrice: 1 });
+  await broker.placeOptionOrder({ accountIdKey: 'ACC2', limitPrice: 1 });
+
+  const attempts = listAuditEntries({ account: 'ACC2', phase: 'attempt' });
+  assert.equal(attempts.total, 4);
+  assert.deepEqual(attempts.entries.map((e) => [e.accountIdKey, e.phase]), [['ACC2', 'attempt']]);
+  assert.throws(() => listAuditEntries({ from: 'yesterday' }), (err) => err.status === 400);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { useTempFiles } = require('./helpers/temp-files');
+
+const { reset } = useTempFiles('paper-broker', { PAPER_BROKER_FILE: 'paper-account.json' });
+process.env.PAPER_STARTING_CASH = '10000';
+process.env.PAPER_COMMISSION_PER_CONTRACT = '0';
+process.env.PAPER_SLIPPAGE_PCT = '0';
+process.env.PAPER_MARK_TO_MARKET = 'false';
+
+const paper = require('../src/providers/paper-broker');
+
+const ACCOUNT = 'PAPER';
+const CONTRACT = { underlyingSymbol: 'SPY', callPut: 'CALL', strike: 600, expiry: '2030-12-20' };
+
+function trade(orderAction, quantity, price) {
+  return paper.placeOptionOrder({ accountIdKey: ACCOUNT, ...CONTRACT, orderAction, quantity, price });
+}
+
+test.beforeEach(() => reset());
+
+test('an opening order larger than the opposite position closes it and opens the rest', async () => {
+  await trade('BUY_OPEN', 2, 2);
+  const { rawPlace } = await trade('SELL_OPEN', 5, 3);
+  assert.equal(rawPlace.realized, 200);
+
+  const { positions } = await paper.getPortfolio(ACCOUNT);
+  assert.equal(positions.length, 1);
+  assert.deepEqual([positions[0].quantity, positions[0].pricePaid, positions[0].positionType], [-3, 3, 'SHORT']);
+
+  const balance = await paper.getAccountBalance(ACCOUNT);
+  assert.equal(balance.cashBalance, 10000 - 400 + 1500);
+  assert.equal(balance.realizedGainLoss, 200);
+});
+
+test('a partial opposite fill keeps the remaining cost basis', async () => {
+  await trade('SELL_OPEN', 4, 5);
+  const { rawPlace } = await trade('BUY_OPEN', 1, 4);
+  assert.equal(rawPlace.realized, 100);
+  const { positions } = await paper.getPortfolio(ACCOUNT);
+  assert.deepEqual([positions[0].quantity, positions[0].pricePaid], [-3, 5]);
+});
+
+test('closing more than is held is rejected', async () => {
+  await trade('BUY_OPEN', 1, 2);
+  await assert.rejects(trade('SELL_CLOSE', 2, 2), /holds 1/);
+});
+
+test('trades wait for another process holding the account file lock', async () => {
+  const lock = `${process.env.PAPER_BROKER_FILE}.lock`;
+  fs.writeFileSync(lock, '');
+  let settled = false;
+  const pending = trade('BUY_OPEN', 1, 2).then(() => { settled = true; });
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.equal(settled, false);
+  fs.rmSync(lock);
+  await pending;
+  const { positions } = await paper.getPortfolio(ACCOUNT);
+  assert.equal(positions[0].quantity, 1);
+});
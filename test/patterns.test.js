@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detectPatterns, compactPatterns } = require('../src/strategy/patterns');
+
+// Minute bars through the given closes, linear between the [index, close] waypoints
+function barsThrough(waypoints) {
+  const closes = [];
+  for (let w = 1; w < waypoints.length; w++) {
+    const [i0, c0] = waypoints[w - 1];
+    const [i1, c1] = waypoints[w];
+    for (let i = i0; i < i1; i++) closes.push(c0 + ((c1 - c0) * (i - i0)) / (i1 - i0));
+  }
+  closes.push(waypoints[waypoints.length - 1][1]);
+  return closes.map((c, i) => ({ t: i * 60_000, o: c, h: c + 0.2, l: c - 0.2, c, v: 1000 }));
+}
+
+function find(bars, name) {
+  const patterns = detectPatterns(bars);
+  const pattern = patterns.find((p) => p.name === name);
+  assert.ok(pattern, `${name} not detected`);
+  return { pattern, compact: compactPatterns([pattern], bars.length)[0] };
+}
+
+test('a confirmed double top ends at the bar that broke the neckline', () => {
+  // Peaks at 10 and 20, neckline low at 15, first close under it at 26
+  const bars = barsThrough([[0, 100], [10, 106], [15, 102], [20, 106], [30, 98], [40, 97]]);
+  const { pattern, compact } = find(bars, 'double_top');
+  assert.equal(pattern.confidence, 0.75);
+  assert.deepEqual(pattern.bars, [10, 15, 20, 26]);
+  assert.equal(pattern.to, bars[26].t);
+  assert.equal(compact.bars_ago, 14);
+});
+
+test('an unconfirmed double bottom ends at the second trough', () => {
+  const bars = barsThrough([[0, 106], [10, 100], [15, 104], [20, 100], [26, 103]]);
+  const { pattern, compact } = find(bars, 'double_bottom');
+  assert.equal(pattern.confidence, 0.5);
+  assert.deepEqual(pattern.bars, [10, 15, 20]);
+  assert.equal(compact.bars_ago, 6);
+});
@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempFiles } = require('./helpers/temp-files');
+
+useTempFiles('risk-governor', { RISK_GOVERNOR_FILE: 'risk-governor.json' });
+process.env.RISK_STATUS_CACHE_MS = '0';
+
+const { withRiskGovernor, getGovernorStatus, haltTrading, resumeTrading } = require('../src/utils/risk-governor');
+
+const ACCOUNT = 'TEST';
+
+function optionOrder(orderId, status, orderAction, { price = 1, placedTime = Date.now() } = {}) {
+  return {
+    orderId,
+    OrderDetail: [{
+      status,
+      placedTime,
+      executedTime: status === 'EXECUTED' ? placedTime : undefined,
+      Instrument: [{
+        orderAction,
+        orderedQuantity: 1,
+        filledQuantity: status === 'EXECUTED' ? 1 : 0,
+        averageExecutionPrice: status === 'EXECUTED' ? price : undefined,
+        Product: { symbol: 'SPY', securityType: 'OPTN', callPut: 'CALL', strikePrice: 600, expiryYear: 2026, expiryMonth: 12, expiryDay: 18 },
+      }],
+    }],
+  };
+}
+
+// Broker double: orders and open P&L are plain fields the tests rewrite; place calls are recorded
+function fakeBroker({ orders = [], unrealized = 0 } = {}) {
+  const broker = {
+    orders,
+    unrealized,
+    calls: [],
+    async getPortfolio() {
+      return { positions: [{ optionSymbol: 'SPY 261218C600', unrealizedGainLoss: broker.unrealized }] };
+    },
+    async getOrders() {
+      return { OrdersResponse: { Order: broker.orders } };
+    },
+    async placeOptionOrder(params) {
+      broker.calls.push(['placeOptionOrder', params.orderAction]);
+      return { orderId: 99, status: 'OPEN' };
+    },
+    async placeSpreadOrder(params) {
+      broker.calls.push(['placeSpreadOrder', params.legs.map((leg) => leg.orderAction).join('/')]);
+      return { orderId: 98, status: 'OPEN' };
+    },
+    async replaceOrder(params) {
+      broker.calls.push(['replaceOrder', params.orderId]);
+      return { orderId: params.orderId };
+    },
+  };
+  return broker;
+}
+
+function resetEnv() {
+  delete process.env.RISK_MAX_DAILY_LOSS;
+  delete process.env.RISK_MAX_DAILY_TRADES;
+  resumeTrading();
+}
+
+test.beforeEach(resetEnv);
+
+test('working opening orders count toward the daily trade limit', async () => {
+  process.env.RISK_MAX_DAILY_TRADES = '2';
+  const raw = fakeBroker({ orders: [optionOrder(1, 'EXECUTED', 'BUY_OPEN'), optionOrder(2, 'OPEN', 'BUY_OPEN')] });
+  const broker = withRiskGovernor(raw);
+
+  const status = await getGovernorStatus(raw, ACCOUNT);
+  assert.equal(status.pnl.openingOrders, 2);
+  assert.equal(status.pnl.workingOpeningOrders, 1);
+  assert.equal(status.blockedBy, 'trade_limit');
+
+  await assert.rejects(
+    broker.placeOptionOrder({ accountIdKey: ACCOUNT, orderAction: 'BUY_OPEN' }),
+    (err) => err.status === 403 && err.code === 'RISK_BLOCKED',
+  );
+  assert.deepEqual(raw.calls, []);
+});
+
+test('cancelling a working order frees its slot under the trade limit', async () => {
+  process.env.RISK_MAX_DAILY_TRADES = '2';
+  const raw = fakeBroker({ orders: [optionOrder(1, 'EXECUTED', 'BUY_OPEN'), optionOrder(2, 'OPEN', 'BUY_OPEN')] });
+  const broker = withRiskGovernor(raw);
+  await assert.rejects(broker.placeOptionOrder({ accountIdKey: ACCOUNT, orderAction: 'BUY_OPEN' }));
+
+  raw.orders = [optionOrder(1, 'EXECUTED', 'BUY_OPEN'), optionOrder(2, 'CANCELLED', 'BUY_OPEN')];
+  await broker.placeOptionOrder({ accountIdKey: ACCOUNT, orderAction: 'BUY_OPEN' });
+  assert.deepEqual(raw.calls, [['placeOptionOrder', 'BUY_OPEN']]);
+});
+
+test('a spread with an opening leg counts once and is gated', async () => {
+  process.env.RISK_MAX_DAILY_TRADES = '1';
+  const spread = optionOrder(3, 'OPEN', 'BUY_OPEN');
+  spread.OrderDetail[0].Instrument.push({ ...spread.OrderDetail[0].Instrument[0], orderAction: 'SELL_OPEN' });
+  const raw = fakeBroker({ orders: [spread] });
+  const broker = withRiskGovernor(raw);
+
+  const status = await getGovernorStatus(raw, ACCOUNT);
+  assert.equal(status.pnl.openingOrders, 1);
+  await assert.rejects(broker.placeSpreadOrder({ accountIdKey: ACCOUNT, legs: [{ orderAction: 'BUY_OPEN' }, { orderAction: 'SELL_CLOSE' }] }));
+});
+
+test('closing orders go through while the kill switch is on', async () => {
+  const raw = fakeBroker();
+  const broker = withRiskGovernor(raw);
+  haltTrading({ reason: 'test' });
+
+  await assert.rejects(broker.placeOptionOrder({ accountIdKey: ACCOUNT, orderAction: 'BUY_OPEN' }), /Kill switch on: test/);
+  await broker.placeOptionOrder({ accountIdKey: ACCOUNT, orderAction: 'SELL_CLOSE' });
+  await broker.placeSpreadOrder({ accountIdKey: ACCOUNT, legs: [{ orderAction: 'SELL_CLOSE' }, { orderAction: 'BUY_CLOSE' }] });
+  assert.deepEqual(raw.calls, [['placeOptionOrder', 'SELL_CLOSE'], ['placeSpreadOrder', 'SELL_CLOSE/BUY_CLOSE']]);
+});
+
+test('replacing a working opening order is gated by the kill switch', async () => {
+  const raw = fakeBroker({ orders: [optionOrder(5, 'OPEN', 'BUY_OPEN'), optionOrder(6, 'OPEN', 'SELL_CLOSE')] });
+  const broker = withRiskGovernor(raw);
+  haltTrading({ reason: 'test' });
+
+  await assert.rejects(broker.replaceOrder({ accountIdKey: ACCOUNT, orderId: 5, limitPrice: 1.2 }), /Kill switch/);
+  await broker.replaceOrder({ accountIdKey: ACCOUNT, orderId: 6, limitPrice: 1.2 });
+  assert.deepEqual(raw.calls, [['replaceOrder', 6]]);
+});
+
+test('replacing an order does not count as a new trade', async () => {
+  process.env.RISK_MAX_DAILY_TRADES = '1';
+  const raw = fakeBroker({ orders: [optionOrder(5, 'OPEN', 'BUY_OPEN')] });
+  const broker = withRiskGovernor(raw);
+
+  await assert.rejects(broker.placeOptionOrder({ accountIdKey: ACCOUNT, orderAction: 'BUY_OPEN' }));
+  await broker.replaceOrder({ accountIdKey: ACCOUNT, orderId: 5, limitPrice: 1.1 });
+  assert.deepEqual(raw.calls, [['replaceOrder', 5]]);
+});
+
+test('the loss limit stays tripped after open P&L recovers until resume', async () => {
+  process.env.RISK_MAX_DAILY_LOSS = '500';
+  const raw = fakeBroker({ unrealized: -600 });
+  const broker = withRiskGovernor(raw);
+
+  await assert.rejects(broker.placeOptionOrder({ accountIdKey: ACCOUNT, orderAction: 'BUY_OPEN' }), /Daily loss limit hit/);
+  raw.unrealized = 100;
+  const status = await getGovernorStatus(raw, ACCOUNT);
+  assert.equal(status.blockedBy, 'loss_limit');
+
+  resumeTrading({ accountIdKey: ACCOUNT });
+  await broker.placeOptionOrder({ accountIdKey: ACCOUNT, orderAction: 'BUY_OPEN' });
+  assert.equal(raw.calls.length, 1);
+});
+
+test('new positions are refused when limits are set but P&L cannot be read', async () => {
+  process.env.RISK_MAX_DAILY_LOSS = '500';
+  const raw = fakeBroker();
+  raw.getPortfolio = async () => { throw new Error('broker down'); };
+
+  const status = await getGovernorStatus(raw, ACCOUNT);
+  assert.equal(status.blockedBy, 'unavailable');
+  assert.match(status.reason, /broker down/);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempFiles } = require('./helpers/temp-files');
+
+const { dir, reset } = useTempFiles('scan-history', { SCAN_HISTORY_FILE: 'scan-history.jsonl' });
+process.env.SCAN_HISTORY_MAX_RECORDS = '5';
+
+const { recordScan, listScans, getScan, latestScan } = require('../src/utils/scan-history');
+
+const OUTPUTS_DIR = path.join(dir, 'scan-history-outputs');
+
+function scan(i, overrides = {}) {
+  const startedAt = new Date(Date.UTC(2026, 9, 19, 14, i)).toISOString();
+  return {
+    source: 'auto',
+    success: true,
+    startedAt,
+    completedAt: startedAt,
+    symbols: ['SPY'],
+    runs: [{ provider: 'codex', model: 'm', durationMs: 10, rawOutput: `output ${i} `.repeat(50), stderr: `warn ${i}`, parsed: [{ symbol: 'QQQ' }] }],
+    parsed: [{ symbol: 'QQQ', side: 'call' }],
+    errors: [{ provider: 'claude', message: 'timeout', stdout: 'partial', stderr: 'killed' }],
+    ...overrides,
+  };
+}
+
+test.beforeEach(() => {
+  reset();
+  fs.rmSync(OUTPUTS_DIR, { recursive: true, force: true });
+});
+
+test('provider output is kept out of the list file and restored on lookup', () => {
+  const stored = recordScan(scan(1));
+  assert.match(stored.runs[0].rawOutput, /^output 1/);
+
+  const line = fs.readFileSync(process.env.SCAN_HISTORY_FILE, 'utf8');
+  assert.doesNotMatch(line, /output 1|warn 1|partial/);
+
+  const loaded = getScan(stored.id);
+  assert.deepEqual(loaded.runs[0], stored.runs[0]);
+  assert.deepEqual(loaded.errors, [{ provider: 'claude', message: 'timeout', stdout: 'partial', stderr: 'killed' }]);
+  assert.equal(latestScan().runs[0].stderr, 'warn 1');
+  assert.deepEqual(listScans({ symbol: 'QQQ' }).scans.map((item) => item.id), [stored.id]);
+});
+
+test('trimming drops the oldest scans together with their output files', () => {
+  const ids = Array.from({ length: 7 }, (_, i) => recordScan(scan(i)).id);
+  const { total, scans } = listScans();
+  assert.equal(total, 5);
+  assert.deepEqual(scans.map((item) => item.id), ids.slice(2).reverse());
+  assert.deepEqual(fs.readdirSync(OUTPUTS_DIR).sort(), ids.slice(2).map((id) => `${id}.json`).sort());
+  assert.throws(() => getScan(ids[0]), { status: 404 });
+});
+
+test('changes made to the file by another writer are picked up', () => {
+  const first = recordScan(scan(1));
+  assert.equal(listScans().total, 1);
+  const external = { id: 'external', success: false, startedAt: new Date(Date.UTC(2026, 9, 19, 15)).toISOString(), sessionDate: '2026-10-19', runs: [{ provider: 'x', rawOutput: 'inline' }] };
+  fs.appendFileSync(process.env.SCAN_HISTORY_FILE, `${JSON.stringify(external)}\n`);
+
+  assert.deepEqual(listScans().scans.map((item) => item.id), ['external', first.id]);
+  // Records written before outputs were split out still carry them inline
+  assert.equal(getScan('external').runs[0].rawOutput, 'inline');
+  assert.equal(latestScan({ success: true }).id, first.id);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { computeQty, resolveSizingModel } = require('../src/risk');
+
+const IDEA = { accountSize: 25000, riskPct: 0.01, entry: 2, stop: 1, multiplier: 100, strategy: 'day_trade' };
+
+test.afterEach(() => {
+  delete process.env.SIZING_MODEL;
+  delete process.env.SIZING_MODEL_DAY_TRADE;
+});
+
+test('a mistyped sizing model in the environment falls back to fixed fraction', () => {
+  process.env.SIZING_MODEL = 'volatilty';
+  const sizing = computeQty(IDEA);
+  assert.equal(sizing.sizingModel, 'fixed_fraction');
+  assert.match(sizing.sizingFallback, /^SIZING_MODEL: unknown sizing model "volatilty"/);
+  assert.equal(sizing.qty, computeQty({ ...IDEA, model: 'fixed_fraction' }).qty);
+
+  process.env.SIZING_MODEL_DAY_TRADE = 'nope';
+  assert.match(resolveSizingModel('day_trade').fallback, /^SIZING_MODEL_DAY_TRADE:/);
+});
+
+test('an explicit unknown model is still an error', () => {
+  assert.throws(() => resolveSizingModel('day_trade', 'nope'), /Unknown sizing model "nope"/);
+});
+
+test('bar-based models use the ATR and price they are given', () => {
+  process.env.SIZING_MODEL = 'volatility';
+  const quiet = computeQty({ ...IDEA, atr: 0.05, underlyingPrice: 100 });
+  assert.deepEqual([quiet.sizingModel, quiet.sizingFallback], ['volatility', null]);
+  const missing = computeQty(IDEA);
+  assert.deepEqual([missing.sizingModel, missing.sizingFallback], ['fixed_fraction', 'volatility: ATR or underlying price unavailable']);
+});
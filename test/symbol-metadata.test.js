@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { useTempFiles } = require('./helpers/temp-files');
+
+const { reset } = useTempFiles('symbol-metadata', {
+  SYMBOL_METADATA_FILE: 'symbol-metadata.json',
+  MARKET_CALENDAR_FILE: 'market-calendar.json',
+});
+
+const calendar = require('../src/utils/market-calendar');
+const {
+  getSymbolMetadata,
+  refreshSymbolMetadata,
+  ensureSymbolMetadata,
+  inferStrikeIncrement,
+  inferMultiplier,
+} = require('../src/utils/symbol-metadata');
+const { getOptionConfig, pickContract } = require('../src/strategy/options');
+
+const FETCHED_AT = '2026-10-19T14:00:00.000Z';
+const AFTER_FETCH = new Date('2026-10-20T15:00:00Z'); // Tuesday
+
+function chainOf(strikes, raw = {}) {
+  return strikes.flatMap((strike) => ['CALL', 'PUT'].map((callPut) => ({ strike, callPut, expiry: '2026-10-23', raw })));
+}
+
+function writeStore(symbols) {
+  fs.writeFileSync(process.env.SYMBOL_METADATA_FILE, JSON.stringify({ version: 1, symbols }, null, 2));
+}
+
+test.afterEach(reset);
+
+test('strike increment is the most common gap near the money', () => {
+  // $1 strikes around the money, $5 strikes further out
+  const strikes = [50, 55, 60, 65, 70, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 90, 95, 100];
+  assert.equal(inferStrikeIncrement(chainOf(strikes), 80), 1);
+  assert.equal(inferStrikeIncrement(chainOf([100, 102.5, 105, 107.5, 110]), 105), 2.5);
+  assert.equal(inferStrikeIncrement(chainOf([100, 105]), 100), null);
+});
+
+test('adjusted contracts are ignored when inferring the spec', () => {
+  const adjusted = chainOf([81.33, 82.66, 83.99], { adjustedFlag: true, optionMultiplier: 73 });
+  const standard = chainOf([80, 82.5, 85, 87.5]);
+  assert.equal(inferStrikeIncrement([...adjusted, ...standard], 83), 2.5);
+  assert.equal(inferMultiplier([...adjusted, ...standard]), 100);
+  assert.equal(inferMultiplier(chainOf([10, 11], { optionMultiplier: 10 })), 10);
+  assert.equal(inferMultiplier([]), null);
+});
+
+test('refresh caches the inferred spec and flags names that list dailies', async () => {
+  const asOf = new Date();
+  let day = calendar.sessionDate(asOf);
+  const dailies = [];
+  for (let i = 0; i < 6; i++) {
+    day = calendar.nextTradingDay(day, { inclusive: true });
+    dailies.push({ date: day, type: 'DAILY' });
+    day = calendar.addDays(day, 1);
+  }
+
+  const entry = await refreshSymbolMetadata('roku', {
+    underlyingPrice: 80,
+    asOf,
+    fetchExpirations: async () => dailies,
+    fetchChain: async () => ({ source: 'test', options: chainOf([77, 78, 79, 80, 81, 82, 83]) }),
+  });
+  assert.equal(entry.symbol, 'ROKU');
+  assert.equal(entry.strikeIncrement, 1);
+  assert.equal(entry.multiplier, 100);
+  assert.equal(entry.supports0DTE, true);
+  assert.deepEqual(getSymbolMetadata('ROKU').expirations, dailies);
+
+  const weekly = await refreshSymbolMetadata('ROKU', {
+    underlyingPrice: 80,
+    asOf,
+    fetchExpirations: async () => dailies.filter((_, i) => i % 5 === 0),
+    fetchChain: async () => ({ source: 'test', options: chainOf([77, 78, 79, 80, 81, 82, 83]) }),
+  });
+  assert.equal(weekly.supports0DTE, false);
+});
+
+test('a failed refresh keeps the previous entry and ensure never throws', async () => {
+  writeStore({ ROKU: { symbol: 'ROKU', updatedAt: '2020-01-01T00:00:00.000Z', strikeIncrement: 2.5, multiplier: 100 } });
+  const failing = {
+    fetchExpirations: async () => { throw new Error('no credentials'); },
+    fetchChain: async () => ({ options: [], errors: [{ provider: 'test', message: 'empty chain' }] }),
+  };
+  await assert.rejects(refreshSymbolMetadata('ROKU', failing), /No option metadata for ROKU \(no credentials; test: empty chain\)/);
+  assert.equal(getSymbolMetadata('ROKU').strikeIncrement, 2.5);
+
+  const cached = await ensureSymbolMetadata('ROKU', failing);
+  assert.equal(cached.strikeIncrement, 2.5);
+  assert.equal(await ensureSymbolMetadata('ZZZZ', failing), null);
+});
+
+test('cached metadata overrides the static table, which overrides the defaults', () => {
+  writeStore({ SPY: { symbol: 'SPY', updatedAt: FETCHED_AT, strikeIncrement: 0.5, multiplier: 100, supports0DTE: true } });
+  const spy = getOptionConfig('spy', { asOf: AFTER_FETCH });
+  assert.equal(spy.source, 'chain');
+  assert.equal(spy.strikeIncrement, 0.5);
+  assert.equal(spy.defaultOTMPct, 0.004); // still from OPTION_CONFIG
+
+  const gs = getOptionConfig('GS', { asOf: AFTER_FETCH });
+  assert.equal(gs.source, 'static');
+  assert.equal(gs.strikeIncrement, 2.5);
+
+  const unknown = getOptionConfig('XYZQ', { underlyingPrice: 12, asOf: AFTER_FETCH });
+  assert.deepEqual([unknown.source, unknown.strikeIncrement, unknown.multiplier, unknown.supports0DTE], ['default', 0.5, 100, false]);
+  assert.equal(getOptionConfig('XYZQ', { underlyingPrice: 450 }).strikeIncrement, 5);
+  assert.equal(getOptionConfig(''), null);
+});
+
+test('metadata fetched after asOf is not applied to earlier dates', () => {
+  writeStore({ GS: { symbol: 'GS', updatedAt: FETCHED_AT, strikeIncrement: 5, multiplier: 10, supports0DTE: true } });
+  assert.equal(getOptionConfig('GS', { asOf: AFTER_FETCH }).multiplier, 10);
+
+  const replay = getOptionConfig('GS', { asOf: new Date('2025-06-02T15:00:00Z') });
+  assert.deepEqual([replay.source, replay.strikeIncrement, replay.multiplier, replay.supports0DTE], ['static', 2.5, 100, false]);
+});
+
+test('a corrupt metadata file falls back to the static table', () => {
+  fs.writeFileSync(process.env.SYMBOL_METADATA_FILE, '{"symbols": {"SPY": ');
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (...args) => warnings.push(args.join(' '));
+  try {
+    const spy = getOptionConfig('SPY', { asOf: AFTER_FETCH });
+    assert.equal(spy.source, 'static');
+    assert.equal(spy.strikeIncrement, 1);
+    getOptionConfig('SPY', { asOf: AFTER_FETCH });
+  } finally {
+    console.warn = warn;
+  }
+  assert.equal(warnings.length, 1);
+});
+
+test('contracts snap to listed expirations and report the spec source', () => {
+  writeStore({
+    ROKU: {
+      symbol: 'ROKU',
+      updatedAt: FETCHED_AT,
+      strikeIncrement: 2.5,
+      multiplier: 100,
+      supports0DTE: false,
+      expirations: [{ date: '2026-10-30', type: 'WEEKLY' }, { date: '2026-11-20', type: 'MONTHLY' }],
+    },
+  });
+  const weekly = pickContract({ symbol: 'ROKU', side: 'call', underlyingPrice: 80, expiryType: 'weekly', asOf: AFTER_FETCH });
+  assert.equal(weekly.expiry, '2026-10-30');
+  assert.equal(weekly.strike, 82.5);
+  assert.equal(weekly.configSource, 'chain');
+  assert.match(weekly.expiryFallbackReason, /2026-10-23 is not listed for ROKU; using 2026-10-30/);
+
+  const monthly = pickContract({ symbol: 'ROKU', side: 'put', underlyingPrice: 80, expiryType: 'monthly', asOf: AFTER_FETCH });
+  assert.equal(monthly.expiry, '2026-11-20');
+  assert.equal(monthly.expiryFallbackReason, null);
+
+  const zeroDte = pickContract({ symbol: 'ROKU', side: 'call', underlyingPrice: 80, expiryType: '0dte', asOf: AFTER_FETCH });
+  assert.equal(zeroDte.expiryType, 'weekly');
+  assert.match(zeroDte.expiryFallbackReason, /0DTE expiration not available/);
+});